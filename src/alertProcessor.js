@@ -1,20 +1,70 @@
+import {
+  hasPolygon,
+  isWithinGeofence,
+  pointInGeometry,
+  nearestBoundaryPoint,
+  bearingDegrees,
+  compassDirection,
+  trackOffsetMiles,
+} from './geo.js';
+import { matchesLocationCodes } from './location.js';
+import { DEFAULT_HAZARDS } from './hazards.js';
+import { renderTemplate } from './templates.js';
+import { classifyTier, describeDetection } from './tiers.js';
+import { currentTime } from './clock.js';
+
 /**
  * @typedef {Object} AlertProperties
  * @property {string} event - Event type (e.g. "Tornado Warning")
  * @property {string} areaDesc - Human-readable description of the affected area
  * @property {string} effective - ISO 8601 start time of the warning
  * @property {string} expires - ISO 8601 expiry time of the warning
+ * @property {string | null} [ends] - ISO 8601 end time of the event, when it differs from expiry
+ * @property {'Alert' | 'Update' | 'Cancel'} [messageType] - Whether this starts, updates or ends an alert chain
+ * @property {Array<{ '@id': string, identifier: string }>} [references] - Earlier alerts this message follows up
  * @property {string} severity - Severity level (e.g. "Extreme")
  * @property {string} description - Full warning description text
  * @property {string} headline - Short single-line headline
+ * @property {string} [certainty] - Certainty level (e.g. "Observed", "Likely")
+ * @property {string} [urgency] - Urgency level (e.g. "Immediate")
+ * @property {string | null} [instruction] - Recommended protective actions
+ * @property {{ UGC?: string[], SAME?: string[] }} [geocode] - Affected UGC zone and SAME codes
+ * @property {Record<string, string[]>} [parameters] - NWS product parameters (e.g. eventMotionDescription)
  */
 
 /**
  * @typedef {Object} AlertFeature
  * @property {string} id - Unique NWS alert identifier (URN)
  * @property {AlertProperties} properties - Alert metadata and details
+ * @property {import('./geo.js').PolygonGeometry | null} [geometry] - Storm-based warning polygon
  */
 
+/**
+ * @typedef {Object} GeofenceOptions
+ * @property {import('./geo.js').LatLon | null} [home] - Home coordinate to test polygons against
+ * @property {number} [bufferMiles=0] - Distance outside the polygon that still counts as a match
+ * @property {import('./location.js').LocationCodes} [codes] - Fallback codes for alerts with no polygon
+ */
+
+/**
+ * @typedef {Object} StormMotion
+ * @property {Date} time - Observation time of the storm position
+ * @property {number} heading - Direction the storm is moving toward, in degrees from north
+ * @property {number} speedKnots - Storm speed in knots
+ * @property {import('./geo.js').LatLon[]} positions - Storm position(s); several for a line of storms
+ */
+
+/**
+ * @typedef {Object} ArrivalEstimate
+ * @property {'approaching' | 'miss' | 'stationary'} status - Whether the projected track reaches home
+ * @property {Date} [arrival] - Estimated arrival time (only when approaching)
+ */
+
+/** Miles either side of a projected storm track that count as "reaching" home */
+const DEFAULT_TRACK_BUFFER_MILES = 5;
+
+const KNOTS_TO_MPH = 1.15078;
+
 /**
  * Formats an ISO date/time string into a friendly spoken time.
  * @param {string} isoString - ISO 8601 date string
@@ -32,31 +82,241 @@ function formatTime(isoString) {
   }
 }
 
+/**
+ * Formats a date as a short spoken clock time, e.g. "4:35 PM".
+ * @param {Date} date - The time to format
+ * @returns {string} Hour and minute string
+ */
+function formatClockTime(date) {
+  return date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+}
+
+/**
+ * Parses an NWS `eventMotionDescription` string such as
+ * "2024-05-26T20:45:00-00:00...storm...271DEG...39KT...36.95,-88.61".
+ * NWS gives the direction the storm is moving *from*; the returned heading is
+ * the direction it is moving *toward*.
+ *
+ * @param {string | undefined} description - The raw eventMotionDescription value
+ * @returns {StormMotion | null} The parsed motion, or null if missing or malformed
+ */
+export function parseEventMotion(description) {
+  const [timeText, , direction, speed, positionText] = (description ?? '').trim().split('...');
+  const time = new Date(timeText);
+  const fromDegrees = /^(\d{1,3})DEG$/i.exec(direction ?? '')?.[1];
+  const knots = /^(\d{1,3})KT$/i.exec(speed ?? '')?.[1];
+  if (Number.isNaN(time.getTime()) || !fromDegrees || !knots || !positionText) return null;
+
+  const positions = positionText.split(/\s+/).map((pair) => {
+    const [lat, lon] = pair.split(',').map(Number);
+    return { lat, lon };
+  });
+  if (positions.some(({ lat, lon }) => Number.isNaN(lat) || Number.isNaN(lon))) return null;
+
+  return {
+    time,
+    heading: (parseInt(fromDegrees, 10) + 180) % 360,
+    speedKnots: parseInt(knots, 10),
+    positions,
+  };
+}
+
+/**
+ * Projects a storm along its motion vector and estimates when it reaches home.
+ * A storm "reaches" home when home lies ahead of it and within `trackBufferMiles`
+ * of its projected track; for a line of storms the earliest arrival wins.
+ *
+ * @param {StormMotion} motion - Parsed storm motion
+ * @param {import('./geo.js').LatLon} home - The home coordinate
+ * @param {number} [trackBufferMiles=DEFAULT_TRACK_BUFFER_MILES] - Half-width of the projected path
+ * @returns {ArrivalEstimate} Arrival time, or why there is none
+ */
+export function estimateArrival(motion, home, trackBufferMiles = DEFAULT_TRACK_BUFFER_MILES) {
+  if (motion.speedKnots === 0) return { status: 'stationary' };
+
+  const speedMph = motion.speedKnots * KNOTS_TO_MPH;
+  const hoursAway = motion.positions
+    .map((position) => trackOffsetMiles(position, motion.heading, home))
+    .filter(({ alongMiles, crossMiles }) => alongMiles >= 0 && crossMiles <= trackBufferMiles)
+    .map(({ alongMiles }) => alongMiles / speedMph);
+
+  if (hoursAway.length === 0) return { status: 'miss' };
+
+  const arrival = new Date(motion.time.getTime() + Math.min(...hoursAway) * 3_600_000);
+  return { status: 'approaching', arrival };
+}
+
+/**
+ * Describes the storm's projected arrival at home, e.g. "It may reach your area
+ * around 4:35 PM." Returns null when the alert carries no usable motion.
+ *
+ * @param {AlertFeature} alert - The NWS GeoJSON alert feature
+ * @param {import('./geo.js').LatLon} home - The home coordinate
+ * @param {number} [trackBufferMiles] - Half-width of the projected path
+ * @param {number} [now=currentTime()] - Current time (injectable for tests)
+ * @returns {string | null} A spoken sentence, or null
+ */
+export function describeArrival(alert, home, trackBufferMiles, now = currentTime()) {
+  const motion = parseEventMotion(alert.properties.parameters?.eventMotionDescription?.[0]);
+  if (!motion) return null;
+
+  const estimate = estimateArrival(motion, home, trackBufferMiles);
+  if (estimate.status === 'stationary') return null;
+  if (estimate.status === 'miss') {
+    return (
+      "The storm's current path looks like it will miss your area, " +
+      "but it's still worth keeping an ear out."
+    );
+  }
+  if (estimate.arrival.getTime() <= now) {
+    return 'It may already be near your area.';
+  }
+  return `It may reach your area around ${formatClockTime(estimate.arrival)}.`;
+}
+
+/**
+ * Describes where a warning polygon lies relative to home, e.g. "The warning area is
+ * about 8 miles to your southwest." Distance and direction are measured to the
+ * nearest edge of the polygon.
+ *
+ * @param {AlertFeature} alert - The NWS GeoJSON alert feature
+ * @param {import('./geo.js').LatLon} home - The home coordinate
+ * @returns {string | null} A spoken sentence, or null if the alert has no polygon
+ */
+export function describeProximity(alert, home) {
+  if (!hasPolygon(alert.geometry)) return null;
+  if (pointInGeometry(home, alert.geometry)) {
+    return 'Your location is inside the warning area.';
+  }
+
+  const nearest = nearestBoundaryPoint(home, alert.geometry);
+  const direction = compassDirection(bearingDegrees(home, nearest));
+  const miles = Math.round(nearest.distanceMiles);
+  const distance =
+    miles < 1 ? 'less than a mile' : `about ${miles} ${miles === 1 ? 'mile' : 'miles'}`;
+  return `The warning area is ${distance} to your ${direction}.`;
+}
+
+/**
+ * @typedef {Object} MessageOptions
+ * @property {import('./geo.js').LatLon | null} [home] - Home coordinate for proximity and arrival
+ * @property {number} [trackBufferMiles] - Half-width of the projected storm path
+ * @property {number} [now] - Current time in ms (injectable for tests)
+ * @property {string | null} [locationLabel] - Named location the warning is for (e.g. "Mom's place in Oldham County")
+ */
+
+/**
+ * Describes how long until a time, e.g. "about 45 minutes" or "about 2 hours".
+ * @param {number} ms - Milliseconds remaining
+ * @returns {string | null} Spoken duration, or null if the time has passed
+ */
+function formatRelativeTime(ms) {
+  if (!(ms > 0)) return null;
+  const minutes = Math.round(ms / 60_000);
+  if (minutes < 1) return 'less than a minute';
+  if (minutes < 60) return `about ${minutes} ${minutes === 1 ? 'minute' : 'minutes'}`;
+  const hours = Math.round(minutes / 60);
+  return `about ${hours} ${hours === 1 ? 'hour' : 'hours'}`;
+}
+
+/**
+ * Builds the placeholder values available to every message template (see
+ * PLACEHOLDERS in templates.js). Missing values are null so that conditional
+ * sections such as {{#expires}}…{{/expires}} can skip them.
+ *
+ * @param {AlertFeature} alert - The NWS GeoJSON alert feature
+ * @param {MessageOptions} options - Optional home coordinate and tuning
+ * @returns {Record<string, string | null>} Values keyed by placeholder name
+ */
+function messageValues(alert, options) {
+  const { event, areaDesc, headline, severity, certainty, urgency, instruction } = alert.properties;
+  const expires = alert.properties.ends || alert.properties.expires;
+  const { home, trackBufferMiles, now = currentTime(), locationLabel } = options;
+  const tier = classifyTier(alert);
+  return {
+    event,
+    headline,
+    severity,
+    certainty,
+    urgency,
+    instruction: instruction ? instruction.replace(/\s+/g, ' ').trim() : null,
+    area: areaDesc || 'your area',
+    expires: expires ? formatTime(expires) : null,
+    expiresIn: expires ? formatRelativeTime(Date.parse(expires) - now) : null,
+    location: locationLabel || null,
+    proximity: home ? describeProximity(alert, home) : null,
+    arrival: home ? describeArrival(alert, home, trackBufferMiles, now) : null,
+    detection: describeDetection(alert),
+    pds: tier === 'pds' ? 'particularly dangerous situation' : null,
+    emergency: tier === 'emergency' ? 'tornado emergency' : null,
+  };
+}
+
+/**
+ * Generates the spoken message for an alert from its hazard's template. See
+ * templates.js for the template syntax and the placeholders it may use.
+ *
+ * @param {AlertFeature} alert - The NWS GeoJSON alert feature
+ * @param {import('./hazards.js').Hazard} hazard - The catalog entry for the alert's event
+ * @param {MessageOptions} [options={}] - Optional home coordinate and tuning
+ * @returns {string} The full message text to be spoken aloud
+ */
+export function generateHazardMessage(alert, hazard, options = {}) {
+  return renderTemplate(hazard.template, messageValues(alert, options));
+}
+
 /**
  * Generates a calm, friendly spoken message for a given tornado warning alert.
  * The tone is deliberately low-energy and reassuring — no urgency or alarm.
+ * Warnings NWS flags as a particularly dangerous situation or a Tornado
+ * Emergency (see tiers.js) are still calm but more direct, and radar-indicated
+ * or observed tornadoes are named.
+ * When a home coordinate is given, the message also says how far away (and in
+ * which direction) the warning polygon is, or that home is inside it, and when
+ * the storm may reach home based on its reported motion. With several monitored
+ * locations, the message names the one it is for.
+ *
  * @param {AlertFeature} alert - The NWS GeoJSON alert feature
+ * @param {MessageOptions} [options={}] - Optional home coordinate and tuning
  * @returns {string} The full message text to be spoken aloud
  */
-export function generateCalmMessage(alert) {
-  const { areaDesc, expires } = alert.properties;
-  const area = areaDesc || 'your area';
-  const expiresTime = expires ? `until ${formatTime(expires)}` : 'until further notice';
+export function generateCalmMessage(alert, options = {}) {
+  const tornado = DEFAULT_HAZARDS.find((h) => h.event === 'Tornado Warning');
+  return generateHazardMessage(alert, tornado, options);
+}
 
-  return (
-    `Hey… just a gentle heads-up — there's a tornado warning for ${area} right now. ` +
-    `The warning is in effect ${expiresTime}. ` +
-    `Please take it easy and head to a safe spot when you can. ` +
-    `Stay low, stay calm, and take care of yourself.`
-  );
+/**
+ * Filters a list of NWS alert features to the given event types.
+ *
+ * When a home coordinate is given, each alert's storm-based polygon must contain
+ * the home point (or come within `bufferMiles` of it). Alerts without a polygon
+ * (such as watches, which are issued by county) fall back to the county/zone
+ * `codes` match so nothing is silently dropped.
+ *
+ * @param {AlertFeature[]} features - Raw array of GeoJSON features from the NWS API
+ * @param {string[]} events - Event names to keep (e.g. ["Tornado Warning", "Flash Flood Warning"])
+ * @param {GeofenceOptions} [options={}] - Optional geofence settings
+ * @returns {AlertFeature[]} Only the matching features that apply to home
+ */
+export function filterAlerts(features, events, options = {}) {
+  const { home, bufferMiles = 0, codes } = options;
+  return features.filter((f) => {
+    if (!events.includes(f.properties?.event)) return false;
+    if (!home) return true;
+    if (hasPolygon(f.geometry)) return isWithinGeofence(home, f.geometry, bufferMiles);
+    return codes ? matchesLocationCodes(f, codes) : true;
+  });
 }
 
 /**
  * Filters a list of NWS alert features to only include active Tornado Warnings.
  * Ignores Tornado Watches, Severe Thunderstorm Warnings, and all other event types.
+ * See {@link filterAlerts} for how `options` geofence the result.
+ *
  * @param {AlertFeature[]} features - Raw array of GeoJSON features from the NWS API
- * @returns {AlertFeature[]} Only the features with event === "Tornado Warning"
+ * @param {GeofenceOptions} [options={}] - Optional geofence settings
+ * @returns {AlertFeature[]} Only the Tornado Warning features that apply to home
  */
-export function filterTornadoWarnings(features) {
-  return features.filter((f) => f.properties?.event === 'Tornado Warning');
+export function filterTornadoWarnings(features, options = {}) {
+  return filterAlerts(features, ['Tornado Warning'], options);
 }
@@ -0,0 +1,123 @@
+import { createHash } from 'crypto';
+import { mkdirSync, readdirSync, renameSync, rmSync, statSync, utimesSync } from 'fs';
+import { join } from 'path';
+import { logger } from './logger.js';
+
+/**
+ * On-disk cache of synthesized speech, keyed by a hash of the text, the provider
+ * and every voice and audio setting that shapes the result. Files live in
+ * TTS_CACHE_DIR (default ./data/tts-cache); once they add up to more than
+ * TTS_CACHE_MAX_MB (default 50) the least recently used are removed.
+ */
+
+/** Suffix of files still being written; never served or counted */
+const PARTIAL_SUFFIX = '.partial';
+
+/** @type {number} Makes each in-progress file name unique */
+let writeCounter = 0;
+
+/**
+ * Returns the cache directory.
+ * @returns {string} TTS_CACHE_DIR, or ./data/tts-cache
+ */
+function cacheDir() {
+  return process.env.TTS_CACHE_DIR || './data/tts-cache';
+}
+
+/**
+ * Builds the cache key for one synthesis.
+ *
+ * @param {string} text - The text to speak
+ * @param {string} provider - Provider name (e.g. "google")
+ * @param {Record<string, unknown>} settings - Every voice and audio setting the provider uses
+ * @returns {string} Hex SHA-256 of the three together
+ */
+export function audioCacheKey(text, provider, settings) {
+  return createHash('sha256').update(JSON.stringify({ text, provider, settings })).digest('hex');
+}
+
+/**
+ * Looks up cached audio, marking it as recently used.
+ *
+ * @param {string} key - Cache key from audioCacheKey
+ * @returns {string | null} Path to the cached file, or null on a miss
+ */
+export function findCachedAudio(key) {
+  const dir = cacheDir();
+  let names;
+  try {
+    names = readdirSync(dir);
+  } catch {
+    return null; // No cache yet
+  }
+  const name = names.find((n) => n.startsWith(`${key}.`) && !n.endsWith(PARTIAL_SUFFIX));
+  if (!name) return null;
+
+  const path = join(dir, name);
+  try {
+    const now = new Date();
+    utimesSync(path, now, now);
+  } catch (err) {
+    logger.warn(`Could not update TTS cache entry ${path}: ${err.message}`);
+  }
+  return path;
+}
+
+/**
+ * Removes the least recently used files until the cache fits in TTS_CACHE_MAX_MB.
+ * The file just added is always kept, even if it alone is over the limit.
+ * @param {string} keep - Path of the file just added
+ */
+function evict(keep) {
+  const dir = cacheDir();
+  const maxBytes = parseFloat(process.env.TTS_CACHE_MAX_MB || '50') * 1024 * 1024;
+  const files = readdirSync(dir)
+    .filter((name) => !name.endsWith(PARTIAL_SUFFIX))
+    .map((name) => {
+      const path = join(dir, name);
+      const { size, mtimeMs } = statSync(path);
+      return { path, size, mtimeMs };
+    })
+    .sort((a, b) => a.mtimeMs - b.mtimeMs);
+
+  let total = files.reduce((sum, file) => sum + file.size, 0);
+  for (const file of files) {
+    if (total <= maxBytes) break;
+    if (file.path === keep) continue;
+    rmSync(file.path, { force: true });
+    total -= file.size;
+    logger.debug(`Evicted ${file.path} from the TTS cache`);
+  }
+}
+
+/**
+ * Writes new audio into the cache. `write` receives a temporary path to fill;
+ * the file only appears under its key once `write` succeeds, so a failed or
+ * timed-out synthesis never leaves a broken entry behind.
+ *
+ * @param {string} key - Cache key from audioCacheKey
+ * @param {string} extension - File extension without the dot ("mp3" or "wav")
+ * @param {(path: string) => Promise<void>} write - Writes the audio to the given path
+ * @returns {Promise<string>} Path to the cached file
+ */
+export async function cacheAudio(key, extension, write) {
+  const dir = cacheDir();
+  mkdirSync(dir, { recursive: true });
+  const path = join(dir, `${key}.${extension}`);
+  const partial = `${path}.${process.pid}-${writeCounter++}${PARTIAL_SUFFIX}`;
+
+  try {
+    await write(partial);
+    renameSync(partial, path);
+  } catch (err) {
+    rmSync(partial, { force: true });
+    throw err;
+  }
+
+  try {
+    evict(path);
+  } catch (err) {
+    logger.warn(`Could not trim the TTS cache: ${err.message}`);
+  }
+  return path;
+}
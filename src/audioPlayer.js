@@ -1,42 +1,288 @@
+import { accessSync, constants, copyFileSync, mkdirSync, readFileSync } from 'fs';
+import { basename, delimiter, join } from 'path';
 import { spawn } from 'child_process';
 import { logger } from './logger.js';
+import { increment } from './metrics.js';
+import { scaleWav } from './wav.js';
 
 /**
- * Plays an audio file using the system audio player (mpg123 or aplay).
- * The volume is controlled via the VOLUME environment variable (0–100, default 30).
- * Resolves when playback completes; rejects on player spawn errors.
+ * Audio output. AUDIO_PLAYER names a backend: a system player (mpg123, aplay,
+ * paplay, pw-play or ffplay), the "file" sink that archives each announcement
+ * instead of playing it, or the "null" sink that discards it (for headless
+ * testing). Players found on the PATH at startup (see detectPlayers) decide the
+ * fallback when the preferred one is missing or cannot play a file's format.
+ */
+
+/**
+ * @typedef {'mp3' | 'wav'} AudioEncoding
+ */
+
+/**
+ * @typedef {Object} PlayerCommand
+ * @property {string[]} args - Arguments for the player
+ * @property {Buffer | null} [input] - Audio to pipe to the player's stdin, if any
+ */
+
+/**
+ * @typedef {Object} OutputBackend
+ * @property {string | null} command - Player binary, or null for a sink that runs nothing
+ * @property {AudioEncoding[] | null} encodings - Formats it plays, preferred first; null for any
+ * @property {(filePath: string, volume: number) => PlayerCommand} [prepare] - Builds the player's arguments
+ * @property {(filePath: string) => void} [play] - Handles the file, for sinks without a command
+ */
+
+/** PulseAudio's volume for 100% (PA_VOLUME_NORM) */
+const PULSE_VOLUME_NORM = 65536;
+
+/**
+ * Reads a WAV file and turns it down to the given volume, since aplay has no
+ * volume setting of its own.
+ * @param {string} filePath - The WAV file
+ * @param {number} volume - 0–100
+ * @returns {Buffer | null} The scaled WAV, or null if it could not be scaled
+ */
+function wavAtVolume(filePath, volume) {
+  try {
+    return scaleWav(readFileSync(filePath), volume / 100);
+  } catch (err) {
+    logger.warn(`Playing ${filePath} at full volume: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Copies a played file into AUDIO_ARCHIVE_DIR (default ./data/played), named by
+ * the time it was played.
+ * @param {string} filePath - The audio file
+ */
+function archiveAudio(filePath) {
+  const dir = process.env.AUDIO_ARCHIVE_DIR || './data/played';
+  mkdirSync(dir, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const archived = join(dir, `${stamp}-${basename(filePath)}`);
+  copyFileSync(filePath, archived);
+  logger.info(`Archived announcement audio to ${archived}`);
+}
+
+/** @type {Record<string, OutputBackend>} Output backends by AUDIO_PLAYER name */
+const BACKENDS = {
+  mpg123: {
+    command: 'mpg123',
+    encodings: ['mp3'],
+    // -q suppresses output, --volume sets volume 0–100
+    prepare: (filePath, volume) => ({ args: ['-q', '--volume', String(volume), filePath] }),
+  },
+  aplay: {
+    command: 'aplay',
+    encodings: ['wav'],
+    // aplay has no volume flag, so it reads the scaled audio from stdin ("-")
+    prepare: (filePath, volume) => {
+      const input = wavAtVolume(filePath, volume);
+      return input ? { args: ['-q', '-'], input } : { args: [filePath] };
+    },
+  },
+  paplay: {
+    command: 'paplay',
+    encodings: ['wav'],
+    prepare: (filePath, volume) => ({
+      args: [`--volume=${Math.round((PULSE_VOLUME_NORM * volume) / 100)}`, filePath],
+    }),
+  },
+  'pw-play': {
+    command: 'pw-play',
+    encodings: ['wav'],
+    prepare: (filePath, volume) => ({ args: ['--volume', (volume / 100).toFixed(2), filePath] }),
+  },
+  ffplay: {
+    command: 'ffplay',
+    encodings: null,
+    prepare: (filePath, volume) => ({
+      args: ['-nodisp', '-autoexit', '-loglevel', 'error', '-volume', String(volume), filePath],
+    }),
+  },
+  file: { command: null, encodings: null, play: archiveAudio },
+  null: { command: null, encodings: null, play: () => {} },
+};
+
+/** Players tried, in order, when AUDIO_PLAYER is unset, missing or cannot play a file */
+const FALLBACK_ORDER = ['mpg123', 'aplay', 'pw-play', 'paplay', 'ffplay'];
+
+/** @type {Set<string> | null} Backends found at startup; null until detectPlayers runs (then any is assumed present) */
+let installed = null;
+
+/**
+ * Reports whether a binary is an executable file on the PATH.
+ * @param {string} command - Binary name
+ * @returns {boolean} True if found
+ */
+function onPath(command) {
+  return (process.env.PATH || '').split(delimiter).some((dir) => {
+    if (!dir) return false;
+    try {
+      accessSync(join(dir, command), constants.X_OK);
+      return true;
+    } catch {
+      return false;
+    }
+  });
+}
+
+/**
+ * Looks for each player on the PATH, so playback can fall back to one that is
+ * installed. Called once at startup; warns when AUDIO_PLAYER is not among them.
+ * @returns {string[]} Names of the usable backends (the sinks always are)
+ */
+export function detectPlayers() {
+  installed = new Set(
+    Object.keys(BACKENDS).filter((name) => {
+      const { command } = BACKENDS[name];
+      return command === null || onPath(command);
+    })
+  );
+  const players = FALLBACK_ORDER.filter((name) => installed.has(name));
+  logger.info(`Audio players found: ${players.length > 0 ? players.join(', ') : 'none'}`);
+
+  const preferred = process.env.AUDIO_PLAYER;
+  if (preferred && !Object.hasOwn(BACKENDS, preferred)) {
+    logger.warn(`Unknown AUDIO_PLAYER "${preferred}" — choosing a player automatically`);
+  } else if (preferred && !installed.has(preferred)) {
+    logger.warn(`AUDIO_PLAYER "${preferred}" is not installed — falling back to another player`);
+  }
+  return [...installed];
+}
+
+/**
+ * Returns the backends to consider, preferred first: AUDIO_PLAYER (if it names
+ * a known backend), then the fallback order, leaving out any not installed.
+ * @returns {string[]} Backend names
+ */
+function candidates() {
+  const preferred = process.env.AUDIO_PLAYER;
+  const known = preferred && Object.hasOwn(BACKENDS, preferred) ? [preferred] : [];
+  return [...new Set([...known, ...FALLBACK_ORDER])].filter(
+    (name) => installed === null || installed.has(name)
+  );
+}
+
+/**
+ * Returns the encoding TTS should produce for the configured player: WAV for
+ * aplay, paplay and pw-play, MP3 for mpg123, or null (each provider's own
+ * format, played by a matching player) for players and sinks that take either,
+ * or when AUDIO_PLAYER is not set. A preferred player that is not installed is
+ * replaced by the one playback will fall back to.
+ * @returns {AudioEncoding | null} The encoding to request
+ */
+export function getPreferredEncoding() {
+  if (!process.env.AUDIO_PLAYER) return null;
+  const [name] = candidates();
+  return BACKENDS[name]?.encodings?.[0] ?? null;
+}
+
+/**
+ * Picks the backend for a file: the first candidate (see candidates) that can
+ * play its format.
+ * @param {string} filePath - The file to play
+ * @returns {string} Backend name
+ * @throws {Error} If no installed player can play it
+ */
+function chooseBackend(filePath) {
+  const encoding = /\.wav$/i.test(filePath) ? 'wav' : 'mp3';
+  const usable = candidates();
+  const name = usable.find((n) => BACKENDS[n].encodings?.includes(encoding) ?? true);
+  if (!name) {
+    throw new Error(`No installed audio player can play ${encoding.toUpperCase()} audio`);
+  }
+  const preferred = process.env.AUDIO_PLAYER;
+  if (name !== preferred && usable.includes(preferred)) {
+    // e.g. the local TTS engine, which only writes WAV, with AUDIO_PLAYER=mpg123
+    logger.warn(`${preferred} cannot play this ${encoding.toUpperCase()} audio — using ${name}`);
+  }
+  return name;
+}
+
+/**
+ * Returns the volume audio would be played at: the caller's own (e.g. for an
+ * escalated warning tier), else VOLUME (0–100, default 30).
+ * @param {import('./tiers.js').VoiceSettings} [voiceSettings={}] - Optional volume override
+ * @returns {number} Volume, 0–100
+ */
+export function resolveVolume(voiceSettings = {}) {
+  return Number(voiceSettings.volume ?? (process.env.VOLUME || '30'));
+}
+
+/**
+ * Plays an audio file through the chosen output backend (see chooseBackend).
+ * Without AUDIO_PLAYER set, MP3 goes to mpg123 and WAV (e.g. from the local TTS
+ * engine) to aplay, or whichever installed player comes next. The volume is
+ * controlled via the VOLUME environment variable (0–100, default 30), unless the
+ * caller passes its own (e.g. for an escalated warning tier); for aplay the
+ * samples themselves are scaled and piped to it. A player still running after
+ * AUDIO_PLAYBACK_TIMEOUT_MS (default 2 minutes) is stopped, so a hung player
+ * cannot hold up every announcement after it.
+ * Resolves when playback completes; rejects on player spawn errors and timeouts.
  *
  * @param {string} filePath - Absolute or relative path to the MP3/WAV file to play
+ * @param {import('./tiers.js').VoiceSettings} [voiceSettings={}] - Optional volume override
  * @returns {Promise<void>} Resolves when the audio finishes playing
  */
-export function playAudio(filePath) {
+export function playAudio(filePath, voiceSettings = {}) {
   return new Promise((resolve, reject) => {
-    const player = process.env.AUDIO_PLAYER || 'mpg123';
-    const volume = process.env.VOLUME || '30';
-
-    logger.info(`Playing audio at ${volume}% volume using ${player}`);
-
-    let args;
-    if (player === 'aplay') {
-      // aplay is for WAV files and does not support volume flags directly
-      args = [filePath];
-    } else {
-      // mpg123: -q suppresses output, --volume sets volume 0–100
-      args = ['-q', '--volume', String(volume), filePath];
+    const name = chooseBackend(filePath);
+    const backend = BACKENDS[name];
+    const volume = resolveVolume(voiceSettings);
+
+    if (!backend.command) {
+      logger.info(`Sending audio to the ${name} sink`);
+      backend.play(filePath);
+      return resolve();
     }
 
-    const proc = spawn(player, args, { stdio: 'inherit' });
+    logger.info(`Playing audio at ${volume}% volume using ${name}`);
+    const { args, input = null } = backend.prepare(filePath, volume);
+    const proc = spawn(backend.command, args, {
+      stdio: [input ? 'pipe' : 'inherit', 'inherit', 'inherit'],
+    });
+
+    const timeoutMs = parseInt(process.env.AUDIO_PLAYBACK_TIMEOUT_MS || '120000', 10);
+    let timedOut = false;
+    const timer = setTimeout(() => {
+      timedOut = true;
+      logger.error(`Audio player "${name}" still running after ${timeoutMs / 1000}s — stopping it`);
+      proc.kill('SIGKILL');
+      increment('audio_player_exits_total', { player: name, code: 'timeout' });
+      reject(new Error(`Audio player "${name}" timed out after ${timeoutMs / 1000}s`));
+    }, timeoutMs);
 
     proc.on('error', (err) => {
-      logger.error(`Audio player "${player}" failed: ${err.message}`);
+      clearTimeout(timer);
+      logger.error(`Audio player "${name}" failed: ${err.message}`);
+      increment('audio_player_exits_total', { player: name, code: 'error' });
       reject(err);
     });
 
     proc.on('close', (code) => {
+      clearTimeout(timer);
+      // A player stopped by the timeout was counted as "timeout"; null means another signal ended it
+      if (!timedOut)
+        increment('audio_player_exits_total', { player: name, code: code ?? 'signal' });
       if (code !== 0) {
         logger.warn(`Audio player exited with non-zero code: ${code}`);
       }
       resolve();
     });
+
+    if (input) {
+      // A missing player also fails the stdin write; the 'error' event above reports it
+      proc.stdin.on('error', () => {});
+      proc.stdin.end(input);
+    }
   });
 }
+
+/**
+ * Forgets which players were detected. For use in tests only.
+ * @internal
+ */
+export function _resetPlayers() {
+  installed = null;
+}
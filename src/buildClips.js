@@ -0,0 +1,33 @@
+import 'dotenv/config';
+import { fileURLToPath } from 'url';
+import { logger } from './logger.js';
+import { getEnabledHazards } from './hazards.js';
+import { getLocations } from './location.js';
+import { buildClipLibrary, libraryPhrases } from './phraseClips.js';
+import { detectPlayers } from './audioPlayer.js';
+
+/**
+ * Records the phrase-clip library (see phraseClips.js) with the configured TTS
+ * provider(s). Run it while online with `npm run build-clips`, and again after
+ * changing locations, hazards or the voice.
+ * @returns {Promise<void>}
+ */
+export async function main() {
+  // The clips are encoded for the installed players (see getPreferredEncoding)
+  detectPlayers();
+  const phrases = libraryPhrases(getLocations(), getEnabledHazards());
+  logger.info(`Recording ${phrases.length} phrase clips…`);
+  const { built, failed } = await buildClipLibrary(phrases);
+  if (failed.length > 0) {
+    throw new Error(`${failed.length} of ${phrases.length} clips could not be recorded`);
+  }
+  logger.info(`Clip library ready: ${built} clips`);
+}
+
+// Auto-run only when this file is executed directly (e.g. `npm run build-clips`)
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+  main().catch((err) => {
+    logger.error(`Clip library build failed: ${err.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,170 @@
+import { mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { logger } from './logger.js';
+import { buildWav, parseWav } from './wav.js';
+
+/**
+ * Optional soft chime before each announcement, generated as WAV in code: a
+ * short sequence of sine tones, each faded in and out so nothing clicks or
+ * startles. Off unless CHIME_NOTES is set; PDS_CHIME_* and EMERGENCY_CHIME_*
+ * give the escalated tiers their own chime, or none.
+ */
+
+/**
+ * @typedef {Object} ChimeSettings
+ * @property {number[]} notes - Tone frequencies in Hz, played in order
+ * @property {number} noteMs - Length of each tone (milliseconds)
+ * @property {number} level - Loudness relative to full scale, 0–1
+ */
+
+/** Format of a chime played on its own */
+const CHIME_FORMAT = { audioFormat: 1, channels: 1, sampleRate: 22050, bitsPerSample: 16 };
+
+/** Longest fade in and out of each tone (milliseconds); shorter tones fade for a third each way */
+const MAX_FADE_MS = 60;
+
+/** Silence between tones, and between the chime and the speech (milliseconds) */
+const NOTE_GAP_MS = 80;
+const SPEECH_GAP_MS = 300;
+
+/** File names of the chime, and of the chime joined to the speech, written before playing */
+const CHIME_FILE = 'chime.wav';
+const CHIMED_SPEECH_FILE = 'chimed-speech.wav';
+
+/** Semitones above C for each note letter */
+const SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+/** Settings prefix for each escalated tier, as in tiers.js */
+const TIER_PREFIX = { pds: 'PDS_', emergency: 'EMERGENCY_' };
+
+/**
+ * Converts a note to its frequency: a name with an octave ("E5", "F#4", "Bb3")
+ * in equal temperament around A4 = 440 Hz, or a plain number of hertz.
+ *
+ * @param {string} note - The note
+ * @returns {number} Frequency in Hz
+ * @throws {Error} If the note cannot be read
+ */
+export function noteFrequency(note) {
+  if (/^\d+(\.\d+)?$/.test(note)) return parseFloat(note);
+  const match = /^([A-G])([#b]?)(-?\d)$/.exec(note);
+  if (!match) throw new Error(`Cannot read chime note "${note}" (use e.g. E5, F#4 or 440)`);
+  const [, letter, accidental, octave] = match;
+  const shift = { '#': 1, b: -1 }[accidental] ?? 0;
+  const midi = (parseInt(octave, 10) + 1) * 12 + SEMITONES[letter] + shift;
+  return 440 * 2 ** ((midi - 69) / 12);
+}
+
+/**
+ * Returns the chime for a tier: the tier's own CHIME_NOTES, CHIME_NOTE_MS and
+ * CHIME_VOLUME (e.g. EMERGENCY_CHIME_NOTES), falling back to the plain settings.
+ * Notes are space- or comma-separated; "none" turns the chime off for that tier.
+ *
+ * @param {import('./tiers.js').Tier} [tier='standard'] - The tier
+ * @returns {ChimeSettings | null} The chime, or null for none
+ */
+export function getChimeSettings(tier = 'standard') {
+  const prefix = TIER_PREFIX[tier] ?? '';
+  const setting = (name) => process.env[`${prefix}${name}`] || process.env[name];
+  const notes = (setting('CHIME_NOTES') || '').trim();
+  if (!notes || notes.toLowerCase() === 'none') return null;
+
+  try {
+    return {
+      notes: notes.split(/[\s,]+/).map(noteFrequency),
+      noteMs: parseInt(setting('CHIME_NOTE_MS') || '350', 10),
+      level: Math.min(Math.max(parseFloat(setting('CHIME_VOLUME') || '20') / 100, 0), 1),
+    };
+  } catch (err) {
+    logger.warn(`${err.message} — playing no chime`);
+    return null;
+  }
+}
+
+/**
+ * Generates a chime as 16-bit PCM WAV: each note a sine tone with a raised-cosine
+ * fade in and out, separated by a short silence.
+ *
+ * @param {ChimeSettings} settings - Notes, length and loudness
+ * @param {Pick<import('./wav.js').WavFormat, 'channels' | 'sampleRate'>} [format] - Channels
+ *   and sample rate to match (default mono 22.05 kHz)
+ * @returns {Buffer} The WAV file
+ */
+export function generateChime(settings, format = CHIME_FORMAT) {
+  const { channels, sampleRate } = format;
+  const { notes, noteMs, level } = settings;
+  const noteSamples = Math.round((sampleRate * noteMs) / 1000);
+  const fadeSamples = Math.min(
+    Math.round((sampleRate * MAX_FADE_MS) / 1000),
+    Math.floor(noteSamples / 3)
+  );
+  const gapSamples = Math.round((sampleRate * NOTE_GAP_MS) / 1000);
+  const frames = notes.length * noteSamples + (notes.length - 1) * gapSamples;
+  const data = Buffer.alloc(Math.max(frames, 0) * channels * 2);
+
+  notes.forEach((frequency, n) => {
+    const start = n * (noteSamples + gapSamples);
+    for (let i = 0; i < noteSamples; i++) {
+      const edge = Math.min(i, noteSamples - 1 - i);
+      const envelope = edge < fadeSamples ? (1 - Math.cos((Math.PI * edge) / fadeSamples)) / 2 : 1;
+      const sample = Math.round(
+        32767 * level * envelope * Math.sin((2 * Math.PI * frequency * i) / sampleRate)
+      );
+      for (let channel = 0; channel < channels; channel++) {
+        data.writeInt16LE(sample, ((start + i) * channels + channel) * 2);
+      }
+    }
+  });
+  return buildWav({ audioFormat: 1, channels, sampleRate, bitsPerSample: 16 }, data);
+}
+
+/**
+ * Writes a file into CHIME_DIR (default ./data), creating it if needed.
+ * @param {string} name - File name
+ * @param {Buffer} contents - What to write
+ * @returns {string} The file's path
+ */
+function writeAudio(name, contents) {
+  const dir = process.env.CHIME_DIR || './data';
+  mkdirSync(dir, { recursive: true });
+  const path = join(dir, name);
+  writeFileSync(path, contents);
+  return path;
+}
+
+/**
+ * Puts the tier's chime in front of an announcement. 16-bit WAV speech gets the
+ * chime joined to its start, generated in the same format, so both play as one;
+ * anything else (e.g. MP3) is preceded by the chime as a file of its own.
+ *
+ * @param {string} audioPath - The synthesized speech
+ * @param {import('./tiers.js').Tier} [tier='standard'] - The announcement's tier
+ * @returns {string[]} Files to play, in order (just the speech when there is no chime,
+ *   or it cannot be written)
+ */
+export function withChime(audioPath, tier = 'standard') {
+  const settings = getChimeSettings(tier);
+  if (!settings) return [audioPath];
+
+  if (/\.wav$/i.test(audioPath)) {
+    try {
+      const speech = parseWav(readFileSync(audioPath));
+      if (speech.format.bitsPerSample === 16) {
+        const chime = parseWav(generateChime(settings, speech.format));
+        const gap = Buffer.alloc(
+          Math.round((speech.format.sampleRate * SPEECH_GAP_MS) / 1000) * speech.format.channels * 2
+        );
+        const joined = buildWav(speech.format, Buffer.concat([chime.data, gap, speech.data]));
+        return [writeAudio(CHIMED_SPEECH_FILE, joined)];
+      }
+    } catch (err) {
+      logger.warn(`Could not join the chime to ${audioPath}: ${err.message}`);
+    }
+  }
+  try {
+    return [writeAudio(CHIME_FILE, generateChime(settings)), audioPath];
+  } catch (err) {
+    logger.warn(`Could not write the chime: ${err.message}`);
+    return [audioPath];
+  }
+}
@@ -0,0 +1,411 @@
+import { copyFileSync, existsSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { parseArgs } from 'util';
+import { logger } from './logger.js';
+import { main, pollOnce, speak, getHealth, STARTUP_MESSAGE } from './index.js';
+import { getLocations } from './location.js';
+import { getEnabledHazards, getUpdateTemplates } from './hazards.js';
+import { getQuietWindows } from './quietHours.js';
+import { getProviderChain, listVoices } from './tts.js';
+import { detectPlayers } from './audioPlayer.js';
+import { isDryRun } from './transcript.js';
+import { findChain, loadAlertChains } from './lifecycle.js';
+import { loadTimeline, runSimulation, formatReport } from './simulation.js';
+import {
+  loadSpokenAlerts,
+  listSpokenAlerts,
+  forgetSpokenAlert,
+  clearSpokenAlerts,
+} from './deduplication.js';
+
+/**
+ * Command-line interface: `node src/index.js <command>`, where the command is
+ * one of COMMANDS (`run` when none is given, as in the Docker image). Each
+ * command is a thin layer over the exports of index.js and the modules below it.
+ */
+
+/** Exit codes: success, a command that failed, and a command called wrongly */
+export const EXIT = Object.freeze({ OK: 0, FAILED: 1, USAGE: 2 });
+
+/** How the CLI is started, for the usage text */
+const PROGRAM = 'node src/index.js';
+
+/** API key each remote TTS provider needs */
+const PROVIDER_KEYS = { google: 'GOOGLE_API_KEY', elevenlabs: 'ELEVENLABS_API_KEY' };
+
+/**
+ * @typedef {Object} Command
+ * @property {string} args - Arguments and options, for the usage text
+ * @property {string} summary - What it does, for the usage text
+ * @property {[number, number]} [positionals=[0, 0]] - Fewest and most positional arguments
+ * @property {import('util').ParseArgsConfig['options']} [options] - Options it takes
+ * @property {(positionals: string[], options: Record<string, boolean | string>) => Promise<number | null>} run -
+ *   Runs it; resolves to the exit code, or null for a service that keeps running
+ */
+
+/**
+ * Starts the speaker service (see main in index.js).
+ * @returns {Promise<null>} Once started; the service keeps running
+ */
+async function runService() {
+  await main();
+  return null;
+}
+
+/**
+ * Speaks a message through the configured TTS provider(s) and audio player.
+ * @param {string[]} words - The message (default: the startup test message)
+ * @returns {Promise<number>} Exit code
+ */
+async function testSpeak(words) {
+  detectPlayers();
+  const spoken = await speak(words.length > 0 ? words.join(' ') : STARTUP_MESSAGE, {
+    kind: 'test',
+  });
+  if (spoken) return EXIT.OK;
+  console.error('The message could not be spoken (see the log above)');
+  return EXIT.FAILED;
+}
+
+/**
+ * Runs a function with DEDUP_FILE and LIFECYCLE_FILE pointing at throwaway
+ * copies of the real files, so it sees the current state but changes nothing.
+ * @template T
+ * @param {() => Promise<T>} fn - The function
+ * @returns {Promise<T>} Its result
+ */
+async function withScratchState(fn) {
+  const dir = mkdtempSync(join(tmpdir(), 'calm-tornado-alert-'));
+  const saved = { DEDUP_FILE: process.env.DEDUP_FILE, LIFECYCLE_FILE: process.env.LIFECYCLE_FILE };
+  const files = {
+    DEDUP_FILE: saved.DEDUP_FILE || './data/spoken-alerts.json',
+    LIFECYCLE_FILE: saved.LIFECYCLE_FILE || './data/alert-chains.json',
+  };
+  try {
+    for (const [name, file] of Object.entries(files)) {
+      const scratch = join(dir, name.toLowerCase());
+      if (existsSync(file)) copyFileSync(file, scratch);
+      process.env[name] = scratch;
+    }
+    return await fn();
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Polls the NWS once and announces anything new, or with --dry-run prints what
+ * would be announced without speaking it or changing the saved state.
+ * @param {string[]} _positionals - Unused
+ * @param {{ 'dry-run'?: boolean }} options - Command options
+ * @returns {Promise<number>} Exit code: failed if any NWS query failed
+ */
+async function poll(_positionals, options) {
+  const dryRun = Boolean(options['dry-run']);
+  const pollWithState = async () => {
+    loadSpokenAlerts();
+    loadAlertChains();
+    return pollOnce({ dryRun });
+  };
+  if (!dryRun) detectPlayers();
+  const queued = await (dryRun ? withScratchState(pollWithState) : pollWithState());
+
+  if (queued.length === 0) console.log('Nothing to announce.');
+  for (const { location, announcement } of queued) {
+    const where = location ? ` for ${location}` : '';
+    const verb = dryRun ? 'Would say' : 'Said';
+    console.log(`${verb} (${announcement.kind ?? 'warning'}${where}): ${announcement.message}`);
+  }
+  if (getHealth().lastPollComplete) return EXIT.OK;
+  console.error('The NWS could not be reached for every query (see the log above)');
+  return EXIT.FAILED;
+}
+
+/**
+ * Prints every alert recorded as spoken.
+ * @returns {Promise<number>} Exit code
+ */
+async function listSpoken() {
+  loadSpokenAlerts();
+  const keys = listSpokenAlerts();
+  if (keys.length === 0) console.log('No alerts have been spoken.');
+  for (const key of keys) console.log(key);
+  return EXIT.OK;
+}
+
+/**
+ * Forgets a spoken alert so it is announced again if still active: the alert ID
+ * for every location, and its VTEC event when its alert chain is known.
+ * @param {string[]} positionals - The alert ID (or a key from list-spoken)
+ * @returns {Promise<number>} Exit code: failed if it was not recorded
+ */
+async function forget([alertId]) {
+  loadSpokenAlerts();
+  loadAlertChains();
+  const vtec = findChain(alertId)?.vtec;
+  const removed = forgetSpokenAlert(alertId) + (vtec ? forgetSpokenAlert(`vtec:${vtec}`) : 0);
+  if (removed === 0) {
+    console.error(`${alertId} is not recorded as spoken (see list-spoken)`);
+    return EXIT.FAILED;
+  }
+  console.log(`Forgot ${alertId} (${removed} record${removed === 1 ? '' : 's'})`);
+  return EXIT.OK;
+}
+
+/**
+ * Forgets every spoken alert.
+ * @returns {Promise<number>} Exit code
+ */
+async function clearDedup() {
+  loadSpokenAlerts();
+  const removed = clearSpokenAlerts();
+  console.log(`Forgot ${removed} spoken alert record${removed === 1 ? '' : 's'}`);
+  return EXIT.OK;
+}
+
+/**
+ * Checks that the TTS providers have what they need to run, unless DRY_RUN
+ * means nothing is synthesized.
+ * @returns {string} Summary
+ * @throws {Error} If a provider is missing its key or voice
+ */
+function checkProviders() {
+  const chain = getProviderChain();
+  if (isDryRun()) return `not needed for a dry run (would use ${chain.join(', ')})`;
+  for (const provider of chain) {
+    const key = PROVIDER_KEYS[provider];
+    if (key && !process.env[key]) throw new Error(`${provider} needs ${key}`);
+    if (provider === 'local' && process.env.LOCAL_TTS_ENGINE === 'piper') {
+      if (!process.env.LOCAL_TTS_VOICE)
+        throw new Error('Piper needs LOCAL_TTS_VOICE (a .onnx model)');
+    }
+  }
+  return chain.join(', ');
+}
+
+/**
+ * Checks that an audio player is available for the configured output, unless
+ * DRY_RUN means nothing is played.
+ * @returns {string} Summary
+ * @throws {Error} If no player is installed
+ */
+function checkPlayers() {
+  if (isDryRun()) return 'not needed for a dry run';
+  const sinks = ['file', 'null'];
+  if (sinks.includes(process.env.AUDIO_PLAYER)) return `${process.env.AUDIO_PLAYER} sink`;
+  const players = detectPlayers().filter((name) => !sinks.includes(name));
+  if (players.length === 0) throw new Error('no audio player found on the PATH');
+  return players.join(', ');
+}
+
+/**
+ * Checks the status API settings.
+ * @returns {string} Summary
+ * @throws {Error} If the port is not a valid port number
+ */
+function checkStatusApi() {
+  const port = process.env.STATUS_API_PORT;
+  if (!port) return 'off';
+  if (!/^\d+$/.test(port) || Number(port) > 65535) {
+    throw new Error(`STATUS_API_PORT "${port}" is not a port number`);
+  }
+  return `${process.env.STATUS_API_HOST || '127.0.0.1'}:${port}`;
+}
+
+/** @type {Array<[string, () => string]>} Each configuration check, with its label */
+const CONFIG_CHECKS = [
+  [
+    'Locations',
+    () =>
+      getLocations()
+        .map((l) => l.name ?? `${l.county}, ${l.state}`)
+        .join('; '),
+  ],
+  [
+    'Hazards',
+    () =>
+      getEnabledHazards()
+        .map((h) => h.event)
+        .join(', '),
+  ],
+  ['Templates', () => `${Object.keys(getUpdateTemplates()).length} follow-up templates`],
+  ['Quiet hours', () => `${getQuietWindows().length} window(s)`],
+  ['TTS providers', checkProviders],
+  ['Audio players', checkPlayers],
+  ['Status API', checkStatusApi],
+];
+
+/**
+ * Validates the configuration (environment, LOCATIONS_FILE, HAZARDS_FILE,
+ * TEMPLATES_FILE, QUIET_HOURS_FILE, API keys and audio players) without
+ * polling or speaking, printing a line per check.
+ * @returns {Promise<number>} Exit code: failed if any check failed
+ */
+async function checkConfig() {
+  let failed = 0;
+  for (const [label, check] of CONFIG_CHECKS) {
+    try {
+      console.log(`✓ ${label}: ${check()}`);
+    } catch (err) {
+      failed += 1;
+      console.log(`✗ ${label}: ${err.message}`);
+    }
+  }
+  if (failed === 0) return EXIT.OK;
+  console.error(`${failed} check${failed === 1 ? '' : 's'} failed`);
+  return EXIT.FAILED;
+}
+
+/**
+ * Lists the voices of a TTS provider.
+ * @param {string[]} positionals - The provider (default: the first in the chain)
+ * @returns {Promise<number>} Exit code
+ */
+async function voices([provider]) {
+  const list = await listVoices(provider);
+  if (list.length === 0) console.log('No voices found.');
+  for (const { id, description } of list) console.log(`${id}  ${description}`);
+  return EXIT.OK;
+}
+
+/**
+ * Replays a recorded timeline of NWS responses (see simulation.js) and prints
+ * what would have been spoken, and when.
+ * @param {string[]} positionals - The timeline file
+ * @param {{ speed?: string, speak?: boolean, json?: boolean }} options - Command options
+ * @returns {Promise<number>} Exit code
+ */
+async function simulate([file], options) {
+  const speed = options.speed === undefined ? Infinity : Number(options.speed);
+  if (!(speed > 0)) {
+    console.error(`--speed must be a number above 0, not "${options.speed}"`);
+    return EXIT.USAGE;
+  }
+  const timeline = loadTimeline(file);
+  if (options.speak) detectPlayers();
+  const report = await runSimulation(timeline, { speed, speakAloud: Boolean(options.speak) });
+  console.log(options.json ? JSON.stringify(report, null, 2) : formatReport(report));
+  return EXIT.OK;
+}
+
+/** @type {Record<string, Command>} Every command, in the order --help lists them */
+const COMMANDS = {
+  run: {
+    args: '',
+    summary: 'Start the speaker: test message, then poll and announce (the default)',
+    run: runService,
+  },
+  'test-speak': {
+    args: '[text]',
+    summary: 'Speak a message (default: the startup test) and exit',
+    positionals: [0, Infinity],
+    run: testSpeak,
+  },
+  poll: {
+    args: '[--dry-run]',
+    summary: 'Poll the NWS once; --dry-run prints what would be said and changes nothing',
+    options: { 'dry-run': { type: 'boolean' } },
+    run: poll,
+  },
+  'list-spoken': { args: '', summary: 'List the alerts recorded as spoken', run: listSpoken },
+  forget: {
+    args: '<alertId>',
+    summary: 'Forget a spoken alert so it is announced again',
+    positionals: [1, 1],
+    run: forget,
+  },
+  'clear-dedup': { args: '', summary: 'Forget every spoken alert', run: clearDedup },
+  'check-config': {
+    args: '',
+    summary: 'Check the configuration without polling or speaking',
+    run: checkConfig,
+  },
+  voices: {
+    args: '[provider]',
+    summary: 'List the voices of a TTS provider (default: the first configured)',
+    positionals: [0, 1],
+    run: voices,
+  },
+  simulate: {
+    args: '<timeline> [--speed N] [--speak] [--json]',
+    summary: 'Replay recorded NWS responses and report what would have been spoken',
+    positionals: [1, 1],
+    options: { speed: { type: 'string' }, speak: { type: 'boolean' }, json: { type: 'boolean' } },
+    run: simulate,
+  },
+};
+
+/**
+ * Describes how to call one command.
+ * @param {string} name - Command name
+ * @returns {string} e.g. "node src/index.js forget <alertId>"
+ */
+function commandUsage(name) {
+  return `${PROGRAM} ${name} ${COMMANDS[name].args}`.trimEnd();
+}
+
+/**
+ * Builds the --help text.
+ * @returns {string} Usage and the list of commands
+ */
+function usage() {
+  const width = Math.max(...Object.keys(COMMANDS).map((name) => commandUsage(name).length));
+  const lines = Object.entries(COMMANDS).map(
+    ([name, { summary }]) => `  ${commandUsage(name).padEnd(width)}  ${summary}`
+  );
+  return [`Usage: ${PROGRAM} [command] [options]`, '', 'Commands:', ...lines].join('\n');
+}
+
+/**
+ * Runs a command line. Errors are printed rather than thrown.
+ *
+ * @param {string[]} argv - Arguments after the script, e.g. ["forget", "urn:oid:…"]
+ * @returns {Promise<number | null>} Exit code (see EXIT), or null when the service
+ *   was started and keeps running
+ */
+export async function runCli(argv) {
+  const [name = 'run', ...rest] = argv;
+  if (['help', '--help', '-h'].includes(name)) {
+    console.log(usage());
+    return EXIT.OK;
+  }
+  if (!Object.hasOwn(COMMANDS, name)) {
+    console.error(`Unknown command "${name}"\n\n${usage()}`);
+    return EXIT.USAGE;
+  }
+
+  const command = COMMANDS[name];
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: rest,
+      options: { help: { type: 'boolean', short: 'h' }, ...command.options },
+      allowPositionals: true,
+    });
+  } catch (err) {
+    console.error(`${err.message}\nUsage: ${commandUsage(name)}`);
+    return EXIT.USAGE;
+  }
+  const { values, positionals } = parsed;
+  if (values.help) {
+    console.log(`Usage: ${commandUsage(name)}\n\n${command.summary}`);
+    return EXIT.OK;
+  }
+  const [fewest, most] = command.positionals ?? [0, 0];
+  if (positionals.length < fewest || positionals.length > most) {
+    console.error(`Usage: ${commandUsage(name)}`);
+    return EXIT.USAGE;
+  }
+
+  try {
+    return await command.run(positionals, values);
+  } catch (err) {
+    logger.error(`${name} failed: ${err.message}`);
+    return EXIT.FAILED;
+  }
+}
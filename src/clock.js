@@ -0,0 +1,61 @@
+/**
+ * The time alerts are judged by: when they expire, quiet hours, mutes, and the
+ * spacing between announcements. Normally the system clock; a simulation (see
+ * simulation.js) swaps in a virtual clock that starts at a recorded moment and
+ * runs faster than real time, or only moves when something waits on it.
+ * Timeouts for real work (TTS requests, audio players, NWS retries) and log
+ * timestamps always use real time.
+ */
+
+/**
+ * @typedef {Object} VirtualClock
+ * @property {number} base - Virtual time at realBase (ms since the epoch)
+ * @property {number} realBase - Real time the clock was last set (ms since the epoch)
+ * @property {number} speed - Virtual ms per real ms; Infinity for a stepped clock
+ */
+
+/** @type {VirtualClock | null} The virtual clock, or null for the system clock */
+let virtual = null;
+
+/**
+ * Returns the current time.
+ * @returns {number} Milliseconds since the epoch
+ */
+export function currentTime() {
+  if (!virtual) return Date.now();
+  const { base, realBase, speed } = virtual;
+  return speed === Infinity ? base : base + (Date.now() - realBase) * speed;
+}
+
+/**
+ * Waits for a while by the current clock. On a stepped clock the time moves on
+ * at once and no real time passes.
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+export function sleep(ms) {
+  if (virtual?.speed === Infinity) {
+    virtual.base += Math.max(0, ms);
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => setTimeout(resolve, virtual ? ms / virtual.speed : ms));
+}
+
+/**
+ * Switches to a virtual clock.
+ * @param {number} start - The time to start at (ms since the epoch)
+ * @param {number} [speed=Infinity] - How many times faster than real time it runs;
+ *   Infinity for a stepped clock that only moves when something sleeps
+ * @throws {Error} If speed is not a positive number
+ */
+export function useVirtualClock(start, speed = Infinity) {
+  if (!(speed > 0)) throw new Error(`Clock speed must be above 0, not ${speed}`);
+  virtual = { base: start, realBase: Date.now(), speed };
+}
+
+/**
+ * Switches back to the system clock.
+ */
+export function useSystemClock() {
+  virtual = null;
+}
@@ -0,0 +1,331 @@
+/**
+ * Bundled county FIPS lookup table used to resolve a county name into NWS
+ * UGC county codes (e.g. "KYC111") and SAME codes (e.g. "021111").
+ *
+ * Covers Kentucky and its Ohio Valley neighbors Indiana and Ohio. Counties in
+ * other states can still be monitored by configuring ALERT_ZONES / ALERT_SAME
+ * directly.
+ */
+
+/**
+ * Two-digit state FIPS codes, keyed by postal abbreviation.
+ * @type {Readonly<Record<string, string>>}
+ */
+export const STATE_FIPS = Object.freeze({
+  IN: '18',
+  KY: '21',
+  OH: '39',
+});
+
+/**
+ * Three-digit county FIPS codes, keyed by state then by county name.
+ * @type {Readonly<Record<string, Readonly<Record<string, string>>>>}
+ */
+export const COUNTY_FIPS = Object.freeze({
+  IN: Object.freeze({
+    Adams: '001',
+    Allen: '003',
+    Bartholomew: '005',
+    Benton: '007',
+    Blackford: '009',
+    Boone: '011',
+    Brown: '013',
+    Carroll: '015',
+    Cass: '017',
+    Clark: '019',
+    Clay: '021',
+    Clinton: '023',
+    Crawford: '025',
+    Daviess: '027',
+    Dearborn: '029',
+    Decatur: '031',
+    DeKalb: '033',
+    Delaware: '035',
+    Dubois: '037',
+    Elkhart: '039',
+    Fayette: '041',
+    Floyd: '043',
+    Fountain: '045',
+    Franklin: '047',
+    Fulton: '049',
+    Gibson: '051',
+    Grant: '053',
+    Greene: '055',
+    Hamilton: '057',
+    Hancock: '059',
+    Harrison: '061',
+    Hendricks: '063',
+    Henry: '065',
+    Howard: '067',
+    Huntington: '069',
+    Jackson: '071',
+    Jasper: '073',
+    Jay: '075',
+    Jefferson: '077',
+    Jennings: '079',
+    Johnson: '081',
+    Knox: '083',
+    Kosciusko: '085',
+    LaGrange: '087',
+    Lake: '089',
+    LaPorte: '091',
+    Lawrence: '093',
+    Madison: '095',
+    Marion: '097',
+    Marshall: '099',
+    Martin: '101',
+    Miami: '103',
+    Monroe: '105',
+    Montgomery: '107',
+    Morgan: '109',
+    Newton: '111',
+    Noble: '113',
+    Ohio: '115',
+    Orange: '117',
+    Owen: '119',
+    Parke: '121',
+    Perry: '123',
+    Pike: '125',
+    Porter: '127',
+    Posey: '129',
+    Pulaski: '131',
+    Putnam: '133',
+    Randolph: '135',
+    Ripley: '137',
+    Rush: '139',
+    'St. Joseph': '141',
+    Scott: '143',
+    Shelby: '145',
+    Spencer: '147',
+    Starke: '149',
+    Steuben: '151',
+    Sullivan: '153',
+    Switzerland: '155',
+    Tippecanoe: '157',
+    Tipton: '159',
+    Union: '161',
+    Vanderburgh: '163',
+    Vermillion: '165',
+    Vigo: '167',
+    Wabash: '169',
+    Warren: '171',
+    Warrick: '173',
+    Washington: '175',
+    Wayne: '177',
+    Wells: '179',
+    White: '181',
+    Whitley: '183',
+  }),
+  KY: Object.freeze({
+    Adair: '001',
+    Allen: '003',
+    Anderson: '005',
+    Ballard: '007',
+    Barren: '009',
+    Bath: '011',
+    Bell: '013',
+    Boone: '015',
+    Bourbon: '017',
+    Boyd: '019',
+    Boyle: '021',
+    Bracken: '023',
+    Breathitt: '025',
+    Breckinridge: '027',
+    Bullitt: '029',
+    Butler: '031',
+    Caldwell: '033',
+    Calloway: '035',
+    Campbell: '037',
+    Carlisle: '039',
+    Carroll: '041',
+    Carter: '043',
+    Casey: '045',
+    Christian: '047',
+    Clark: '049',
+    Clay: '051',
+    Clinton: '053',
+    Crittenden: '055',
+    Cumberland: '057',
+    Daviess: '059',
+    Edmonson: '061',
+    Elliott: '063',
+    Estill: '065',
+    Fayette: '067',
+    Fleming: '069',
+    Floyd: '071',
+    Franklin: '073',
+    Fulton: '075',
+    Gallatin: '077',
+    Garrard: '079',
+    Grant: '081',
+    Graves: '083',
+    Grayson: '085',
+    Green: '087',
+    Greenup: '089',
+    Hancock: '091',
+    Hardin: '093',
+    Harlan: '095',
+    Harrison: '097',
+    Hart: '099',
+    Henderson: '101',
+    Henry: '103',
+    Hickman: '105',
+    Hopkins: '107',
+    Jackson: '109',
+    Jefferson: '111',
+    Jessamine: '113',
+    Johnson: '115',
+    Kenton: '117',
+    Knott: '119',
+    Knox: '121',
+    Larue: '123',
+    Laurel: '125',
+    Lawrence: '127',
+    Lee: '129',
+    Leslie: '131',
+    Letcher: '133',
+    Lewis: '135',
+    Lincoln: '137',
+    Livingston: '139',
+    Logan: '141',
+    Lyon: '143',
+    McCracken: '145',
+    McCreary: '147',
+    McLean: '149',
+    Madison: '151',
+    Magoffin: '153',
+    Marion: '155',
+    Marshall: '157',
+    Martin: '159',
+    Mason: '161',
+    Meade: '163',
+    Menifee: '165',
+    Mercer: '167',
+    Metcalfe: '169',
+    Monroe: '171',
+    Montgomery: '173',
+    Morgan: '175',
+    Muhlenberg: '177',
+    Nelson: '179',
+    Nicholas: '181',
+    Ohio: '183',
+    Oldham: '185',
+    Owen: '187',
+    Owsley: '189',
+    Pendleton: '191',
+    Perry: '193',
+    Pike: '195',
+    Powell: '197',
+    Pulaski: '199',
+    Robertson: '201',
+    Rockcastle: '203',
+    Rowan: '205',
+    Russell: '207',
+    Scott: '209',
+    Shelby: '211',
+    Simpson: '213',
+    Spencer: '215',
+    Taylor: '217',
+    Todd: '219',
+    Trigg: '221',
+    Trimble: '223',
+    Union: '225',
+    Warren: '227',
+    Washington: '229',
+    Wayne: '231',
+    Webster: '233',
+    Whitley: '235',
+    Wolfe: '237',
+    Woodford: '239',
+  }),
+  OH: Object.freeze({
+    Adams: '001',
+    Allen: '003',
+    Ashland: '005',
+    Ashtabula: '007',
+    Athens: '009',
+    Auglaize: '011',
+    Belmont: '013',
+    Brown: '015',
+    Butler: '017',
+    Carroll: '019',
+    Champaign: '021',
+    Clark: '023',
+    Clermont: '025',
+    Clinton: '027',
+    Columbiana: '029',
+    Coshocton: '031',
+    Crawford: '033',
+    Cuyahoga: '035',
+    Darke: '037',
+    Defiance: '039',
+    Delaware: '041',
+    Erie: '043',
+    Fairfield: '045',
+    Fayette: '047',
+    Franklin: '049',
+    Fulton: '051',
+    Gallia: '053',
+    Geauga: '055',
+    Greene: '057',
+    Guernsey: '059',
+    Hamilton: '061',
+    Hancock: '063',
+    Hardin: '065',
+    Harrison: '067',
+    Henry: '069',
+    Highland: '071',
+    Hocking: '073',
+    Holmes: '075',
+    Huron: '077',
+    Jackson: '079',
+    Jefferson: '081',
+    Knox: '083',
+    Lake: '085',
+    Lawrence: '087',
+    Licking: '089',
+    Logan: '091',
+    Lorain: '093',
+    Lucas: '095',
+    Madison: '097',
+    Mahoning: '099',
+    Marion: '101',
+    Medina: '103',
+    Meigs: '105',
+    Mercer: '107',
+    Miami: '109',
+    Monroe: '111',
+    Montgomery: '113',
+    Morgan: '115',
+    Morrow: '117',
+    Muskingum: '119',
+    Noble: '121',
+    Ottawa: '123',
+    Paulding: '125',
+    Perry: '127',
+    Pickaway: '129',
+    Pike: '131',
+    Portage: '133',
+    Preble: '135',
+    Putnam: '137',
+    Richland: '139',
+    Ross: '141',
+    Sandusky: '143',
+    Scioto: '145',
+    Seneca: '147',
+    Shelby: '149',
+    Stark: '151',
+    Summit: '153',
+    Trumbull: '155',
+    Tuscarawas: '157',
+    Union: '159',
+    'Van Wert': '161',
+    Vinton: '163',
+    Warren: '165',
+    Washington: '167',
+    Wayne: '169',
+    Williams: '171',
+    Wood: '173',
+    Wyandot: '175',
+  }),
+});
@@ -1,13 +1,48 @@
 import { readFileSync, writeFileSync, mkdirSync } from 'fs';
 import { dirname } from 'path';
 import { logger } from './logger.js';
+import { getVtec } from './vtec.js';
+import { vtecKeyOf } from './lifecycle.js';
 
 /**
- * In-memory set of alert IDs that have already been spoken.
+ * In-memory set of alert IDs (and VTEC event keys) that have already been spoken.
  * @type {Set<string>}
  */
 let spokenAlertIds = new Set();
 
+/**
+ * Builds the key under which an alert is recorded. Alerts are tracked per
+ * location, so the same warning can be announced once for each named place it
+ * affects; unnamed (single-location) keys are the plain alert ID, which keeps
+ * existing dedup files valid.
+ *
+ * @param {string} alertId - The NWS alert ID
+ * @param {string | null} [locationName] - Name of the location the alert was spoken for
+ * @returns {string} The dedup key
+ */
+function dedupKey(alertId, locationName) {
+  return locationName ? `${alertId}|${locationName}` : alertId;
+}
+
+/**
+ * VTEC actions that only restate an event. Once the event has been spoken,
+ * messages with these actions are duplicates even under a new alert ID; any
+ * other action (an extension, a cancellation, …) is news about the event.
+ */
+const RESTATING_ACTIONS = new Set(['NEW', 'CON', 'COR', 'ROU']);
+
+/**
+ * Returns the VTEC event key of an alert feature, if it carries VTEC, as its
+ * alert chain records it (see vtecKeyOf), so a follow-up sent after New Year
+ * keeps the year of the event it continues.
+ * @param {string | import('./alertProcessor.js').AlertFeature} alert - An alert ID or feature
+ * @returns {{ key: string, action: string } | null} The event key and action, or null
+ */
+function vtecOf(alert) {
+  const record = typeof alert === 'string' ? null : getVtec(alert);
+  return record ? { key: `vtec:${vtecKeyOf(alert)}`, action: record.action } : null;
+}
+
 /**
  * Persists the current set of spoken alert IDs to disk.
  * Failures are logged but do not throw, keeping the app alive.
@@ -40,21 +75,73 @@ export function loadSpokenAlerts() {
 }
 
 /**
- * Checks whether the given alert ID has already been spoken.
- * @param {string} alertId - The NWS alert ID to check
+ * Checks whether an alert has already been spoken (for the given location).
+ *
+ * Given an alert feature that carries VTEC, the alert also counts as spoken when
+ * its event (office, phenomenon, significance, ETN and year) was spoken under another
+ * ID and its action only restates the event (NEW, CON, COR or ROU). Extensions,
+ * area changes, upgrades, cancellations and expirations are only duplicates of
+ * the exact same alert ID.
+ *
+ * @param {string | import('./alertProcessor.js').AlertFeature} alert - The NWS alert ID or feature
+ * @param {string | null} [locationName] - Named location, when monitoring several
  * @returns {boolean} True if the alert was already spoken
  */
-export function hasBeenSpoken(alertId) {
-  return spokenAlertIds.has(alertId);
+export function hasBeenSpoken(alert, locationName) {
+  const alertId = typeof alert === 'string' ? alert : alert.id;
+  if (spokenAlertIds.has(dedupKey(alertId, locationName))) return true;
+  const vtec = vtecOf(alert);
+  return (
+    vtec !== null &&
+    RESTATING_ACTIONS.has(vtec.action) &&
+    spokenAlertIds.has(dedupKey(vtec.key, locationName))
+  );
 }
 
 /**
- * Marks an alert as spoken in both memory and on disk.
- * @param {string} alertId - The NWS alert ID to record
+ * Marks an alert as spoken (for the given location) in both memory and on disk.
+ * Given an alert feature that carries VTEC, its event key is recorded too.
+ * @param {string | import('./alertProcessor.js').AlertFeature} alert - The NWS alert ID or feature
+ * @param {string | null} [locationName] - Named location, when monitoring several
  */
-export function markAsSpoken(alertId) {
-  spokenAlertIds.add(alertId);
+export function markAsSpoken(alert, locationName) {
+  spokenAlertIds.add(dedupKey(typeof alert === 'string' ? alert : alert.id, locationName));
+  const vtec = vtecOf(alert);
+  if (vtec) spokenAlertIds.add(dedupKey(vtec.key, locationName));
+  saveSpokenAlerts();
+}
+
+/**
+ * Lists every recorded key: alert IDs and VTEC event keys ("vtec:…"), with
+ * "|<location>" appended for named locations.
+ * @returns {string[]} The keys, in the order they were recorded
+ */
+export function listSpokenAlerts() {
+  return [...spokenAlertIds];
+}
+
+/**
+ * Forgets an alert so it can be announced again: the key itself (an alert ID or
+ * a VTEC key, as listed by listSpokenAlerts), for every location.
+ * @param {string} key - The alert ID or VTEC key
+ * @returns {number} How many keys were removed (0 if it was never spoken)
+ */
+export function forgetSpokenAlert(key) {
+  const matches = [...spokenAlertIds].filter((id) => id === key || id.startsWith(`${key}|`));
+  for (const id of matches) spokenAlertIds.delete(id);
+  if (matches.length > 0) saveSpokenAlerts();
+  return matches.length;
+}
+
+/**
+ * Forgets every spoken alert, in memory and on disk.
+ * @returns {number} How many keys were removed
+ */
+export function clearSpokenAlerts() {
+  const count = spokenAlertIds.size;
+  spokenAlertIds = new Set();
   saveSpokenAlerts();
+  return count;
 }
 
 /**
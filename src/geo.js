@@ -0,0 +1,205 @@
+/**
+ * Small spherical-geometry helpers for matching a home coordinate against NWS
+ * storm-based warning polygons. Coordinates follow GeoJSON order ([lon, lat])
+ * inside geometries; standalone points are `{ lat, lon }` objects.
+ */
+
+/** Mean Earth radius in statute miles */
+const EARTH_RADIUS_MILES = 3958.8;
+
+/**
+ * @typedef {Object} LatLon
+ * @property {number} lat - Latitude in decimal degrees
+ * @property {number} lon - Longitude in decimal degrees
+ */
+
+/**
+ * @typedef {Object} PolygonGeometry
+ * @property {'Polygon' | 'MultiPolygon'} type - GeoJSON geometry type
+ * @property {number[][][] | number[][][][]} coordinates - GeoJSON rings ([lon, lat] pairs)
+ */
+
+/**
+ * Converts degrees to radians.
+ * @param {number} deg - Angle in degrees
+ * @returns {number} Angle in radians
+ */
+function toRadians(deg) {
+  return (deg * Math.PI) / 180;
+}
+
+/**
+ * Computes the great-circle (haversine) distance between two points.
+ * @param {LatLon} a - First point
+ * @param {LatLon} b - Second point
+ * @returns {number} Distance in statute miles
+ */
+export function distanceMiles(a, b) {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLon = toRadians(b.lon - a.lon);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Computes the initial great-circle bearing from one point toward another.
+ * @param {LatLon} from - Starting point
+ * @param {LatLon} to - Destination point
+ * @returns {number} Bearing in degrees clockwise from true north (0–360)
+ */
+export function bearingDegrees(from, to) {
+  const lat1 = toRadians(from.lat);
+  const lat2 = toRadians(to.lat);
+  const dLon = toRadians(to.lon - from.lon);
+  const y = Math.sin(dLon) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+}
+
+/**
+ * Measures where a point lies relative to a great-circle track: how far along the
+ * track it is (negative if behind the start) and how far off to the side.
+ *
+ * @param {LatLon} start - Start of the track (e.g. the storm's current position)
+ * @param {number} heading - Direction of travel in degrees clockwise from north
+ * @param {LatLon} point - The point to measure (e.g. home)
+ * @returns {{ alongMiles: number, crossMiles: number }} Along-track and absolute cross-track distance
+ */
+export function trackOffsetMiles(start, heading, point) {
+  const angular = distanceMiles(start, point) / EARTH_RADIUS_MILES;
+  const relative = toRadians(bearingDegrees(start, point) - heading);
+  const cross = Math.asin(Math.sin(angular) * Math.sin(relative));
+  const along = Math.acos(Math.min(1, Math.cos(angular) / Math.cos(cross)));
+  return {
+    alongMiles: Math.sign(Math.cos(relative)) * along * EARTH_RADIUS_MILES,
+    crossMiles: Math.abs(cross) * EARTH_RADIUS_MILES,
+  };
+}
+
+const COMPASS_WORDS = [
+  'north',
+  'northeast',
+  'east',
+  'southeast',
+  'south',
+  'southwest',
+  'west',
+  'northwest',
+];
+
+/**
+ * Converts a bearing into one of the eight spoken compass directions.
+ * @param {number} bearing - Bearing in degrees (any value; normalized to 0–360)
+ * @returns {string} Compass word such as "southwest"
+ */
+export function compassDirection(bearing) {
+  const normalized = ((bearing % 360) + 360) % 360;
+  return COMPASS_WORDS[Math.round(normalized / 45) % 8];
+}
+
+/**
+ * Checks whether a geometry is a GeoJSON Polygon or MultiPolygon we can test against.
+ * @param {unknown} geometry - The feature's `geometry` member (may be null)
+ * @returns {geometry is PolygonGeometry} True if the geometry has usable polygon rings
+ */
+export function hasPolygon(geometry) {
+  return (
+    (geometry?.type === 'Polygon' || geometry?.type === 'MultiPolygon') &&
+    Array.isArray(geometry.coordinates) &&
+    geometry.coordinates.length > 0
+  );
+}
+
+/**
+ * Normalizes a Polygon or MultiPolygon into a list of polygons (each a list of rings).
+ * @param {PolygonGeometry} geometry - GeoJSON polygon geometry
+ * @returns {number[][][][]} Polygons, each an outer ring followed by any holes
+ */
+function polygonsOf(geometry) {
+  return geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+}
+
+/**
+ * Ray-casting point-in-ring test. Warning polygons span a few dozen miles at most,
+ * so treating lon/lat as planar here is accurate enough.
+ * @param {LatLon} point - The point to test
+ * @param {number[][]} ring - Closed GeoJSON ring of [lon, lat] pairs
+ * @returns {boolean} True if the point lies inside the ring
+ */
+function pointInRing(point, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const crosses =
+      yi > point.lat !== yj > point.lat &&
+      point.lon < ((xj - xi) * (point.lat - yi)) / (yj - yi) + xi;
+    if (crosses) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Checks whether a point lies inside a Polygon or MultiPolygon (respecting holes).
+ * @param {LatLon} point - The point to test
+ * @param {PolygonGeometry} geometry - GeoJSON polygon geometry
+ * @returns {boolean} True if the point is inside any polygon and outside its holes
+ */
+export function pointInGeometry(point, geometry) {
+  return polygonsOf(geometry).some(
+    ([outer, ...holes]) => pointInRing(point, outer) && !holes.some((h) => pointInRing(point, h))
+  );
+}
+
+/**
+ * Finds the point on a geometry's boundary nearest to the given point. Each edge is
+ * projected onto a local equirectangular plane centered on the point, which keeps the
+ * error well under a percent at warning-polygon scales; the returned distance is
+ * then measured along the great circle.
+ *
+ * @param {LatLon} point - The reference point (e.g. home)
+ * @param {PolygonGeometry} geometry - GeoJSON polygon geometry
+ * @returns {LatLon & { distanceMiles: number }} Nearest boundary point and its distance
+ */
+export function nearestBoundaryPoint(point, geometry) {
+  const cosLat = Math.cos(toRadians(point.lat));
+  const toPlane = ([lon, lat]) => [(lon - point.lon) * cosLat, lat - point.lat];
+
+  let best = null;
+  let bestSq = Infinity;
+  for (const polygon of polygonsOf(geometry)) {
+    for (const ring of polygon) {
+      for (let i = 0; i < ring.length - 1; i++) {
+        const [ax, ay] = toPlane(ring[i]);
+        const [bx, by] = toPlane(ring[i + 1]);
+        const dx = bx - ax;
+        const dy = by - ay;
+        const lenSq = dx * dx + dy * dy;
+        const t = lenSq === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lenSq));
+        const x = ax + t * dx;
+        const y = ay + t * dy;
+        const dSq = x * x + y * y;
+        if (dSq < bestSq) {
+          bestSq = dSq;
+          best = { lat: point.lat + y, lon: point.lon + x / cosLat };
+        }
+      }
+    }
+  }
+
+  return { ...best, distanceMiles: distanceMiles(point, best) };
+}
+
+/**
+ * Checks whether a point is inside a warning polygon or within a buffer distance of it.
+ * @param {LatLon} point - The point to test (e.g. home)
+ * @param {PolygonGeometry} geometry - GeoJSON polygon geometry
+ * @param {number} [bufferMiles=0] - Extra distance outside the polygon that still counts
+ * @returns {boolean} True if the point is inside the polygon or within the buffer
+ */
+export function isWithinGeofence(point, geometry, bufferMiles = 0) {
+  if (pointInGeometry(point, geometry)) return true;
+  return bufferMiles > 0 && nearestBoundaryPoint(point, geometry).distanceMiles <= bufferMiles;
+}
@@ -0,0 +1,233 @@
+import { readFileSync } from 'fs';
+import { compileTemplate, loadTemplates } from './templates.js';
+
+/**
+ * @typedef {Object} Hazard
+ * @property {string} event - NWS event name (e.g. "Flash Flood Warning")
+ * @property {boolean} enabled - Whether alerts of this type are fetched and spoken
+ * @property {number} priority - Higher numbers are announced first
+ * @property {string} template - Spoken message template (see templates.js)
+ */
+
+/** Shared template fragments for the built-in hazards */
+const HEADS_UP = 'Hey… just a gentle heads-up{{#location}} for {{location}}{{/location}} — ';
+const UNTIL =
+  '{{#expires}}until {{expires}}{{/expires}}{{^expires}}until further notice{{/expires}}';
+
+/**
+ * The built-in Tornado Warning wording for each escalation tier (see tiers.js).
+ * PDS and emergency wording stays calm but says plainly what to do.
+ */
+const TORNADO_STANDARD =
+  `${HEADS_UP}there's a tornado warning for {{area}} right now. ` +
+  '{{detection}} {{proximity}} {{arrival}} ' +
+  `The warning is in effect ${UNTIL}. ` +
+  'Please take it easy and head to a safe spot when you can. ' +
+  'Stay low, stay calm, and take care of yourself.';
+const TORNADO_PDS =
+  'Hey… please listen closely{{#location}} for {{location}}{{/location}} — ' +
+  'this is a particularly dangerous tornado warning for {{area}}. ' +
+  '{{detection}} {{proximity}} {{arrival}} ' +
+  'Please go to your safe spot now: the lowest floor, in a small inside room away from windows. ' +
+  `The warning is in effect ${UNTIL}. Stay there, stay low, and take care of yourself.`;
+const TORNADO_EMERGENCY =
+  'Please listen carefully{{#location}} for {{location}}{{/location}} — ' +
+  'this is a tornado emergency for {{area}}. A large, destructive tornado is expected. ' +
+  '{{detection}} {{proximity}} {{arrival}} ' +
+  'Go to your safe spot right now: the lowest floor, in a small inside room away from windows, ' +
+  `and cover your head. The warning is in effect ${UNTIL}. Stay put, and stay calm.`;
+
+/**
+ * Built-in hazard catalog. Only Tornado Warnings are enabled out of the box;
+ * the others can be switched on (and reworded or reprioritized) via HAZARDS_FILE,
+ * and any template can be replaced via TEMPLATES_FILE.
+ * @type {ReadonlyArray<Readonly<Hazard>>}
+ */
+export const DEFAULT_HAZARDS = Object.freeze([
+  Object.freeze({
+    event: 'Tornado Warning',
+    enabled: true,
+    priority: 100,
+    template:
+      `{{#emergency}}${TORNADO_EMERGENCY}{{/emergency}}` +
+      `{{#pds}}${TORNADO_PDS}{{/pds}}` +
+      `{{^emergency}}{{^pds}}${TORNADO_STANDARD}{{/pds}}{{/emergency}}`,
+  }),
+  Object.freeze({
+    event: 'Extreme Wind Warning',
+    enabled: false,
+    priority: 90,
+    template:
+      `${HEADS_UP}there's an extreme wind warning for {{area}} right now. ` +
+      `It is in effect ${UNTIL}. ` +
+      'Please settle into an inside room away from windows when you can, and take care of yourself.',
+  }),
+  Object.freeze({
+    event: 'Flash Flood Warning',
+    enabled: false,
+    priority: 70,
+    template:
+      `${HEADS_UP}there's a flash flood warning for {{area}} right now. ` +
+      `It is in effect ${UNTIL}. ` +
+      'Please stay off flooded roads and take it easy until the water goes down.',
+  }),
+  Object.freeze({
+    event: 'Severe Thunderstorm Warning',
+    enabled: false,
+    priority: 60,
+    template:
+      `${HEADS_UP}there's a severe thunderstorm warning for {{area}} right now. ` +
+      `It is in effect ${UNTIL}. ` +
+      'Please head indoors and stay away from windows for a little while.',
+  }),
+  Object.freeze({
+    event: 'Tornado Watch',
+    enabled: false,
+    priority: 40,
+    template:
+      "Just so you know{{#location}} for {{location}}{{/location}} — there's a tornado watch " +
+      `for {{area}} ${UNTIL}. ` +
+      "Nothing is happening right now, but it's a good time to remember where your safe spot is.",
+  }),
+]);
+
+/**
+ * Templates for follow-up messages in an alert chain (see lifecycle.js), keyed by
+ * the kind of change, plus the all-clear spoken once every announced warning for
+ * a location has ended. Re-issues with nothing new have no template and stay silent.
+ * @type {Readonly<Record<string, string>>}
+ */
+export const DEFAULT_UPDATE_TEMPLATES = Object.freeze({
+  extended:
+    'Hey… a quick update{{#location}} for {{location}}{{/location}} — ' +
+    `the {{event}} for {{area}} has been extended ${UNTIL}. ` +
+    'Please stay in your safe spot a little longer, and take it easy.',
+  'area-changed':
+    'Hey… a quick update{{#location}} for {{location}}{{/location}} — ' +
+    `the {{event}} now covers {{area}}, ${UNTIL}. {{proximity}}`,
+  cancelled:
+    'Good news{{#location}} for {{location}}{{/location}} — ' +
+    'the {{event}} for your area has been cancelled. You can relax now, and take care.',
+  'all-clear':
+    'Hey… just letting you know{{#location}} for {{location}}{{/location}} — ' +
+    'the {{event}} has ended, and there are no other warnings for your area right now. ' +
+    'You can relax, and take care.',
+});
+
+/**
+ * TEMPLATES_FILE section names that reword the follow-up messages instead of a hazard.
+ * @type {Readonly<Record<string, string>>}
+ */
+const UPDATE_SECTIONS = Object.freeze({
+  Extended: 'extended',
+  'Area Changed': 'area-changed',
+  Cancelled: 'cancelled',
+  'All Clear': 'all-clear',
+});
+
+/**
+ * Validates one HAZARDS_FILE entry.
+ * @param {Record<string, unknown>} entry - Raw JSON entry
+ * @param {number} index - Position in the file (for error messages)
+ * @returns {Partial<Hazard> & { event: string }} The validated entry
+ * @throws {Error} If the entry is malformed
+ */
+function validateHazard(entry, index) {
+  const label = `Hazard #${index + 1}`;
+  if (!entry || typeof entry !== 'object') throw new Error(`${label} must be an object`);
+
+  const { event, enabled, priority, template } = entry;
+  if (typeof event !== 'string' || !event.trim()) throw new Error(`${label} needs an "event"`);
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    throw new Error(`${label} ("${event}") "enabled" must be true or false`);
+  }
+  if (priority !== undefined && !Number.isFinite(priority)) {
+    throw new Error(`${label} ("${event}") "priority" must be a number`);
+  }
+  if (template !== undefined && (typeof template !== 'string' || !template.trim())) {
+    throw new Error(`${label} ("${event}") "template" must be a non-empty string`);
+  }
+  if (template !== undefined) {
+    compileTemplate(template, { origin: `${label} ("${event}") template` });
+  }
+  return { ...entry, event: event.trim() };
+}
+
+/**
+ * Reads and validates the HAZARDS_FILE entries, if any.
+ * @returns {Array<Partial<Hazard> & { event: string }>} Validated entries (empty when unset)
+ * @throws {Error} If the file is unreadable or contains an invalid entry
+ */
+function loadHazardOverrides() {
+  const file = process.env.HAZARDS_FILE;
+  if (!file) return [];
+
+  let entries;
+  try {
+    entries = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read HAZARDS_FILE "${file}": ${err.message}`);
+  }
+  if (!Array.isArray(entries)) throw new Error(`HAZARDS_FILE "${file}" must contain a JSON array`);
+  return entries.map(validateHazard);
+}
+
+/**
+ * Returns the hazard catalog: the built-in entries, overridden field-by-field by
+ * any entries with the same event name in HAZARDS_FILE, plus any new events the
+ * file adds (which must bring their own template). Templates in TEMPLATES_FILE
+ * then replace the template of the matching event (the follow-up sections are
+ * handled by getUpdateTemplates).
+ *
+ * @returns {Hazard[]} The full catalog, enabled or not
+ * @throws {Error} If HAZARDS_FILE or TEMPLATES_FILE is unreadable or invalid
+ */
+export function getHazards() {
+  const catalog = DEFAULT_HAZARDS.map((h) => ({ ...h }));
+
+  loadHazardOverrides().forEach((entry) => {
+    const existing = catalog.find((h) => h.event === entry.event);
+    if (existing) {
+      Object.assign(existing, entry);
+    } else if (!entry.template) {
+      throw new Error(`Hazard "${entry.event}" is not built in, so it needs a "template"`);
+    } else {
+      catalog.push({ enabled: true, priority: 50, ...entry });
+    }
+  });
+
+  for (const [event, template] of loadTemplates()) {
+    if (event in UPDATE_SECTIONS) continue;
+    const hazard = catalog.find((h) => h.event === event);
+    if (!hazard) {
+      throw new Error(
+        `TEMPLATES_FILE has a template for "${event}", which is not in the hazard catalog`
+      );
+    }
+    hazard.template = template;
+  }
+  return catalog;
+}
+
+/**
+ * Returns the enabled hazards, highest priority first.
+ * @param {Hazard[]} [catalog=getHazards()] - The hazard catalog
+ * @returns {Hazard[]} Enabled hazards sorted by descending priority
+ */
+export function getEnabledHazards(catalog = getHazards()) {
+  return catalog.filter((h) => h.enabled).sort((a, b) => b.priority - a.priority);
+}
+
+/**
+ * Returns the follow-up message templates, with any [Extended], [Area Changed],
+ * [Cancelled] or [All Clear] sections from TEMPLATES_FILE applied.
+ * @returns {Record<string, string>} Templates keyed by change kind
+ * @throws {Error} If TEMPLATES_FILE is unreadable or invalid
+ */
+export function getUpdateTemplates() {
+  const templates = { ...DEFAULT_UPDATE_TEMPLATES };
+  for (const [section, template] of loadTemplates()) {
+    if (section in UPDATE_SECTIONS) templates[UPDATE_SECTIONS[section]] = template;
+  }
+  return templates;
+}
@@ -1,14 +1,37 @@
 import 'dotenv/config';
 import { fileURLToPath } from 'url';
 import { logger } from './logger.js';
-import { fetchAlerts } from './poller.js';
-import { filterTornadoWarnings, generateCalmMessage } from './alertProcessor.js';
-import { synthesizeSpeech } from './tts.js';
-import { playAudio } from './audioPlayer.js';
+import { fetchAlerts, didLastFetchFail } from './poller.js';
+import { filterAlerts, generateHazardMessage } from './alertProcessor.js';
+import { getEnabledHazards, getUpdateTemplates } from './hazards.js';
+import {
+  loadAlertChains,
+  recordFeed,
+  markAnnounced,
+  findEndedChain,
+  settleLocation,
+} from './lifecycle.js';
+import { classifyTier } from './tiers.js';
+import { getQuietWindows, applyQuietHours } from './quietHours.js';
+import { enqueue, whenIdle, getLastPlayback, _reset as _resetSpeechQueue } from './speechQueue.js';
+import { prewarmSpeech } from './tts.js';
+import { detectPlayers } from './audioPlayer.js';
+import { isDryRun } from './transcript.js';
+import { startStatusApi } from './statusApi.js';
+import { increment, observe } from './metrics.js';
+import { planClips } from './phraseClips.js';
+import { currentTime } from './clock.js';
+import { hasPolygon } from './geo.js';
 import { loadSpokenAlerts, hasBeenSpoken, markAsSpoken } from './deduplication.js';
+import {
+  getLocations,
+  buildAlertQueries,
+  selectForLocation,
+  describeLocation,
+} from './location.js';
 
-/** @type {number} Timestamp of the last spoken message (used for rate limiting) */
-let lastSpeechTime = 0;
+/** Spoken on startup to verify audio is working */
+export const STARTUP_MESSAGE = 'Testing… everything is calm.';
 
 /** @type {boolean} Set to true when a shutdown signal is received */
 let isShuttingDown = false;
@@ -16,57 +39,529 @@ let isShuttingDown = false;
 /** @type {ReturnType<typeof setTimeout> | null} Handle to the active poll timer */
 let pollTimer = null;
 
+/** @type {Promise<void> | null} The poll in progress, if any */
+let currentPoll = null;
+
+/** Most recent spoken announcements kept for the status API */
+const HISTORY_LIMIT = 50;
+
+/**
+ * @typedef {Object} PollStatus
+ * @property {string | null} lastPollAt - When the last poll fetched alerts (ISO 8601)
+ * @property {boolean | null} lastPollComplete - Whether every NWS query in it succeeded
+ * @property {string | null} lastSuccessfulPollAt - When a poll last fetched every query
+ */
+
+/** @type {PollStatus} */
+let pollStatus = { lastPollAt: null, lastPollComplete: null, lastSuccessfulPollAt: null };
+
+/**
+ * @typedef {Object} ActiveAlert
+ * @property {string} id - NWS alert ID
+ * @property {string} event - NWS event name
+ * @property {string} headline - NWS headline
+ * @property {string | null} expires - When it ends (ISO 8601)
+ * @property {string | null} location - Named location it matched, or null for the single location
+ * @property {import('./tiers.js').Tier} tier - Escalation tier
+ * @property {boolean} spoken - Whether it has been spoken for that location
+ */
+
+/** @type {ActiveAlert[]} Alerts matched by the last poll */
+let activeAlerts = [];
+
 /**
- * Converts text to speech and plays the audio, subject to a rate limit.
- * If called too soon after the last speech, the message is silently dropped.
+ * @typedef {Object} HistoryEntry
+ * @property {string} spokenAt - When it finished playing (ISO 8601)
+ * @property {import('./speechQueue.js').AnnouncementKind} kind - Warning, emergency or all-clear
+ * @property {string | null} event - NWS event it was about
+ * @property {string | null} location - Named location, or null for the single location
+ * @property {string} message - What was said
+ */
+
+/**
+ * @typedef {Object} QueuedAnnouncement
+ * @property {string | null} location - Named location, or null for the single location
+ * @property {import('./speechQueue.js').Announcement} announcement - What to say, and how
+ */
+
+/** @type {HistoryEntry[]} Spoken announcements, newest first */
+let history = [];
+
+/** @type {number} Time (ms) until which announcements are muted; 0 when not muted */
+let mutedUntil = 0;
+
+/**
+ * Queues a message to be spoken (see speechQueue.js). Messages are never
+ * dropped: one arriving within SPEECH_RATE_LIMIT_MS of the last waits its turn,
+ * behind any higher-priority announcements.
  *
  * @param {string} message - The text to speak aloud
- * @returns {Promise<void>}
+ * @param {Omit<import('./speechQueue.js').Announcement, 'message'>} [options={}] - Kind, tier and onSpoken callback
+ * @returns {Promise<boolean>} Resolves once handled: true if played, false if speech failed
  */
-export async function speak(message) {
-  const rateLimit = parseInt(process.env.SPEECH_RATE_LIMIT_MS || '60000', 10);
-  const now = Date.now();
-  if (now - lastSpeechTime < rateLimit) {
-    logger.warn('Rate limit active — skipping speech to avoid annoyance');
-    return;
+export function speak(message, options = {}) {
+  return enqueue({ message, ...options });
+}
+
+/**
+ * Summarizes a monitored location for the log, e.g.
+ * "Home: Jefferson County, KY [KYC111, 021111] (geofence 38.25, -85.76 +1 mi)".
+ *
+ * @param {import('./location.js').MonitoredLocation} location - The location
+ * @returns {string} One-line summary
+ */
+function describeMonitored(location) {
+  const { name, state, county, codes, home, bufferMiles } = location;
+  const parts = [];
+  if (name) parts.push(`${name}:`);
+  parts.push(county ? `${county} County, ${state}` : state || 'point only');
+  const codeList = [...codes.ugc, ...codes.same].join(', ');
+  if (codeList) parts.push(`[${codeList}]`);
+  if (home) parts.push(`(geofence ${home.lat}, ${home.lon} +${bufferMiles} mi)`);
+  return parts.join(' ');
+}
+
+/**
+ * Returns the key a point query's results are recorded under.
+ * @param {import('./geo.js').LatLon} point - The queried point
+ * @returns {string} e.g. "38.25,-85.76"
+ */
+function pointKey(point) {
+  return `${point.lat},${point.lon}`;
+}
+
+/**
+ * Fetches the active alerts for every monitored location, querying each state,
+ * zone and point only once and dropping duplicate features across queries.
+ * Features come back oldest first so follow-ups are handled after what they update.
+ * The IDs each point query returned are kept, to match alerts without a polygon
+ * to point-only locations (see matchAlerts).
+ *
+ * @param {import('./location.js').MonitoredLocation[]} locations - The monitored locations
+ * @returns {Promise<{ features: import('./alertProcessor.js').AlertFeature[], complete: boolean, pointAlerts: Map<string, Set<string>> }>}
+ *   Unique alert features, whether every query succeeded, and the alert IDs returned for each point
+ */
+async function fetchForLocations(locations) {
+  const byId = new Map();
+  const pointAlerts = new Map();
+  let complete = true;
+  for (const query of buildAlertQueries(locations)) {
+    const features = await fetchAlerts(query);
+    for (const feature of features) {
+      byId.set(feature.id, feature);
+    }
+    if (query.point) pointAlerts.set(pointKey(query.point), new Set(features.map((f) => f.id)));
+    if (didLastFetchFail()) complete = false;
   }
+  const sentAt = (feature) => Date.parse(feature.properties?.sent) || 0;
+  return {
+    features: [...byId.values()].sort((a, b) => sentAt(a) - sentAt(b)),
+    complete,
+    pointAlerts,
+  };
+}
 
-  lastSpeechTime = now;
+/**
+ * Builds the deduplication arguments for an alert and location. Unnamed
+ * (single-location) alerts keep plain-ID dedup keys.
+ *
+ * @param {string | import('./alertProcessor.js').AlertFeature} alert - The NWS alert ID or feature
+ * @param {import('./location.js').MonitoredLocation} location - The location
+ * @returns {Array<string | import('./alertProcessor.js').AlertFeature>} Arguments for hasBeenSpoken / markAsSpoken
+ */
+function dedupArgsFor(alert, location) {
+  return location.name ? [alert, location.name] : [alert];
+}
 
-  try {
-    const audioPath = await synthesizeSpeech(message);
-    await playAudio(audioPath);
-  } catch (err) {
-    logger.error(`Speech failed: ${err.message}`);
+/**
+ * Returns the key a location's announcements are tracked under in lifecycle.js.
+ * @param {import('./location.js').MonitoredLocation} location - The location
+ * @returns {string} The location name, or '' for the single unnamed location
+ */
+function locationKey(location) {
+  return location.name ?? '';
+}
+
+/**
+ * Picks the template for an alert given how it changed its chain and whether
+ * anything in the chain was already announced for this location. A follow-up to
+ * a warning we never mentioned is announced in full, except for cancellations
+ * and expirations; re-issues with nothing new stay silent, as do expirations,
+ * which the all-clear covers.
+ *
+ * @param {import('./lifecycle.js').ChangeKind} kind - How the alert changed its chain
+ * @param {boolean} announced - Whether an earlier message in the chain was spoken here
+ * @param {import('./hazards.js').Hazard} hazard - The alert's hazard
+ * @param {Record<string, string>} updateTemplates - Follow-up templates by change kind
+ * @returns {string | null} The template to speak, or null to stay silent
+ */
+function chooseTemplate(kind, announced, hazard, updateTemplates) {
+  if (!announced) return kind === 'cancelled' || kind === 'expired' ? null : hazard.template;
+  return updateTemplates[kind] ?? null;
+}
+
+/**
+ * Picks the alerts that apply to one location, highest-priority hazard first. With
+ * a home point, each alert is matched against its storm-based polygon (plus the
+ * location's buffer), and alerts without one (watches, zone-based warnings) by the
+ * location's UGC/SAME codes; a location without codes matches those by its state,
+ * or, with no state either, keeps the ones its own point query returned. Without a
+ * home point, alerts are matched by codes or state alone.
+ *
+ * @param {import('./alertProcessor.js').AlertFeature[]} features - Alerts for all locations
+ * @param {import('./location.js').MonitoredLocation} location - The location to match
+ * @param {import('./hazards.js').Hazard[]} hazards - Enabled hazards, highest priority first
+ * @param {Map<string, Set<string>>} [pointAlerts=new Map()] - Alert IDs returned for each point query
+ * @returns {import('./alertProcessor.js').AlertFeature[]} Matching alerts
+ */
+function matchAlerts(features, location, hazards, pointAlerts = new Map()) {
+  const { home, bufferMiles, codes } = location;
+  const events = hazards.map((h) => h.event);
+  let matched;
+  if (!home) {
+    matched = filterAlerts(selectForLocation(features, location), events);
+  } else if (codes.ugc.length > 0 || codes.same.length > 0) {
+    matched = filterAlerts(features, events, { home, bufferMiles, codes });
+  } else {
+    const fromPoint = pointAlerts.get(pointKey(home)) ?? new Set();
+    const inArea = new Set(
+      location.state
+        ? selectForLocation(features, location)
+        : features.filter((f) => fromPoint.has(f.id))
+    );
+    matched = filterAlerts(features, events, { home, bufferMiles }).filter(
+      (f) => hasPolygon(f.geometry) || inArea.has(f)
+    );
   }
+  const rank = (alert) => events.indexOf(alert.properties.event);
+  return matched.sort((a, b) => rank(a) - rank(b));
 }
 
 /**
- * Performs a single NWS polling cycle: fetches active alerts, filters for
- * Tornado Warnings, and speaks any new ones that have not been spoken before.
+ * Words the all-clear for the last warning to end at a location.
  *
- * @returns {Promise<void>}
+ * @param {{ event: string, areaDesc?: string, ends?: string | null }} ended - The warning that ended
+ * @param {string} template - The all-clear template
+ * @param {import('./alertProcessor.js').MessageOptions} options - Location options for the message
+ * @returns {string} The all-clear message
+ */
+function allClearMessage(ended, template, options) {
+  const lastAlert = {
+    id: null,
+    properties: { event: ended.event, areaDesc: ended.areaDesc, expires: ended.ends },
+  };
+  return generateHazardMessage(lastAlert, { template }, options);
+}
+
+/**
+ * Lists the phrases worth having in the TTS cache before they are needed: the
+ * startup test and the all-clear for every location and enabled hazard.
+ *
+ * @param {import('./location.js').MonitoredLocation[]} locations - The monitored locations
+ * @param {import('./hazards.js').Hazard[]} hazards - Enabled hazards
+ * @returns {string[]} Phrases to pre-warm
+ */
+function commonPhrases(locations, hazards) {
+  const template = getUpdateTemplates()['all-clear'];
+  const allClears = locations.flatMap((location) => {
+    const options = { home: location.home, locationLabel: describeLocation(location) };
+    return hazards.map((hazard) => allClearMessage({ event: hazard.event }, template, options));
+  });
+  return [STARTUP_MESSAGE, ...allClears];
+}
+
+/**
+ * @typedef {Object} PollContext
+ * @property {import('./hazards.js').Hazard[]} hazards - Enabled hazards, highest priority first
+ * @property {Record<string, string>} updateTemplates - Follow-up templates by change kind
+ * @property {Map<string, { kind: import('./lifecycle.js').ChangeKind, chain: import('./lifecycle.js').AlertChain }>} changes - This poll's lifecycle changes by alert ID
+ * @property {number} trackBufferMiles - Half-width of the projected storm path
+ * @property {Map<string, Set<string>>} pointAlerts - Alert IDs returned for each point query
  */
-export async function pollOnce() {
-  const state = process.env.ALERT_STATE || 'KY';
-  const county = process.env.ALERT_COUNTY || 'Jefferson';
-  logger.info(`Polling NWS API for Tornado Warnings in ${county} County, ${state}`);
-  const features = await fetchAlerts(state);
-  const warnings = filterTornadoWarnings(features);
 
-  logger.info(`Found ${warnings.length} active Tornado Warning(s)`);
+/**
+ * Works out what to say for one location: its new alerts (and follow-ups), then
+ * an all-clear if every warning announced there has now ended. Alerts are only
+ * marked spoken (and announced) by each announcement's `onSpoken`, once played,
+ * and the all-clear likewise only settles the location once played; alerts with
+ * nothing new to say are marked straight away.
+ *
+ * @param {import('./alertProcessor.js').AlertFeature[]} features - Alerts for all locations
+ * @param {import('./location.js').MonitoredLocation} location - The location
+ * @param {PollContext} context - Per-poll settings and lifecycle changes
+ * @returns {import('./speechQueue.js').Announcement[]} Announcements to queue
+ */
+function announcementsForLocation(features, location, context) {
+  const { hazards, updateTemplates, changes, trackBufferMiles, pointAlerts } = context;
+  const alerts = matchAlerts(features, location, hazards, pointAlerts);
+  const label = describeLocation(location);
+  const forLabel = label ? ` for ${label}` : '';
+  const options = { home: location.home, trackBufferMiles, locationLabel: label };
+  const key = locationKey(location);
+  const announcements = [];
+  let cancellationQueued = false;
+  let warningQueued = false;
+  logger.info(`Found ${alerts.length} active alert(s)${forLabel}`);
 
-  for (const warning of warnings) {
-    if (hasBeenSpoken(warning.id)) {
-      logger.debug(`Skipping already-spoken alert: ${warning.id}`);
+  for (const alert of alerts) {
+    const dedupArgs = dedupArgsFor(alert, location);
+    if (hasBeenSpoken(...dedupArgs)) {
+      logger.debug(`Skipping already-spoken alert: ${alert.id}`);
+      increment('alerts_suppressed_total', { reason: 'duplicate' });
       continue;
     }
 
-    logger.info(`New alert: ${warning.properties.headline}`);
-    const message = generateCalmMessage(warning);
-    await speak(message);
-    markAsSpoken(warning.id);
+    const { kind, chain } = changes.get(alert.id);
+    const announced = Object.keys(chain.messages).some(
+      (id) => id !== alert.id && hasBeenSpoken(...dedupArgsFor(id, location))
+    );
+    const hazard = hazards.find((h) => h.event === alert.properties.event);
+    const template = chooseTemplate(kind, announced, hazard, updateTemplates);
+
+    if (template) {
+      const tier = classifyTier(alert);
+      logger.info(`New alert${forLabel} (${kind}, ${tier}): ${alert.properties.headline}`);
+      announcements.push({
+        message: generateHazardMessage(alert, { ...hazard, template }, options),
+        kind: tier === 'emergency' ? 'emergency' : 'warning',
+        tier,
+        event: alert.properties.event,
+        // A first warning can also be stitched from pre-recorded clips if TTS is down
+        ...(template === hazard.template && {
+          clips: planClips(
+            alert.properties.event,
+            location,
+            alert.properties.ends || alert.properties.expires
+          ),
+        }),
+        onSpoken: () => {
+          if (kind !== 'cancelled') markAnnounced(alert.id, key);
+          markAsSpoken(...dedupArgs);
+          increment('alerts_spoken_total');
+        },
+      });
+      if (kind === 'cancelled') cancellationQueued = true;
+      else warningQueued = true;
+    } else {
+      logger.info(`Nothing new to say${forLabel} about ${alert.id} (${kind})`);
+      markAsSpoken(...dedupArgs);
+      increment('alerts_suppressed_total', { reason: 'unchanged' });
+    }
+  }
+
+  // A warning still waiting to be played is not yet counted as announced here
+  if (warningQueued) return announcements;
+
+  const ended = findEndedChain(key);
+  if (!ended) return announcements;
+  if (cancellationQueued) {
+    // The cancellation message already tells them; an all-clear right after would repeat it
+    logger.info(`All warnings${forLabel} have ended`);
+    settleLocation(key);
+    return announcements;
+  }
+  logger.info(`All warnings${forLabel} have ended — queuing all-clear`);
+  announcements.push({
+    message: allClearMessage(ended, updateTemplates['all-clear'], options),
+    kind: 'all-clear',
+    event: ended.event,
+    // Settled only once heard: an all-clear held, muted or not played is offered again next poll
+    onSpoken: () => settleLocation(key),
+  });
+  return announcements;
+}
+
+/**
+ * Holds an announcement while announcements are muted (see muteFor), like a
+ * quiet-hours hold: it is not queued, so it comes back on the first poll after
+ * the mute ends if still in effect (an all-clear, as its location stays
+ * unsettled until it is heard). A Tornado Emergency is never muted.
+ *
+ * @param {import('./speechQueue.js').Announcement | null} announcement - The announcement, if not already held
+ * @param {number} now - Current time (ms)
+ * @returns {import('./speechQueue.js').Announcement | null} The announcement, or null to hold it
+ */
+function applyMute(announcement, now) {
+  if (!announcement || now >= mutedUntil) return announcement;
+  if (announcement.tier === 'emergency') {
+    logger.info('Muted: Tornado Emergency overrides the mute');
+    return announcement;
   }
+  logger.info(
+    `Muted: holding ${announcement.kind ?? 'warning'} until ${new Date(mutedUntil).toISOString()}`
+  );
+  return null;
+}
+
+/**
+ * Records an announcement in the spoken history once it has played.
+ * @param {import('./speechQueue.js').Announcement} announcement - The announcement
+ * @param {import('./location.js').MonitoredLocation} location - The location it is for
+ * @returns {import('./speechQueue.js').Announcement} The announcement, with onSpoken extended
+ */
+function withHistory(announcement, location) {
+  const { onSpoken } = announcement;
+  return {
+    ...announcement,
+    onSpoken: () => {
+      onSpoken?.();
+      history = [
+        {
+          spokenAt: new Date(currentTime()).toISOString(),
+          kind: announcement.kind ?? 'warning',
+          event: announcement.event ?? null,
+          location: location.name,
+          message: announcement.message,
+        },
+        ...history,
+      ].slice(0, HISTORY_LIMIT);
+    },
+  };
+}
+
+/**
+ * Summarizes a matched alert for the status API.
+ * @param {import('./alertProcessor.js').AlertFeature} alert - The alert
+ * @param {import('./location.js').MonitoredLocation} location - The location it matched
+ * @returns {ActiveAlert} The summary
+ */
+function describeActive(alert, location) {
+  const { event, headline, ends, expires } = alert.properties;
+  return {
+    id: alert.id,
+    event,
+    headline,
+    expires: ends || expires || null,
+    location: location.name,
+    tier: classifyTier(alert),
+    spoken: hasBeenSpoken(...dedupArgsFor(alert, location)),
+  };
+}
+
+/**
+ * Performs a single NWS polling cycle: fetches active alerts for every enabled
+ * hazard and monitored location (by county/forecast zone, state, or point),
+ * matches them to each location, and speaks any new ones that have not been
+ * spoken for that location before, using each hazard's own message template.
+ * Follow-up messages (see lifecycle.js) get a short extension, area change or
+ * cancellation message instead, and re-issues with nothing new stay silent.
+ * Once every warning announced for a location has expired, been cancelled or
+ * dropped out of the feed, a gentle all-clear is spoken. Every announcement
+ * passes through quiet hours (see quietHours.js) and any mute on its way to the
+ * queue. The alerts matched and the poll's outcome are kept for the status API,
+ * and counted in its metrics (see metrics.js).
+ *
+ * Locations come from LOCATIONS_FILE, or from the ALERT_* / HOME_* variables
+ * when monitoring a single place; hazards come from the catalog in hazards.js,
+ * optionally overridden by HAZARDS_FILE.
+ *
+ * A dry run queues nothing, so nothing is spoken or marked spoken by playing;
+ * alerts with nothing new to say and the alert chains are still recorded as
+ * usual (the CLI's `poll --dry-run` points them at scratch copies).
+ *
+ * @param {{ dryRun?: boolean }} [options={}] - Poll options
+ * @returns {Promise<QueuedAnnouncement[]>} What was queued (or, in a dry run, would have been)
+ */
+export async function pollOnce({ dryRun = false } = {}) {
+  const startedAt = Date.now();
+  const locations = getLocations();
+  const hazards = getEnabledHazards();
+  const trackBufferMiles = parseFloat(process.env.STORM_TRACK_BUFFER_MILES || '5');
+  logger.info(
+    `Polling NWS API for ${hazards.map((h) => h.event).join(', ')} in ` +
+      locations.map(describeMonitored).join('; ')
+  );
+  const { features, complete, pointAlerts } = await fetchForLocations(locations);
+  const events = hazards.map((h) => h.event);
+  const now = currentTime();
+  const polledAt = new Date(now).toISOString();
+  pollStatus = {
+    lastPollAt: polledAt,
+    lastPollComplete: complete,
+    lastSuccessfulPollAt: complete ? polledAt : pollStatus.lastSuccessfulPollAt,
+  };
+  increment('polls_total', { outcome: complete ? 'complete' : 'partial' });
+  const seen = filterAlerts(features, events);
+  increment('alerts_seen_total', {}, seen.length);
+  // Record changes once per poll, before any location, so every location sees the same change
+  const changes = recordFeed(seen, now, complete);
+  const context = {
+    hazards,
+    updateTemplates: getUpdateTemplates(),
+    changes,
+    trackBufferMiles,
+    pointAlerts,
+  };
+  const quietWindows = getQuietWindows();
+
+  // Queue every location's announcements together so they are ordered by priority and merged
+  const queued = [];
+  for (const location of locations) {
+    for (const announcement of announcementsForLocation(features, location, context)) {
+      // A held announcement is not queued, so its alert is not marked spoken and comes back next poll
+      const afterQuietHours = applyQuietHours(announcement, now, quietWindows);
+      const allowed = applyMute(afterQuietHours, now);
+      if (allowed) {
+        queued.push({ location: location.name, announcement: allowed });
+        if (!dryRun) enqueue(withHistory(allowed, location));
+      } else if (announcement.kind !== 'all-clear') {
+        // A held all-clear is not an alert suppressed; it is offered again until it is heard
+        increment('alerts_suppressed_total', { reason: afterQuietHours ? 'muted' : 'quiet_hours' });
+      }
+    }
+  }
+  const matched = locations.map((location) => [
+    location,
+    matchAlerts(features, location, hazards, pointAlerts),
+  ]);
+  activeAlerts = matched.flatMap(([location, alerts]) =>
+    alerts.map((alert) => describeActive(alert, location))
+  );
+  const inArea = new Set(matched.flatMap(([, alerts]) => alerts.map((alert) => alert.id)));
+  increment(
+    'alerts_suppressed_total',
+    { reason: 'out_of_area' },
+    seen.filter((alert) => !inArea.has(alert.id)).length
+  );
+  observe('poll_duration_seconds', (Date.now() - startedAt) / 1000);
+  if (!dryRun) await whenIdle();
+  return queued;
+}
+
+/**
+ * Runs one poll, then schedules the next after POLL_INTERVAL_MS unless shutdown
+ * has been requested. A poll already scheduled is replaced by this one.
+ * @returns {Promise<void>}
+ */
+async function pollAndReschedule() {
+  if (isShuttingDown) return;
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+  try {
+    await pollOnce();
+  } catch (err) {
+    logger.error(`Poll failed: ${err.message}`);
+    increment('polls_total', { outcome: 'failed' });
+  }
+  if (!isShuttingDown) {
+    const intervalMs = parseInt(process.env.POLL_INTERVAL_MS || '300000', 10);
+    pollTimer = setTimeout(pollNow, intervalMs);
+  }
+}
+
+/**
+ * Polls straight away, restarting the POLL_INTERVAL_MS countdown afterwards.
+ * If a poll is already running, no second one is started (two at once could
+ * queue the same warning twice); its promise is returned instead.
+ * @returns {Promise<void>} Resolves once the poll, and anything it queued, is done
+ */
+export function pollNow() {
+  currentPoll ??= pollAndReschedule().finally(() => {
+    currentPoll = null;
+  });
+  return currentPoll;
 }
 
 /**
@@ -74,17 +569,49 @@ export async function pollOnce() {
  * the next poll after POLL_INTERVAL_MS unless shutdown has been requested.
  */
 export function startPolling() {
-  const intervalMs = parseInt(process.env.POLL_INTERVAL_MS || '300000', 10);
+  pollNow();
+}
 
-  const schedulePoll = async () => {
-    if (isShuttingDown) return;
-    await pollOnce();
-    if (!isShuttingDown) {
-      pollTimer = setTimeout(schedulePoll, intervalMs);
-    }
+/**
+ * Mutes announcements for a while (see applyMute); 0 minutes unmutes.
+ * @param {number} minutes - How long to mute for
+ * @param {number} [now=currentTime()] - Current time (ms)
+ * @returns {Date | null} When the mute ends, or null when unmuted
+ */
+export function muteFor(minutes, now = currentTime()) {
+  mutedUntil = minutes > 0 ? now + minutes * 60_000 : 0;
+  const until = mutedUntil ? new Date(mutedUntil) : null;
+  logger.info(until ? `Announcements muted until ${until.toISOString()}` : 'Announcements unmuted');
+  return until;
+}
+
+/**
+ * Reports how the service is doing: the last poll, the last playback, and any mute.
+ * @returns {PollStatus & { lastPlayback: ReturnType<typeof getLastPlayback>, mutedUntil: string | null }}
+ *   The status
+ */
+export function getHealth() {
+  return {
+    ...pollStatus,
+    lastPlayback: getLastPlayback(),
+    mutedUntil: mutedUntil > currentTime() ? new Date(mutedUntil).toISOString() : null,
   };
+}
+
+/**
+ * Returns the alerts matched by the last poll.
+ * @returns {ActiveAlert[]} The alerts, highest-priority hazard first for each location
+ */
+export function getActiveAlerts() {
+  return activeAlerts;
+}
 
-  schedulePoll();
+/**
+ * Returns the announcements spoken recently, newest first (up to 50).
+ * @returns {HistoryEntry[]} The history
+ */
+export function getHistory() {
+  return history;
 }
 
 /**
@@ -106,44 +633,83 @@ export async function shutdown() {
  * and begins the polling loop.
  */
 export async function main() {
-  const state = process.env.ALERT_STATE || 'KY';
-  const county = process.env.ALERT_COUNTY || 'Jefferson';
   const pollInterval = parseInt(process.env.POLL_INTERVAL_MS || '300000', 10);
   const rateLimit = parseInt(process.env.SPEECH_RATE_LIMIT_MS || '60000', 10);
+  const locations = getLocations();
+  const hazards = getEnabledHazards();
+  const quietWindows = getQuietWindows();
 
   logger.info('=== Calm Tornado Alert Speaker v1.0.0 ===');
-  logger.info(`Monitoring: ${county} County, ${state}`);
+  for (const location of locations) {
+    logger.info(`Monitoring: ${describeMonitored(location)}`);
+  }
+  logger.info(`Hazards: ${hazards.map((h) => `${h.event} (${h.priority})`).join(', ')}`);
+  if (quietWindows.length > 0) {
+    logger.info(`Quiet hours: ${quietWindows.map((w) => w.name).join(', ')}`);
+  }
   logger.info(`Poll interval: ${pollInterval / 1000}s | Speech rate limit: ${rateLimit / 1000}s`);
+  if (isDryRun()) {
+    const to = process.env.TRANSCRIPT_FILE || 'the console';
+    logger.info(`Dry run: announcements are written to ${to} instead of spoken`);
+  }
 
+  detectPlayers();
   loadSpokenAlerts();
+  loadAlertChains();
 
   process.on('SIGTERM', shutdown);
   process.on('SIGINT', shutdown);
 
-  // Speak a calm startup message to verify audio is working
-  await speak('Testing… everything is calm.');
+  // Speak a calm startup message to verify audio is working (unless quiet hours hold it)
+  const test = applyQuietHours({ message: STARTUP_MESSAGE, kind: 'test' });
+  if (test) await enqueue(test);
+
+  // Cache common phrases in the background so they play even if TTS is unreachable later;
+  // polling starts straight away rather than waiting on a slow or offline provider
+  if (!isDryRun()) prewarmSpeech(commonPhrases(locations, hazards));
+
+  await startStatusApi({
+    health: getHealth,
+    alerts: getActiveAlerts,
+    history: getHistory,
+    speakTest: () => speak(STARTUP_MESSAGE, { kind: 'test' }),
+    mute: muteFor,
+    pollNow,
+  });
 
   startPolling();
 }
 
 /**
- * Resets module-level rate limit and shutdown state. For use in tests only.
+ * Resets the speech queue (and its rate limit), shutdown, polling and status
+ * state. For use in tests only.
  * @internal
  */
 export function _resetRateLimit() {
-  lastSpeechTime = 0;
+  _resetSpeechQueue();
   isShuttingDown = false;
+  currentPoll = null;
+  pollStatus = { lastPollAt: null, lastPollComplete: null, lastSuccessfulPollAt: null };
+  activeAlerts = [];
+  history = [];
+  mutedUntil = 0;
   if (pollTimer) {
     clearTimeout(pollTimer);
     pollTimer = null;
   }
 }
 
-// Auto-run only when this file is executed directly (e.g. `node src/index.js`)
-// Not when imported by tests or other modules.
+// Auto-run only when this file is executed directly (e.g. `node src/index.js poll --once`),
+// not when imported by tests or other modules. With no command it runs the service.
 if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
-  main().catch((err) => {
-    logger.error(`Fatal startup error: ${err.message}`);
-    process.exit(1);
-  });
+  // Imported here rather than at the top, as cli.js builds on this module's exports
+  import('./cli.js')
+    .then(({ runCli }) => runCli(process.argv.slice(2)))
+    .then((code) => {
+      if (code !== null) process.exit(code);
+    })
+    .catch((err) => {
+      logger.error(`Fatal startup error: ${err.message}`);
+      process.exit(1);
+    });
 }
@@ -0,0 +1,317 @@
+import { readFileSync, writeFileSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { logger } from './logger.js';
+import { getVtec, vtecEventKey, vtecTrackingKey } from './vtec.js';
+import { currentTime } from './clock.js';
+
+/**
+ * NWS follows an alert with further messages (`messageType` "Update" or
+ * "Cancel") whose `references` point back at the earlier alert IDs, and which
+ * share the VTEC event (office, phenomenon, significance, ETN and year) of the original
+ * even when NWS reissues it without references. This module groups those
+ * messages into chains so each follow-up can be classified against
+ * what the chain said before, remembers which locations each chain was announced
+ * for (so an all-clear can follow once none is active), and persists the chains
+ * across restarts.
+ */
+
+/** Chains missing from the feed for this long are forgotten */
+const PRUNE_AFTER_MS = 24 * 3_600_000;
+
+/**
+ * How a message changed its chain. `expired` (VTEC EXP or UPG) ends the chain
+ * quietly, leaving the all-clear to say so.
+ * @typedef {'new' | 'extended' | 'area-changed' | 'cancelled' | 'expired' | 'unchanged'} ChangeKind
+ */
+
+/**
+ * Change kinds implied by VTEC action codes. Other actions (NEW, CON, EXT, COR,
+ * ROU) are classified by comparing the message with the chain.
+ * @type {Record<string, ChangeKind>}
+ */
+const VTEC_KINDS = {
+  CAN: 'cancelled',
+  EXP: 'expired',
+  UPG: 'expired',
+  EXA: 'area-changed',
+  EXB: 'area-changed',
+};
+
+/**
+ * @typedef {Object} AlertChain
+ * @property {string} event - Event type (e.g. "Tornado Warning")
+ * @property {Record<string, ChangeKind>} messages - Every alert ID seen in the chain, with how it changed the chain
+ * @property {string | null} ends - ISO 8601 end time from the latest message
+ * @property {string[]} ugc - Sorted UGC codes covered by the latest message
+ * @property {string} areaDesc - Area description from the latest message
+ * @property {boolean} cancelled - True once a message has cancelled or expired the chain
+ * @property {string | null} [vtec] - VTEC event key (e.g. "KLMK.TO.W.0042.2026"), when known
+ * @property {number} seen - When a message in the chain was last recorded (ms)
+ * @property {boolean} [inFeed] - False once the chain has dropped out of the NWS feed
+ * @property {string[]} [announcedFor] - Location keys the chain was announced for and not yet cleared
+ */
+
+/** @type {AlertChain[]} */
+let chains = [];
+
+/**
+ * Returns the path of the chain store.
+ * @returns {string} File path
+ */
+function lifecycleFile() {
+  return process.env.LIFECYCLE_FILE || './data/alert-chains.json';
+}
+
+/**
+ * Returns when an alert (or chain) ends: the event end time if given, else the
+ * message expiry.
+ * @param {import('./alertProcessor.js').AlertProperties} properties - Alert properties
+ * @returns {string | null} ISO 8601 time, or null if unknown
+ */
+export function endTimeOf(properties) {
+  return properties.ends || properties.expires || null;
+}
+
+/**
+ * Drops chains not seen for PRUNE_AFTER_MS and saves the rest.
+ * Failures are logged but do not throw, keeping the app alive.
+ * @param {number} now - Current time in ms
+ */
+function saveAlertChains(now) {
+  chains = chains.filter((c) => now - c.seen <= PRUNE_AFTER_MS);
+  const file = lifecycleFile();
+  try {
+    mkdirSync(dirname(file), { recursive: true });
+    writeFileSync(file, JSON.stringify(chains));
+  } catch (err) {
+    logger.warn(`Could not save alert lifecycle data: ${err.message}`);
+  }
+}
+
+/**
+ * Loads previously seen alert chains from disk into memory. Safe to call on
+ * startup; silently starts fresh if no file exists or it contains invalid JSON.
+ */
+export function loadAlertChains() {
+  try {
+    const data = JSON.parse(readFileSync(lifecycleFile(), 'utf8'));
+    chains = Array.isArray(data) ? data : [];
+    logger.info(`Loaded ${chains.length} alert chain(s) from disk`);
+  } catch {
+    chains = [];
+    logger.info('No existing alert lifecycle data found — starting fresh');
+  }
+}
+
+/**
+ * Finds the chain an alert ID belongs to.
+ * @param {string} alertId - The NWS alert ID
+ * @returns {AlertChain | undefined} The chain, if the ID has been recorded
+ */
+export function findChain(alertId) {
+  return chains.find((c) => Object.hasOwn(c.messages, alertId));
+}
+
+/**
+ * Collects the IDs an alert's `references` point at. NWS gives both the full
+ * `@id` URL (which matches feature IDs) and the bare `identifier`.
+ * @param {import('./alertProcessor.js').AlertFeature} alert - The alert
+ * @returns {string[]} Referenced alert IDs
+ */
+function referencedIds(alert) {
+  return (alert.properties.references ?? []).flatMap((r) => [r['@id'], r.identifier]);
+}
+
+/**
+ * Decides how a follow-up message changes its chain.
+ * @param {import('./alertProcessor.js').AlertFeature} alert - The follow-up message
+ * @param {AlertChain} chain - The chain as it stood before this message
+ * @param {string[]} ugc - Sorted UGC codes of the follow-up
+ * @returns {ChangeKind} The kind of change
+ */
+function classifyFollowUp(alert, chain, ugc) {
+  if (alert.properties.messageType === 'Cancel') return 'cancelled';
+  const vtecKind = VTEC_KINDS[getVtec(alert)?.action];
+  if (vtecKind) return vtecKind;
+  const ends = endTimeOf(alert.properties);
+  if (ends && (!chain.ends || Date.parse(ends) > Date.parse(chain.ends))) return 'extended';
+  const areaChanged =
+    ugc.join() !== chain.ugc.join() || alert.properties.areaDesc !== chain.areaDesc;
+  return areaChanged ? 'area-changed' : 'unchanged';
+}
+
+/**
+ * Returns the event key for a message's VTEC record. A message without a begin
+ * time continues an event already in effect, so it takes the key of the chain
+ * with its tracking number, keeping an event that runs past New Year under the
+ * year it began; chains are pruned long before a tracking number is reused.
+ *
+ * @param {import('./vtec.js').VtecRecord} record - The message's VTEC record
+ * @param {import('./alertProcessor.js').AlertFeature} alert - The NWS alert feature
+ * @returns {string} The event key
+ */
+function eventKeyFor(record, alert) {
+  if (!record.begins) {
+    const tracking = vtecTrackingKey(record);
+    const chain = chains.find((c) => c.vtec === tracking || c.vtec?.startsWith(`${tracking}.`));
+    if (chain) return chain.vtec;
+  }
+  return vtecEventKey(record, alert);
+}
+
+/**
+ * Returns the VTEC event key of an alert as its chain records it, so every
+ * message about an event shares one key (see eventKeyFor). Used by
+ * deduplication.js.
+ *
+ * @param {import('./alertProcessor.js').AlertFeature} alert - The NWS alert feature
+ * @returns {string | null} The event key, or null if the alert carries no VTEC
+ */
+export function vtecKeyOf(alert) {
+  const record = getVtec(alert);
+  if (!record) return null;
+  return findChain(alert.id)?.vtec ?? eventKeyFor(record, alert);
+}
+
+/**
+ * Records an alert in its chain and reports how it changed the chain: a brand
+ * new alert, an extension, an area change, a cancellation or expiry, or a
+ * re-issue with nothing new. The VTEC action decides where it is explicit
+ * (CAN, EXP, UPG, EXA, EXB). Recording the same alert ID again returns the
+ * original result.
+ *
+ * @param {import('./alertProcessor.js').AlertFeature} alert - The NWS alert feature
+ * @param {number} [now=currentTime()] - Current time in ms (injectable for tests)
+ * @returns {{ kind: ChangeKind, chain: AlertChain }} The change and the updated chain
+ */
+export function recordAlert(alert, now = currentTime()) {
+  const known = findChain(alert.id);
+  if (known) {
+    known.seen = now;
+    saveAlertChains(now);
+    return { kind: known.messages[alert.id], chain: known };
+  }
+
+  const { properties } = alert;
+  const ugc = [...(properties.geocode?.UGC ?? [])].sort();
+  const refs = referencedIds(alert);
+  const vtec = getVtec(alert);
+  const vtecKey = vtec ? eventKeyFor(vtec, alert) : null;
+  let chain = chains.find(
+    (c) => refs.some((id) => Object.hasOwn(c.messages, id)) || (vtecKey && c.vtec === vtecKey)
+  );
+  let kind;
+
+  if (chain) {
+    kind = classifyFollowUp(alert, chain, ugc);
+  } else {
+    const ending = properties.messageType === 'Cancel' ? 'cancelled' : VTEC_KINDS[vtec?.action];
+    kind = ending === 'cancelled' || ending === 'expired' ? ending : 'new';
+    chain = { event: properties.event, messages: {}, cancelled: false };
+    chains.push(chain);
+  }
+
+  chain.messages[alert.id] = kind;
+  chain.ends = endTimeOf(properties);
+  chain.ugc = ugc;
+  chain.areaDesc = properties.areaDesc;
+  chain.cancelled = chain.cancelled || kind === 'cancelled' || kind === 'expired';
+  chain.vtec = chain.vtec ?? vtecKey;
+  chain.seen = now;
+  saveAlertChains(now);
+  return { kind, chain };
+}
+
+/**
+ * Records every alert currently in the NWS feed (oldest first) and notes which
+ * chains have dropped out of it. Dropping out only counts when the feed is
+ * `complete`, so a failed fetch is never mistaken for warnings ending.
+ *
+ * @param {import('./alertProcessor.js').AlertFeature[]} features - Alerts in the feed
+ * @param {number} [now=currentTime()] - Current time in ms (injectable for tests)
+ * @param {boolean} [complete=true] - Whether every query for the feed succeeded
+ * @returns {Map<string, { kind: ChangeKind, chain: AlertChain }>} Changes keyed by alert ID
+ */
+export function recordFeed(features, now = currentTime(), complete = true) {
+  const changes = new Map();
+  for (const feature of features) {
+    changes.set(feature.id, recordAlert(feature, now));
+  }
+  if (complete) {
+    const present = new Set([...changes.values()].map(({ chain }) => chain));
+    chains.forEach((chain) => (chain.inFeed = present.has(chain)));
+    saveAlertChains(now);
+  }
+  return changes;
+}
+
+/**
+ * Checks whether a chain is still in effect: not cancelled, not expired, and
+ * still in the NWS feed.
+ * @param {AlertChain} chain - The chain
+ * @param {number} now - Current time in ms
+ * @returns {boolean} True if the chain is still active
+ */
+export function isActive(chain, now) {
+  if (chain.cancelled || chain.inFeed === false) return false;
+  return !chain.ends || Date.parse(chain.ends) > now;
+}
+
+/**
+ * Remembers that an alert's chain was announced for a location, so that an
+ * all-clear can be given once it ends.
+ * @param {string} alertId - The announced alert ID
+ * @param {string} locationKey - Location name ('' for the single unnamed location)
+ * @param {number} [now=currentTime()] - Current time in ms (injectable for tests)
+ */
+export function markAnnounced(alertId, locationKey, now = currentTime()) {
+  const chain = findChain(alertId);
+  if (!chain) return;
+  chain.announcedFor = [...new Set([...(chain.announcedFor ?? []), locationKey])];
+  saveAlertChains(now);
+}
+
+/**
+ * Checks whether every chain announced for a location has ended, without
+ * changing anything.
+ *
+ * @param {string} locationKey - Location name ('' for the single unnamed location)
+ * @param {number} [now=currentTime()] - Current time in ms (injectable for tests)
+ * @returns {AlertChain | null} The last chain to end, or null if nothing needs clearing
+ */
+export function findEndedChain(locationKey, now = currentTime()) {
+  const announced = chains.filter((c) => c.announcedFor?.includes(locationKey));
+  if (announced.length === 0 || announced.some((c) => isActive(c, now))) return null;
+  const endOf = (c) => Date.parse(c.ends) || 0;
+  return announced.reduce((last, c) => (endOf(c) > endOf(last) ? c : last));
+}
+
+/**
+ * Checks whether every chain announced for a location has ended. If so, the
+ * location is cleared (so the all-clear is given only once) and the chain that
+ * ended last is returned for the all-clear message. Called once the all-clear
+ * has been heard, so one that is held or fails to play is offered again.
+ *
+ * @param {string} locationKey - Location name ('' for the single unnamed location)
+ * @param {number} [now=currentTime()] - Current time in ms (injectable for tests)
+ * @returns {AlertChain | null} The last chain to end, or null if nothing needs clearing
+ */
+export function settleLocation(locationKey, now = currentTime()) {
+  const ended = findEndedChain(locationKey, now);
+  if (!ended) return null;
+  for (const c of chains) {
+    if (c.announcedFor?.includes(locationKey)) {
+      c.announcedFor = c.announcedFor.filter((k) => k !== locationKey);
+    }
+  }
+  saveAlertChains(now);
+  return ended;
+}
+
+/**
+ * Resets in-memory state. For use in tests only.
+ * @internal
+ */
+export function _reset() {
+  chains = [];
+}
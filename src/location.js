@@ -0,0 +1,348 @@
+import { readFileSync } from 'fs';
+import { logger } from './logger.js';
+import { STATE_FIPS, COUNTY_FIPS } from './countyCodes.js';
+import { NEIGHBORING_STATES } from './stateNeighbors.js';
+
+const UGC_PATTERN = /^[A-Z]{2}[CZ]\d{3}$/;
+const SAME_PATTERN = /^\d{6}$/;
+
+/**
+ * @typedef {Object} LocationCodes
+ * @property {string[]} ugc - NWS UGC county ("KYC111") or forecast zone ("KYZ030") codes
+ * @property {string[]} same - SAME/FIPS county codes (e.g. "021111")
+ */
+
+/**
+ * @typedef {Object} MonitoredLocation
+ * @property {string | null} name - Spoken name (e.g. "Mom's place"); null for the single env-configured location
+ * @property {string | null} state - Two-letter US state code, if configured
+ * @property {string | null} county - County name, if configured
+ * @property {LocationCodes} codes - Resolved UGC/SAME codes
+ * @property {import('./geo.js').LatLon | null} home - Point to geofence against, if configured
+ * @property {number} bufferMiles - Geofence buffer around warning polygons
+ */
+
+/**
+ * Splits a comma- or whitespace-separated list of codes into clean, uppercase entries.
+ * @param {string | undefined} value - Raw list (e.g. "KYC111, KYZ030")
+ * @returns {string[]} Trimmed, uppercased, non-empty codes
+ */
+export function parseCodeList(value) {
+  if (!value) return [];
+  return value
+    .split(/[\s,]+/)
+    .map((code) => code.trim().toUpperCase())
+    .filter(Boolean);
+}
+
+/**
+ * Looks up a county in the bundled FIPS table and returns its UGC and SAME codes.
+ * Matching is case-insensitive and ignores a trailing "County" suffix.
+ *
+ * @param {string} state - Two-letter US state code (e.g. "KY")
+ * @param {string} county - County name (e.g. "Jefferson" or "Jefferson County")
+ * @returns {{ ugc: string, same: string } | null} The county codes, or null if not in the table
+ */
+export function lookupCounty(state, county) {
+  const stateCode = state.toUpperCase();
+  const counties = COUNTY_FIPS[stateCode];
+  if (!counties) return null;
+
+  const wanted = county
+    .trim()
+    .replace(/\s+county$/i, '')
+    .toLowerCase();
+  const name = Object.keys(counties).find((c) => c.toLowerCase() === wanted);
+  if (!name) return null;
+
+  const fips = counties[name];
+  return { ugc: `${stateCode}C${fips}`, same: `0${STATE_FIPS[stateCode]}${fips}` };
+}
+
+/**
+ * Resolves a location configuration into the UGC and SAME codes used to query and
+ * filter NWS alerts. Explicit zone/SAME codes take precedence; a county name on its
+ * own is resolved through the bundled lookup table. Malformed codes are logged and
+ * dropped.
+ *
+ * @param {Object} config
+ * @param {string} config.state - Two-letter US state code
+ * @param {string} [config.county] - County name, used when no explicit codes are given
+ * @param {string[]} [config.zones=[]] - Explicit UGC codes
+ * @param {string[]} [config.same=[]] - Explicit SAME codes
+ * @returns {LocationCodes} The resolved codes (both arrays empty if nothing resolved)
+ */
+export function resolveLocationCodes({ state, county, zones = [], same = [] }) {
+  const ugc = zones.filter((code) => {
+    if (UGC_PATTERN.test(code)) return true;
+    logger.warn(`Ignoring malformed UGC code "${code}" (expected e.g. KYC111 or KYZ030)`);
+    return false;
+  });
+  const sameCodes = same.filter((code) => {
+    if (SAME_PATTERN.test(code)) return true;
+    logger.warn(`Ignoring malformed SAME code "${code}" (expected six digits, e.g. 021111)`);
+    return false;
+  });
+
+  if (ugc.length > 0 || sameCodes.length > 0 || !county) {
+    return { ugc, same: sameCodes };
+  }
+
+  const resolved = lookupCounty(state, county);
+  if (!resolved) {
+    logger.warn(
+      `County "${county}, ${state}" is not in the bundled lookup table — ` +
+        'set ALERT_ZONES or ALERT_SAME to filter below the state level'
+    );
+    return { ugc: [], same: [] };
+  }
+
+  return { ugc: [resolved.ugc], same: [resolved.same] };
+}
+
+/**
+ * Reads the location settings from the environment (ALERT_STATE, ALERT_COUNTY,
+ * ALERT_ZONES, ALERT_SAME) and resolves them into alert codes.
+ * @returns {LocationCodes} The resolved codes for the configured location
+ */
+export function getLocationCodes() {
+  return resolveLocationCodes({
+    state: process.env.ALERT_STATE || 'KY',
+    county: process.env.ALERT_COUNTY || 'Jefferson',
+    zones: parseCodeList(process.env.ALERT_ZONES),
+    same: parseCodeList(process.env.ALERT_SAME),
+  });
+}
+
+/**
+ * Checks whether an alert's `properties.geocode` UGC or SAME codes overlap the
+ * configured codes. Alerts that carry no geocode at all are kept, so that a
+ * warning is never silently dropped just because NWS omitted its codes.
+ *
+ * @param {import('./alertProcessor.js').AlertFeature} feature - The NWS alert feature
+ * @param {LocationCodes} codes - The configured location codes
+ * @returns {boolean} True if the alert applies to the configured location
+ */
+export function matchesLocationCodes(feature, codes) {
+  const geocode = feature.properties?.geocode;
+  const alertUgc = geocode?.UGC ?? [];
+  const alertSame = geocode?.SAME ?? [];
+  if (alertUgc.length === 0 && alertSame.length === 0) return true;
+
+  return (
+    alertUgc.some((code) => codes.ugc.includes(code)) ||
+    alertSame.some((code) => codes.same.includes(code))
+  );
+}
+
+/**
+ * Filters alert features down to those affecting the configured location.
+ * Returns the input unchanged when no codes are configured (state-wide monitoring).
+ *
+ * @param {import('./alertProcessor.js').AlertFeature[]} features - Raw NWS alert features
+ * @param {LocationCodes} codes - The configured location codes
+ * @returns {import('./alertProcessor.js').AlertFeature[]} Features matching the location
+ */
+export function filterByLocation(features, codes) {
+  if (codes.ugc.length === 0 && codes.same.length === 0) return features;
+  return features.filter((f) => matchesLocationCodes(f, codes));
+}
+
+/**
+ * Reads the home coordinate from HOME_LAT / HOME_LON. Missing or out-of-range
+ * values disable geofencing (with a warning when only partly configured).
+ * @returns {import('./geo.js').LatLon | null} The home point, or null if not configured
+ */
+export function getHomeLocation() {
+  const rawLat = process.env.HOME_LAT;
+  const rawLon = process.env.HOME_LON;
+  if (!rawLat && !rawLon) return null;
+
+  const lat = parseFloat(rawLat);
+  const lon = parseFloat(rawLon);
+  if (!(Math.abs(lat) <= 90) || !(Math.abs(lon) <= 180)) {
+    logger.warn(`Ignoring invalid HOME_LAT/HOME_LON "${rawLat}, ${rawLon}" — geofencing disabled`);
+    return null;
+  }
+
+  return { lat, lon };
+}
+
+/**
+ * Reads the geofence buffer distance from GEOFENCE_BUFFER_MILES (default 0).
+ * @returns {number} Buffer in miles; negative or invalid values are treated as 0
+ */
+export function getGeofenceBufferMiles() {
+  const miles = parseFloat(process.env.GEOFENCE_BUFFER_MILES || '0');
+  return miles > 0 ? miles : 0;
+}
+
+/**
+ * Builds the single location described by the ALERT_* / HOME_* environment
+ * variables. Used when no LOCATIONS_FILE is configured.
+ * @returns {MonitoredLocation} The env-configured location (unnamed)
+ */
+function getEnvLocation() {
+  return {
+    name: null,
+    state: process.env.ALERT_STATE || 'KY',
+    county: process.env.ALERT_COUNTY || 'Jefferson',
+    codes: getLocationCodes(),
+    home: getHomeLocation(),
+    bufferMiles: getGeofenceBufferMiles(),
+  };
+}
+
+/**
+ * Validates one entry of the locations file and resolves its codes.
+ * Each entry needs a unique name plus at least one filter: a state (optionally
+ * with a county or SAME codes), UGC zone codes, or a lat/lon point.
+ *
+ * @param {Record<string, unknown>} entry - Raw JSON entry
+ * @param {number} index - Position in the file (for error messages)
+ * @returns {MonitoredLocation} The resolved location
+ * @throws {Error} If the entry is malformed
+ */
+export function parseLocation(entry, index) {
+  const label = `Location #${index + 1}`;
+  if (!entry || typeof entry !== 'object') throw new Error(`${label} must be an object`);
+
+  const { name, state, county, zones = [], same = [], lat, lon, bufferMiles = 0 } = entry;
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new Error(`${label} needs a "name"`);
+  }
+  if (state !== undefined && !/^[A-Za-z]{2}$/.test(state)) {
+    throw new Error(`${label} ("${name}") has an invalid state "${state}"`);
+  }
+  if ((county !== undefined || same.length > 0) && state === undefined) {
+    throw new Error(`${label} ("${name}") needs a "state" to go with its county or SAME codes`);
+  }
+  if (!Array.isArray(zones) || !Array.isArray(same)) {
+    throw new Error(`${label} ("${name}") "zones" and "same" must be arrays`);
+  }
+
+  const hasPoint = lat !== undefined || lon !== undefined;
+  if (hasPoint && !(Math.abs(lat) <= 90 && Math.abs(lon) <= 180)) {
+    throw new Error(`${label} ("${name}") has an invalid lat/lon "${lat}, ${lon}"`);
+  }
+  if (!state && zones.length === 0 && !hasPoint) {
+    throw new Error(`${label} ("${name}") needs a state, zones, or a lat/lon point`);
+  }
+
+  const stateCode = state ? state.toUpperCase() : null;
+  return {
+    name: name.trim(),
+    state: stateCode,
+    county: county ?? null,
+    codes: resolveLocationCodes({
+      state: stateCode,
+      county,
+      zones: zones.map((z) => String(z).toUpperCase()),
+      same: same.map(String),
+    }),
+    home: hasPoint ? { lat, lon } : null,
+    bufferMiles: bufferMiles > 0 ? bufferMiles : 0,
+  };
+}
+
+/**
+ * Returns every location to monitor. With LOCATIONS_FILE set, reads a JSON array
+ * of named locations from that file; otherwise returns the single location
+ * described by the ALERT_* / HOME_* environment variables.
+ *
+ * @returns {MonitoredLocation[]} The configured locations (never empty)
+ * @throws {Error} If the locations file is missing, unreadable, or invalid
+ */
+export function getLocations() {
+  const file = process.env.LOCATIONS_FILE;
+  if (!file) return [getEnvLocation()];
+
+  let entries;
+  try {
+    entries = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read LOCATIONS_FILE "${file}": ${err.message}`);
+  }
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error(`LOCATIONS_FILE "${file}" must contain a non-empty JSON array`);
+  }
+
+  const locations = entries.map(parseLocation);
+  const names = locations.map((l) => l.name.toLowerCase());
+  const duplicate = names.find((n, i) => names.indexOf(n) !== i);
+  if (duplicate) {
+    throw new Error(`LOCATIONS_FILE "${file}" lists the location name "${duplicate}" twice`);
+  }
+  return locations;
+}
+
+/**
+ * Plans the NWS queries needed to cover every location, fetching each state and
+ * each zone only once: all zone codes go into one zone query, each distinct
+ * state gets one area query, and point-only locations get a point query. A
+ * location with a home point and a state is fetched by state even when it has
+ * zone codes, because a warning polygon within its geofence buffer can lie in a
+ * neighboring county; with a buffer, the neighboring states are fetched too, as
+ * the polygon can lie across the state line. The polygon test does the
+ * filtering (see matchAlerts).
+ *
+ * @param {MonitoredLocation[]} locations - The configured locations
+ * @returns {Array<import('./poller.js').AlertQuery>} Queries to pass to fetchAlerts
+ */
+export function buildAlertQueries(locations) {
+  const zones = new Set();
+  const states = new Set();
+  const points = [];
+
+  for (const location of locations) {
+    if (location.home && location.state) {
+      states.add(location.state);
+      if (location.bufferMiles > 0) {
+        (NEIGHBORING_STATES[location.state] ?? []).forEach((s) => states.add(s));
+      }
+    } else if (location.codes.ugc.length > 0) {
+      location.codes.ugc.forEach((z) => zones.add(z));
+    } else if (location.state) {
+      states.add(location.state);
+    } else if (location.home) {
+      points.push(location.home);
+    }
+  }
+
+  return [
+    ...states,
+    ...(zones.size > 0 ? [{ zones: [...zones] }] : []),
+    ...points.map((point) => ({ point })),
+  ];
+}
+
+/**
+ * Narrows alerts fetched for all locations down to those for one location by its
+ * UGC/SAME codes, or — when it has no codes — by the state prefix of the alert's
+ * UGC codes. Alerts without a geocode are kept (see matchesLocationCodes).
+ *
+ * @param {import('./alertProcessor.js').AlertFeature[]} features - Alerts for all locations
+ * @param {MonitoredLocation} location - The location to match
+ * @returns {import('./alertProcessor.js').AlertFeature[]} Alerts for this location
+ */
+export function selectForLocation(features, location) {
+  const { codes, state } = location;
+  if (codes.ugc.length > 0 || codes.same.length > 0) return filterByLocation(features, codes);
+  if (!state) return features;
+
+  return features.filter((f) => {
+    const ugc = f.properties?.geocode?.UGC ?? [];
+    return ugc.length === 0 || ugc.some((code) => code.startsWith(state));
+  });
+}
+
+/**
+ * Builds the spoken label for a named location, e.g. "Mom's place in Oldham County".
+ * @param {MonitoredLocation} location - The location
+ * @returns {string | null} The label, or null for the unnamed env-configured location
+ */
+export function describeLocation(location) {
+  if (!location.name) return null;
+  if (!location.county) return location.name;
+  return `${location.name} in ${location.county.replace(/\s+county$/i, '')} County`;
+}
@@ -0,0 +1,265 @@
+/**
+ * In-process metrics, served in the Prometheus text format by the status API's
+ * /metrics route (see statusApi.js). Every metric is listed in METRICS; their
+ * names are part of the interface dashboards are built on, so rename none.
+ */
+
+/**
+ * @typedef {'counter' | 'gauge' | 'histogram'} MetricType
+ */
+
+/**
+ * @typedef {Object} MetricDefinition
+ * @property {MetricType} type - Prometheus metric type
+ * @property {string} help - Description shown in the # HELP line
+ * @property {string[]} [labels] - Label names, in order
+ * @property {number[]} [buckets] - Upper bounds of the histogram buckets (seconds)
+ */
+
+/** Prefix of every metric name */
+export const METRIC_PREFIX = 'calm_tornado_alert_';
+
+/** Histogram buckets for NWS polls (seconds) */
+const POLL_BUCKETS = [0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+/** Histogram buckets for speech synthesis (seconds) */
+const TTS_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/** @type {Readonly<Record<string, MetricDefinition>>} Every metric, by name without METRIC_PREFIX */
+export const METRICS = Object.freeze({
+  polls_total: {
+    type: 'counter',
+    help: 'NWS polls, by outcome: complete, partial (a query failed) or failed',
+    labels: ['outcome'],
+  },
+  poll_duration_seconds: {
+    type: 'histogram',
+    help: 'Time to fetch and process the alerts of one poll, excluding playback',
+    buckets: POLL_BUCKETS,
+  },
+  nws_responses_total: {
+    type: 'counter',
+    help: 'NWS API responses, by HTTP status code ("error" when no response arrived)',
+    labels: ['status'],
+  },
+  nws_retries_total: {
+    type: 'counter',
+    help: 'NWS requests retried after a failure',
+  },
+  alerts_seen_total: {
+    type: 'counter',
+    help: 'Alerts for an enabled hazard in the NWS feed, counted every poll',
+  },
+  alerts_spoken_total: {
+    type: 'counter',
+    help: 'Alerts announced (once played)',
+  },
+  alerts_suppressed_total: {
+    type: 'counter',
+    help:
+      'Alerts seen but not announced, counted every poll, by reason: duplicate, unchanged, ' +
+      'quiet_hours, muted or out_of_area',
+    labels: ['reason'],
+  },
+  tts_duration_seconds: {
+    type: 'histogram',
+    help: 'Time taken by a TTS provider to synthesize speech, for successful requests',
+    labels: ['provider'],
+    buckets: TTS_BUCKETS,
+  },
+  tts_failures_total: {
+    type: 'counter',
+    help: 'Failed TTS requests (errors and timeouts), by provider',
+    labels: ['provider'],
+  },
+  audio_player_exits_total: {
+    type: 'counter',
+    help: 'Audio player runs, by player and exit code ("timeout" or "error" when it did not exit)',
+    labels: ['player', 'code'],
+  },
+  seconds_since_last_successful_poll: {
+    type: 'gauge',
+    help: 'Seconds since a poll last fetched every NWS query (since startup before the first)',
+  },
+});
+
+/**
+ * @typedef {Object} HistogramValue
+ * @property {number[]} counts - Observations per bucket (not cumulative)
+ * @property {number} sum - Sum of all observations
+ * @property {number} count - Number of observations
+ */
+
+/** @type {Map<string, Map<string, number | HistogramValue>>} Values by metric, then by label values */
+let values = new Map();
+
+/**
+ * Looks up a metric's definition.
+ * @param {string} name - Metric name without METRIC_PREFIX
+ * @returns {MetricDefinition} The definition
+ * @throws {Error} If the metric is not in METRICS
+ */
+function definitionOf(name) {
+  const definition = METRICS[name];
+  if (!definition) throw new Error(`Unknown metric "${name}"`);
+  return definition;
+}
+
+/**
+ * Returns the key a metric's series is stored under: its label values, in the
+ * definition's order.
+ * @param {MetricDefinition} definition - The metric
+ * @param {Record<string, string | number>} labels - Label values
+ * @returns {string} The series key
+ */
+function seriesKey(definition, labels) {
+  return JSON.stringify((definition.labels ?? []).map((label) => String(labels[label] ?? '')));
+}
+
+/**
+ * Returns the value of a series nothing has been recorded in.
+ * @param {MetricDefinition} definition - The metric
+ * @returns {number | HistogramValue} 0, or an empty histogram
+ */
+function emptyValue(definition) {
+  if (definition.type !== 'histogram') return 0;
+  return { counts: definition.buckets.map(() => 0), sum: 0, count: 0 };
+}
+
+/**
+ * Returns a metric's series, creating an empty map for it if needed.
+ * @param {string} name - Metric name without METRIC_PREFIX
+ * @returns {Map<string, number | HistogramValue>} Values by series key
+ */
+function seriesOf(name) {
+  if (!values.has(name)) values.set(name, new Map());
+  return values.get(name);
+}
+
+/**
+ * Adds to a counter.
+ * @param {string} name - Counter name without METRIC_PREFIX (see METRICS)
+ * @param {Record<string, string | number>} [labels={}] - Label values
+ * @param {number} [amount=1] - How much to add
+ */
+export function increment(name, labels = {}, amount = 1) {
+  const key = seriesKey(definitionOf(name), labels);
+  const series = seriesOf(name);
+  series.set(key, (series.get(key) ?? 0) + amount);
+}
+
+/**
+ * Sets a gauge.
+ * @param {string} name - Gauge name without METRIC_PREFIX (see METRICS)
+ * @param {number} value - The value
+ * @param {Record<string, string | number>} [labels={}] - Label values
+ */
+export function setGauge(name, value, labels = {}) {
+  seriesOf(name).set(seriesKey(definitionOf(name), labels), value);
+}
+
+/**
+ * Records an observation in a histogram.
+ * @param {string} name - Histogram name without METRIC_PREFIX (see METRICS)
+ * @param {number} value - The observation (seconds)
+ * @param {Record<string, string | number>} [labels={}] - Label values
+ */
+export function observe(name, value, labels = {}) {
+  const definition = definitionOf(name);
+  const key = seriesKey(definition, labels);
+  const series = seriesOf(name);
+  if (!series.has(key)) series.set(key, emptyValue(definition));
+  const histogram = series.get(key);
+  const bucket = definition.buckets.findIndex((bound) => value <= bound);
+  if (bucket >= 0) histogram.counts[bucket] += 1;
+  histogram.sum += value;
+  histogram.count += 1;
+}
+
+/**
+ * Formats a label set, e.g. {provider="google",le="0.5"}.
+ * @param {string[]} names - Label names
+ * @param {string[]} labelValues - Label values, in the same order
+ * @returns {string} The label set, or "" when there are no labels
+ */
+function formatLabels(names, labelValues) {
+  if (names.length === 0) return '';
+  const escape = (value) => value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  return `{${names.map((name, i) => `${name}="${escape(labelValues[i])}"`).join(',')}}`;
+}
+
+/**
+ * Formats a sample value; Prometheus spells infinity and NaN its own way.
+ * @param {number} value - The value
+ * @returns {string} The value as text
+ */
+function formatValue(value) {
+  if (Number.isNaN(value)) return 'NaN';
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+/**
+ * Renders the sample lines of one histogram series: cumulative buckets, sum and count.
+ * @param {string} fullName - Metric name with METRIC_PREFIX
+ * @param {MetricDefinition} definition - The metric
+ * @param {string[]} labelValues - The series' label values
+ * @param {HistogramValue} histogram - The series' observations
+ * @returns {string[]} Sample lines
+ */
+function histogramLines(fullName, definition, labelValues, histogram) {
+  const names = definition.labels ?? [];
+  const labels = formatLabels(names, labelValues);
+  let cumulative = 0;
+  const buckets = definition.buckets.map((bound, i) => {
+    cumulative += histogram.counts[i];
+    return [String(bound), cumulative];
+  });
+  return [
+    ...[...buckets, ['+Inf', histogram.count]].map(
+      ([le, count]) =>
+        `${fullName}_bucket${formatLabels([...names, 'le'], [...labelValues, le])} ${count}`
+    ),
+    `${fullName}_sum${labels} ${formatValue(histogram.sum)}`,
+    `${fullName}_count${labels} ${histogram.count}`,
+  ];
+}
+
+/**
+ * Renders every metric in the Prometheus text exposition format (version 0.0.4).
+ * Metrics without labels are always listed, at 0 until first recorded; labelled
+ * ones appear once a series has a value.
+ *
+ * @returns {string} The exposition
+ */
+export function renderMetrics() {
+  const lines = [];
+  for (const [name, definition] of Object.entries(METRICS)) {
+    const fullName = `${METRIC_PREFIX}${name}`;
+    const names = definition.labels ?? [];
+    lines.push(`# HELP ${fullName} ${definition.help}`, `# TYPE ${fullName} ${definition.type}`);
+
+    const series = new Map(values.get(name));
+    if (series.size === 0 && names.length === 0) {
+      series.set('[]', emptyValue(definition));
+    }
+    for (const [key, value] of series) {
+      const labelValues = JSON.parse(key);
+      if (definition.type === 'histogram') {
+        lines.push(...histogramLines(fullName, definition, labelValues, value));
+      } else {
+        lines.push(`${fullName}${formatLabels(names, labelValues)} ${formatValue(value)}`);
+      }
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Clears every recorded value. For use in tests only.
+ * @internal
+ */
+export function _reset() {
+  values = new Map();
+}
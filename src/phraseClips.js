@@ -0,0 +1,260 @@
+import { copyFileSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { extname, join } from 'path';
+import { logger } from './logger.js';
+import { synthesizeSpeech } from './tts.js';
+import { concatWav } from './wav.js';
+
+/**
+ * Phrase-clip fallback for a total TTS outage. While online, `npm run build-clips`
+ * synthesizes a library of short phrases ("There's a Tornado Warning for",
+ * each configured county, "until", the hours and minutes, "Please head to a
+ * safe spot.") into CLIP_LIBRARY_DIR (default ./data/clips). When synthesis
+ * fails, a warning is stitched together from those clips instead.
+ */
+
+/** Spoken before the expiry time */
+const UNTIL = 'until';
+
+/** Spoken when a location has no county or name to announce */
+const YOUR_AREA = 'your area';
+
+/** Closes every stitched warning */
+const CLOSING = 'Please head to a safe spot.';
+
+/** Silence between WAV clips (milliseconds) */
+const CLIP_GAP_MS = 120;
+
+/** File listing which clip holds which phrase */
+const MANIFEST = 'manifest.json';
+
+const ONES = [
+  '',
+  'one',
+  'two',
+  'three',
+  'four',
+  'five',
+  'six',
+  'seven',
+  'eight',
+  'nine',
+  'ten',
+  'eleven',
+  'twelve',
+  'thirteen',
+  'fourteen',
+  'fifteen',
+  'sixteen',
+  'seventeen',
+  'eighteen',
+  'nineteen',
+];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty'];
+
+/**
+ * Returns the clip library directory.
+ * @returns {string} CLIP_LIBRARY_DIR, or ./data/clips
+ */
+function clipDir() {
+  return process.env.CLIP_LIBRARY_DIR || './data/clips';
+}
+
+/**
+ * Spells out a number from 1 to 59, e.g. 35 → "thirty-five".
+ * @param {number} n - The number
+ * @returns {string} The number in words
+ */
+export function numberWords(n) {
+  if (n < 20) return ONES[n];
+  return n % 10 === 0 ? TENS[n / 10] : `${TENS[Math.floor(n / 10)]}-${ONES[n % 10]}`;
+}
+
+/**
+ * Splits a clock time into the phrases that speak it, in local time, e.g.
+ * 4:35 PM → ["four", "thirty-five", "PM"], 4:05 → ["four", "oh", "five", "PM"]
+ * and 4:00 → ["four", "o'clock", "PM"].
+ *
+ * @param {Date} date - The time
+ * @returns {string[]} Phrases, in order
+ */
+export function timePhrases(date) {
+  const parts = new Intl.DateTimeFormat('en-US', { hour: 'numeric', minute: '2-digit' })
+    .formatToParts(date)
+    .reduce((acc, { type, value }) => ({ ...acc, [type]: value }), {});
+  const minute = parseInt(parts.minute, 10);
+  let minutePhrases = [numberWords(minute)];
+  if (minute === 0) minutePhrases = ["o'clock"];
+  else if (minute < 10) minutePhrases = ['oh', numberWords(minute)];
+  return [numberWords(parseInt(parts.hour, 10)), ...minutePhrases, parts.dayPeriod.toUpperCase()];
+}
+
+/**
+ * Returns the phrase naming a location: its county ("Jefferson County"), else
+ * its name, else "your area".
+ * @param {import('./location.js').MonitoredLocation} location - The location
+ * @returns {string} The phrase
+ */
+export function placePhrase(location) {
+  if (location.county) return `${location.county.replace(/\s+county$/i, '')} County`;
+  return location.name || YOUR_AREA;
+}
+
+/**
+ * Returns the opening phrase for a hazard, e.g. "There's a Tornado Warning for".
+ * @param {string} event - NWS event name
+ * @returns {string} The phrase
+ */
+function eventPhrase(event) {
+  return `There's a ${event} for`;
+}
+
+/**
+ * Plans the clips that announce a warning, e.g. "There's a Tornado Warning for",
+ * "Jefferson County", "until", "four", "thirty-five", "PM", "Please head to a safe spot.".
+ *
+ * @param {string} event - NWS event name
+ * @param {import('./location.js').MonitoredLocation} location - The location it is for
+ * @param {string | null | undefined} expires - ISO 8601 end time, if known
+ * @returns {string[]} Phrases to stitch, in order
+ */
+export function planClips(event, location, expires) {
+  const until =
+    expires && !isNaN(Date.parse(expires)) ? [UNTIL, ...timePhrases(new Date(expires))] : [];
+  return [eventPhrase(event), placePhrase(location), ...until, CLOSING];
+}
+
+/**
+ * Lists every phrase the library needs for the given locations and hazards:
+ * each opening and place, plus the words for any time of day.
+ *
+ * @param {import('./location.js').MonitoredLocation[]} locations - The monitored locations
+ * @param {import('./hazards.js').Hazard[]} hazards - Enabled hazards
+ * @returns {string[]} Distinct phrases
+ */
+export function libraryPhrases(locations, hazards) {
+  const numbers = Array.from({ length: 59 }, (_, i) => numberWords(i + 1));
+  return [
+    ...new Set([
+      ...hazards.map((hazard) => eventPhrase(hazard.event)),
+      ...locations.map(placePhrase),
+      YOUR_AREA,
+      UNTIL,
+      ...numbers,
+      'oh',
+      "o'clock",
+      'AM',
+      'PM',
+      CLOSING,
+    ]),
+  ];
+}
+
+/**
+ * Builds a file name for a phrase, e.g. "o'clock" → "o-clock".
+ * @param {string} phrase - The phrase
+ * @returns {string} File name without extension
+ */
+function slug(phrase) {
+  return phrase
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+/**
+ * Reads the clip library manifest.
+ * @returns {Record<string, string>} Clip file name by phrase (empty if there is no library)
+ */
+function readManifest() {
+  try {
+    return JSON.parse(readFileSync(join(clipDir(), MANIFEST), 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Synthesizes every phrase in `phrases` with the configured TTS provider(s) and
+ * stores it in the clip library, replacing any older clip for the same phrase.
+ *
+ * @param {string[]} phrases - Phrases to record (see libraryPhrases)
+ * @returns {Promise<{ built: number, failed: string[] }>} How many were recorded, and which failed
+ */
+export async function buildClipLibrary(phrases) {
+  const dir = clipDir();
+  mkdirSync(dir, { recursive: true });
+  const manifest = readManifest();
+  const failed = [];
+
+  for (const phrase of phrases) {
+    try {
+      const audioPath = await synthesizeSpeech(phrase);
+      const file = `${slug(phrase)}${extname(audioPath)}`;
+      copyFileSync(audioPath, join(dir, file));
+      manifest[phrase] = file;
+    } catch (err) {
+      logger.warn(`Could not record clip "${phrase}": ${err.message}`);
+      failed.push(phrase);
+    }
+  }
+
+  writeFileSync(join(dir, MANIFEST), JSON.stringify(manifest, null, 2));
+  const formats = new Set(Object.values(manifest).map((file) => extname(file)));
+  if (formats.size > 1) {
+    logger.warn(
+      `The clip library mixes ${[...formats].join(' and ')} clips, which cannot be joined; ` +
+        'rebuild it with a single TTS provider'
+    );
+  }
+  return { built: phrases.length - failed.length, failed };
+}
+
+/**
+ * Removes a leading ID3v2 tag and a trailing ID3v1 tag from MP3 data, leaving
+ * only audio frames, so clips can be joined end to end.
+ * @param {Buffer} mp3 - MP3 file contents
+ * @returns {Buffer} The audio frames
+ */
+function stripId3(mp3) {
+  let start = 0;
+  if (mp3.toString('latin1', 0, 3) === 'ID3') {
+    // Tag size is a 28-bit "syncsafe" integer; a footer adds another 10 bytes
+    const size = (mp3[6] << 21) | (mp3[7] << 14) | (mp3[8] << 7) | mp3[9];
+    start = 10 + size + (mp3[5] & 0x10 ? 10 : 0);
+  }
+  const hasV1 =
+    mp3.length - start >= 128 &&
+    mp3.toString('latin1', mp3.length - 128, mp3.length - 125) === 'TAG';
+  return mp3.subarray(start, hasV1 ? mp3.length - 128 : mp3.length);
+}
+
+/**
+ * Stitches library clips into one audio file. WAV clips are joined with a short
+ * pause between them; MP3 clips are joined frame to frame.
+ *
+ * @param {string[]} phrases - Phrases to speak, in order (see planClips)
+ * @returns {string} Path to the stitched file
+ * @throws {Error} If a phrase has no clip or the clips cannot be joined
+ */
+export function stitchClips(phrases) {
+  const dir = clipDir();
+  const manifest = readManifest();
+  const missing = phrases.filter((phrase) => !manifest[phrase]);
+  if (missing.length > 0) {
+    throw new Error(
+      `No clip for ${missing.map((p) => `"${p}"`).join(', ')} (run npm run build-clips)`
+    );
+  }
+
+  const files = phrases.map((phrase) => manifest[phrase]);
+  const extensions = new Set(files.map((file) => extname(file)));
+  if (extensions.size > 1) throw new Error('Clips are in more than one audio format');
+  const [extension] = extensions;
+
+  const clips = files.map((file) => readFileSync(join(dir, file)));
+  const audio =
+    extension === '.wav' ? concatWav(clips, CLIP_GAP_MS) : Buffer.concat(clips.map(stripId3));
+  const outputPath = join(dir, `stitched${extension}`);
+  writeFileSync(outputPath, audio);
+  return outputPath;
+}
@@ -1,9 +1,15 @@
 import { logger } from './logger.js';
+import { getEnabledHazards } from './hazards.js';
+import { increment } from './metrics.js';
 
+/** Default NWS API root; NWS_API_URL overrides it (e.g. for a simulation's recorded feed) */
 const NWS_API_BASE = 'https://api.weather.gov';
 const MAX_RETRIES = 5;
 const BASE_DELAY_MS = 5_000;
 
+/** @type {boolean} Whether the most recent fetchAlerts call gave up after all retries */
+let lastFetchFailed = false;
+
 /**
  * Returns a Promise that resolves after the specified delay.
  * @param {number} ms - Milliseconds to wait
@@ -14,30 +20,58 @@ function delay(ms) {
 }
 
 /**
- * Fetches active Tornado Warning alerts from the NOAA National Weather Service API
- * for a given US state. Retries automatically on network failure using exponential
- * backoff (up to MAX_RETRIES attempts).
+ * @typedef {Object} ZoneQuery
+ * @property {string[]} zones - NWS UGC county/forecast zone codes (e.g. ["KYC111", "KYZ030"])
+ */
+
+/**
+ * @typedef {Object} PointQuery
+ * @property {import('./geo.js').LatLon} point - Coordinate whose alerts to fetch
+ */
+
+/**
+ * @typedef {string | ZoneQuery | PointQuery} AlertQuery
+ */
+
+/**
+ * Fetches active alerts for every enabled hazard in the catalog (see hazards.js)
+ * from the NOAA National Weather Service API in a single request, for a whole US
+ * state, a list of UGC county/forecast zones, or a single point. Retries automatically on network failure using exponential backoff (up to
+ * MAX_RETRIES attempts).
  *
- * @param {string} state - Two-letter US state code (e.g. "KY")
+ * @param {AlertQuery} area - Two-letter US state code (e.g. "KY"), a zone query, or a point query
  * @param {number} [attempt=0] - Current retry attempt (used internally)
  * @param {(ms: number) => Promise<void>} [_delayFn=delay] - Delay function (injectable for tests)
  * @returns {Promise<import('./alertProcessor.js').AlertFeature[]>} Array of GeoJSON alert features
  */
-export async function fetchAlerts(state, attempt = 0, _delayFn = delay) {
-  const url = new URL(`${NWS_API_BASE}/alerts/active`);
-  url.searchParams.set('area', state.toUpperCase());
-  url.searchParams.set('event', 'Tornado Warning');
+export async function fetchAlerts(area, attempt = 0, _delayFn = delay) {
+  const url = new URL(`${process.env.NWS_API_URL || NWS_API_BASE}/alerts/active`);
+  if (typeof area === 'string') {
+    url.searchParams.set('area', area.toUpperCase());
+  } else if (area.zones) {
+    url.searchParams.set('zone', area.zones.map((z) => z.toUpperCase()).join(','));
+  } else {
+    url.searchParams.set('point', `${area.point.lat},${area.point.lon}`);
+  }
+  url.searchParams.set(
+    'event',
+    getEnabledHazards()
+      .map((h) => h.event)
+      .join(',')
+  );
   url.searchParams.set('status', 'actual');
 
+  let response = null;
   try {
     logger.debug(`Fetching NWS alerts (attempt ${attempt + 1}/${MAX_RETRIES + 1})`);
 
-    const response = await fetch(url.toString(), {
+    response = await fetch(url.toString(), {
       headers: {
         'User-Agent': '(calm-tornado-alert, github.com/jmi4/tornado_alerts)',
         Accept: 'application/geo+json',
       },
     });
+    increment('nws_responses_total', { status: response.status });
 
     if (!response.ok) {
       throw new Error(`NWS API responded with HTTP ${response.status}`);
@@ -45,17 +79,31 @@ export async function fetchAlerts(state, attempt = 0, _delayFn = delay) {
 
     const data = await response.json();
     const features = data.features ?? [];
+    lastFetchFailed = false;
     logger.debug(`NWS returned ${features.length} active alert(s)`);
     return features;
   } catch (err) {
+    // No response at all (DNS, connection, TLS): counted apart from HTTP error codes
+    if (!response) increment('nws_responses_total', { status: 'error' });
     if (attempt >= MAX_RETRIES) {
       logger.error(`Giving up after ${MAX_RETRIES + 1} attempts: ${err.message}`);
+      lastFetchFailed = true;
       return [];
     }
 
     const backoffMs = BASE_DELAY_MS * Math.pow(2, attempt);
     logger.warn(`Network error, retrying in ${backoffMs / 1000}s: ${err.message}`);
+    increment('nws_retries_total');
     await _delayFn(backoffMs);
-    return fetchAlerts(state, attempt + 1, _delayFn);
+    return fetchAlerts(area, attempt + 1, _delayFn);
   }
 }
+
+/**
+ * Reports whether the most recent fetchAlerts call gave up after all retries, so
+ * callers can tell an empty feed from a failed one.
+ * @returns {boolean} True if the last fetch returned [] because of errors
+ */
+export function didLastFetchFail() {
+  return lastFetchFailed;
+}
@@ -0,0 +1,247 @@
+import { readFileSync } from 'fs';
+import { logger } from './logger.js';
+import { currentTime } from './clock.js';
+
+/**
+ * Quiet hours: windows of the week (in a given time zone) during which
+ * announcements are allowed, played at a lower volume, or held until the window
+ * ends, with a policy per hazard. Tornado Emergencies always play as usual.
+ *
+ * A held announcement is simply not queued; the alert is not marked spoken, so
+ * the next poll after the window ends announces it if it is still in effect.
+ * A held all-clear likewise leaves its location unsettled, so it is spoken then.
+ */
+
+/**
+ * @typedef {'allow' | 'lower' | 'hold'} QuietPolicy
+ */
+
+/**
+ * @typedef {Object} QuietWindow
+ * @property {string} name - Name used in the log (defaults to "Quiet window #n")
+ * @property {Set<number>} days - Days the window starts on, 0 = Sunday
+ * @property {number} start - Start, in minutes after local midnight
+ * @property {number} end - End, in minutes after local midnight; before start for overnight windows
+ * @property {string} timeZone - IANA time zone the days and times are in
+ * @property {QuietPolicy} policy - Policy for hazards not listed in `hazards`
+ * @property {Record<string, QuietPolicy>} hazards - Policy by NWS event name
+ * @property {number} volume - Playback volume 0–100 for the "lower" policy
+ */
+
+/** Valid quiet-hours policies */
+const POLICIES = ['allow', 'lower', 'hold'];
+
+/** Day abbreviations in JavaScript order (Sunday first) */
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Parses an "HH:MM" time of day.
+ * @param {unknown} text - The raw value
+ * @returns {number | null} Minutes after midnight ("24:00" gives 1440), or null if malformed
+ */
+function parseTimeOfDay(text) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(typeof text === 'string' ? text.trim() : '');
+  if (!match) return null;
+  const minutes = parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+  return parseInt(match[2], 10) < 60 && minutes <= MINUTES_PER_DAY ? minutes : null;
+}
+
+/**
+ * Returns the day of the week and time of day at an instant in a time zone.
+ * @param {number} now - The instant (ms since the epoch)
+ * @param {string} timeZone - IANA time zone
+ * @returns {{ day: number, minutes: number }} Day (0 = Sunday) and minutes after midnight
+ */
+function localTime(now, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(now);
+  const part = (type) => parts.find((p) => p.type === type).value;
+  return {
+    day: DAYS.indexOf(part('weekday').toLowerCase()),
+    minutes: parseInt(part('hour'), 10) * 60 + parseInt(part('minute'), 10),
+  };
+}
+
+/**
+ * Validates one entry of the quiet hours file.
+ *
+ * @param {Record<string, unknown>} entry - Raw JSON entry
+ * @param {number} index - Position in the file (for error messages)
+ * @returns {QuietWindow} The parsed window
+ * @throws {Error} If the entry is malformed
+ */
+export function parseQuietWindow(entry, index) {
+  if (!entry || typeof entry !== 'object') {
+    throw new Error(`Quiet window #${index + 1} must be an object`);
+  }
+  const name = typeof entry.name === 'string' && entry.name.trim() ? entry.name.trim() : null;
+  const label = name ? `Quiet window #${index + 1} ("${name}")` : `Quiet window #${index + 1}`;
+  const {
+    days = DAYS,
+    timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone,
+    policy = 'hold',
+    hazards = {},
+    volume = 15,
+  } = entry;
+
+  if (!Array.isArray(days) || days.length === 0) {
+    throw new Error(`${label} "days" must be a non-empty array`);
+  }
+  const dayNumbers = days.map((d) => DAYS.indexOf(String(d).slice(0, 3).toLowerCase()));
+  const badDay = days.find((_, i) => dayNumbers[i] === -1);
+  if (badDay !== undefined) throw new Error(`${label} has an unknown day "${badDay}"`);
+
+  const start = parseTimeOfDay(entry.start);
+  const end = parseTimeOfDay(entry.end);
+  if (start === null || start === MINUTES_PER_DAY || end === null) {
+    throw new Error(`${label} needs a "start" and "end" time as HH:MM`);
+  }
+  if (start === end) throw new Error(`${label} starts and ends at the same time`);
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch {
+    throw new Error(`${label} has an unknown time zone "${timeZone}"`);
+  }
+
+  if (!POLICIES.includes(policy)) {
+    throw new Error(`${label} has an invalid policy "${policy}" (use ${POLICIES.join(', ')})`);
+  }
+  if (!hazards || typeof hazards !== 'object' || Array.isArray(hazards)) {
+    throw new Error(`${label} "hazards" must be an object of event names to policies`);
+  }
+  for (const [event, hazardPolicy] of Object.entries(hazards)) {
+    if (!POLICIES.includes(hazardPolicy)) {
+      throw new Error(`${label} has an invalid policy "${hazardPolicy}" for ${event}`);
+    }
+  }
+  if (typeof volume !== 'number' || volume < 0 || volume > 100) {
+    throw new Error(`${label} "volume" must be a number from 0 to 100`);
+  }
+
+  return {
+    name: name ?? `Quiet window #${index + 1}`,
+    days: new Set(dayNumbers),
+    start,
+    end,
+    timeZone,
+    policy,
+    hazards: { ...hazards },
+    volume,
+  };
+}
+
+/**
+ * Returns the configured quiet windows. With QUIET_HOURS_FILE set, reads a JSON
+ * array of windows from that file (see quiet-hours.example.json); otherwise
+ * there are none.
+ *
+ * @returns {QuietWindow[]} The quiet windows (empty when not configured)
+ * @throws {Error} If the file is missing, unreadable, or invalid
+ */
+export function getQuietWindows() {
+  const file = process.env.QUIET_HOURS_FILE;
+  if (!file) return [];
+
+  let entries;
+  try {
+    entries = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read QUIET_HOURS_FILE "${file}": ${err.message}`);
+  }
+  if (!Array.isArray(entries)) {
+    throw new Error(`QUIET_HOURS_FILE "${file}" must contain a JSON array`);
+  }
+  return entries.map(parseQuietWindow);
+}
+
+/**
+ * Finds the quiet window in effect at an instant. An overnight window (one that
+ * ends before it starts) belongs to the day it starts on. When several windows
+ * overlap, the first in the file wins.
+ *
+ * @param {QuietWindow[]} windows - The configured windows
+ * @param {number} [now=currentTime()] - The instant to check (ms since the epoch)
+ * @returns {{ window: QuietWindow, endsAt: Date } | null} The active window and when it
+ *   ends, or null outside quiet hours
+ */
+export function findQuietWindow(windows, now = currentTime()) {
+  for (const window of windows) {
+    const { day, minutes } = localTime(now, window.timeZone);
+    const { days, start, end } = window;
+    let remaining = null;
+    if (start < end) {
+      if (days.has(day) && minutes >= start && minutes < end) remaining = end - minutes;
+    } else if (days.has(day) && minutes >= start) {
+      remaining = MINUTES_PER_DAY - minutes + end;
+    } else if (days.has((day + 6) % 7) && minutes < end) {
+      remaining = end - minutes;
+    }
+    if (remaining !== null) {
+      // Counted in whole local minutes; a DST change inside the window shifts the end by an hour
+      const endsAt = new Date(now - (now % 60_000) + remaining * 60_000);
+      return { window, endsAt };
+    }
+  }
+  return null;
+}
+
+/**
+ * Describes an announcement for the log, e.g. "Tornado Warning" or
+ * "all-clear for Tornado Warning".
+ * @param {import('./speechQueue.js').Announcement} announcement - The announcement
+ * @returns {string} Short description
+ */
+function describeAnnouncement({ event, kind = 'warning' }) {
+  if (!event) return `${kind} announcement`;
+  return kind === 'all-clear' ? `all-clear for ${event}` : event;
+}
+
+/**
+ * Applies quiet hours to an announcement on its way to the speech queue. Outside
+ * quiet hours it is returned unchanged. Inside a window, the policy for its
+ * hazard (or the window's default policy) decides: "allow" returns it unchanged,
+ * "lower" returns a copy at the window's volume, and "hold" returns null so it is
+ * not queued. Tornado Emergencies are always allowed. Every announcement a
+ * window affects is logged.
+ *
+ * @param {import('./speechQueue.js').Announcement} announcement - The announcement
+ * @param {number} [now=currentTime()] - The current time (ms since the epoch)
+ * @param {QuietWindow[]} [windows=getQuietWindows()] - The configured windows
+ * @returns {import('./speechQueue.js').Announcement | null} The announcement to queue, or
+ *   null to hold it until the window ends
+ */
+export function applyQuietHours(announcement, now = currentTime(), windows = getQuietWindows()) {
+  const active = findQuietWindow(windows, now);
+  if (!active) return announcement;
+
+  const { window, endsAt } = active;
+  const what = describeAnnouncement(announcement);
+  if (announcement.tier === 'emergency') {
+    logger.info(`Quiet hours (${window.name}): Tornado Emergency overrides the window — ${what}`);
+    return announcement;
+  }
+
+  const policy = window.hazards[announcement.event] ?? window.policy;
+  if (policy === 'lower') {
+    logger.info(`Quiet hours (${window.name}): lowering ${what} to volume ${window.volume}`);
+    return { ...announcement, volume: window.volume };
+  }
+  if (policy === 'hold') {
+    const until = endsAt.toLocaleTimeString('en-US', {
+      timeZone: window.timeZone,
+      hour: 'numeric',
+      minute: '2-digit',
+    });
+    logger.info(`Quiet hours (${window.name}): holding ${what} until ${until}`);
+    return null;
+  }
+  return announcement;
+}
@@ -0,0 +1,272 @@
+import { createServer } from 'http';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join, resolve } from 'path';
+import { logger } from './logger.js';
+import { currentTime, sleep, useSystemClock, useVirtualClock } from './clock.js';
+import { pollOnce, getHistory } from './index.js';
+import { setSpeaker } from './speechQueue.js';
+import { loadSpokenAlerts } from './deduplication.js';
+import { loadAlertChains } from './lifecycle.js';
+
+/**
+ * Replays recorded NWS `/alerts/active` responses through the real polling
+ * pipeline on a virtual clock (see clock.js), to rehearse a past outbreak and
+ * report what would have been spoken, and when. The recorded feed is served
+ * from a local HTTP server that NWS_API_URL points the poller at, so fetching,
+ * matching, deduplication, the alert lifecycle, quiet hours and the spacing
+ * between announcements all run as they would have on the day. Dedup and
+ * lifecycle state are kept in a scratch directory, starting empty.
+ */
+
+/**
+ * @typedef {Object} AlertsResponse
+ * @property {import('./alertProcessor.js').AlertFeature[]} features - The alerts
+ * @property {string} [updated] - When the NWS generated the response (ISO 8601)
+ */
+
+/**
+ * @typedef {Object} TimelineEntry
+ * @property {number} at - When the response was recorded (ms since the epoch)
+ * @property {AlertsResponse} response - The recorded response body
+ */
+
+/**
+ * @typedef {Object} Timeline
+ * @property {string} name - What it is a recording of
+ * @property {number} start - When the simulation starts (ms since the epoch)
+ * @property {number | null} end - When it stops, or null for one poll interval after the last entry
+ * @property {TimelineEntry[]} entries - The responses, oldest first
+ */
+
+/**
+ * @typedef {Object} SimulatedAnnouncement
+ * @property {string} at - When it was spoken, by the virtual clock (ISO 8601)
+ * @property {string} kind - warning, emergency, all-clear, …
+ * @property {string | null} event - NWS event it is about
+ * @property {string | null} location - Named location, or null for the single location
+ * @property {string} message - What was said
+ */
+
+/**
+ * @typedef {Object} SimulationReport
+ * @property {string} name - The timeline's name
+ * @property {string} start - When the simulation started (ISO 8601)
+ * @property {string} end - When it stopped (ISO 8601)
+ * @property {number} polls - Polls run
+ * @property {SimulatedAnnouncement[]} announcements - Everything spoken, in order
+ * @property {number} unplayed - Announcements queued but not heard (speech failed)
+ */
+
+/**
+ * Parses a timeline time.
+ * @param {unknown} value - ISO 8601 time
+ * @param {string} label - What it is, for the error message
+ * @returns {number} Milliseconds since the epoch
+ * @throws {Error} If it is not a valid time
+ */
+function parseTime(value, label) {
+  const time = typeof value === 'string' ? Date.parse(value) : NaN;
+  if (Number.isNaN(time)) throw new Error(`${label} "${value}" is not an ISO 8601 time`);
+  return time;
+}
+
+/**
+ * Validates one entry of a timeline file, reading its response from a file
+ * when it names one.
+ * @param {Record<string, unknown>} entry - Raw JSON entry
+ * @param {number} index - Position in the file (for error messages)
+ * @param {string} dir - Directory of the timeline file, which response files are relative to
+ * @returns {TimelineEntry} The entry
+ * @throws {Error} If the entry is malformed or its response file is unreadable
+ */
+function parseEntry(entry, index, dir) {
+  const label = `Timeline entry #${index + 1}`;
+  if (!entry || typeof entry !== 'object') throw new Error(`${label} must be an object`);
+
+  let { response } = entry;
+  if (typeof entry.file === 'string') {
+    try {
+      response = JSON.parse(readFileSync(resolve(dir, entry.file), 'utf8'));
+    } catch (err) {
+      throw new Error(`${label} response "${entry.file}" could not be read: ${err.message}`);
+    }
+  }
+  if (!Array.isArray(response?.features)) {
+    throw new Error(`${label} needs a "response" (or "file") with a "features" array`);
+  }
+  // A saved response carries the time the NWS generated it
+  const at = entry.at ?? response.updated;
+  return { at: parseTime(at, `${label} time`), response };
+}
+
+/**
+ * Loads a timeline file: a JSON object with an optional "name", "start" and
+ * "end", and "entries", each with the time "at" which it was recorded (defaults
+ * to the response's "updated") and either the response body inline as
+ * "response" or a path to a saved one as "file". A bare array of entries works
+ * too.
+ *
+ * @param {string} file - Path to the timeline
+ * @returns {Timeline} The timeline
+ * @throws {Error} If the file is missing, unreadable, or invalid
+ */
+export function loadTimeline(file) {
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read timeline "${file}": ${err.message}`);
+  }
+  const {
+    name = file,
+    start,
+    end,
+    entries: rawEntries,
+  } = Array.isArray(raw) ? { entries: raw } : raw;
+  if (!Array.isArray(rawEntries) || rawEntries.length === 0) {
+    throw new Error(`Timeline "${file}" must have a non-empty "entries" array`);
+  }
+
+  const entries = rawEntries
+    .map((entry, index) => parseEntry(entry, index, dirname(file)))
+    .sort((a, b) => a.at - b.at);
+  return {
+    name,
+    start: start === undefined ? entries[0].at : parseTime(start, 'Timeline start'),
+    end: end === undefined ? null : parseTime(end, 'Timeline end'),
+    entries,
+  };
+}
+
+/**
+ * Returns the response recorded most recently at or before a time.
+ * @param {Timeline} timeline - The timeline
+ * @param {number} time - The time (ms since the epoch)
+ * @returns {AlertsResponse} The response, or an empty one before the first entry
+ */
+export function responseAt(timeline, time) {
+  const recorded = timeline.entries.filter((entry) => entry.at <= time);
+  return recorded.at(-1)?.response ?? { type: 'FeatureCollection', features: [] };
+}
+
+/**
+ * Serves the timeline's response for the virtual time of each request, whatever
+ * the path and query.
+ * @param {Timeline} timeline - The timeline
+ * @returns {Promise<import('http').Server>} The server, listening on a free local port
+ */
+function serveTimeline(timeline) {
+  const server = createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'application/geo+json' });
+    res.end(JSON.stringify(responseAt(timeline, currentTime())));
+  });
+  return new Promise((done) => server.listen(0, '127.0.0.1', () => done(server)));
+}
+
+/**
+ * Runs a function with some environment variables set, restoring them after.
+ * @template T
+ * @param {Record<string, string>} vars - The variables
+ * @param {() => Promise<T>} fn - The function
+ * @returns {Promise<T>} Its result
+ */
+async function withEnv(vars, fn) {
+  const saved = Object.fromEntries(Object.keys(vars).map((name) => [name, process.env[name]]));
+  Object.assign(process.env, vars);
+  try {
+    return await fn();
+  } finally {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  }
+}
+
+/**
+ * Replays a timeline: polls at its start and every POLL_INTERVAL_MS after each
+ * poll (and the announcements it queued) has finished, as the service does,
+ * until its end. On the default stepped clock no real time passes between polls
+ * or announcements; with a speed the clock runs that many times faster than real
+ * time. Announcements are only synthesized and played when speakAloud is set.
+ *
+ * @param {Timeline} timeline - The timeline (see loadTimeline)
+ * @param {{ speed?: number, speakAloud?: boolean }} [options={}] - Clock speed
+ *   (default Infinity: stepped) and whether to speak through TTS and the audio player
+ * @returns {Promise<SimulationReport>} What was spoken, and when
+ */
+export async function runSimulation(timeline, { speed = Infinity, speakAloud = false } = {}) {
+  const intervalMs = parseInt(process.env.POLL_INTERVAL_MS || '300000', 10);
+  const end = timeline.end ?? timeline.entries.at(-1).at + intervalMs;
+  const report = {
+    name: timeline.name,
+    start: new Date(timeline.start).toISOString(),
+    end: new Date(end).toISOString(),
+    polls: 0,
+    announcements: [],
+    unplayed: 0,
+  };
+  const stateDir = mkdtempSync(join(tmpdir(), 'calm-tornado-alert-simulation-'));
+  const server = await serveTimeline(timeline);
+  const env = {
+    NWS_API_URL: `http://127.0.0.1:${server.address().port}`,
+    DEDUP_FILE: join(stateDir, 'spoken-alerts.json'),
+    LIFECYCLE_FILE: join(stateDir, 'alert-chains.json'),
+  };
+
+  logger.info(`Simulating "${timeline.name}" from ${report.start} to ${report.end}`);
+  try {
+    await withEnv(env, async () => {
+      loadSpokenAlerts();
+      loadAlertChains();
+      useVirtualClock(timeline.start, speed);
+      if (!speakAloud) setSpeaker(async () => {});
+
+      while (currentTime() <= end) {
+        const before = new Set(getHistory());
+        let queued = [];
+        try {
+          queued = await pollOnce();
+        } catch (err) {
+          logger.error(`Poll failed: ${err.message}`);
+        }
+        // The history is newest first; what this poll added is what it spoke
+        const spoken = getHistory()
+          .filter((entry) => !before.has(entry))
+          .reverse();
+        report.polls += 1;
+        report.announcements.push(
+          ...spoken.map(({ spokenAt, ...entry }) => ({ at: spokenAt, ...entry }))
+        );
+        report.unplayed += Math.max(0, queued.length - spoken.length);
+        await sleep(intervalMs);
+      }
+    });
+  } finally {
+    useSystemClock();
+    setSpeaker(null);
+    await new Promise((done) => server.close(done));
+    rmSync(stateDir, { recursive: true, force: true });
+  }
+  return report;
+}
+
+/**
+ * Formats a simulation report for reading in a terminal.
+ * @param {SimulationReport} report - The report
+ * @returns {string} One line per announcement, between a heading and a summary
+ */
+export function formatReport(report) {
+  const lines = report.announcements.map(({ at, kind, location, message }) => {
+    const where = location ? ` for ${location}` : '';
+    return `${at}  (${kind}${where}) ${message}`;
+  });
+  const count = report.announcements.length;
+  const unplayed = report.unplayed > 0 ? `, ${report.unplayed} could not be played` : '';
+  return [
+    `Simulated "${report.name}" from ${report.start} to ${report.end} (${report.polls} polls)`,
+    ...(count > 0 ? lines : ['Nothing would have been spoken.']),
+    `${count} announcement${count === 1 ? '' : 's'}${unplayed}`,
+  ].join('\n');
+}
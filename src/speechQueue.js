@@ -0,0 +1,278 @@
+import { logger } from './logger.js';
+import { synthesizeSpeech } from './tts.js';
+import { playAudio } from './audioPlayer.js';
+import { getVoiceSettings } from './tiers.js';
+import { stitchClips } from './phraseClips.js';
+import { withChime } from './chime.js';
+import { currentTime, sleep } from './clock.js';
+import { isDryRun, transcribe } from './transcript.js';
+
+/**
+ * Announcement queue. Messages are played one at a time, highest priority first,
+ * at least SPEECH_RATE_LIMIT_MS apart. Nothing is dropped: a message that has to
+ * wait simply waits, and warnings that pile up meanwhile are merged into one
+ * combined announcement. Callers learn that a message was heard through
+ * `onSpoken`, which only runs once playback has finished. If every TTS provider
+ * is down, warnings that carry a clip plan are stitched from pre-recorded clips.
+ * In dry-run mode (DRY_RUN) announcements are transcribed instead (see transcript.js).
+ */
+
+/**
+ * @typedef {'emergency' | 'warning' | 'all-clear' | 'test'} AnnouncementKind
+ */
+
+/**
+ * Queue priority of each kind of announcement; higher plays first.
+ * @type {Readonly<Record<AnnouncementKind, number>>}
+ */
+export const PRIORITIES = Object.freeze({ emergency: 3, warning: 2, 'all-clear': 1, test: 0 });
+
+/** Kinds that are merged into one announcement when several are waiting */
+const MERGED_KINDS = new Set(['emergency', 'warning']);
+
+/** Ranks tiers so a merged announcement uses the voice of its most serious part */
+const TIER_RANK = { standard: 0, pds: 1, emergency: 2 };
+
+/**
+ * @typedef {Object} Announcement
+ * @property {string} message - The text to speak
+ * @property {AnnouncementKind} [kind='warning'] - Decides the queue priority
+ * @property {import('./tiers.js').Tier} [tier='standard'] - Escalation tier (voice settings)
+ * @property {string} [event] - NWS event the announcement is about (for quiet hours)
+ * @property {number} [volume] - Playback volume overriding the tier's (e.g. during quiet hours)
+ * @property {string[]} [clips] - Phrases to stitch from the clip library if synthesis fails
+ * @property {() => void} [onSpoken] - Called once the message has been played
+ */
+
+/**
+ * @typedef {Object} QueuedAnnouncement
+ * @property {Announcement} announcement - The announcement
+ * @property {number} seq - Arrival order, to keep equal priorities first-in first-out
+ * @property {(spoken: boolean) => void} resolve - Settles the promise returned by enqueue
+ */
+
+/** @type {QueuedAnnouncement[]} */
+let pending = [];
+
+/** @type {number} Arrival counter */
+let nextSeq = 0;
+
+/** @type {number} When the last announcement finished playing (ms) */
+let lastSpeechTime = 0;
+
+/** @type {Promise<void> | null} The running drain loop, if any */
+let draining = null;
+
+/**
+ * @typedef {Object} PlaybackResult
+ * @property {string} at - When the announcement was handled (ISO 8601)
+ * @property {boolean} spoken - Whether it was heard
+ * @property {string} message - What it said (or would have said)
+ */
+
+/** @type {PlaybackResult | null} Outcome of the last announcement played or attempted */
+let lastPlayback = null;
+
+/**
+ * @callback Speaker
+ * @param {string} message - The text to speak
+ * @param {import('./tiers.js').VoiceSettings} voiceSettings - Voice and volume it would be spoken with
+ * @param {import('./tiers.js').Tier} tier - Escalation tier it would be spoken at
+ * @returns {Promise<void>} Resolves once it has been "spoken"; rejects if it could not be
+ */
+
+/** @type {Speaker | null} Stands in for synthesis and playback (see setSpeaker) */
+let speaker = null;
+
+/**
+ * Returns the priority of a queued announcement.
+ * @param {QueuedAnnouncement} item - The queued announcement
+ * @returns {number} Its priority
+ */
+function priorityOf(item) {
+  return PRIORITIES[item.announcement.kind ?? 'warning'];
+}
+
+/**
+ * Removes the next batch to play from the queue: the highest-priority
+ * announcement, plus every other waiting warning when it is a warning.
+ * @returns {QueuedAnnouncement[]} The batch, in playing order
+ */
+function takeNextBatch() {
+  pending.sort((a, b) => priorityOf(b) - priorityOf(a) || a.seq - b.seq);
+  const [head] = pending;
+  const merge = (item) => MERGED_KINDS.has(item.announcement.kind ?? 'warning');
+  const batch = merge(head) ? pending.filter(merge) : [head];
+  pending = pending.filter((item) => !batch.includes(item));
+  return batch;
+}
+
+/**
+ * Stitches the clip plans of a batch into one file, for when synthesis has failed.
+ * @param {QueuedAnnouncement[]} batch - Announcements that could not be synthesized
+ * @returns {{ audioPath: string, played: QueuedAnnouncement[] } | null} The stitched
+ *   audio and the announcements it covers, or null if none can be stitched
+ */
+function stitchFallback(batch) {
+  const played = batch.filter((item) => item.announcement.clips);
+  if (played.length === 0) return null;
+  try {
+    const audioPath = stitchClips(played.flatMap((item) => item.announcement.clips));
+    logger.warn(`Playing ${played.length} announcement(s) from pre-recorded clips instead`);
+    return { audioPath, played };
+  } catch (err) {
+    logger.error(`Clip fallback failed: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Synthesizes and plays one batch as a single announcement, in the voice of its
+ * most serious tier. The batch is only played at an overridden volume when every
+ * part of it has one, so a lowered warning never quietens a full-volume one.
+ * When synthesis fails, the parts with a clip plan are played from stitched clips.
+ * The tier's chime, if any, plays first (see chime.js); a chime that cannot be
+ * played is skipped rather than holding up the speech. A speaker set with
+ * setSpeaker replaces all of this, as does transcribing in dry-run mode.
+ * @param {QueuedAnnouncement[]} batch - Announcements to play together
+ * @returns {Promise<QueuedAnnouncement[]>} The announcements that were heard (none
+ *   if synthesis and the clip fallback failed, or playback failed)
+ */
+async function playBatch(batch) {
+  const message = batch.map((item) => item.announcement.message).join(' ');
+  const tier = batch
+    .map((item) => item.announcement.tier ?? 'standard')
+    .reduce((a, b) => (TIER_RANK[b] > TIER_RANK[a] ? b : a));
+  const volumes = batch.map((item) => item.announcement.volume);
+  if (batch.length > 1) logger.info(`Combining ${batch.length} waiting warnings into one`);
+
+  const voiceSettings = getVoiceSettings(tier);
+  if (volumes.every((v) => v !== undefined)) voiceSettings.volume = Math.max(...volumes);
+  const standIn = speaker ?? (isDryRun() ? transcribe : null);
+  if (standIn) {
+    try {
+      await standIn(message, voiceSettings, tier);
+      return batch;
+    } catch (err) {
+      logger.error(`Speech failed: ${err.message}`);
+      return [];
+    }
+  }
+
+  let audioPath;
+  let played = batch;
+  try {
+    audioPath = await synthesizeSpeech(message, voiceSettings);
+  } catch (err) {
+    logger.error(`Speech failed: ${err.message}`);
+    const fallback = stitchFallback(batch);
+    if (!fallback) return [];
+    ({ audioPath, played } = fallback);
+  }
+
+  // A chime of its own comes first; the speech is always the last file
+  const files = withChime(audioPath, tier);
+  for (const chime of files.slice(0, -1)) {
+    try {
+      await playAudio(chime, voiceSettings);
+    } catch (err) {
+      logger.warn(`Skipping the chime: ${err.message}`);
+    }
+  }
+  try {
+    await playAudio(files.at(-1), voiceSettings);
+    return played;
+  } catch (err) {
+    logger.error(`Speech failed: ${err.message}`);
+    return [];
+  }
+}
+
+/**
+ * Plays queued announcements until the queue is empty, keeping them at least
+ * SPEECH_RATE_LIMIT_MS apart.
+ * @returns {Promise<void>}
+ */
+async function drain() {
+  // Let announcements queued in the same tick (e.g. one poll's warnings) join the first batch
+  await Promise.resolve();
+  try {
+    while (pending.length > 0) {
+      const spacingMs = parseInt(process.env.SPEECH_RATE_LIMIT_MS || '60000', 10);
+      const waitMs = lastSpeechTime + spacingMs - currentTime();
+      if (lastSpeechTime > 0 && waitMs > 0) {
+        logger.info(`Waiting ${Math.ceil(waitMs / 1000)}s before the next announcement`);
+        await sleep(waitMs);
+      }
+
+      const batch = takeNextBatch();
+      const played = await playBatch(batch);
+      if (played.length > 0) lastSpeechTime = currentTime();
+      lastPlayback = {
+        at: new Date(currentTime()).toISOString(),
+        spoken: played.length > 0,
+        message: batch.map((item) => item.announcement.message).join(' '),
+      };
+      for (const item of batch) {
+        const spoken = played.includes(item);
+        if (spoken) item.announcement.onSpoken?.();
+        item.resolve(spoken);
+      }
+    }
+  } finally {
+    // Cleared in the same tick the queue is found empty, so a later enqueue starts a new drain
+    draining = null;
+  }
+}
+
+/**
+ * Adds an announcement to the queue and starts playing if idle.
+ *
+ * @param {Announcement} announcement - What to say, and how urgently
+ * @returns {Promise<boolean>} Resolves once the announcement has been handled:
+ *   true if it was played, false if synthesis or playback failed
+ */
+export function enqueue(announcement) {
+  return new Promise((resolve) => {
+    pending.push({ announcement, seq: nextSeq++, resolve });
+    draining ??= drain();
+  });
+}
+
+/**
+ * Resolves once every queued announcement has been handled.
+ * @returns {Promise<void>}
+ */
+export function whenIdle() {
+  return draining ?? Promise.resolve();
+}
+
+/**
+ * Returns the outcome of the last announcement played or attempted.
+ * @returns {PlaybackResult | null} The outcome, or null before the first
+ */
+export function getLastPlayback() {
+  return lastPlayback;
+}
+
+/**
+ * Replaces synthesis and playback with a speaker function, for simulations
+ * that should not make a sound; null goes back to speaking aloud.
+ * @param {Speaker | null} fn - The speaker
+ */
+export function setSpeaker(fn) {
+  speaker = fn;
+}
+
+/**
+ * Resets the queue and spacing state. For use in tests only.
+ * @internal
+ */
+export function _reset() {
+  pending = [];
+  nextSeq = 0;
+  lastSpeechTime = 0;
+  draining = null;
+  lastPlayback = null;
+  speaker = null;
+}
@@ -0,0 +1,220 @@
+import { createServer } from 'http';
+import { createHash, timingSafeEqual } from 'crypto';
+import { logger } from './logger.js';
+import { renderMetrics, setGauge } from './metrics.js';
+
+/**
+ * Small HTTP API for looking into, and nudging, a running service. Off unless
+ * STATUS_API_PORT is set; it binds to STATUS_API_HOST (default 127.0.0.1).
+ * Read-only routes are open; the POST routes need
+ * `Authorization: Bearer <STATUS_API_TOKEN>` when a token is configured.
+ *
+ *   GET  /healthz          Last poll and last playback (503 once polls are overdue)
+ *   GET  /alerts           Alerts matched by the last poll
+ *   GET  /history          Recently spoken announcements
+ *   GET  /metrics          Counters and timings in the Prometheus text format
+ *   POST /speak-test       Queue the startup test message
+ *   POST /mute?minutes=N   Hold announcements for N minutes (0 unmutes)
+ *   POST /poll-now         Poll the NWS straight away
+ */
+
+/**
+ * @typedef {Object} StatusControls
+ * @property {() => ReturnType<typeof import('./index.js').getHealth>} health - Current health
+ * @property {() => import('./index.js').ActiveAlert[]} alerts - Alerts matched by the last poll
+ * @property {() => import('./index.js').HistoryEntry[]} history - Recently spoken announcements
+ * @property {() => Promise<boolean>} speakTest - Queues the test message
+ * @property {(minutes: number) => Date | null} mute - Mutes for a while; 0 unmutes
+ * @property {() => Promise<void>} pollNow - Polls straight away
+ */
+
+/** Routes that change something, and so need the token */
+const POST_PATHS = new Set(['/speak-test', '/mute', '/poll-now']);
+
+/** Content type of the Prometheus text exposition format */
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/** Longest mute accepted, in minutes (a day) */
+const MAX_MUTE_MINUTES = 24 * 60;
+
+/** Polls missed in a row before /healthz reports the service as unhealthy */
+const STALE_POLLS = 3;
+
+/**
+ * Sends a JSON response.
+ * @param {import('http').ServerResponse} res - The response
+ * @param {number} status - HTTP status code
+ * @param {unknown} body - Serialized as JSON
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Sends plain text, such as the Prometheus exposition.
+ * @param {import('http').ServerResponse} res - The response
+ * @param {number} status - HTTP status code
+ * @param {string} text - The body
+ * @param {string} contentType - Its content type
+ */
+function sendText(res, status, text, contentType) {
+  res.writeHead(status, { 'Content-Type': contentType });
+  res.end(text);
+}
+
+/**
+ * Checks a request's bearer token against STATUS_API_TOKEN, in constant time.
+ * Any request is allowed when no token is configured.
+ * @param {import('http').IncomingMessage} req - The request
+ * @returns {boolean} True if allowed
+ */
+function isAuthorized(req) {
+  const token = process.env.STATUS_API_TOKEN;
+  if (!token) return true;
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization ?? '');
+  if (!match) return false;
+  // Hashing first gives equal lengths, as timingSafeEqual requires
+  const digest = (value) => createHash('sha256').update(value).digest();
+  return timingSafeEqual(digest(match[1]), digest(token));
+}
+
+/**
+ * Returns how long ago a poll last succeeded, or how long the server has been up
+ * if none has yet.
+ * @param {{ lastSuccessfulPollAt: string | null }} health - The service's health
+ * @param {number} startedAt - When the server was created (ms)
+ * @returns {number} Milliseconds
+ */
+function msSinceSuccessfulPoll(health, startedAt) {
+  return Date.now() - (Date.parse(health.lastSuccessfulPollAt ?? '') || startedAt);
+}
+
+/**
+ * Builds the /healthz response: "ok", or "stale" (503) when no poll has fully
+ * succeeded for STALE_POLLS poll intervals since the service started.
+ * @param {StatusControls} controls - Service hooks
+ * @param {number} startedAt - When the server was created (ms)
+ * @returns {{ status: number, body: Record<string, unknown> }} Status code and body
+ */
+function healthResponse(controls, startedAt) {
+  const health = controls.health();
+  const intervalMs = parseInt(process.env.POLL_INTERVAL_MS || '300000', 10);
+  const stale = msSinceSuccessfulPoll(health, startedAt) > STALE_POLLS * intervalMs;
+  return { status: stale ? 503 : 200, body: { status: stale ? 'stale' : 'ok', ...health } };
+}
+
+/**
+ * Builds the /metrics response, bringing the time since the last successful
+ * poll up to date first.
+ * @param {StatusControls} controls - Service hooks
+ * @param {number} startedAt - When the server was created (ms)
+ * @returns {{ status: number, text: string, contentType: string }} Status code and exposition
+ */
+function metricsResponse(controls, startedAt) {
+  const seconds = msSinceSuccessfulPoll(controls.health(), startedAt) / 1000;
+  setGauge('seconds_since_last_successful_poll', seconds);
+  return { status: 200, text: renderMetrics(), contentType: PROMETHEUS_CONTENT_TYPE };
+}
+
+/**
+ * Handles a POST route.
+ * @param {StatusControls} controls - Service hooks
+ * @param {string} path - Request path (one of POST_PATHS)
+ * @param {URLSearchParams} query - Query string
+ * @returns {{ status: number, body: Record<string, unknown> }} Status code and body
+ */
+function handlePost(controls, path, query) {
+  switch (path) {
+    case '/speak-test':
+      controls.speakTest();
+      return { status: 202, body: { queued: true } };
+    case '/mute': {
+      const value = query.get('minutes')?.trim();
+      const minutes = Number(value);
+      if (!value || !Number.isFinite(minutes) || minutes < 0) {
+        return { status: 400, body: { error: 'minutes must be a number of minutes, 0 or more' } };
+      }
+      if (minutes > MAX_MUTE_MINUTES) {
+        return { status: 400, body: { error: `minutes must be at most ${MAX_MUTE_MINUTES}` } };
+      }
+      const until = controls.mute(minutes);
+      return { status: 200, body: { mutedUntil: until ? until.toISOString() : null } };
+    }
+    default: // '/poll-now'
+      controls.pollNow();
+      return { status: 202, body: { polling: true } };
+  }
+}
+
+/**
+ * Creates the status API server, without starting it.
+ * @param {StatusControls} controls - Service hooks
+ * @returns {import('http').Server} The server
+ */
+export function createStatusServer(controls) {
+  const startedAt = Date.now();
+  const routes = {
+    GET: {
+      '/healthz': () => healthResponse(controls, startedAt),
+      '/alerts': () => ({ status: 200, body: { alerts: controls.alerts() } }),
+      '/history': () => ({ status: 200, body: { history: controls.history() } }),
+      '/metrics': () => metricsResponse(controls, startedAt),
+    },
+  };
+
+  return createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    try {
+      if (req.method === 'GET' && routes.GET[url.pathname]) {
+        const { status, body, text, contentType } = routes.GET[url.pathname]();
+        return text === undefined
+          ? sendJson(res, status, body)
+          : sendText(res, status, text, contentType);
+      }
+      if (req.method === 'POST' && POST_PATHS.has(url.pathname)) {
+        if (!isAuthorized(req)) {
+          logger.warn(`Status API: rejected POST ${url.pathname} without a valid token`);
+          return sendJson(res, 401, { error: 'Unauthorized' });
+        }
+        const { status, body } = handlePost(controls, url.pathname, url.searchParams);
+        logger.info(`Status API: POST ${url.pathname}${url.search} → ${status}`);
+        return sendJson(res, status, body);
+      }
+      const known = Boolean(routes.GET[url.pathname]) || POST_PATHS.has(url.pathname);
+      return sendJson(res, known ? 405 : 404, {
+        error: known ? 'Method not allowed' : 'Not found',
+      });
+    } catch (err) {
+      logger.error(`Status API: ${req.method} ${url.pathname} failed: ${err.message}`);
+      return sendJson(res, 500, { error: err.message });
+    }
+  });
+}
+
+/**
+ * Starts the status API on STATUS_API_PORT and STATUS_API_HOST (default
+ * 127.0.0.1; use 0.0.0.0 inside Docker). Does nothing when no port is set. A
+ * server that cannot start is logged, and the service carries on without it.
+ *
+ * @param {StatusControls} controls - Service hooks
+ * @returns {Promise<import('http').Server | null>} The listening server, or null
+ */
+export function startStatusApi(controls) {
+  const port = process.env.STATUS_API_PORT;
+  if (!port) return Promise.resolve(null);
+  const host = process.env.STATUS_API_HOST || '127.0.0.1';
+  const server = createStatusServer(controls);
+
+  return new Promise((resolve) => {
+    server.once('error', (err) => {
+      logger.error(`Status API could not start on ${host}:${port}: ${err.message}`);
+      resolve(null);
+    });
+    server.listen(parseInt(port, 10), host, () => {
+      const auth = process.env.STATUS_API_TOKEN ? 'token required to POST' : 'no token set';
+      logger.info(`Status API listening on http://${host}:${server.address().port} (${auth})`);
+      resolve(server);
+    });
+  });
+}
@@ -0,0 +1,215 @@
+import { readFileSync } from 'fs';
+
+/**
+ * A small mustache-like template language for spoken messages:
+ *
+ *   {{area}}                      – value of a placeholder (empty if unknown)
+ *   {{#expires}}until {{expires}}{{/expires}}   – only when the value is present
+ *   {{^expires}}until further notice{{/expires}} – only when it is missing
+ *
+ * Runs of whitespace in the rendered text collapse to a single space, so
+ * templates can be spread over several lines and optional sentences can be
+ * left blank without leaving gaps.
+ */
+
+/**
+ * Every placeholder a template may use. Anything else is rejected when the
+ * template is loaded so typos fail at startup rather than during a warning.
+ * @type {ReadonlyArray<string>}
+ */
+export const PLACEHOLDERS = Object.freeze([
+  'event',
+  'headline',
+  'area',
+  'severity',
+  'certainty',
+  'urgency',
+  'instruction',
+  'expires',
+  'expiresIn',
+  'location',
+  'proximity',
+  'arrival',
+  'detection',
+  'pds',
+  'emergency',
+]);
+
+/**
+ * @typedef {Object} TemplateNode
+ * @property {'text' | 'value' | 'section'} type - Node kind
+ * @property {string} [text] - Literal text (text nodes)
+ * @property {string} [name] - Placeholder name (value and section nodes)
+ * @property {boolean} [inverted] - True for {{^name}} sections
+ * @property {TemplateNode[]} [children] - Section body
+ * @property {number} [index] - Offset of the section's opening tag in the source
+ */
+
+/**
+ * @typedef {Object} TemplateSource
+ * @property {string} [origin='template'] - Where the template came from, for error messages
+ * @property {number} [line=1] - Line number of the template's first line within its origin
+ */
+
+const TAG = /\{\{(.*?)\}\}/g;
+const TAG_BODY = /^([#^/]?)\s*(\w+)$/;
+
+/**
+ * Parses and validates a template. Throws on unknown placeholders, malformed tags
+ * and unbalanced sections, naming the origin, line and placeholder at fault.
+ *
+ * @param {string} source - Template text
+ * @param {TemplateSource} [where={}] - Origin and starting line for error messages
+ * @returns {TemplateNode[]} The parsed template
+ * @throws {Error} If the template is invalid
+ */
+export function compileTemplate(source, where = {}) {
+  const { origin = 'template', line = 1 } = where;
+  const lineAt = (index) => line + (source.slice(0, index).match(/\n/g)?.length ?? 0);
+  const fail = (index, problem) => {
+    throw new Error(`${origin} line ${lineAt(index)}: ${problem}`);
+  };
+  const checkText = (text, offset) => {
+    const stray = text.search(/\{\{|\}\}/);
+    if (stray !== -1) fail(offset + stray, `unclosed or stray braces near "${text.trim()}"`);
+  };
+
+  const root = [];
+  const stack = [{ children: root }];
+  let last = 0;
+
+  for (const match of source.matchAll(TAG)) {
+    const text = source.slice(last, match.index);
+    checkText(text, last);
+    if (text) stack.at(-1).children.push({ type: 'text', text });
+    last = match.index + match[0].length;
+
+    const body = TAG_BODY.exec(match[1].trim());
+    if (!body) fail(match.index, `malformed placeholder ${match[0]}`);
+    const [, sigil, name] = body;
+    if (!PLACEHOLDERS.includes(name)) fail(match.index, `unknown placeholder {{${name}}}`);
+
+    if (sigil === '/') {
+      const open = stack.pop();
+      if (open.name !== name) {
+        fail(
+          match.index,
+          open.name
+            ? `{{/${name}}} closes {{${open.inverted ? '^' : '#'}${open.name}}}`
+            : `{{/${name}}} has no matching {{#${name}}}`
+        );
+      }
+    } else if (sigil) {
+      const inverted = sigil === '^';
+      const section = { type: 'section', name, inverted, children: [], index: match.index };
+      stack.at(-1).children.push(section);
+      stack.push(section);
+    } else {
+      stack.at(-1).children.push({ type: 'value', name });
+    }
+  }
+
+  const rest = source.slice(last);
+  checkText(rest, last);
+  if (rest) root.push({ type: 'text', text: rest });
+  if (stack.length > 1) {
+    const open = stack.at(-1);
+    fail(open.index, `{{${open.inverted ? '^' : '#'}${open.name}}} is never closed`);
+  }
+  return root;
+}
+
+/**
+ * Renders parsed template nodes. Values that are null, undefined or empty count
+ * as missing for sections and render as nothing.
+ * @param {TemplateNode[]} nodes - Parsed template
+ * @param {Record<string, string | null | undefined>} values - Placeholder values
+ * @returns {string} Rendered text (whitespace not yet collapsed)
+ */
+function renderNodes(nodes, values) {
+  return nodes
+    .map((node) => {
+      if (node.type === 'text') return node.text;
+      const value = values[node.name] ?? '';
+      if (node.type === 'value') return value;
+      return Boolean(value) !== node.inverted ? renderNodes(node.children, values) : '';
+    })
+    .join('');
+}
+
+/**
+ * Fills a message template from a values object and collapses whitespace.
+ *
+ * @param {string} source - Template text, e.g. "There's a {{event}} for {{area}}."
+ * @param {Record<string, string | null | undefined>} values - Placeholder values
+ * @returns {string} The rendered text
+ * @throws {Error} If the template is invalid
+ */
+export function renderTemplate(source, values) {
+  return renderNodes(compileTemplate(source), values).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Parses a templates file: `[Event Name]` header lines, each followed by the
+ * template for that event. Lines starting with `#` are comments. Every template
+ * is validated, with errors pointing at the line in the file.
+ *
+ * @param {string} text - File contents
+ * @param {string} file - File path (for error messages)
+ * @returns {Map<string, string>} Template text keyed by event name
+ * @throws {Error} If the file is malformed or a template is invalid
+ */
+export function parseTemplatesFile(text, file) {
+  const templates = new Map();
+  let current = null;
+
+  const finish = () => {
+    if (!current) return;
+    const source = current.lines.join('\n');
+    if (!source.trim()) {
+      throw new Error(`${file} line ${current.line}: [${current.event}] has no template text`);
+    }
+    compileTemplate(source, { origin: `${file} [${current.event}]`, line: current.line + 1 });
+    templates.set(current.event, source);
+  };
+
+  text.split(/\r?\n/).forEach((raw, i) => {
+    const lineNo = i + 1;
+    if (raw.trim().startsWith('#')) {
+      current?.lines.push('');
+      return;
+    }
+    const header = /^\s*\[(.+)\]\s*$/.exec(raw);
+    if (header) {
+      finish();
+      const event = header[1].trim();
+      if (templates.has(event)) throw new Error(`${file} line ${lineNo}: duplicate [${event}]`);
+      current = { event, line: lineNo, lines: [] };
+    } else if (current) {
+      current.lines.push(raw);
+    } else if (raw.trim()) {
+      throw new Error(`${file} line ${lineNo}: text before the first [Event Name] header`);
+    }
+  });
+  finish();
+
+  return templates;
+}
+
+/**
+ * Loads the templates file named by TEMPLATES_FILE, if any.
+ * @returns {Map<string, string>} Template text keyed by event name (empty when unset)
+ * @throws {Error} If the file cannot be read or contains an invalid template
+ */
+export function loadTemplates() {
+  const file = process.env.TEMPLATES_FILE;
+  if (!file) return new Map();
+
+  let text;
+  try {
+    text = readFileSync(file, 'utf8');
+  } catch (err) {
+    throw new Error(`Could not read TEMPLATES_FILE "${file}": ${err.message}`);
+  }
+  return parseTemplatesFile(text, file);
+}
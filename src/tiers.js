@@ -0,0 +1,86 @@
+/**
+ * Escalation tiers for warnings NWS flags as more dangerous than usual. A
+ * "particularly dangerous situation" (PDS) or a Tornado Emergency is still
+ * spoken calmly, but in more direct words and, optionally, louder or at a
+ * different pace (PDS_* and EMERGENCY_* settings).
+ */
+
+/**
+ * @typedef {'standard' | 'pds' | 'emergency'} Tier
+ */
+
+/**
+ * @typedef {Object} VoiceSettings
+ * @property {number} [volume] - Playback volume 0–100 (defaults to VOLUME)
+ * @property {number} [speakingRate] - TTS speaking rate (defaults to the provider's calm rate)
+ */
+
+/** Built-in voice settings for the escalated tiers */
+const TIER_VOICE = {
+  pds: { volume: 45, speakingRate: 0.85 },
+  emergency: { volume: 60, speakingRate: 0.9 },
+};
+
+/**
+ * Returns the first value of an NWS alert parameter, upper-cased.
+ * @param {import('./alertProcessor.js').AlertFeature} alert - The alert
+ * @param {string} name - Parameter name (e.g. "tornadoDamageThreat")
+ * @returns {string} The value, or '' if absent
+ */
+function parameter(alert, name) {
+  return (alert.properties.parameters?.[name]?.[0] ?? '').trim().toUpperCase();
+}
+
+/**
+ * Classifies an alert into an escalation tier. A CATASTROPHIC damage threat or
+ * "tornado emergency" in the text makes it an emergency; a CONSIDERABLE damage
+ * threat or "particularly dangerous situation" in the text makes it PDS.
+ *
+ * @param {import('./alertProcessor.js').AlertFeature} alert - The NWS alert feature
+ * @returns {Tier} The alert's tier
+ */
+export function classifyTier(alert) {
+  const threat = parameter(alert, 'tornadoDamageThreat');
+  const text = `${alert.properties.headline ?? ''} ${alert.properties.description ?? ''}`;
+  if (threat === 'CATASTROPHIC' || /tornado\s+emergency/i.test(text)) return 'emergency';
+  if (threat === 'CONSIDERABLE' || /particularly\s+dangerous\s+situation/i.test(text)) {
+    return 'pds';
+  }
+  return 'standard';
+}
+
+/**
+ * Says how the tornado was detected, from `parameters.tornadoDetection`.
+ * @param {import('./alertProcessor.js').AlertFeature} alert - The NWS alert feature
+ * @returns {string | null} A spoken sentence, or null if the alert does not say
+ */
+export function describeDetection(alert) {
+  switch (parameter(alert, 'tornadoDetection')) {
+    case 'OBSERVED':
+      return 'A tornado has been observed.';
+    case 'RADAR INDICATED':
+      return 'This tornado is radar indicated.';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Returns the volume and speaking rate for a tier. The standard tier uses the
+ * usual VOLUME and provider settings; the others can be tuned with PDS_VOLUME,
+ * PDS_SPEAKING_RATE, EMERGENCY_VOLUME and EMERGENCY_SPEAKING_RATE.
+ *
+ * @param {Tier} tier - The tier
+ * @returns {VoiceSettings} Settings to pass to synthesizeSpeech and playAudio
+ */
+export function getVoiceSettings(tier) {
+  const defaults = TIER_VOICE[tier];
+  if (!defaults) return {};
+  const prefix = tier.toUpperCase();
+  return {
+    volume: parseInt(process.env[`${prefix}_VOLUME`] || String(defaults.volume), 10),
+    speakingRate: parseFloat(
+      process.env[`${prefix}_SPEAKING_RATE`] || String(defaults.speakingRate)
+    ),
+  };
+}
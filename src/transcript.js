@@ -0,0 +1,73 @@
+import { appendFileSync, mkdirSync } from 'fs';
+import { dirname } from 'path';
+import { currentTime } from './clock.js';
+import { describeVoice } from './tts.js';
+import { resolveVolume } from './audioPlayer.js';
+
+/**
+ * Dry-run mode, for CI and machines without TTS keys or speakers. With
+ * DRY_RUN=true the speech queue hands each announcement to transcribe instead
+ * of synthesizing and playing it: the message is printed, or appended to
+ * TRANSCRIPT_FILE, with the voice it would be spoken in and the volume it would
+ * play at. Polling, filtering, deduplication, quiet hours and the spacing
+ * between announcements all run as usual.
+ */
+
+/** Values of DRY_RUN that turn it on */
+const ENABLED = new Set(['1', 'true', 'yes', 'on']);
+
+/**
+ * Tells whether dry-run mode is on (DRY_RUN is true, 1, yes or on).
+ * @returns {boolean} Whether announcements are transcribed rather than spoken
+ */
+export function isDryRun() {
+  return ENABLED.has((process.env.DRY_RUN || '').trim().toLowerCase());
+}
+
+/**
+ * Formats provider settings as key=value pairs, leaving out unset ones.
+ * @param {Record<string, unknown>} settings - Provider settings (see describeVoice)
+ * @returns {string} e.g. "voice=en-US-Wavenet-D speakingRate=0.85 pitch=-2"
+ */
+function formatSettings(settings) {
+  return Object.entries(settings)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => `${key}=${typeof value === 'object' ? JSON.stringify(value) : value}`)
+    .join(' ');
+}
+
+/**
+ * Formats one transcript line: when, by the current clock, the tier, the
+ * would-be volume, the voice and what would have been said.
+ * @param {string} message - The text that would be spoken
+ * @param {import('./tiers.js').VoiceSettings} [voiceSettings={}] - Voice and volume overrides
+ * @param {import('./tiers.js').Tier} [tier='standard'] - Escalation tier
+ * @returns {string} The line
+ */
+export function formatTranscriptLine(message, voiceSettings = {}, tier = 'standard') {
+  const at = new Date(currentTime()).toISOString();
+  const { provider, settings } = describeVoice(voiceSettings);
+  const volume = resolveVolume(voiceSettings);
+  return `[${at}] ${tier}, volume ${volume}%, ${provider} ${formatSettings(settings)}: ${message}`;
+}
+
+/**
+ * Records an announcement instead of speaking it: prints its transcript line,
+ * or appends it to TRANSCRIPT_FILE when that is set. Used as the speech queue's
+ * speaker in dry-run mode (see speechQueue.js).
+ * @param {string} message - The text that would be spoken
+ * @param {import('./tiers.js').VoiceSettings} [voiceSettings={}] - Voice and volume overrides
+ * @param {import('./tiers.js').Tier} [tier='standard'] - Escalation tier
+ * @returns {Promise<void>} Resolves once recorded
+ * @throws {Error} If TRANSCRIPT_FILE cannot be written
+ */
+export async function transcribe(message, voiceSettings = {}, tier = 'standard') {
+  const line = formatTranscriptLine(message, voiceSettings, tier);
+  const file = process.env.TRANSCRIPT_FILE;
+  if (!file) {
+    console.log(line);
+    return;
+  }
+  mkdirSync(dirname(file), { recursive: true });
+  appendFileSync(file, line + '\n');
+}
@@ -1,35 +1,86 @@
-import { writeFileSync, mkdirSync } from 'fs';
+import { readdirSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { spawn } from 'child_process';
 import { logger } from './logger.js';
+import { audioCacheKey, findCachedAudio, cacheAudio } from './audioCache.js';
+import { getPreferredEncoding } from './audioPlayer.js';
+import { increment, observe } from './metrics.js';
+import { buildWav } from './wav.js';
 
-const OUTPUT_PATH = './data/speech.mp3';
+/** Calm limits from the spec, enforced for the local engines' configurable settings */
+const MAX_CALM_RATE = 0.9;
+const MAX_CALM_PITCH = 0;
+
+/** espeak-ng's default speed (words per minute) and pitch (0–99) */
+const ESPEAK_BASE_WPM = 175;
+const ESPEAK_BASE_PITCH = 50;
+
+/** Google's audioEncoding for each encoding; LINEAR16 comes with a WAV header */
+const GOOGLE_ENCODINGS = { mp3: 'MP3', wav: 'LINEAR16' };
+
+/** ElevenLabs output_format for each encoding; its PCM is headerless 16-bit mono */
+const ELEVENLABS_FORMATS = { mp3: 'mp3_44100_128', wav: 'pcm_22050' };
+const ELEVENLABS_PCM = { audioFormat: 1, channels: 1, sampleRate: 22050, bitsPerSample: 16 };
+
+/** Prefix of each provider's own settings, e.g. GOOGLE_TIMEOUT_MS */
+const SETTINGS_PREFIX = { google: 'GOOGLE', elevenlabs: 'ELEVENLABS', local: 'LOCAL_TTS' };
+
+/**
+ * @typedef {Object} CircuitBreaker
+ * @property {number} failures - Consecutive failed attempts
+ * @property {number} openUntil - Time (ms) until which the provider is skipped; 0 when closed
+ */
+
+/** @type {Map<string, CircuitBreaker>} Circuit breaker state by provider name */
+let breakers = new Map();
+
+/**
+ * Resolves the Google voice and audio settings: a calm voice with a reduced
+ * speaking rate (a tier's own rate is capped at 0.9) and lower pitch.
+ * @param {import('./tiers.js').VoiceSettings} voiceSettings - Optional speaking rate override
+ * @returns {{ voice: string, speakingRate: number, pitch: number }} The settings
+ */
+function googleSettings(voiceSettings) {
+  return {
+    voice: process.env.GOOGLE_VOICE || 'en-US-Wavenet-D',
+    // Slightly slower than normal for a calm feel (≤ 0.9 per spec, tiers included)
+    speakingRate: capCalmSetting(
+      'Speaking rate',
+      voiceSettings.speakingRate ?? 0.85,
+      MAX_CALM_RATE
+    ),
+    pitch: -2.0, // Lower pitch for a soothing tone (≤ 0 per spec)
+  };
+}
 
 /**
  * Synthesizes speech via the Google Cloud Text-to-Speech REST API.
- * Uses a calm voice with a reduced speaking rate and lower pitch.
  * No npm SDK required — uses Node's built-in fetch.
  *
  * @param {string} text - The text to convert to speech
- * @returns {Promise<string>} Path to the saved MP3 file
+ * @param {ReturnType<typeof googleSettings> & { encoding: import('./audioPlayer.js').AudioEncoding }} settings - Voice and audio settings
+ * @param {string} outputPath - Where to save the MP3 or WAV
+ * @param {AbortSignal} signal - Aborts the request when the provider times out
+ * @returns {Promise<void>} Resolves once the audio is saved
  */
-async function synthesizeWithGoogle(text) {
+async function synthesizeWithGoogle(text, settings, outputPath, signal) {
   const apiKey = process.env.GOOGLE_API_KEY;
   if (!apiKey) {
     throw new Error('GOOGLE_API_KEY is not set. Add it to your .env file.');
   }
 
-  const voice = process.env.GOOGLE_VOICE || 'en-US-Wavenet-D';
   const url = `https://texttospeech.googleapis.com/v1/text:synthesize?key=${apiKey}`;
 
   const body = {
     input: { text },
     voice: {
       languageCode: 'en-US',
-      name: voice,
+      name: settings.voice,
     },
     audioConfig: {
-      audioEncoding: 'MP3',
-      speakingRate: 0.85, // Slightly slower than normal for a calm feel (≤ 0.9 per spec)
-      pitch: -2.0, // Lower pitch for a soothing tone (≤ 0 per spec)
+      audioEncoding: GOOGLE_ENCODINGS[settings.encoding],
+      speakingRate: settings.speakingRate,
+      pitch: settings.pitch,
     },
   };
 
@@ -37,6 +88,7 @@ async function synthesizeWithGoogle(text) {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify(body),
+    signal,
   });
 
   if (!response.ok) {
@@ -45,38 +97,75 @@ async function synthesizeWithGoogle(text) {
   }
 
   const data = await response.json();
-  const audioBytes = Buffer.from(data.audioContent, 'base64');
-  mkdirSync('./data', { recursive: true });
-  writeFileSync(OUTPUT_PATH, audioBytes);
-  logger.debug(`Google TTS audio saved to ${OUTPUT_PATH}`);
-  return OUTPUT_PATH;
+  writeFileSync(outputPath, Buffer.from(data.audioContent, 'base64'));
+  logger.debug(`Google TTS audio saved to ${outputPath}`);
+}
+
+/**
+ * Lists the English voices Google offers.
+ * @returns {Promise<Voice[]>} The voices
+ */
+async function googleVoices() {
+  const apiKey = process.env.GOOGLE_API_KEY;
+  if (!apiKey) {
+    throw new Error('GOOGLE_API_KEY is not set. Add it to your .env file.');
+  }
+  const url = `https://texttospeech.googleapis.com/v1/voices?languageCode=en&key=${apiKey}`;
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Google TTS API error (${response.status}): ${await response.text()}`);
+  }
+  const { voices = [] } = await response.json();
+  return voices.map((voice) => ({
+    id: voice.name,
+    description: `${voice.languageCodes.join(', ')}, ${voice.ssmlGender.toLowerCase()}`,
+  }));
+}
+
+/**
+ * Resolves the ElevenLabs voice and settings: a high-stability, zero-style
+ * configuration for a calm, peaceful tone, with a tier's speaking rate capped at 0.9.
+ * @param {import('./tiers.js').VoiceSettings} voiceSettings - Optional speaking rate override
+ * @returns {{ voiceId: string, modelId: string, voiceSettings: Record<string, number | boolean> }} The settings
+ */
+function elevenLabsSettings(voiceSettings) {
+  return {
+    voiceId: process.env.ELEVENLABS_VOICE_ID || 'EXAVITQu4vr4xnSDxMaL',
+    modelId: 'eleven_monolingual_v1',
+    voiceSettings: {
+      stability: 0.8, // High stability = consistent, calm delivery (≥ 0.7 per spec)
+      similarity_boost: 0.6,
+      style: 0.0, // No extra expressiveness — deliberately calm
+      use_speaker_boost: false,
+      ...(voiceSettings.speakingRate && {
+        speed: capCalmSetting('Speaking rate', voiceSettings.speakingRate, MAX_CALM_RATE),
+      }),
+    },
+  };
 }
 
 /**
  * Synthesizes speech via the ElevenLabs TTS REST API.
- * Uses a high-stability, zero-style voice configuration for a calm, peaceful tone.
  *
  * @param {string} text - The text to convert to speech
- * @returns {Promise<string>} Path to the saved MP3 file
+ * @param {ReturnType<typeof elevenLabsSettings> & { encoding: import('./audioPlayer.js').AudioEncoding }} settings - Voice and settings
+ * @param {string} outputPath - Where to save the MP3 or WAV
+ * @param {AbortSignal} signal - Aborts the request when the provider times out
+ * @returns {Promise<void>} Resolves once the audio is saved
  */
-async function synthesizeWithElevenLabs(text) {
+async function synthesizeWithElevenLabs(text, settings, outputPath, signal) {
   const apiKey = process.env.ELEVENLABS_API_KEY;
   if (!apiKey) {
     throw new Error('ELEVENLABS_API_KEY is not set. Add it to your .env file.');
   }
 
-  const voiceId = process.env.ELEVENLABS_VOICE_ID || 'EXAVITQu4vr4xnSDxMaL';
-  const url = `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`;
+  const format = ELEVENLABS_FORMATS[settings.encoding];
+  const url = `https://api.elevenlabs.io/v1/text-to-speech/${settings.voiceId}?output_format=${format}`;
 
   const body = {
     text,
-    model_id: 'eleven_monolingual_v1',
-    voice_settings: {
-      stability: 0.8, // High stability = consistent, calm delivery (≥ 0.7 per spec)
-      similarity_boost: 0.6,
-      style: 0.0, // No extra expressiveness — deliberately calm
-      use_speaker_boost: false,
-    },
+    model_id: settings.modelId,
+    voice_settings: settings.voiceSettings,
   };
 
   const response = await fetch(url, {
@@ -86,6 +175,7 @@ async function synthesizeWithElevenLabs(text) {
       'xi-api-key': apiKey,
     },
     body: JSON.stringify(body),
+    signal,
   });
 
   if (!response.ok) {
@@ -93,27 +183,426 @@ async function synthesizeWithElevenLabs(text) {
     throw new Error(`ElevenLabs API error (${response.status}): ${errorText}`);
   }
 
-  const audioBuffer = Buffer.from(await response.arrayBuffer());
-  mkdirSync('./data', { recursive: true });
-  writeFileSync(OUTPUT_PATH, audioBuffer);
-  logger.debug(`ElevenLabs TTS audio saved to ${OUTPUT_PATH}`);
-  return OUTPUT_PATH;
+  const audio = Buffer.from(await response.arrayBuffer());
+  writeFileSync(outputPath, settings.encoding === 'wav' ? buildWav(ELEVENLABS_PCM, audio) : audio);
+  logger.debug(`ElevenLabs TTS audio saved to ${outputPath}`);
+}
+
+/**
+ * Lists the voices in the ElevenLabs account.
+ * @returns {Promise<Voice[]>} The voices
+ */
+async function elevenLabsVoices() {
+  const apiKey = process.env.ELEVENLABS_API_KEY;
+  if (!apiKey) {
+    throw new Error('ELEVENLABS_API_KEY is not set. Add it to your .env file.');
+  }
+  const response = await fetch('https://api.elevenlabs.io/v1/voices', {
+    headers: { 'xi-api-key': apiKey },
+  });
+  if (!response.ok) {
+    throw new Error(`ElevenLabs API error (${response.status}): ${await response.text()}`);
+  }
+  const { voices = [] } = await response.json();
+  return voices.map((voice) => ({ id: voice.voice_id, description: voice.name }));
+}
+
+/**
+ * Caps a calm setting at the spec's limit, for every provider, so a
+ * misconfiguration (e.g. PDS_SPEAKING_RATE) cannot make announcements faster or
+ * higher-pitched.
+ * @param {string} name - Setting name, for the log
+ * @param {number} value - The configured value
+ * @param {number} max - The calm limit
+ * @returns {number} The value, at most `max`
+ */
+function capCalmSetting(name, value, max) {
+  if (value <= max) return value;
+  logger.warn(`${name} ${value} is above the calm limit of ${max}; using ${max}`);
+  return max;
+}
+
+/**
+ * Runs a local TTS engine, passing the text on stdin.
+ * @param {string} command - The engine binary
+ * @param {string[]} args - Its arguments
+ * @param {string} text - The text to speak
+ * @param {AbortSignal} signal - Kills the engine when the provider times out
+ * @returns {Promise<void>} Resolves once the engine exits successfully
+ */
+function runEngine(command, args, text, signal) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(command, args, { stdio: ['pipe', 'ignore', 'pipe'], signal });
+    let stderr = '';
+
+    proc.stderr.on('data', (chunk) => (stderr += chunk));
+    // A missing engine also fails the stdin write; the 'error' event below reports it
+    proc.stdin.on('error', () => {});
+    proc.on('error', (err) => {
+      reject(new Error(`Local TTS engine "${command}" failed: ${err.message}`));
+    });
+    proc.on('close', (code) => {
+      if (code === 0) return resolve();
+      reject(new Error(`Local TTS engine "${command}" exited with code ${code}: ${stderr.trim()}`));
+    });
+    proc.stdin.end(text);
+  });
 }
 
 /**
- * Converts text to speech using the configured TTS provider (Google or ElevenLabs).
- * The output is always written to a local MP3 file for playback.
+ * Resolves the local engine settings: LOCAL_TTS_ENGINE (espeak-ng or piper),
+ * LOCAL_TTS_VOICE, and LOCAL_TTS_RATE (default 0.85) and LOCAL_TTS_PITCH
+ * (semitones, default -2) on Google's scale, capped at the spec's calm limits
+ * (≤ 0.9, ≤ 0).
+ * @param {import('./tiers.js').VoiceSettings} voiceSettings - Optional speaking rate override
+ * @returns {{ engine: string, voice: string | null, rate: number, pitch: number }} The settings
+ */
+function localSettings(voiceSettings) {
+  return {
+    engine: process.env.LOCAL_TTS_ENGINE || 'espeak-ng',
+    voice: process.env.LOCAL_TTS_VOICE || null,
+    rate: capCalmSetting(
+      'Speaking rate',
+      voiceSettings.speakingRate ?? parseFloat(process.env.LOCAL_TTS_RATE || '0.85'),
+      MAX_CALM_RATE
+    ),
+    pitch: capCalmSetting(
+      'LOCAL_TTS_PITCH',
+      parseFloat(process.env.LOCAL_TTS_PITCH || '-2'),
+      MAX_CALM_PITCH
+    ),
+  };
+}
+
+/**
+ * Synthesizes speech offline with an installed engine: espeak-ng (voice defaults
+ * to en-us) or Piper (the voice is the path to its model, and there is no pitch
+ * setting).
  *
+ * @param {string} text - The text to convert to speech
+ * @param {ReturnType<typeof localSettings>} settings - Engine, voice, rate and pitch
+ * @param {string} outputPath - Where to save the WAV
+ * @param {AbortSignal} signal - Kills the engine when the provider times out
+ * @returns {Promise<void>} Resolves once the audio is saved
+ */
+async function synthesizeWithLocalEngine(text, settings, outputPath, signal) {
+  const { engine, voice, rate, pitch } = settings;
+
+  let args;
+  if (engine === 'espeak-ng') {
+    // espeak-ng pitch is 0–99 around 50; roughly 2.5 steps per semitone
+    const espeakPitch = Math.max(0, Math.round(ESPEAK_BASE_PITCH + pitch * 2.5));
+    args = [
+      '-v',
+      voice || 'en-us',
+      '-s',
+      String(Math.round(ESPEAK_BASE_WPM * rate)),
+      '-p',
+      String(espeakPitch),
+      '-w',
+      outputPath,
+      '--stdin',
+    ];
+  } else if (engine === 'piper') {
+    if (!voice) {
+      throw new Error('LOCAL_TTS_VOICE must be set to a Piper model (.onnx) path.');
+    }
+    // Piper stretches speech by length_scale, so a slower rate is a larger scale
+    args = ['--model', voice, '--length_scale', (1 / rate).toFixed(2), '--output_file', outputPath];
+  } else {
+    throw new Error(`Unknown LOCAL_TTS_ENGINE "${engine}" (use espeak-ng or piper)`);
+  }
+
+  await runEngine(engine, args, text, signal);
+  logger.debug(`${engine} audio saved to ${outputPath}`);
+}
+
+/**
+ * Lists the local engine's voices: espeak-ng's English voices (by the name
+ * LOCAL_TTS_VOICE takes), or the Piper models (.onnx) next to LOCAL_TTS_VOICE.
+ * @returns {Promise<Voice[]>} The voices
+ */
+async function localVoices() {
+  const { engine, voice } = localSettings({});
+  if (engine === 'piper') {
+    const dir = voice ? dirname(voice) : '.';
+    return readdirSync(dir)
+      .filter((file) => file.endsWith('.onnx'))
+      .map((file) => ({ id: join(dir, file), description: 'Piper model' }));
+  }
+  if (engine !== 'espeak-ng') {
+    throw new Error(`Unknown LOCAL_TTS_ENGINE "${engine}" (use espeak-ng or piper)`);
+  }
+  const listing = await new Promise((resolve, reject) => {
+    const proc = spawn(engine, ['--voices=en'], { stdio: ['ignore', 'pipe', 'ignore'] });
+    let stdout = '';
+    proc.stdout.on('data', (chunk) => (stdout += chunk));
+    proc.on('error', (err) =>
+      reject(new Error(`Local TTS engine "${engine}" failed: ${err.message}`))
+    );
+    proc.on('close', (code) => {
+      if (code === 0) return resolve(stdout);
+      reject(new Error(`Local TTS engine "${engine}" exited with code ${code}`));
+    });
+  });
+  // Columns: Pty Language Age/Gender VoiceName File Other Languages; the first line is the header
+  return listing
+    .split('\n')
+    .slice(1)
+    .map((line) => line.trim().split(/\s+/))
+    .filter((columns) => columns.length >= 4)
+    .map(([, language, gender, name]) => ({
+      id: language,
+      description: `${name.replace(/_/g, ' ')}, ${gender === 'F' ? 'female' : 'male'}`,
+    }));
+}
+
+/**
+ * @typedef {Object} Voice
+ * @property {string} id - What to set the provider's voice setting to
+ * @property {string} description - Language, name or gender, as the provider reports them
+ */
+
+/**
+ * @typedef {Object} Provider
+ * @property {(voiceSettings: import('./tiers.js').VoiceSettings) => Record<string, unknown>} settings - Resolves every setting that shapes the audio
+ * @property {(text: string, settings: any, outputPath: string, signal: AbortSignal) => Promise<void>} synthesize - Writes the audio
+ * @property {import('./audioPlayer.js').AudioEncoding[]} encodings - Formats it can write, its own first
+ * @property {() => Promise<Voice[]>} voices - Lists the voices it offers
+ */
+
+/** @type {Record<string, Provider>} TTS providers by name */
+const PROVIDERS = {
+  google: {
+    settings: googleSettings,
+    synthesize: synthesizeWithGoogle,
+    encodings: ['mp3', 'wav'],
+    voices: googleVoices,
+  },
+  elevenlabs: {
+    settings: elevenLabsSettings,
+    synthesize: synthesizeWithElevenLabs,
+    encodings: ['mp3', 'wav'],
+    voices: elevenLabsVoices,
+  },
+  local: {
+    settings: localSettings,
+    synthesize: synthesizeWithLocalEngine,
+    encodings: ['wav'],
+    voices: localVoices,
+  },
+};
+
+/**
+ * Picks the encoding a provider should write: the one the audio player wants
+ * (see getPreferredEncoding) if the provider can produce it, else its own.
+ * @param {string} provider - Provider name
+ * @returns {import('./audioPlayer.js').AudioEncoding} The encoding
+ */
+function chooseEncoding(provider) {
+  const { encodings } = PROVIDERS[provider];
+  const wanted = getPreferredEncoding();
+  return wanted && encodings.includes(wanted) ? wanted : encodings[0];
+}
+
+/**
+ * Returns the providers to try, in order: TTS_PROVIDERS (comma-separated, e.g.
+ * "elevenlabs,google,local"), or else the single TTS_PROVIDER (default google).
+ * Unknown names are skipped with a warning.
+ * @returns {string[]} Provider names (never empty)
+ */
+export function getProviderChain() {
+  const configured = (process.env.TTS_PROVIDERS || process.env.TTS_PROVIDER || 'google')
+    .split(',')
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean);
+  const known = configured.filter((name) => {
+    if (Object.hasOwn(PROVIDERS, name)) return true;
+    logger.warn(`Unknown TTS provider "${name}" — skipping it`);
+    return false;
+  });
+  return known.length > 0 ? [...new Set(known)] : ['google'];
+}
+
+/**
+ * Returns a provider's circuit breaker, creating a closed one if needed.
+ * @param {string} provider - Provider name
+ * @returns {CircuitBreaker} Its breaker
+ */
+function breakerFor(provider) {
+  if (!breakers.has(provider)) breakers.set(provider, { failures: 0, openUntil: 0 });
+  return breakers.get(provider);
+}
+
+/**
+ * Records a failed attempt, opening the breaker after TTS_BREAKER_THRESHOLD
+ * consecutive failures (default 3) for TTS_BREAKER_COOLDOWN_MS (default 5 minutes).
+ * After the cooldown the provider gets one more try; another failure reopens it.
+ * @param {string} provider - Provider name
+ */
+function recordFailure(provider) {
+  const breaker = breakerFor(provider);
+  const threshold = parseInt(process.env.TTS_BREAKER_THRESHOLD || '3', 10);
+  const cooldownMs = parseInt(process.env.TTS_BREAKER_COOLDOWN_MS || '300000', 10);
+  breaker.failures += 1;
+  if (breaker.failures >= threshold) {
+    breaker.openUntil = Date.now() + cooldownMs;
+    logger.warn(
+      `${provider} TTS failed ${breaker.failures} times in a row — skipping it for ${cooldownMs / 1000}s`
+    );
+  }
+}
+
+/**
+ * Runs one provider, giving up after its timeout: <PROVIDER>_TIMEOUT_MS (e.g.
+ * GOOGLE_TIMEOUT_MS, LOCAL_TTS_TIMEOUT_MS), or TTS_TIMEOUT_MS (default 15 seconds).
+ * The audio goes straight into the cache.
+ * @param {string} provider - Provider name
  * @param {string} text - The text to speak
- * @returns {Promise<string>} Path to the generated audio file
+ * @param {Record<string, unknown>} settings - The provider's resolved settings, with its encoding
+ * @param {string} key - Cache key for this text, provider and settings
+ * @returns {Promise<string>} Path to the cached audio file
  */
-export async function synthesizeSpeech(text) {
-  const provider = process.env.TTS_PROVIDER || 'google';
-  logger.info(`Synthesizing speech via ${provider} TTS`);
+async function synthesizeWithTimeout(provider, text, settings, key) {
+  const { synthesize } = PROVIDERS[provider];
+  const timeoutMs = parseInt(
+    process.env[`${SETTINGS_PREFIX[provider]}_TIMEOUT_MS`] || process.env.TTS_TIMEOUT_MS || '15000',
+    10
+  );
+  const controller = new AbortController();
+  let timer;
+  const timedOut = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new Error(`timed out after ${timeoutMs / 1000}s`));
+    }, timeoutMs);
+  });
+  try {
+    return await cacheAudio(key, settings.encoding, (outputPath) =>
+      Promise.race([synthesize(text, settings, outputPath, controller.signal), timedOut])
+    );
+  } finally {
+    clearTimeout(timer);
+  }
+}
 
-  if (provider === 'elevenlabs') {
-    return synthesizeWithElevenLabs(text);
+/**
+ * Converts text to speech, trying each configured provider in turn (see
+ * getProviderChain) until one succeeds: Google, ElevenLabs, or a local engine
+ * that works without internet. Audio any provider in the chain already made for
+ * the same text and settings is played from the cache (see audioCache.js)
+ * without a network call. A provider whose circuit breaker is open is skipped,
+ * unless every provider's is, in which case all are tried anyway. Each provider
+ * writes the format the audio player plays, where it can (see chooseEncoding).
+ *
+ * @param {string} text - The text to speak
+ * @param {import('./tiers.js').VoiceSettings} [voiceSettings={}] - Optional speaking rate override
+ * @returns {Promise<string>} Path to the audio file (MP3 or WAV)
+ * @throws {Error} If every provider failed, listing each provider's error
+ */
+export async function synthesizeSpeech(text, voiceSettings = {}) {
+  const chain = getProviderChain();
+  const requests = new Map(
+    chain.map((provider) => {
+      const settings = {
+        ...PROVIDERS[provider].settings(voiceSettings),
+        encoding: chooseEncoding(provider),
+      };
+      return [provider, { settings, key: audioCacheKey(text, provider, settings) }];
+    })
+  );
+
+  for (const provider of chain) {
+    const cached = findCachedAudio(requests.get(provider).key);
+    if (cached) {
+      logger.info(`Speech by ${provider} TTS found in the cache`);
+      return cached;
+    }
+  }
+
+  const closed = chain.filter((provider) => breakerFor(provider).openUntil <= Date.now());
+  if (closed.length === 0) logger.warn('Every TTS provider is cooling down — trying them all');
+  const providers = closed.length > 0 ? closed : chain;
+  for (const provider of chain.filter((p) => !providers.includes(p))) {
+    logger.info(`Skipping ${provider} TTS while its circuit breaker is open`);
   }
 
-  return synthesizeWithGoogle(text);
+  const errors = [];
+  for (const provider of providers) {
+    logger.info(`Synthesizing speech via ${provider} TTS`);
+    const { settings, key } = requests.get(provider);
+    const startedAt = Date.now();
+    try {
+      const audioPath = await synthesizeWithTimeout(provider, text, settings, key);
+      observe('tts_duration_seconds', (Date.now() - startedAt) / 1000, { provider });
+      breakers.delete(provider);
+      const failover = errors.length > 0 ? ` after ${errors.length} failed provider(s)` : '';
+      logger.info(`Speech synthesized by ${provider} TTS${failover}`);
+      return audioPath;
+    } catch (err) {
+      logger.warn(`${provider} TTS failed: ${err.message}`);
+      errors.push(`${provider}: ${err.message}`);
+      increment('tts_failures_total', { provider });
+      recordFailure(provider);
+    }
+  }
+  throw new Error(`All TTS providers failed (${errors.join('; ')})`);
+}
+
+/**
+ * Returns the voice a message would be synthesized in, without synthesizing it:
+ * the first provider in the chain and every setting it would be sent.
+ * @param {import('./tiers.js').VoiceSettings} [voiceSettings={}] - Optional tier overrides
+ * @returns {{ provider: string, settings: Record<string, unknown> }} The provider and its settings
+ */
+export function describeVoice(voiceSettings = {}) {
+  const [provider] = getProviderChain();
+  return { provider, settings: PROVIDERS[provider].settings(voiceSettings) };
+}
+
+/**
+ * Synthesizes phrases ahead of time so they are in the cache, and still play,
+ * should every TTS service be unreachable later. Phrases already cached cost
+ * nothing; failures are logged and skipped.
+ *
+ * @param {string[]} phrases - Texts to prepare, in the standard voice
+ * @returns {Promise<number>} How many phrases are now cached
+ */
+export async function prewarmSpeech(phrases) {
+  const unique = [...new Set(phrases)];
+  let ready = 0;
+  for (const phrase of unique) {
+    try {
+      await synthesizeSpeech(phrase);
+      ready += 1;
+    } catch (err) {
+      logger.warn(`Could not pre-warm "${phrase}": ${err.message}`);
+    }
+  }
+  logger.info(`Pre-warmed ${ready} of ${unique.length} common phrase(s)`);
+  return ready;
+}
+
+/**
+ * Lists the voices a provider offers, for choosing GOOGLE_VOICE,
+ * ELEVENLABS_VOICE_ID or LOCAL_TTS_VOICE.
+ * @param {string} [provider] - Provider name (default: the first in the chain)
+ * @returns {Promise<Voice[]>} The voices
+ * @throws {Error} If the provider is unknown or cannot be reached
+ */
+export async function listVoices(provider = getProviderChain()[0]) {
+  if (!Object.hasOwn(PROVIDERS, provider)) {
+    throw new Error(
+      `Unknown TTS provider "${provider}" (use ${Object.keys(PROVIDERS).join(', ')})`
+    );
+  }
+  return PROVIDERS[provider].voices();
+}
+
+/**
+ * Closes every circuit breaker. For use in tests only.
+ * @internal
+ */
+export function _resetCircuitBreakers() {
+  breakers = new Map();
 }
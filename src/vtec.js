@@ -0,0 +1,131 @@
+/**
+ * Parser for P-VTEC strings (NWS Directive 10-1703), which NWS alerts carry in
+ * `parameters.VTEC`, e.g. "/O.EXT.KLMK.TO.W.0042.000000T0000Z-260515T2045Z/".
+ * The office, phenomenon, significance and event tracking number (ETN) identify
+ * one hazard event across every message about it, even when NWS reissues it
+ * under a new alert ID.
+ */
+
+/**
+ * VTEC action codes and what they mean for an event.
+ * @type {Readonly<Record<string, string>>}
+ */
+export const VTEC_ACTIONS = Object.freeze({
+  NEW: 'new event',
+  CON: 'event continues',
+  EXT: 'end time changed',
+  EXA: 'area extended',
+  EXB: 'area extended and end time changed',
+  UPG: 'upgraded to a more serious event',
+  CAN: 'cancelled',
+  EXP: 'expired or about to expire',
+  COR: 'correction',
+  ROU: 'routine',
+});
+
+/**
+ * @typedef {Object} VtecRecord
+ * @property {'O' | 'T' | 'E' | 'X'} productClass - Operational, Test, Experimental, or eXperimental VTEC in an operational product
+ * @property {string} action - Action code, one of the keys of VTEC_ACTIONS
+ * @property {string} office - Issuing office (e.g. "KLMK")
+ * @property {string} phenomenon - Two-letter phenomenon (e.g. "TO" for tornado)
+ * @property {string} significance - Significance (e.g. "W" warning, "A" watch)
+ * @property {number} etn - Event tracking number
+ * @property {string | null} begins - ISO 8601 begin time, or null when already in effect
+ * @property {string | null} ends - ISO 8601 end time, or null when until further notice
+ */
+
+const VTEC =
+  /^\/?([OTEX])\.([A-Z]{3})\.([A-Z]{4})\.([A-Z]{2})\.([A-Z])\.(\d{4})\.(\d{6}T\d{4}Z)-(\d{6}T\d{4}Z)\/?$/;
+
+/**
+ * Converts a VTEC time ("yymmddThhnnZ") to ISO 8601. The all-zero time means
+ * "already in effect" or "until further notice".
+ * @param {string} text - The VTEC time
+ * @returns {string | null} ISO 8601 time, or null for the all-zero time
+ */
+function vtecTime(text) {
+  if (/^0+T0+Z$/.test(text)) return null;
+  const [, yy, mm, dd, hh, nn] = /^(\d\d)(\d\d)(\d\d)T(\d\d)(\d\d)Z$/.exec(text);
+  return `20${yy}-${mm}-${dd}T${hh}:${nn}:00Z`;
+}
+
+/**
+ * Parses a single P-VTEC string.
+ * @param {string | undefined} text - The raw VTEC string
+ * @returns {VtecRecord | null} The parsed record, or null if missing or malformed
+ */
+export function parseVtec(text) {
+  const match = VTEC.exec((text ?? '').trim());
+  if (!match || !Object.hasOwn(VTEC_ACTIONS, match[2])) return null;
+  const [, productClass, action, office, phenomenon, significance, etn, begins, ends] = match;
+  return {
+    productClass,
+    action,
+    office,
+    phenomenon,
+    significance,
+    etn: parseInt(etn, 10),
+    begins: vtecTime(begins),
+    ends: vtecTime(ends),
+  };
+}
+
+/**
+ * Returns the VTEC record that describes an alert. When a product upgrades one
+ * event to another it lists both; the record for the new event is preferred.
+ *
+ * @param {import('./alertProcessor.js').AlertFeature} alert - The NWS alert feature
+ * @returns {VtecRecord | null} The alert's VTEC record, or null if it carries none
+ */
+export function getVtec(alert) {
+  const records = (alert.properties.parameters?.VTEC ?? []).map(parseVtec).filter(Boolean);
+  return records.find((r) => r.action !== 'UPG') ?? records[0] ?? null;
+}
+
+/**
+ * Returns the year an event's tracking number belongs to. ETNs restart every
+ * January, so the year tells apart events that reuse one: taken from the VTEC
+ * begin time, or, for messages about an event already in effect, from when the
+ * alert was sent (or took effect).
+ *
+ * @param {VtecRecord} record - A parsed VTEC record
+ * @param {import('./alertProcessor.js').AlertFeature} [alert] - The alert carrying it
+ * @returns {number | null} The year, or null if nothing gives one
+ */
+function eventYear(record, alert) {
+  const time = record.begins ?? alert?.properties.sent ?? alert?.properties.effective;
+  const year = new Date(time ?? NaN).getUTCFullYear();
+  return Number.isNaN(year) ? null : year;
+}
+
+/**
+ * Builds the key of an event's tracking number, without its year, e.g.
+ * "KLMK.TO.W.0042". The significance is included because a watch and a warning
+ * for the same phenomenon can share a tracking number.
+ *
+ * @param {VtecRecord} record - A parsed VTEC record
+ * @returns {string} The tracking key
+ */
+export function vtecTrackingKey(record) {
+  const { office, phenomenon, significance, etn } = record;
+  return `${office}.${phenomenon}.${significance}.${String(etn).padStart(4, '0')}`;
+}
+
+/**
+ * Builds the key that identifies a hazard event across reissues, e.g.
+ * "KLMK.TO.W.0042.2026": its tracking key (see vtecTrackingKey) and the year
+ * (see eventYear), because tracking numbers are reused every year. A message
+ * without a begin time takes its year from when it was sent, so one sent after
+ * New Year about an event that began in December needs the year of the event it
+ * continues (see vtecKeyOf in lifecycle.js).
+ *
+ * @param {VtecRecord} record - A parsed VTEC record
+ * @param {import('./alertProcessor.js').AlertFeature} [alert] - The alert carrying it
+ * @returns {string} The event key
+ */
+export function vtecEventKey(record, alert) {
+  const key = vtecTrackingKey(record);
+  const year = eventYear(record, alert);
+  return year === null ? key : `${key}.${year}`;
+}
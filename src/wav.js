@@ -0,0 +1,150 @@
+/**
+ * Minimal reader and writer for RIFF/WAVE files with uncompressed PCM audio,
+ * enough to join short clips into one announcement and to set its volume.
+ */
+
+/**
+ * @typedef {Object} WavFormat
+ * @property {number} audioFormat - 1 for PCM
+ * @property {number} channels - Channel count
+ * @property {number} sampleRate - Samples per second
+ * @property {number} bitsPerSample - Bits per sample
+ */
+
+/**
+ * @typedef {Object} WavAudio
+ * @property {WavFormat} format - The audio format
+ * @property {Buffer} data - The raw sample data
+ */
+
+/** Size of the RIFF header plus a 16-byte fmt chunk and the data chunk header */
+const HEADER_BYTES = 44;
+
+/**
+ * Parses a WAV file into its format and sample data. Chunks other than "fmt "
+ * and "data" are skipped. A data size larger than the file (as written by some
+ * engines when streaming) is read up to the end of the file.
+ *
+ * @param {Buffer} buffer - The file contents
+ * @returns {WavAudio} The parsed audio
+ * @throws {Error} If the buffer is not a PCM WAV file
+ */
+export function parseWav(buffer) {
+  if (
+    buffer.length < 12 ||
+    buffer.toString('ascii', 0, 4) !== 'RIFF' ||
+    buffer.toString('ascii', 8, 12) !== 'WAVE'
+  ) {
+    throw new Error('Not a WAV file');
+  }
+
+  let format = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+    if (id === 'fmt ') {
+      format = {
+        audioFormat: buffer.readUInt16LE(body),
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14),
+      };
+    } else if (id === 'data') {
+      if (!format) throw new Error('WAV data chunk comes before its format');
+      if (format.audioFormat !== 1) throw new Error('Only PCM WAV files are supported');
+      return { format, data: buffer.subarray(body, Math.min(body + size, buffer.length)) };
+    }
+    // Chunks are padded to an even length
+    offset = body + size + (size % 2);
+  }
+  throw new Error('WAV file has no data chunk');
+}
+
+/**
+ * Builds a PCM WAV file.
+ * @param {WavFormat} format - The audio format
+ * @param {Buffer} data - The raw sample data
+ * @returns {Buffer} The file contents
+ */
+export function buildWav(format, data) {
+  const { channels, sampleRate, bitsPerSample } = format;
+  const blockAlign = (channels * bitsPerSample) / 8;
+  const header = Buffer.alloc(HEADER_BYTES);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(HEADER_BYTES - 8 + data.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+/**
+ * Joins WAV files end to end, with a short silence between them.
+ *
+ * @param {Buffer[]} files - WAV file contents, all in the same format
+ * @param {number} [gapMs=0] - Silence between clips (milliseconds)
+ * @returns {Buffer} One WAV file
+ * @throws {Error} If there are no files or their formats differ
+ */
+export function concatWav(files, gapMs = 0) {
+  if (files.length === 0) throw new Error('No WAV files to join');
+  const clips = files.map(parseWav);
+  const [{ format }] = clips;
+  const differs = clips.find(
+    (clip) =>
+      clip.format.channels !== format.channels ||
+      clip.format.sampleRate !== format.sampleRate ||
+      clip.format.bitsPerSample !== format.bitsPerSample
+  );
+  if (differs) {
+    throw new Error(
+      `WAV clips differ in format (${format.sampleRate} Hz vs ${differs.format.sampleRate} Hz, ` +
+        `${format.channels} vs ${differs.format.channels} channels)`
+    );
+  }
+
+  // Silence is 0 for signed PCM but 128 for unsigned 8-bit; whole frames keep channels aligned
+  const blockAlign = (format.channels * format.bitsPerSample) / 8;
+  const silence = format.bitsPerSample === 8 ? 0x80 : 0;
+  const gap = Buffer.alloc(Math.round((format.sampleRate * gapMs) / 1000) * blockAlign, silence);
+  const parts = clips.flatMap((clip, i) => (i === 0 ? [clip.data] : [gap, clip.data]));
+  return buildWav(format, Buffer.concat(parts));
+}
+
+/**
+ * Turns the volume of a WAV file down by scaling every sample, for players such
+ * as aplay that have no volume setting of their own.
+ *
+ * @param {Buffer} buffer - WAV file contents (8-, 16-, 24- or 32-bit PCM)
+ * @param {number} gain - 0 (silent) to 1 (unchanged); values outside are clamped
+ * @returns {Buffer} A new WAV file at the lower volume
+ * @throws {Error} If the buffer is not a PCM WAV file with a supported sample size
+ */
+export function scaleWav(buffer, gain) {
+  const { format, data } = parseWav(buffer);
+  const bytes = format.bitsPerSample / 8;
+  if (![1, 2, 3, 4].includes(bytes)) {
+    throw new Error(`Cannot change the volume of ${format.bitsPerSample}-bit audio`);
+  }
+  const factor = Math.min(Math.max(gain, 0), 1);
+  const scaled = Buffer.alloc(data.length - (data.length % bytes));
+  for (let offset = 0; offset < scaled.length; offset += bytes) {
+    if (bytes === 1) {
+      // 8-bit samples are unsigned around 128
+      scaled[offset] = Math.round((data[offset] - 128) * factor) + 128;
+    } else {
+      scaled.writeIntLE(Math.round(data.readIntLE(offset, bytes) * factor), offset, bytes);
+    }
+  }
+  return buildWav(format, scaled);
+}
@@ -1,5 +1,22 @@
 import { describe, it, expect } from 'vitest';
-import { filterTornadoWarnings, generateCalmMessage } from '../src/alertProcessor.js';
+import {
+  filterTornadoWarnings,
+  filterAlerts,
+  generateCalmMessage,
+  generateHazardMessage,
+  describeProximity,
+  parseEventMotion,
+  estimateArrival,
+  describeArrival,
+} from '../src/alertProcessor.js';
+import {
+  HOME,
+  AROUND_HOME,
+  EAST_OF_HOME,
+  SOUTHWEST_OF_HOME,
+  JUST_NORTH_OF_HOME,
+} from './fixtures/polygons.js';
+import { DEFAULT_HAZARDS } from '../src/hazards.js';
 
 // ── Helpers ─────────────────────────────────────────────────────────────────
 
@@ -66,6 +83,141 @@ describe('filterTornadoWarnings', () => {
   });
 });
 
+// ── filterTornadoWarnings – geofencing ───────────────────────────────────────
+
+describe('filterTornadoWarnings – geofencing', () => {
+  const home = HOME;
+  const withGeometry = (id, geometry, geocode) => ({
+    ...makeFeature('Tornado Warning', id),
+    geometry,
+    properties: { ...makeFeature('Tornado Warning', id).properties, geocode },
+  });
+
+  it('keeps a warning whose polygon contains home', () => {
+    const features = [withGeometry('inside', AROUND_HOME)];
+    expect(filterTornadoWarnings(features, { home })).toHaveLength(1);
+  });
+
+  it('drops a warning whose polygon is elsewhere in the county', () => {
+    const features = [withGeometry('east', EAST_OF_HOME, { UGC: ['KYC111'] })];
+    const codes = { ugc: ['KYC111'], same: [] };
+    expect(filterTornadoWarnings(features, { home, codes })).toHaveLength(0);
+  });
+
+  it('keeps a nearby polygon within the buffer distance', () => {
+    const features = [withGeometry('east', EAST_OF_HOME)];
+    expect(filterTornadoWarnings(features, { home, bufferMiles: 15 })).toHaveLength(1);
+  });
+
+  it('falls back to county/zone codes when the alert has no geometry', () => {
+    const codes = { ugc: ['KYC111'], same: [] };
+    const features = [
+      withGeometry('here', null, { UGC: ['KYC111'] }),
+      withGeometry('pikeville', null, { UGC: ['KYC195'] }),
+    ];
+    const result = filterTornadoWarnings(features, { home, codes });
+    expect(result.map((f) => f.id)).toEqual(['here']);
+  });
+
+  it('keeps alerts with no geometry when no fallback codes are configured', () => {
+    const features = [withGeometry('unknown', null)];
+    expect(filterTornadoWarnings(features, { home })).toHaveLength(1);
+  });
+
+  it('still ignores non-tornado events inside the polygon', () => {
+    const watch = { ...makeFeature('Tornado Watch'), geometry: AROUND_HOME };
+    expect(filterTornadoWarnings([watch], { home })).toHaveLength(0);
+  });
+});
+
+// ── filterAlerts ─────────────────────────────────────────────────────────────
+
+describe('filterAlerts', () => {
+  it('keeps every listed event type and drops the rest', () => {
+    const features = [
+      makeFeature('Tornado Warning', 'id1'),
+      makeFeature('Flash Flood Warning', 'id2'),
+      makeFeature('Winter Storm Warning', 'id3'),
+    ];
+    const result = filterAlerts(features, ['Tornado Warning', 'Flash Flood Warning']);
+    expect(result.map((f) => f.id)).toEqual(['id1', 'id2']);
+  });
+
+  it('returns nothing for an empty event list', () => {
+    expect(filterAlerts([makeFeature('Tornado Warning')], [])).toEqual([]);
+  });
+
+  it('falls back to codes for polygon-less alerts such as watches', () => {
+    const watch = {
+      ...makeFeature('Tornado Watch'),
+      properties: { ...makeFeature('Tornado Watch').properties, geocode: { UGC: ['KYC111'] } },
+    };
+    const options = { home: HOME, codes: { ugc: ['KYC185'], same: [] } };
+    expect(filterAlerts([watch], ['Tornado Watch'], options)).toHaveLength(0);
+    options.codes.ugc.push('KYC111');
+    expect(filterAlerts([watch], ['Tornado Watch'], options)).toHaveLength(1);
+  });
+});
+
+// ── generateHazardMessage ─────────────────────────────────────────────────────
+
+describe('generateHazardMessage', () => {
+  const hazardFor = (event) => DEFAULT_HAZARDS.find((h) => h.event === event);
+
+  it.each([
+    ['Flash Flood Warning', 'flash flood warning'],
+    ['Severe Thunderstorm Warning', 'severe thunderstorm warning'],
+    ['Extreme Wind Warning', 'extreme wind warning'],
+    ['Tornado Watch', 'tornado watch'],
+  ])('uses the built-in %s template', (event, spoken) => {
+    const msg = generateHazardMessage(makeFeature(event), hazardFor(event));
+    expect(msg).toContain(`${spoken} for Jefferson County, KY`);
+    expect(msg).toMatch(/until \d{1,2}:\d{2}/);
+    expect(msg.toLowerCase()).not.toMatch(/\b(emergency|critical|evacuate|run|flee|danger)\b/);
+  });
+
+  it('uses a custom template with the same placeholders', () => {
+    const hazard = {
+      event: 'Winter Storm Warning',
+      template: '{{event}}{{#location}} for {{location}}{{/location}}: {{area}}',
+    };
+    const msg = generateHazardMessage(makeFeature('Winter Storm Warning'), hazard, {
+      locationLabel: 'the cabin',
+    });
+    expect(msg).toBe('Winter Storm Warning for the cabin: Jefferson County, KY');
+  });
+
+  it('fills the NWS severity, certainty and instruction placeholders', () => {
+    const alert = makeFeature('Flash Flood Warning');
+    Object.assign(alert.properties, {
+      severity: 'Severe',
+      certainty: 'Likely',
+      instruction: 'Turn around,\n  do not drown.',
+    });
+    const hazard = { template: '{{severity}}/{{certainty}}: {{instruction}}' };
+    expect(generateHazardMessage(alert, hazard)).toBe('Severe/Likely: Turn around, do not drown.');
+  });
+
+  it('says how long the alert has left with {{expiresIn}}', () => {
+    const hazard = {
+      template:
+        '{{#expiresIn}}Ends in {{expiresIn}}.{{/expiresIn}}{{^expiresIn}}Ended.{{/expiresIn}}',
+    };
+    const alert = makeFeature('Tornado Warning'); // expires 20:00Z
+    const at = (iso) => generateHazardMessage(alert, hazard, { now: Date.parse(iso) });
+    expect(at('2026-05-15T19:15:00Z')).toBe('Ends in about 45 minutes.');
+    expect(at('2026-05-15T17:50:00Z')).toBe('Ends in about 2 hours.');
+    expect(at('2026-05-15T20:05:00Z')).toBe('Ended.');
+  });
+
+  it('matches generateCalmMessage for the built-in Tornado Warning entry', () => {
+    const alert = makeFeature('Tornado Warning');
+    expect(generateHazardMessage(alert, hazardFor('Tornado Warning'))).toBe(
+      generateCalmMessage(alert)
+    );
+  });
+});
+
 // ── generateCalmMessage ──────────────────────────────────────────────────────
 
 describe('generateCalmMessage', () => {
@@ -121,9 +273,245 @@ describe('generateCalmMessage', () => {
     expect(msg).toMatch(/until|notice|time/i);
   });
 
+  it('names the monitored location when given a location label', () => {
+    const msg = generateCalmMessage(alert, { locationLabel: "Mom's place in Oldham County" });
+    expect(msg).toContain("heads-up for Mom's place in Oldham County");
+  });
+
   it('generates different messages for different areas', () => {
     const alertA = makeFeature('Tornado Warning', 'id1', 'Jefferson County, KY');
     const alertB = makeFeature('Tornado Warning', 'id2', 'Hamilton County, OH');
     expect(generateCalmMessage(alertA)).not.toEqual(generateCalmMessage(alertB));
   });
 });
+
+describe('generateCalmMessage – escalation tiers', () => {
+  const withParameters = (parameters, description = '') => ({
+    id: 'id1',
+    properties: {
+      event: 'Tornado Warning',
+      areaDesc: 'Jefferson County, KY',
+      expires: '2026-05-15T20:00:00Z',
+      description,
+      parameters,
+    },
+  });
+
+  it('names a radar-indicated or observed tornado', () => {
+    const radar = generateCalmMessage(withParameters({ tornadoDetection: ['RADAR INDICATED'] }));
+    expect(radar).toContain("there's a tornado warning for Jefferson County, KY right now. ");
+    expect(radar).toContain('This tornado is radar indicated.');
+    const observed = generateCalmMessage(withParameters({ tornadoDetection: ['OBSERVED'] }));
+    expect(observed).toContain('A tornado has been observed.');
+  });
+
+  it('is more direct for a particularly dangerous situation', () => {
+    const msg = generateCalmMessage(withParameters({ tornadoDamageThreat: ['CONSIDERABLE'] }));
+    expect(msg).toMatch(/^Hey… please listen closely — this is a particularly dangerous tornado/);
+    expect(msg).toContain('Please go to your safe spot now');
+    expect(msg).not.toContain('gentle heads-up');
+  });
+
+  it('is most direct for a tornado emergency, and still calm', () => {
+    const msg = generateCalmMessage(
+      withParameters({ tornadoDetection: ['OBSERVED'] }, '...TORNADO EMERGENCY FOR LOUISVILLE...')
+    );
+    expect(msg).toMatch(/^Please listen carefully — this is a tornado emergency for Jefferson/);
+    expect(msg).toContain('A tornado has been observed.');
+    expect(msg).toContain('Go to your safe spot right now');
+    expect(msg).toContain('stay calm');
+    expect(msg).not.toContain('particularly dangerous');
+  });
+});
+
+// ── describeProximity / generateCalmMessage with a home point ────────────────
+
+describe('describeProximity', () => {
+  const withGeometry = (geometry) => ({ ...makeFeature('Tornado Warning'), geometry });
+
+  it('says plainly when home is inside the warning area', () => {
+    expect(describeProximity(withGeometry(AROUND_HOME), HOME)).toBe(
+      'Your location is inside the warning area.'
+    );
+  });
+
+  it('gives the distance and compass direction to the nearest edge', () => {
+    expect(describeProximity(withGeometry(SOUTHWEST_OF_HOME), HOME)).toBe(
+      'The warning area is about 8 miles to your southwest.'
+    );
+    expect(describeProximity(withGeometry(EAST_OF_HOME), HOME)).toBe(
+      'The warning area is about 14 miles to your east.'
+    );
+  });
+
+  it('says "less than a mile" for a very close polygon', () => {
+    expect(describeProximity(withGeometry(JUST_NORTH_OF_HOME), HOME)).toBe(
+      'The warning area is less than a mile to your north.'
+    );
+  });
+
+  it('returns null when the alert has no polygon', () => {
+    expect(describeProximity(withGeometry(null), HOME)).toBeNull();
+  });
+});
+
+describe('generateCalmMessage – proximity', () => {
+  it('includes the distance and direction when a home point is given', () => {
+    const alert = { ...makeFeature('Tornado Warning'), geometry: SOUTHWEST_OF_HOME };
+    expect(generateCalmMessage(alert, { home: HOME })).toContain('about 8 miles to your southwest');
+  });
+
+  it('mentions that home is inside the warning area', () => {
+    const alert = { ...makeFeature('Tornado Warning'), geometry: AROUND_HOME };
+    expect(generateCalmMessage(alert, { home: HOME })).toContain('inside the warning area');
+  });
+
+  it('leaves the message unchanged without a home point', () => {
+    const alert = { ...makeFeature('Tornado Warning'), geometry: SOUTHWEST_OF_HOME };
+    expect(generateCalmMessage(alert)).toEqual(generateCalmMessage(makeFeature('Tornado Warning')));
+  });
+
+  it('stays calm when home is inside the warning area', () => {
+    const alert = { ...makeFeature('Tornado Warning'), geometry: AROUND_HOME };
+    const msg = generateCalmMessage(alert, { home: HOME }).toLowerCase();
+    expect(msg).not.toMatch(/\b(emergency|critical|evacuate|run|flee|danger|imminent death)\b/);
+  });
+});
+
+// ── Storm motion and arrival ─────────────────────────────────────────────────
+
+describe('parseEventMotion', () => {
+  it('parses time, heading, speed and a single position', () => {
+    const motion = parseEventMotion(
+      '2026-05-15T19:45:00-00:00...storm...225DEG...40KT...38.10,-85.95'
+    );
+    expect(motion).toEqual({
+      time: new Date('2026-05-15T19:45:00Z'),
+      heading: 45, // moving FROM 225° means heading TOWARD 45°
+      speedKnots: 40,
+      positions: [{ lat: 38.1, lon: -85.95 }],
+    });
+  });
+
+  it('parses several positions for a line of storms', () => {
+    const motion = parseEventMotion(
+      '2026-05-15T19:45:00-00:00...storm...270DEG...35KT...38.10,-85.95 37.90,-86.05'
+    );
+    expect(motion.heading).toBe(90);
+    expect(motion.positions).toHaveLength(2);
+  });
+
+  it('returns null for missing or malformed input', () => {
+    expect(parseEventMotion(undefined)).toBeNull();
+    expect(parseEventMotion('')).toBeNull();
+    expect(parseEventMotion('not a motion string')).toBeNull();
+    expect(
+      parseEventMotion('2026-05-15T19:45:00Z...storm...fastDEG...40KT...38.1,-85.9')
+    ).toBeNull();
+    expect(
+      parseEventMotion('2026-05-15T19:45:00Z...storm...225DEG...40KT...north,west')
+    ).toBeNull();
+  });
+});
+
+describe('estimateArrival', () => {
+  const time = new Date('2026-05-15T19:45:00Z');
+
+  it('estimates arrival for a storm heading straight at home', () => {
+    // ~15 miles south-west of HOME, moving north-east at 40 kt (~46 mph): ~19 minutes
+    const motion = { time, heading: 45, speedKnots: 40, positions: [{ lat: 38.1, lon: -85.95 }] };
+    const estimate = estimateArrival(motion, HOME);
+    expect(estimate.status).toBe('approaching');
+    const minutes = (estimate.arrival - time) / 60_000;
+    expect(minutes).toBeGreaterThan(17);
+    expect(minutes).toBeLessThan(21);
+  });
+
+  it('reports a miss when the track passes well beside home', () => {
+    const motion = { time, heading: 0, speedKnots: 40, positions: [{ lat: 38.0, lon: -86.1 }] };
+    expect(estimateArrival(motion, HOME)).toEqual({ status: 'miss' });
+  });
+
+  it('reports a miss when the storm is moving away from home', () => {
+    const motion = { time, heading: 225, speedKnots: 40, positions: [{ lat: 38.1, lon: -85.95 }] };
+    expect(estimateArrival(motion, HOME)).toEqual({ status: 'miss' });
+  });
+
+  it('counts a near-miss as approaching when the track buffer is wide enough', () => {
+    // Track runs north ~7.6 miles west of HOME
+    const motion = { time, heading: 0, speedKnots: 40, positions: [{ lat: 38.0, lon: -85.9 }] };
+    expect(estimateArrival(motion, HOME, 5).status).toBe('miss');
+    expect(estimateArrival(motion, HOME, 10).status).toBe('approaching');
+  });
+
+  it('uses the earliest arrival along a line of storms', () => {
+    const far = { lat: 37.9, lon: -86.2 };
+    const near = { lat: 38.1, lon: -85.95 };
+    const single = estimateArrival({ time, heading: 45, speedKnots: 40, positions: [near] }, HOME);
+    const line = estimateArrival(
+      { time, heading: 45, speedKnots: 40, positions: [far, near] },
+      HOME
+    );
+    expect(line.arrival).toEqual(single.arrival);
+  });
+
+  it('reports a stationary storm', () => {
+    const motion = { time, heading: 45, speedKnots: 0, positions: [{ lat: 38.1, lon: -85.95 }] };
+    expect(estimateArrival(motion, HOME)).toEqual({ status: 'stationary' });
+  });
+});
+
+describe('describeArrival / generateCalmMessage – storm motion', () => {
+  const withMotion = (motion) => ({
+    ...makeFeature('Tornado Warning'),
+    properties: {
+      ...makeFeature('Tornado Warning').properties,
+      parameters: { eventMotionDescription: [motion] },
+    },
+  });
+  const approaching = withMotion(
+    '2026-05-15T19:45:00-00:00...storm...225DEG...40KT...38.10,-85.95'
+  );
+  const before = Date.parse('2026-05-15T19:46:00Z');
+
+  it('says when the storm may reach home', () => {
+    const { arrival } = estimateArrival(
+      parseEventMotion(approaching.properties.parameters.eventMotionDescription[0]),
+      HOME
+    );
+    const clock = arrival.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' });
+    expect(describeArrival(approaching, HOME, undefined, before)).toBe(
+      `It may reach your area around ${clock}.`
+    );
+  });
+
+  it('says the storm may already be near once the estimate has passed', () => {
+    const later = Date.parse('2026-05-15T21:00:00Z');
+    expect(describeArrival(approaching, HOME, undefined, later)).toBe(
+      'It may already be near your area.'
+    );
+  });
+
+  it('says the path looks like it will miss home', () => {
+    const missing = withMotion('2026-05-15T19:45:00-00:00...storm...180DEG...40KT...38.00,-86.10');
+    expect(describeArrival(missing, HOME, undefined, before)).toMatch(/miss your area/);
+  });
+
+  it('returns null without motion data or for a stationary storm', () => {
+    expect(describeArrival(makeFeature('Tornado Warning'), HOME)).toBeNull();
+    const stationary = withMotion(
+      '2026-05-15T19:45:00-00:00...storm...225DEG...0KT...38.10,-85.95'
+    );
+    expect(describeArrival(stationary, HOME)).toBeNull();
+  });
+
+  it('includes the arrival estimate in the calm message', () => {
+    const msg = generateCalmMessage(approaching, { home: HOME, now: before });
+    expect(msg).toMatch(/It may reach your area around \d{1,2}:\d{2}/);
+  });
+
+  it('keeps the calm tone when the storm is approaching', () => {
+    const msg = generateCalmMessage(approaching, { home: HOME, now: before }).toLowerCase();
+    expect(msg).not.toMatch(/\b(emergency|critical|evacuate|run|flee|danger|imminent death)\b/);
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  existsSync,
+  mkdtempSync,
+  readdirSync,
+  rmSync,
+  statSync,
+  utimesSync,
+  writeFileSync,
+} from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+vi.mock('../src/logger.js', () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+}));
+
+import { audioCacheKey, findCachedAudio, cacheAudio } from '../src/audioCache.js';
+
+let dir;
+
+/** A write callback that fills the file with the given number of bytes */
+const writeBytes = (size) => async (path) => writeFileSync(path, Buffer.alloc(size));
+
+/** Sets a cached file's last-used time, in seconds since the epoch */
+const touch = (path, seconds) => utimesSync(path, seconds, seconds);
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), 'tts-cache-'));
+  process.env.TTS_CACHE_DIR = join(dir, 'cache');
+});
+
+afterEach(() => {
+  delete process.env.TTS_CACHE_DIR;
+  delete process.env.TTS_CACHE_MAX_MB;
+  rmSync(dir, { recursive: true, force: true });
+});
+
+// ── audioCacheKey ─────────────────────────────────────────────────────────────
+
+describe('audioCacheKey', () => {
+  const settings = { voice: 'en-US-Wavenet-D', speakingRate: 0.85, pitch: -2 };
+
+  it('is a stable hex hash', () => {
+    const key = audioCacheKey('Testing.', 'google', settings);
+    expect(key).toMatch(/^[0-9a-f]{64}$/);
+    expect(audioCacheKey('Testing.', 'google', { ...settings })).toBe(key);
+  });
+
+  it('changes with the text, the provider or any setting', () => {
+    const key = audioCacheKey('Testing.', 'google', settings);
+    expect(audioCacheKey('Testing!', 'google', settings)).not.toBe(key);
+    expect(audioCacheKey('Testing.', 'elevenlabs', settings)).not.toBe(key);
+    expect(audioCacheKey('Testing.', 'google', { ...settings, speakingRate: 0.9 })).not.toBe(key);
+  });
+});
+
+// ── cacheAudio / findCachedAudio ──────────────────────────────────────────────
+
+describe('cacheAudio', () => {
+  it('stores audio under its key and extension', async () => {
+    const path = await cacheAudio('abc', 'mp3', writeBytes(10));
+    expect(path).toBe(join(dir, 'cache', 'abc.mp3'));
+    expect(statSync(path).size).toBe(10);
+    expect(findCachedAudio('abc')).toBe(path);
+  });
+
+  it('leaves nothing behind when the write fails', async () => {
+    const failing = async (path) => {
+      writeFileSync(path, 'half an mp3');
+      throw new Error('timed out');
+    };
+    await expect(cacheAudio('abc', 'mp3', failing)).rejects.toThrow('timed out');
+    expect(readdirSync(join(dir, 'cache'))).toEqual([]);
+    expect(findCachedAudio('abc')).toBeNull();
+  });
+
+  it('evicts the least recently used files beyond TTS_CACHE_MAX_MB', async () => {
+    process.env.TTS_CACHE_MAX_MB = String(2.5 / 1024); // 2.5 KB
+    const oldest = await cacheAudio('oldest', 'mp3', writeBytes(1024));
+    const used = await cacheAudio('used', 'mp3', writeBytes(1024));
+    touch(oldest, 1000);
+    touch(used, 2000);
+    findCachedAudio('oldest'); // now the most recently used
+
+    await cacheAudio('newest', 'wav', writeBytes(1024));
+    expect(existsSync(oldest)).toBe(true);
+    expect(existsSync(used)).toBe(false);
+    expect(findCachedAudio('newest')).not.toBeNull();
+  });
+
+  it('keeps the newest file even when it alone is over the limit', async () => {
+    process.env.TTS_CACHE_MAX_MB = '0';
+    const first = await cacheAudio('first', 'mp3', writeBytes(10));
+    const second = await cacheAudio('second', 'mp3', writeBytes(10));
+    expect(existsSync(first)).toBe(false);
+    expect(existsSync(second)).toBe(true);
+  });
+});
+
+describe('findCachedAudio', () => {
+  it('returns null before anything is cached', () => {
+    expect(findCachedAudio('abc')).toBeNull();
+  });
+
+  it('marks a hit as recently used', async () => {
+    const path = await cacheAudio('abc', 'mp3', writeBytes(10));
+    touch(path, 1000);
+    findCachedAudio('abc');
+    expect(statSync(path).mtimeMs).toBeGreaterThan(1000 * 1000);
+  });
+});
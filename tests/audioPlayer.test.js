@@ -4,18 +4,30 @@ vi.mock('child_process', () => ({
   spawn: vi.fn(),
 }));
 
+import { chmodSync, existsSync, mkdtempSync, readdirSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
 import { spawn } from 'child_process';
-import { playAudio } from '../src/audioPlayer.js';
+import {
+  playAudio,
+  getPreferredEncoding,
+  resolveVolume,
+  detectPlayers,
+  _resetPlayers,
+} from '../src/audioPlayer.js';
+import { buildWav, parseWav } from '../src/wav.js';
+import { renderMetrics, _reset as _resetMetrics } from '../src/metrics.js';
 
 // ── Helpers ───────────────────────────────────────────────────────────────────
 
 /**
  * Creates a mock child process that emits 'close' (or 'error') asynchronously
- * after all .on() handlers have been registered.
+ * after all .on() handlers have been registered. A hung process emits nothing.
  */
-function createMockProcess({ exitCode = 0, error = null } = {}) {
+function createMockProcess({ exitCode = 0, error = null, hang = false } = {}) {
   const mockProc = {
     on: vi.fn((event, cb) => {
+      if (hang) return mockProc;
       if (event === 'close' && error === null) {
         // Emit after current synchronous execution finishes
         Promise.resolve().then(() => cb(exitCode));
@@ -24,19 +36,32 @@ function createMockProcess({ exitCode = 0, error = null } = {}) {
       }
       return mockProc;
     }),
+    stdin: { on: vi.fn(), end: vi.fn() },
+    kill: vi.fn(),
   };
   return mockProc;
 }
 
+/** Puts fake executables for the given players on a temporary PATH */
+function installPlayers(dir, names) {
+  for (const name of names) {
+    writeFileSync(join(dir, name), '#!/bin/sh\n');
+    chmodSync(join(dir, name), 0o755);
+  }
+  process.env.PATH = dir;
+}
+
 // ── Setup / Teardown ──────────────────────────────────────────────────────────
 
 beforeEach(() => {
   vi.clearAllMocks();
+  _resetMetrics();
 });
 
 afterEach(() => {
   delete process.env.AUDIO_PLAYER;
   delete process.env.VOLUME;
+  _resetPlayers();
 });
 
 // ── mpg123 (default player) ───────────────────────────────────────────────────
@@ -69,6 +94,13 @@ describe('playAudio – mpg123 (default)', () => {
     expect(args).toContain('45');
   });
 
+  it('prefers a volume passed by the caller over VOLUME', async () => {
+    vi.mocked(spawn).mockReturnValue(createMockProcess());
+    await playAudio('/path/to/audio.mp3', { volume: 60 });
+    const [, args] = vi.mocked(spawn).mock.calls[0];
+    expect(args).toEqual(['-q', '--volume', '60', '/path/to/audio.mp3']);
+  });
+
   it('defaults to volume 30 when VOLUME is not set', async () => {
     delete process.env.VOLUME;
     vi.mocked(spawn).mockReturnValue(createMockProcess());
@@ -107,11 +139,53 @@ describe('playAudio – aplay', () => {
     expect(spawn).toHaveBeenCalledWith('aplay', expect.any(Array), expect.any(Object));
   });
 
-  it('passes only the file path (no volume flags for aplay)', async () => {
-    vi.mocked(spawn).mockReturnValue(createMockProcess());
-    await playAudio('/path/to/audio.wav');
-    const [, args] = vi.mocked(spawn).mock.calls[0];
-    expect(args).toEqual(['/path/to/audio.wav']);
+  describe('volume', () => {
+    let dir;
+    let wavPath;
+
+    beforeEach(() => {
+      dir = mkdtempSync(join(tmpdir(), 'player-'));
+      wavPath = join(dir, 'speech.wav');
+      const samples = Buffer.alloc(4);
+      samples.writeInt16LE(1000, 0);
+      samples.writeInt16LE(-2000, 2);
+      const format = { audioFormat: 1, channels: 1, sampleRate: 8000, bitsPerSample: 16 };
+      writeFileSync(wavPath, buildWav(format, samples));
+    });
+
+    afterEach(() => {
+      rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('pipes the audio to aplay with its samples scaled to the volume', async () => {
+      const proc = createMockProcess();
+      vi.mocked(spawn).mockReturnValue(proc);
+      await playAudio(wavPath, { volume: 30 });
+
+      const [, args, options] = vi.mocked(spawn).mock.calls[0];
+      expect(args).toEqual(['-q', '-']);
+      expect(options.stdio[0]).toBe('pipe');
+      const { data } = parseWav(proc.stdin.end.mock.calls[0][0]);
+      expect(data.readInt16LE(0)).toBe(300);
+      expect(data.readInt16LE(2)).toBe(-600);
+    });
+
+    it('uses VOLUME when the caller passes none', async () => {
+      process.env.VOLUME = '50';
+      const proc = createMockProcess();
+      vi.mocked(spawn).mockReturnValue(proc);
+      await playAudio(wavPath);
+      const { data } = parseWav(proc.stdin.end.mock.calls[0][0]);
+      expect(data.readInt16LE(0)).toBe(500);
+    });
+
+    it('plays the file unscaled when it cannot be read as WAV', async () => {
+      writeFileSync(wavPath, 'not really a wav');
+      vi.mocked(spawn).mockReturnValue(createMockProcess());
+      await playAudio(wavPath);
+      const [, args] = vi.mocked(spawn).mock.calls[0];
+      expect(args).toEqual([wavPath]);
+    });
   });
 
   it('resolves when aplay exits with code 0', async () => {
@@ -136,4 +210,250 @@ describe('playAudio – player auto-detection', () => {
     const [player] = vi.mocked(spawn).mock.calls[0];
     expect(player).toBe('mpg123');
   });
+
+  it('uses aplay for WAV files when AUDIO_PLAYER is not set', async () => {
+    delete process.env.AUDIO_PLAYER;
+    vi.mocked(spawn).mockReturnValue(createMockProcess());
+    await playAudio('./data/speech.wav');
+    const [player] = vi.mocked(spawn).mock.calls[0];
+    expect(player).toBe('aplay');
+  });
+
+  it('swaps a configured player for one that can play the file', async () => {
+    vi.mocked(spawn).mockReturnValue(createMockProcess());
+    process.env.AUDIO_PLAYER = 'aplay';
+    await playAudio('/path/to/audio.mp3');
+    process.env.AUDIO_PLAYER = 'mpg123';
+    await playAudio('/path/to/audio.wav');
+    const players = vi.mocked(spawn).mock.calls.map(([player]) => player);
+    expect(players).toEqual(['mpg123', 'aplay']);
+  });
+
+  it('ignores an AUDIO_PLAYER it does not know', async () => {
+    process.env.AUDIO_PLAYER = 'vlc';
+    vi.mocked(spawn).mockReturnValue(createMockProcess());
+    await playAudio('/path/to/audio.mp3');
+    const [player] = vi.mocked(spawn).mock.calls[0];
+    expect(player).toBe('mpg123');
+  });
+});
+
+// ── getPreferredEncoding ──────────────────────────────────────────────────────
+
+describe('getPreferredEncoding', () => {
+  it('asks for WAV for aplay and MP3 for mpg123', () => {
+    process.env.AUDIO_PLAYER = 'aplay';
+    expect(getPreferredEncoding()).toBe('wav');
+    process.env.AUDIO_PLAYER = 'mpg123';
+    expect(getPreferredEncoding()).toBe('mp3');
+  });
+
+  it('leaves it to each provider when no known player is configured', () => {
+    expect(getPreferredEncoding()).toBeNull();
+    process.env.AUDIO_PLAYER = 'ffplay';
+    expect(getPreferredEncoding()).toBeNull();
+  });
+});
+
+// ── resolveVolume ─────────────────────────────────────────────────────────────
+
+describe('resolveVolume', () => {
+  it("prefers the caller's volume, then VOLUME, then 30", () => {
+    expect(resolveVolume()).toBe(30);
+    process.env.VOLUME = '20';
+    expect(resolveVolume({})).toBe(20);
+    expect(resolveVolume({ volume: 60 })).toBe(60);
+  });
+});
+
+// ── Other players ─────────────────────────────────────────────────────────────
+
+describe('playAudio – PulseAudio, PipeWire and ffplay', () => {
+  beforeEach(() => {
+    vi.mocked(spawn).mockReturnValue(createMockProcess());
+  });
+
+  it('passes paplay its volume on the PulseAudio scale', async () => {
+    process.env.AUDIO_PLAYER = 'paplay';
+    await playAudio('/path/to/audio.wav', { volume: 50 });
+    expect(spawn).toHaveBeenCalledWith(
+      'paplay',
+      ['--volume=32768', '/path/to/audio.wav'],
+      expect.any(Object)
+    );
+  });
+
+  it('passes pw-play its volume as a fraction', async () => {
+    process.env.AUDIO_PLAYER = 'pw-play';
+    await playAudio('/path/to/audio.wav', { volume: 30 });
+    expect(spawn).toHaveBeenCalledWith(
+      'pw-play',
+      ['--volume', '0.30', '/path/to/audio.wav'],
+      expect.any(Object)
+    );
+  });
+
+  it('plays either format with ffplay, without a window', async () => {
+    process.env.AUDIO_PLAYER = 'ffplay';
+    await playAudio('/path/to/audio.mp3', { volume: 45 });
+    await playAudio('/path/to/audio.wav', { volume: 45 });
+    const calls = vi.mocked(spawn).mock.calls;
+    expect(calls.map(([player]) => player)).toEqual(['ffplay', 'ffplay']);
+    expect(calls[0][1]).toEqual(expect.arrayContaining(['-nodisp', '-autoexit', '-volume', '45']));
+  });
+});
+
+// ── Sinks ─────────────────────────────────────────────────────────────────────
+
+describe('playAudio – sinks', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'sink-'));
+  });
+
+  afterEach(() => {
+    delete process.env.AUDIO_ARCHIVE_DIR;
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('archives the audio with the file sink instead of playing it', async () => {
+    process.env.AUDIO_PLAYER = 'file';
+    process.env.AUDIO_ARCHIVE_DIR = join(dir, 'played');
+    const audio = join(dir, 'speech.mp3');
+    writeFileSync(audio, 'mp3 frames');
+
+    await playAudio(audio);
+    expect(spawn).not.toHaveBeenCalled();
+    expect(readdirSync(join(dir, 'played'))).toEqual([expect.stringMatching(/-speech\.mp3$/)]);
+  });
+
+  it('discards the audio with the null sink', async () => {
+    process.env.AUDIO_PLAYER = 'null';
+    await expect(playAudio(join(dir, 'missing.wav'))).resolves.toBeUndefined();
+    expect(spawn).not.toHaveBeenCalled();
+    expect(existsSync(join(dir, 'played'))).toBe(false);
+  });
+});
+
+// ── Detection and fallback ────────────────────────────────────────────────────
+
+describe('detectPlayers', () => {
+  let dir;
+  let path;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'bin-'));
+    path = process.env.PATH;
+    vi.mocked(spawn).mockReturnValue(createMockProcess());
+  });
+
+  afterEach(() => {
+    process.env.PATH = path;
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('finds the players on the PATH, plus the sinks', () => {
+    installPlayers(dir, ['aplay', 'ffplay']);
+    expect(detectPlayers().sort()).toEqual(['aplay', 'ffplay', 'file', 'null']);
+  });
+
+  it('falls back when the preferred player is missing', async () => {
+    installPlayers(dir, ['pw-play']);
+    process.env.AUDIO_PLAYER = 'aplay';
+    detectPlayers();
+    await playAudio('/path/to/audio.wav');
+    const [player] = vi.mocked(spawn).mock.calls[0];
+    expect(player).toBe('pw-play');
+  });
+
+  it('asks TTS for the format of the player it will fall back to', () => {
+    installPlayers(dir, ['mpg123']);
+    process.env.AUDIO_PLAYER = 'paplay';
+    detectPlayers();
+    expect(getPreferredEncoding()).toBe('mp3');
+  });
+
+  it('rejects when no installed player can play the file', async () => {
+    installPlayers(dir, ['mpg123']);
+    detectPlayers();
+    await expect(playAudio('/path/to/audio.wav')).rejects.toThrow(
+      'No installed audio player can play WAV audio'
+    );
+  });
+});
+
+// ── Playback timeout ──────────────────────────────────────────────────────────
+
+describe('playAudio – timeout', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    delete process.env.AUDIO_PLAYBACK_TIMEOUT_MS;
+  });
+
+  it('stops a hung player after AUDIO_PLAYBACK_TIMEOUT_MS', async () => {
+    process.env.AUDIO_PLAYBACK_TIMEOUT_MS = '5000';
+    const proc = createMockProcess({ hang: true });
+    vi.mocked(spawn).mockReturnValue(proc);
+
+    const playing = playAudio('/path/to/audio.mp3');
+    const rejected = expect(playing).rejects.toThrow('Audio player "mpg123" timed out after 5s');
+    await vi.advanceTimersByTimeAsync(5000);
+    await rejected;
+    expect(proc.kill).toHaveBeenCalledWith('SIGKILL');
+  });
+
+  it('does not stop a player that finishes in time', async () => {
+    const proc = createMockProcess();
+    vi.mocked(spawn).mockReturnValue(proc);
+    await playAudio('/path/to/audio.mp3');
+    await vi.advanceTimersByTimeAsync(120000);
+    expect(proc.kill).not.toHaveBeenCalled();
+  });
+});
+
+// ── Metrics ───────────────────────────────────────────────────────────────────
+
+describe('playAudio – metrics', () => {
+  it('counts exits by player and code, including spawn errors', async () => {
+    vi.mocked(spawn)
+      .mockReturnValueOnce(createMockProcess({ exitCode: 0 }))
+      .mockReturnValueOnce(createMockProcess({ exitCode: 1 }))
+      .mockReturnValueOnce(createMockProcess({ error: new Error('spawn mpg123 ENOENT') }));
+
+    await playAudio('/path/to/audio.mp3');
+    await playAudio('/path/to/audio.mp3');
+    await expect(playAudio('/path/to/audio.mp3')).rejects.toThrow('ENOENT');
+
+    const metrics = renderMetrics();
+    expect(metrics).toContain(
+      'calm_tornado_alert_audio_player_exits_total{player="mpg123",code="0"} 1'
+    );
+    expect(metrics).toContain(
+      'calm_tornado_alert_audio_player_exits_total{player="mpg123",code="1"} 1'
+    );
+    expect(metrics).toContain(
+      'calm_tornado_alert_audio_player_exits_total{player="mpg123",code="error"} 1'
+    );
+  });
+
+  it('counts a player stopped by the timeout once, as "timeout"', async () => {
+    vi.useFakeTimers();
+    process.env.AUDIO_PLAYBACK_TIMEOUT_MS = '5000';
+    vi.mocked(spawn).mockReturnValue(createMockProcess({ hang: true }));
+
+    const playing = expect(playAudio('/path/to/audio.mp3')).rejects.toThrow('timed out');
+    await vi.advanceTimersByTimeAsync(5000);
+    await playing;
+
+    expect(renderMetrics()).toContain(
+      'calm_tornado_alert_audio_player_exits_total{player="mpg123",code="timeout"} 1'
+    );
+    vi.useRealTimers();
+    delete process.env.AUDIO_PLAYBACK_TIMEOUT_MS;
+  });
 });
@@ -0,0 +1,34 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('../src/logger.js', () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+}));
+vi.mock('../src/audioPlayer.js', () => ({ detectPlayers: vi.fn() }));
+vi.mock('../src/phraseClips.js', () => ({
+  libraryPhrases: vi.fn(() => ['until', 'four']),
+  buildClipLibrary: vi.fn(),
+}));
+
+import { main } from '../src/buildClips.js';
+import { detectPlayers } from '../src/audioPlayer.js';
+import { buildClipLibrary } from '../src/phraseClips.js';
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  vi.mocked(buildClipLibrary).mockResolvedValue({ built: 2, failed: [] });
+});
+
+describe('main', () => {
+  it('looks for installed audio players before recording the clips', async () => {
+    await main();
+    expect(detectPlayers).toHaveBeenCalledOnce();
+    expect(vi.mocked(detectPlayers).mock.invocationCallOrder[0]).toBeLessThan(
+      vi.mocked(buildClipLibrary).mock.invocationCallOrder[0]
+    );
+  });
+
+  it('fails when any clip could not be recorded', async () => {
+    vi.mocked(buildClipLibrary).mockResolvedValue({ built: 1, failed: ['four'] });
+    await expect(main()).rejects.toThrow('1 of 2 clips could not be recorded');
+  });
+});
@@ -0,0 +1,154 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+vi.mock('../src/logger.js', () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+}));
+
+import { logger } from '../src/logger.js';
+import { buildWav, parseWav } from '../src/wav.js';
+import { noteFrequency, getChimeSettings, generateChime, withChime } from '../src/chime.js';
+
+const SOFT = { notes: [440], noteMs: 100, level: 0.2 };
+
+let dir;
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  dir = mkdtempSync(join(tmpdir(), 'chime-'));
+  process.env.CHIME_DIR = dir;
+});
+
+afterEach(() => {
+  for (const name of Object.keys(process.env).filter((n) => n.includes('CHIME_'))) {
+    delete process.env[name];
+  }
+  rmSync(dir, { recursive: true, force: true });
+});
+
+/** Returns the 16-bit samples of a WAV file */
+function samplesOf(wav) {
+  const { data } = parseWav(wav);
+  return Array.from({ length: data.length / 2 }, (_, i) => data.readInt16LE(i * 2));
+}
+
+// ── noteFrequency ─────────────────────────────────────────────────────────────
+
+describe('noteFrequency', () => {
+  it('reads note names around A4 = 440 Hz', () => {
+    expect(noteFrequency('A4')).toBe(440);
+    expect(noteFrequency('A5')).toBe(880);
+    expect(noteFrequency('C5')).toBeCloseTo(523.25, 2);
+    expect(noteFrequency('F#4')).toBeCloseTo(369.99, 2);
+    expect(noteFrequency('Bb3')).toBeCloseTo(233.08, 2);
+  });
+
+  it('takes plain frequencies in hertz', () => {
+    expect(noteFrequency('330.5')).toBe(330.5);
+  });
+
+  it('rejects anything else', () => {
+    expect(() => noteFrequency('H2')).toThrow('Cannot read chime note "H2"');
+  });
+});
+
+// ── getChimeSettings ──────────────────────────────────────────────────────────
+
+describe('getChimeSettings', () => {
+  it('is off unless CHIME_NOTES is set', () => {
+    expect(getChimeSettings()).toBeNull();
+  });
+
+  it('reads the notes, length and volume', () => {
+    process.env.CHIME_NOTES = 'A4, A5';
+    process.env.CHIME_NOTE_MS = '250';
+    process.env.CHIME_VOLUME = '10';
+    expect(getChimeSettings()).toEqual({ notes: [440, 880], noteMs: 250, level: 0.1 });
+  });
+
+  it('gives each tier its own chime, or none, falling back to the standard one', () => {
+    process.env.CHIME_NOTES = 'A4';
+    process.env.EMERGENCY_CHIME_NOTES = 'A5 A4';
+    process.env.PDS_CHIME_NOTES = 'none';
+    expect(getChimeSettings('standard').notes).toEqual([440]);
+    expect(getChimeSettings('emergency').notes).toEqual([880, 440]);
+    expect(getChimeSettings('pds')).toBeNull();
+  });
+
+  it('plays no chime when a note cannot be read', () => {
+    process.env.CHIME_NOTES = 'E5 loud';
+    expect(getChimeSettings()).toBeNull();
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('"loud"'));
+  });
+});
+
+// ── generateChime ─────────────────────────────────────────────────────────────
+
+describe('generateChime', () => {
+  it('writes each note and the gaps between them as 16-bit mono WAV', () => {
+    const wav = generateChime({ ...SOFT, notes: [440, 660] });
+    const { format, data } = parseWav(wav);
+    expect(format).toEqual({ audioFormat: 1, channels: 1, sampleRate: 22050, bitsPerSample: 16 });
+    // Two 100 ms notes with an 80 ms gap
+    expect(data.length / 2).toBe(2205 * 2 + 1764);
+  });
+
+  it('fades in and out and stays at its level', () => {
+    const samples = samplesOf(generateChime(SOFT));
+    expect(samples[0]).toBe(0);
+    expect(Math.abs(samples.at(-1))).toBeLessThan(50);
+    expect(Math.max(...samples.map(Math.abs))).toBeLessThanOrEqual(Math.round(32767 * 0.2));
+    expect(Math.max(...samples.map(Math.abs))).toBeGreaterThan(32767 * 0.19);
+  });
+
+  it('matches the channels and sample rate it is given', () => {
+    const { format, data } = parseWav(generateChime(SOFT, { channels: 2, sampleRate: 8000 }));
+    expect(format.channels).toBe(2);
+    expect(format.sampleRate).toBe(8000);
+    expect(data.length).toBe(800 * 2 * 2);
+  });
+});
+
+// ── withChime ─────────────────────────────────────────────────────────────────
+
+describe('withChime', () => {
+  const speechFormat = { audioFormat: 1, channels: 1, sampleRate: 16000, bitsPerSample: 16 };
+
+  it('plays just the speech when there is no chime', () => {
+    expect(withChime('/data/speech.mp3')).toEqual(['/data/speech.mp3']);
+  });
+
+  it('plays the chime as its own file before MP3 speech', () => {
+    process.env.CHIME_NOTES = 'A4';
+    const [chime, speech] = withChime('/data/speech.mp3');
+    expect(speech).toBe('/data/speech.mp3');
+    expect(chime).toBe(join(dir, 'chime.wav'));
+    expect(parseWav(readFileSync(chime)).format.sampleRate).toBe(22050);
+  });
+
+  it('joins the chime to the front of WAV speech, in its format', () => {
+    process.env.CHIME_NOTES = 'A4';
+    process.env.CHIME_NOTE_MS = '100';
+    const speechPath = join(dir, 'speech.wav');
+    const speech = Buffer.alloc(4);
+    speech.writeInt16LE(1234, 0);
+    speech.writeInt16LE(-1234, 2);
+    writeFileSync(speechPath, buildWav(speechFormat, speech));
+
+    const [joined, ...rest] = withChime(speechPath);
+    expect(rest).toEqual([]);
+    const { format, data } = parseWav(readFileSync(joined));
+    expect(format).toEqual(speechFormat);
+    // 100 ms chime, 300 ms pause, then the speech
+    expect(data.length / 2).toBe(1600 + 4800 + 2);
+    expect(data.readInt16LE(data.length - 4)).toBe(1234);
+  });
+
+  it('uses the tier to choose the chime', () => {
+    process.env.CHIME_NOTES = 'A4';
+    process.env.EMERGENCY_CHIME_NOTES = 'none';
+    expect(withChime('/data/speech.mp3', 'emergency')).toEqual(['/data/speech.mp3']);
+  });
+});
@@ -0,0 +1,320 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { existsSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+vi.mock('../src/index.js', () => ({
+  STARTUP_MESSAGE: 'Testing… everything is calm.',
+  main: vi.fn(),
+  pollOnce: vi.fn(),
+  speak: vi.fn(),
+  getHealth: vi.fn(),
+}));
+vi.mock('../src/tts.js', () => ({ getProviderChain: vi.fn(), listVoices: vi.fn() }));
+vi.mock('../src/audioPlayer.js', () => ({ detectPlayers: vi.fn() }));
+vi.mock('../src/lifecycle.js', () => ({ loadAlertChains: vi.fn(), findChain: vi.fn() }));
+vi.mock('../src/simulation.js', () => ({
+  loadTimeline: vi.fn(),
+  runSimulation: vi.fn(),
+  formatReport: vi.fn(),
+}));
+vi.mock('../src/logger.js', () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+}));
+
+import { runCli, EXIT } from '../src/cli.js';
+import { main, pollOnce, speak, getHealth } from '../src/index.js';
+import { getProviderChain, listVoices } from '../src/tts.js';
+import { detectPlayers } from '../src/audioPlayer.js';
+import { findChain } from '../src/lifecycle.js';
+import { loadTimeline, runSimulation, formatReport } from '../src/simulation.js';
+import { logger } from '../src/logger.js';
+import { _reset as _resetDedup } from '../src/deduplication.js';
+
+let stateDir;
+let output;
+let errors;
+
+/** Everything printed to stdout, one line per call */
+const printed = () => output.join('\n');
+
+/** Writes a dedup file recording the given keys as spoken */
+function recordSpoken(keys) {
+  writeFileSync(process.env.DEDUP_FILE, JSON.stringify(keys));
+}
+
+/** Reads the keys in the dedup file */
+const spokenOnDisk = () => JSON.parse(readFileSync(process.env.DEDUP_FILE, 'utf8'));
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  _resetDedup();
+  stateDir = mkdtempSync(join(tmpdir(), 'cli-'));
+  process.env.DEDUP_FILE = join(stateDir, 'spoken-alerts.json');
+  process.env.LIFECYCLE_FILE = join(stateDir, 'alert-chains.json');
+  output = [];
+  errors = [];
+  vi.spyOn(console, 'log').mockImplementation((line) => output.push(line));
+  vi.spyOn(console, 'error').mockImplementation((line) => errors.push(line));
+
+  vi.mocked(getProviderChain).mockReturnValue(['google']);
+  vi.mocked(detectPlayers).mockReturnValue(['mpg123', 'file', 'null']);
+  vi.mocked(getHealth).mockReturnValue({ lastPollComplete: true });
+  vi.mocked(pollOnce).mockResolvedValue([]);
+  vi.mocked(speak).mockResolvedValue(true);
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+  rmSync(stateDir, { recursive: true, force: true });
+  delete process.env.DEDUP_FILE;
+  delete process.env.LIFECYCLE_FILE;
+  delete process.env.GOOGLE_API_KEY;
+  delete process.env.AUDIO_PLAYER;
+  delete process.env.STATUS_API_PORT;
+  delete process.env.DRY_RUN;
+});
+
+// ── Commands and usage ────────────────────────────────────────────────────────
+
+describe('runCli – usage', () => {
+  it('runs the service when no command is given, leaving the process running', async () => {
+    await expect(runCli([])).resolves.toBeNull();
+    expect(main).toHaveBeenCalledOnce();
+  });
+
+  it('lists every command with --help', async () => {
+    await expect(runCli(['--help'])).resolves.toBe(EXIT.OK);
+    for (const name of ['run', 'test-speak', 'poll', 'list-spoken', 'forget', 'clear-dedup']) {
+      expect(printed()).toContain(`node src/index.js ${name}`);
+    }
+    expect(printed()).toContain('check-config');
+    expect(printed()).toContain('voices [provider]');
+  });
+
+  it('describes one command with <command> --help, without running it', async () => {
+    await expect(runCli(['poll', '--help'])).resolves.toBe(EXIT.OK);
+    expect(printed()).toContain('Usage: node src/index.js poll [--dry-run]');
+    expect(pollOnce).not.toHaveBeenCalled();
+  });
+
+  it.each([
+    [['bogus'], 'Unknown command "bogus"'],
+    [['poll', '--loud'], "Unknown option '--loud'"],
+    [['forget'], 'Usage: node src/index.js forget <alertId>'],
+    [['list-spoken', 'extra'], 'Usage: node src/index.js list-spoken'],
+  ])('rejects %j with a usage error', async (argv, message) => {
+    await expect(runCli(argv)).resolves.toBe(EXIT.USAGE);
+    expect(errors.join('\n')).toContain(message);
+  });
+
+  it('reports a command that throws and exits with a failure', async () => {
+    vi.mocked(main).mockRejectedValue(new Error('No TTS provider'));
+    await expect(runCli(['run'])).resolves.toBe(EXIT.FAILED);
+    expect(logger.error).toHaveBeenCalledWith('run failed: No TTS provider');
+  });
+});
+
+// ── test-speak ────────────────────────────────────────────────────────────────
+
+describe('runCli – test-speak', () => {
+  it('speaks the startup message by default', async () => {
+    await expect(runCli(['test-speak'])).resolves.toBe(EXIT.OK);
+    expect(speak).toHaveBeenCalledWith('Testing… everything is calm.', { kind: 'test' });
+  });
+
+  it('speaks the given words', async () => {
+    await runCli(['test-speak', 'Hello', 'there.']);
+    expect(speak).toHaveBeenCalledWith('Hello there.', { kind: 'test' });
+  });
+
+  it('fails when the message could not be spoken', async () => {
+    vi.mocked(speak).mockResolvedValue(false);
+    await expect(runCli(['test-speak'])).resolves.toBe(EXIT.FAILED);
+  });
+});
+
+// ── poll ──────────────────────────────────────────────────────────────────────
+
+describe('runCli – poll', () => {
+  const tornadoWarning = {
+    location: 'Home',
+    announcement: { kind: 'warning', message: 'There is a tornado warning.' },
+  };
+
+  it('polls once and prints what was said', async () => {
+    vi.mocked(pollOnce).mockResolvedValue([tornadoWarning]);
+    await expect(runCli(['poll'])).resolves.toBe(EXIT.OK);
+    expect(pollOnce).toHaveBeenCalledWith({ dryRun: false });
+    expect(printed()).toBe('Said (warning for Home): There is a tornado warning.');
+  });
+
+  it('says so when there is nothing to announce', async () => {
+    await runCli(['poll']);
+    expect(printed()).toBe('Nothing to announce.');
+  });
+
+  it('leaves the saved state untouched in a dry run', async () => {
+    recordSpoken(['urn:test:old']);
+    vi.mocked(pollOnce).mockImplementation(async () => {
+      // What pollOnce records goes to scratch copies that start as the real files
+      expect(process.env.DEDUP_FILE).not.toBe(join(stateDir, 'spoken-alerts.json'));
+      expect(JSON.parse(readFileSync(process.env.DEDUP_FILE, 'utf8'))).toEqual(['urn:test:old']);
+      writeFileSync(process.env.DEDUP_FILE, '["urn:test:new"]');
+      writeFileSync(process.env.LIFECYCLE_FILE, '[]');
+      return [tornadoWarning];
+    });
+
+    await expect(runCli(['poll', '--dry-run'])).resolves.toBe(EXIT.OK);
+
+    expect(pollOnce).toHaveBeenCalledWith({ dryRun: true });
+    expect(printed()).toBe('Would say (warning for Home): There is a tornado warning.');
+    expect(process.env.DEDUP_FILE).toBe(join(stateDir, 'spoken-alerts.json'));
+    expect(spokenOnDisk()).toEqual(['urn:test:old']);
+    expect(existsSync(process.env.LIFECYCLE_FILE)).toBe(false);
+    expect(detectPlayers).not.toHaveBeenCalled();
+  });
+
+  it('fails when an NWS query failed', async () => {
+    vi.mocked(getHealth).mockReturnValue({ lastPollComplete: false });
+    await expect(runCli(['poll'])).resolves.toBe(EXIT.FAILED);
+  });
+});
+
+// ── Spoken alerts ─────────────────────────────────────────────────────────────
+
+describe('runCli – list-spoken / forget / clear-dedup', () => {
+  it('lists the spoken alerts', async () => {
+    recordSpoken(['urn:test:1', 'vtec:KLMK.TO.W.0042|Home']);
+    await expect(runCli(['list-spoken'])).resolves.toBe(EXIT.OK);
+    expect(output).toEqual(['urn:test:1', 'vtec:KLMK.TO.W.0042|Home']);
+  });
+
+  it('forgets an alert and its VTEC event', async () => {
+    recordSpoken(['urn:test:1', 'urn:test:1|Home', 'vtec:KLMK.TO.W.0042', 'urn:test:2']);
+    vi.mocked(findChain).mockReturnValue({ vtec: 'KLMK.TO.W.0042' });
+
+    await expect(runCli(['forget', 'urn:test:1'])).resolves.toBe(EXIT.OK);
+
+    expect(findChain).toHaveBeenCalledWith('urn:test:1');
+    expect(printed()).toBe('Forgot urn:test:1 (3 records)');
+    expect(spokenOnDisk()).toEqual(['urn:test:2']);
+  });
+
+  it('fails to forget an alert that was never spoken', async () => {
+    recordSpoken(['urn:test:2']);
+    await expect(runCli(['forget', 'urn:test:1'])).resolves.toBe(EXIT.FAILED);
+    expect(spokenOnDisk()).toEqual(['urn:test:2']);
+  });
+
+  it('clears every spoken alert', async () => {
+    recordSpoken(['urn:test:1', 'urn:test:2']);
+    await expect(runCli(['clear-dedup'])).resolves.toBe(EXIT.OK);
+    expect(printed()).toBe('Forgot 2 spoken alert records');
+    expect(spokenOnDisk()).toEqual([]);
+  });
+});
+
+// ── check-config ──────────────────────────────────────────────────────────────
+
+describe('runCli – check-config', () => {
+  it('passes a complete configuration', async () => {
+    process.env.GOOGLE_API_KEY = 'test-key';
+    await expect(runCli(['check-config'])).resolves.toBe(EXIT.OK);
+    expect(output.every((line) => line.startsWith('✓'))).toBe(true);
+    expect(printed()).toContain('✓ Audio players: mpg123');
+  });
+
+  it('reports each problem and fails', async () => {
+    process.env.STATUS_API_PORT = 'eighty';
+    vi.mocked(detectPlayers).mockReturnValue(['file', 'null']);
+
+    await expect(runCli(['check-config'])).resolves.toBe(EXIT.FAILED);
+
+    expect(printed()).toContain('✗ TTS providers: google needs GOOGLE_API_KEY');
+    expect(printed()).toContain('✗ Audio players: no audio player found on the PATH');
+    expect(printed()).toContain('✗ Status API: STATUS_API_PORT "eighty" is not a port number');
+    expect(errors).toEqual(['3 checks failed']);
+  });
+
+  it('needs no player when writing to a file', async () => {
+    process.env.GOOGLE_API_KEY = 'test-key';
+    process.env.AUDIO_PLAYER = 'file';
+    vi.mocked(detectPlayers).mockReturnValue(['file', 'null']);
+    await expect(runCli(['check-config'])).resolves.toBe(EXIT.OK);
+  });
+
+  it('needs no API key or player for a dry run', async () => {
+    process.env.DRY_RUN = 'true';
+    vi.mocked(detectPlayers).mockReturnValue(['file', 'null']);
+
+    await expect(runCli(['check-config'])).resolves.toBe(EXIT.OK);
+
+    expect(printed()).toContain('✓ TTS providers: not needed for a dry run (would use google)');
+    expect(printed()).toContain('✓ Audio players: not needed for a dry run');
+  });
+});
+
+// ── voices ────────────────────────────────────────────────────────────────────
+
+describe('runCli – voices', () => {
+  it("prints the provider's voices", async () => {
+    vi.mocked(listVoices).mockResolvedValue([
+      { id: 'en-US-Neural2-F', description: 'en-US, female' },
+    ]);
+    await expect(runCli(['voices', 'google'])).resolves.toBe(EXIT.OK);
+    expect(listVoices).toHaveBeenCalledWith('google');
+    expect(output).toEqual(['en-US-Neural2-F  en-US, female']);
+  });
+
+  it('fails when the voices cannot be listed', async () => {
+    vi.mocked(listVoices).mockRejectedValue(new Error('GOOGLE_API_KEY is not set.'));
+    await expect(runCli(['voices'])).resolves.toBe(EXIT.FAILED);
+    expect(logger.error).toHaveBeenCalledWith('voices failed: GOOGLE_API_KEY is not set.');
+  });
+});
+
+// ── simulate ──────────────────────────────────────────────────────────────────
+
+describe('runCli – simulate', () => {
+  const report = { name: 'Test outbreak', polls: 3, announcements: [], unplayed: 0 };
+
+  beforeEach(() => {
+    vi.mocked(loadTimeline).mockReturnValue({ name: 'Test outbreak' });
+    vi.mocked(runSimulation).mockResolvedValue(report);
+    vi.mocked(formatReport).mockReturnValue('Simulated "Test outbreak"');
+  });
+
+  it('replays the timeline on a stepped clock with speech stubbed, by default', async () => {
+    await expect(runCli(['simulate', 'outbreak.json'])).resolves.toBe(EXIT.OK);
+    expect(loadTimeline).toHaveBeenCalledWith('outbreak.json');
+    expect(runSimulation).toHaveBeenCalledWith(
+      { name: 'Test outbreak' },
+      { speed: Infinity, speakAloud: false }
+    );
+    expect(printed()).toBe('Simulated "Test outbreak"');
+    expect(detectPlayers).not.toHaveBeenCalled();
+  });
+
+  it('runs faster than real time and speaks aloud when asked, printing JSON', async () => {
+    await runCli(['simulate', 'outbreak.json', '--speed', '60', '--speak', '--json']);
+    expect(runSimulation).toHaveBeenCalledWith(expect.anything(), {
+      speed: 60,
+      speakAloud: true,
+    });
+    expect(detectPlayers).toHaveBeenCalled();
+    expect(JSON.parse(printed())).toEqual(report);
+  });
+
+  it.each(['0', 'fast'])('rejects --speed %s', async (speed) => {
+    await expect(runCli(['simulate', 'outbreak.json', '--speed', speed])).resolves.toBe(EXIT.USAGE);
+    expect(runSimulation).not.toHaveBeenCalled();
+  });
+
+  it('fails on a timeline it cannot load', async () => {
+    vi.mocked(loadTimeline).mockImplementation(() => {
+      throw new Error('Could not read timeline "outbreak.json"');
+    });
+    await expect(runCli(['simulate', 'outbreak.json'])).resolves.toBe(EXIT.FAILED);
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { currentTime, sleep, useVirtualClock, useSystemClock } from '../src/clock.js';
+
+const START = Date.parse('2021-12-11T03:00:00Z');
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.setSystemTime(new Date('2026-05-15T19:00:00Z'));
+});
+
+afterEach(() => {
+  useSystemClock();
+  vi.useRealTimers();
+});
+
+// ── System clock ──────────────────────────────────────────────────────────────
+
+describe('system clock', () => {
+  it('reads the system time', () => {
+    expect(currentTime()).toBe(Date.parse('2026-05-15T19:00:00Z'));
+  });
+
+  it('sleeps in real time', async () => {
+    const done = vi.fn();
+    sleep(60_000).then(done);
+    await vi.advanceTimersByTimeAsync(59_999);
+    expect(done).not.toHaveBeenCalled();
+    await vi.advanceTimersByTimeAsync(1);
+    expect(done).toHaveBeenCalled();
+  });
+});
+
+// ── Virtual clocks ────────────────────────────────────────────────────────────
+
+describe('stepped clock', () => {
+  it('stands still until something sleeps, then moves on at once', async () => {
+    useVirtualClock(START);
+    vi.advanceTimersByTime(10_000);
+    expect(currentTime()).toBe(START);
+
+    await sleep(5 * 60_000);
+    expect(currentTime()).toBe(START + 5 * 60_000);
+  });
+
+  it('ignores negative sleeps', async () => {
+    useVirtualClock(START);
+    await sleep(-1000);
+    expect(currentTime()).toBe(START);
+  });
+});
+
+describe('sped-up clock', () => {
+  it('runs the given number of times faster than real time', async () => {
+    useVirtualClock(START, 60);
+    vi.advanceTimersByTime(1000);
+    expect(currentTime()).toBe(START + 60_000);
+
+    const done = vi.fn();
+    sleep(5 * 60_000).then(done);
+    await vi.advanceTimersByTimeAsync(5000);
+    expect(done).toHaveBeenCalled();
+    expect(currentTime()).toBe(START + 6 * 60_000);
+  });
+
+  it('rejects a speed that is not above 0', () => {
+    expect(() => useVirtualClock(START, 0)).toThrow('Clock speed must be above 0');
+    expect(() => useVirtualClock(START, NaN)).toThrow('Clock speed must be above 0');
+  });
+});
+
+describe('useSystemClock', () => {
+  it('goes back to the system time', () => {
+    useVirtualClock(START);
+    useSystemClock();
+    expect(currentTime()).toBe(Date.parse('2026-05-15T19:00:00Z'));
+  });
+});
@@ -13,13 +13,18 @@ import {
   loadSpokenAlerts,
   hasBeenSpoken,
   markAsSpoken,
+  listSpokenAlerts,
+  forgetSpokenAlert,
+  clearSpokenAlerts,
   _reset,
 } from '../src/deduplication.js';
+import { recordAlert, _reset as _resetLifecycle } from '../src/lifecycle.js';
 
 describe('deduplication', () => {
   beforeEach(() => {
     vi.clearAllMocks();
     _reset(); // clear in-memory Set between tests
+    _resetLifecycle();
   });
 
   // ── hasBeenSpoken ──────────────────────────────────────────────────────────
@@ -49,6 +54,30 @@ describe('deduplication', () => {
     });
   });
 
+  // ── Per-location keys ──────────────────────────────────────────────────────
+
+  describe('per-location deduplication', () => {
+    it('tracks the same alert separately for each named location', () => {
+      markAsSpoken('urn:test:1', 'Home');
+      expect(hasBeenSpoken('urn:test:1', 'Home')).toBe(true);
+      expect(hasBeenSpoken('urn:test:1', "Mom's place")).toBe(false);
+    });
+
+    it('keeps unnamed keys independent of named ones', () => {
+      markAsSpoken('urn:test:1', 'Home');
+      expect(hasBeenSpoken('urn:test:1')).toBe(false);
+      markAsSpoken('urn:test:2');
+      expect(hasBeenSpoken('urn:test:2', 'Home')).toBe(false);
+    });
+
+    it('persists unnamed keys as the plain alert ID', () => {
+      markAsSpoken('urn:test:1');
+      markAsSpoken('urn:test:1', 'Home');
+      const [, content] = vi.mocked(writeFileSync).mock.calls.at(-1);
+      expect(JSON.parse(content)).toEqual(['urn:test:1', 'urn:test:1|Home']);
+    });
+  });
+
   // ── markAsSpoken ───────────────────────────────────────────────────────────
 
   describe('markAsSpoken', () => {
@@ -88,6 +117,80 @@ describe('deduplication', () => {
     });
   });
 
+  // ── VTEC event keys ────────────────────────────────────────────────────────
+
+  describe('VTEC event deduplication', () => {
+    const alert = (id, vtec, sent = '2026-05-15T19:35:00Z') => ({
+      id,
+      properties: { sent, parameters: { VTEC: [vtec] } },
+    });
+    const NEW = '/O.NEW.KLMK.TO.W.0042.260515T1930Z-260515T2000Z/';
+    const CON = '/O.CON.KLMK.TO.W.0042.000000T0000Z-260515T2000Z/';
+    const EXT = '/O.EXT.KLMK.TO.W.0042.000000T0000Z-260515T2045Z/';
+
+    it('treats a reissue of a spoken event under a new ID as spoken', () => {
+      markAsSpoken(alert('urn:test:1', NEW));
+      expect(hasBeenSpoken(alert('urn:test:2', CON))).toBe(true);
+    });
+
+    it('lets news about a spoken event through, once per alert ID', () => {
+      markAsSpoken(alert('urn:test:1', NEW));
+      expect(hasBeenSpoken(alert('urn:test:2', EXT))).toBe(false);
+      markAsSpoken(alert('urn:test:2', EXT));
+      expect(hasBeenSpoken(alert('urn:test:2', EXT))).toBe(true);
+    });
+
+    it('keeps events with another office, phenomenon or ETN separate', () => {
+      markAsSpoken(alert('urn:test:1', NEW));
+      expect(hasBeenSpoken(alert('urn:test:2', CON.replace('0042', '0043')))).toBe(false);
+      expect(hasBeenSpoken(alert('urn:test:3', CON.replace('KLMK', 'KIND')))).toBe(false);
+      expect(hasBeenSpoken(alert('urn:test:4', CON.replace('TO.W', 'SV.W')))).toBe(false);
+    });
+
+    it('tracks events per location', () => {
+      markAsSpoken(alert('urn:test:1', NEW), 'Home');
+      expect(hasBeenSpoken(alert('urn:test:2', CON), 'Home')).toBe(true);
+      expect(hasBeenSpoken(alert('urn:test:2', CON), "Mom's place")).toBe(false);
+    });
+
+    it('falls back to the alert ID for alerts without VTEC', () => {
+      markAsSpoken({ id: 'urn:test:1', properties: {} });
+      expect(hasBeenSpoken({ id: 'urn:test:1', properties: {} })).toBe(true);
+      expect(hasBeenSpoken({ id: 'urn:test:2', properties: {} })).toBe(false);
+    });
+
+    it('persists the event key alongside the alert ID', () => {
+      markAsSpoken(alert('urn:test:1', NEW));
+      const [, content] = vi.mocked(writeFileSync).mock.calls.at(-1);
+      expect(JSON.parse(content)).toEqual(['urn:test:1', 'vtec:KLMK.TO.W.0042.2026']);
+    });
+
+    it('keeps an event apart from one that reuses its ETN in a later year', () => {
+      markAsSpoken(alert('urn:test:1', '/O.NEW.KLMK.TO.W.0042.250515T1930Z-250515T2000Z/'));
+      expect(hasBeenSpoken(alert('urn:test:2', NEW))).toBe(false);
+      const nextYear = '/O.CON.KLMK.TO.W.0042.000000T0000Z-260515T2000Z/';
+      expect(hasBeenSpoken(alert('urn:test:3', nextYear, '2026-05-15T19:35:00Z'))).toBe(false);
+      expect(hasBeenSpoken(alert('urn:test:4', nextYear, '2025-05-15T19:35:00Z'))).toBe(true);
+    });
+
+    it('treats a reissue sent after New Year as the event that began in December', () => {
+      const december = alert(
+        'urn:test:1',
+        '/O.NEW.KLMK.TO.W.0042.261231T2340Z-270101T0030Z/',
+        '2026-12-31T23:40:00Z'
+      );
+      const january = alert(
+        'urn:test:2',
+        '/O.CON.KLMK.TO.W.0042.000000T0000Z-270101T0030Z/',
+        '2027-01-01T00:05:00Z'
+      );
+      recordAlert(december);
+      markAsSpoken(december);
+      recordAlert(january);
+      expect(hasBeenSpoken(january)).toBe(true);
+    });
+  });
+
   // ── loadSpokenAlerts ───────────────────────────────────────────────────────
 
   describe('loadSpokenAlerts', () => {
@@ -129,6 +232,44 @@ describe('deduplication', () => {
     });
   });
 
+  // ── listSpokenAlerts / forgetSpokenAlert / clearSpokenAlerts ────────────────
+
+  describe('listing and forgetting', () => {
+    it('lists every key in the order it was recorded', () => {
+      markAsSpoken('urn:test:1');
+      markAsSpoken('urn:test:2', 'Home');
+      expect(listSpokenAlerts()).toEqual(['urn:test:1', 'urn:test:2|Home']);
+    });
+
+    it('forgets an alert for every location and saves', () => {
+      markAsSpoken('urn:test:1');
+      markAsSpoken('urn:test:1', 'Home');
+      markAsSpoken('urn:test:10');
+      vi.mocked(writeFileSync).mockClear();
+
+      expect(forgetSpokenAlert('urn:test:1')).toBe(2);
+      expect(hasBeenSpoken('urn:test:1')).toBe(false);
+      expect(hasBeenSpoken('urn:test:1', 'Home')).toBe(false);
+      expect(hasBeenSpoken('urn:test:10')).toBe(true);
+      const [, content] = vi.mocked(writeFileSync).mock.calls.at(-1);
+      expect(JSON.parse(content)).toEqual(['urn:test:10']);
+    });
+
+    it('returns 0 and writes nothing for an alert never spoken', () => {
+      expect(forgetSpokenAlert('urn:test:99')).toBe(0);
+      expect(writeFileSync).not.toHaveBeenCalled();
+    });
+
+    it('clears every key', () => {
+      markAsSpoken('urn:test:1');
+      markAsSpoken('urn:test:2', 'Home');
+      expect(clearSpokenAlerts()).toBe(2);
+      expect(listSpokenAlerts()).toEqual([]);
+      const [, content] = vi.mocked(writeFileSync).mock.calls.at(-1);
+      expect(JSON.parse(content)).toEqual([]);
+    });
+  });
+
   // ── JSON round-trip ────────────────────────────────────────────────────────
 
   describe('JSON round-trip', () => {
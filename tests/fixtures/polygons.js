@@ -0,0 +1,41 @@
+/**
+ * Shared GeoJSON warning-polygon fixtures for the geo and alert processor tests.
+ * All boxes are positioned relative to HOME (downtown Louisville, KY).
+ */
+
+/** Downtown Louisville, KY */
+export const HOME = { lat: 38.25, lon: -85.76 };
+
+/**
+ * Builds a closed rectangular GeoJSON Polygon.
+ * @param {number} west - Western longitude
+ * @param {number} south - Southern latitude
+ * @param {number} east - Eastern longitude
+ * @param {number} north - Northern latitude
+ */
+export function box(west, south, east, north) {
+  return {
+    type: 'Polygon',
+    coordinates: [
+      [
+        [west, south],
+        [east, south],
+        [east, north],
+        [west, north],
+        [west, south],
+      ],
+    ],
+  };
+}
+
+/** Box around Louisville (contains HOME); its west edge is ~7.6 miles away */
+export const AROUND_HOME = box(-85.9, 38.1, -85.6, 38.4);
+
+/** Box east of Louisville; its west edge is ~14.1 miles from HOME */
+export const EAST_OF_HOME = box(-85.5, 38.1, -85.3, 38.4);
+
+/** Box whose north-east corner is ~8 miles south-west of HOME */
+export const SOUTHWEST_OF_HOME = box(-86.0, 38.05, -85.864, 38.168);
+
+/** Box whose nearest edge is a few hundred yards north of HOME */
+export const JUST_NORTH_OF_HOME = box(-85.8, 38.254, -85.7, 38.35);
@@ -0,0 +1,202 @@
+import { describe, it, expect } from 'vitest';
+import {
+  distanceMiles,
+  bearingDegrees,
+  compassDirection,
+  trackOffsetMiles,
+  hasPolygon,
+  pointInGeometry,
+  nearestBoundaryPoint,
+  isWithinGeofence,
+} from '../src/geo.js';
+import { HOME, AROUND_HOME, EAST_OF_HOME, SOUTHWEST_OF_HOME, box } from './fixtures/polygons.js';
+
+// ── Fixtures ──────────────────────────────────────────────────────────────────
+
+/** AROUND_HOME with a hole punched out around HOME */
+const DONUT = {
+  type: 'Polygon',
+  coordinates: [
+    AROUND_HOME.coordinates[0],
+    [
+      [-85.8, 38.2],
+      [-85.7, 38.2],
+      [-85.7, 38.3],
+      [-85.8, 38.3],
+      [-85.8, 38.2],
+    ],
+  ],
+};
+
+// ── distanceMiles ─────────────────────────────────────────────────────────────
+
+describe('distanceMiles', () => {
+  it('returns 0 for identical points', () => {
+    expect(distanceMiles(HOME, HOME)).toBe(0);
+  });
+
+  it('matches the known Louisville → Lexington great-circle distance (~70 mi)', () => {
+    const lexington = { lat: 38.0406, lon: -84.5037 };
+    expect(distanceMiles(HOME, lexington)).toBeCloseTo(70.2, 0);
+  });
+
+  it('is symmetric', () => {
+    const other = { lat: 37.0, lon: -86.0 };
+    expect(distanceMiles(HOME, other)).toBeCloseTo(distanceMiles(other, HOME), 10);
+  });
+});
+
+// ── bearingDegrees / compassDirection ────────────────────────────────────────
+
+describe('bearingDegrees', () => {
+  it('returns 0 for a point due north', () => {
+    expect(bearingDegrees(HOME, { lat: 39, lon: HOME.lon })).toBeCloseTo(0, 6);
+  });
+
+  it('returns ~90 for a point due east', () => {
+    expect(bearingDegrees(HOME, { lat: HOME.lat, lon: -85.5 })).toBeCloseTo(90, 0);
+  });
+
+  it('returns ~180 for a point due south', () => {
+    expect(bearingDegrees(HOME, { lat: 37.5, lon: HOME.lon })).toBeCloseTo(180, 6);
+  });
+
+  it('returns a value in [0, 360) for points to the west', () => {
+    const bearing = bearingDegrees(HOME, { lat: HOME.lat, lon: -86 });
+    expect(bearing).toBeGreaterThanOrEqual(0);
+    expect(bearing).toBeCloseTo(270, 0);
+  });
+});
+
+describe('compassDirection', () => {
+  it.each([
+    [0, 'north'],
+    [44, 'northeast'],
+    [90, 'east'],
+    [135, 'southeast'],
+    [180, 'south'],
+    [225, 'southwest'],
+    [270, 'west'],
+    [315, 'northwest'],
+    [350, 'north'],
+  ])('maps %d° to %s', (bearing, word) => {
+    expect(compassDirection(bearing)).toBe(word);
+  });
+
+  it('normalizes negative and out-of-range bearings', () => {
+    expect(compassDirection(-90)).toBe('west');
+    expect(compassDirection(405)).toBe('northeast');
+  });
+});
+
+// ── trackOffsetMiles ──────────────────────────────────────────────────────────
+
+describe('trackOffsetMiles', () => {
+  it('reports a point straight ahead as fully along-track', () => {
+    const start = { lat: 38.0, lon: HOME.lon };
+    const { alongMiles, crossMiles } = trackOffsetMiles(start, 0, HOME);
+    expect(alongMiles).toBeCloseTo(distanceMiles(start, HOME), 3);
+    expect(crossMiles).toBeCloseTo(0, 3);
+  });
+
+  it('reports a point behind the track as negative along-track', () => {
+    const start = { lat: 38.5, lon: HOME.lon };
+    expect(trackOffsetMiles(start, 0, HOME).alongMiles).toBeLessThan(0);
+  });
+
+  it('reports the sideways distance of a point beside the track', () => {
+    // Track heads north along -85.9; HOME is ~7.6 miles east of it
+    const start = { lat: 38.0, lon: -85.9 };
+    const { alongMiles, crossMiles } = trackOffsetMiles(start, 0, HOME);
+    expect(crossMiles).toBeCloseTo(7.6, 1);
+    expect(alongMiles).toBeCloseTo(17.3, 0);
+  });
+});
+
+// ── hasPolygon ────────────────────────────────────────────────────────────────
+
+describe('hasPolygon', () => {
+  it('accepts Polygon and MultiPolygon geometries', () => {
+    expect(hasPolygon(AROUND_HOME)).toBe(true);
+    expect(hasPolygon({ type: 'MultiPolygon', coordinates: [AROUND_HOME.coordinates] })).toBe(true);
+  });
+
+  it('rejects null, points and empty geometries', () => {
+    expect(hasPolygon(null)).toBe(false);
+    expect(hasPolygon(undefined)).toBe(false);
+    expect(hasPolygon({ type: 'Point', coordinates: [-85.76, 38.25] })).toBe(false);
+    expect(hasPolygon({ type: 'Polygon', coordinates: [] })).toBe(false);
+  });
+});
+
+// ── pointInGeometry ───────────────────────────────────────────────────────────
+
+describe('pointInGeometry', () => {
+  it('returns true for a point inside the polygon', () => {
+    expect(pointInGeometry(HOME, AROUND_HOME)).toBe(true);
+  });
+
+  it('returns false for a point outside the polygon', () => {
+    expect(pointInGeometry(HOME, EAST_OF_HOME)).toBe(false);
+  });
+
+  it('returns false for a point inside a hole', () => {
+    expect(pointInGeometry(HOME, DONUT)).toBe(false);
+  });
+
+  it('returns true if any polygon of a MultiPolygon contains the point', () => {
+    const multi = {
+      type: 'MultiPolygon',
+      coordinates: [EAST_OF_HOME.coordinates, AROUND_HOME.coordinates],
+    };
+    expect(pointInGeometry(HOME, multi)).toBe(true);
+  });
+});
+
+// ── nearestBoundaryPoint ──────────────────────────────────────────────────────
+
+describe('nearestBoundaryPoint', () => {
+  it('finds the nearest edge of a polygon to the east', () => {
+    const nearest = nearestBoundaryPoint(HOME, EAST_OF_HOME);
+    expect(nearest.lon).toBeCloseTo(-85.5, 6);
+    expect(nearest.lat).toBeCloseTo(HOME.lat, 6);
+    expect(nearest.distanceMiles).toBeCloseTo(14.1, 1);
+  });
+
+  it('finds the nearest corner of a polygon to the south-west', () => {
+    const nearest = nearestBoundaryPoint(HOME, SOUTHWEST_OF_HOME);
+    expect(nearest.distanceMiles).toBeCloseTo(8, 1);
+    expect(compassDirection(bearingDegrees(HOME, nearest))).toBe('southwest');
+  });
+
+  it('snaps to a corner when no edge is perpendicular to the point', () => {
+    const nearest = nearestBoundaryPoint(HOME, box(-85.6, 38.4, -85.5, 38.5));
+    expect(nearest.lat).toBeCloseTo(38.4, 6);
+    expect(nearest.lon).toBeCloseTo(-85.6, 6);
+  });
+
+  it('measures distance to the boundary even when the point is inside', () => {
+    // The nearest edge of AROUND_HOME is its west side at -85.9 (~7.6 mi)
+    expect(nearestBoundaryPoint(HOME, AROUND_HOME).distanceMiles).toBeCloseTo(7.6, 1);
+  });
+});
+
+// ── isWithinGeofence ──────────────────────────────────────────────────────────
+
+describe('isWithinGeofence', () => {
+  it('matches when home is inside the polygon', () => {
+    expect(isWithinGeofence(HOME, AROUND_HOME)).toBe(true);
+  });
+
+  it('does not match a nearby polygon without a buffer', () => {
+    expect(isWithinGeofence(HOME, EAST_OF_HOME)).toBe(false);
+  });
+
+  it('matches a nearby polygon within the buffer distance', () => {
+    expect(isWithinGeofence(HOME, EAST_OF_HOME, 15)).toBe(true);
+  });
+
+  it('does not match a polygon just beyond the buffer distance', () => {
+    expect(isWithinGeofence(HOME, EAST_OF_HOME, 13)).toBe(false);
+  });
+});
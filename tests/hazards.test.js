@@ -0,0 +1,192 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+
+vi.mock('fs', () => ({ readFileSync: vi.fn() }));
+
+import {
+  DEFAULT_HAZARDS,
+  DEFAULT_UPDATE_TEMPLATES,
+  getHazards,
+  getEnabledHazards,
+  getUpdateTemplates,
+} from '../src/hazards.js';
+import { readFileSync } from 'fs';
+
+/** Points HAZARDS_FILE at a mocked file containing the given JSON value. */
+function useHazardsFile(entries) {
+  process.env.HAZARDS_FILE = '/etc/hazards.json';
+  vi.mocked(readFileSync).mockReturnValue(JSON.stringify(entries));
+}
+
+afterEach(() => {
+  vi.clearAllMocks();
+  delete process.env.HAZARDS_FILE;
+  delete process.env.TEMPLATES_FILE;
+});
+
+// ── DEFAULT_HAZARDS ───────────────────────────────────────────────────────────
+
+describe('DEFAULT_HAZARDS', () => {
+  it('only enables Tornado Warnings out of the box', () => {
+    const enabled = DEFAULT_HAZARDS.filter((h) => h.enabled).map((h) => h.event);
+    expect(enabled).toEqual(['Tornado Warning']);
+  });
+
+  it('includes the other common hazards, each with a template', () => {
+    const events = DEFAULT_HAZARDS.map((h) => h.event);
+    expect(events).toEqual(
+      expect.arrayContaining([
+        'Flash Flood Warning',
+        'Severe Thunderstorm Warning',
+        'Extreme Wind Warning',
+        'Tornado Watch',
+      ])
+    );
+    DEFAULT_HAZARDS.forEach((h) => expect(h.template).toContain('{{area}}'));
+  });
+
+  it('is frozen so callers cannot mutate the defaults', () => {
+    expect(Object.isFrozen(DEFAULT_HAZARDS)).toBe(true);
+    expect(Object.isFrozen(DEFAULT_HAZARDS[0])).toBe(true);
+  });
+});
+
+// ── getHazards ────────────────────────────────────────────────────────────────
+
+describe('getHazards', () => {
+  it('returns copies of the defaults when HAZARDS_FILE is not set', () => {
+    const catalog = getHazards();
+    expect(catalog).toEqual(DEFAULT_HAZARDS);
+    catalog[0].enabled = false;
+    expect(DEFAULT_HAZARDS[0].enabled).toBe(true);
+    expect(readFileSync).not.toHaveBeenCalled();
+  });
+
+  it('overrides built-in entries field by field', () => {
+    useHazardsFile([{ event: 'Flash Flood Warning', enabled: true, priority: 95 }]);
+    const flood = getHazards().find((h) => h.event === 'Flash Flood Warning');
+    expect(flood.enabled).toBe(true);
+    expect(flood.priority).toBe(95);
+    expect(flood.template).toContain('flash flood warning');
+  });
+
+  it('appends new events, enabled by default', () => {
+    useHazardsFile([{ event: 'Winter Storm Warning', template: 'Snow for {{area}}.' }]);
+    const winter = getHazards().find((h) => h.event === 'Winter Storm Warning');
+    expect(winter).toEqual({
+      event: 'Winter Storm Warning',
+      enabled: true,
+      priority: 50,
+      template: 'Snow for {{area}}.',
+    });
+  });
+
+  it('rejects a template with an unknown placeholder, naming the hazard', () => {
+    useHazardsFile([{ event: 'Tornado Watch', template: 'Watch for {{areas}}.' }]);
+    expect(() => getHazards()).toThrow(
+      'Hazard #1 ("Tornado Watch") template line 1: unknown placeholder {{areas}}'
+    );
+  });
+
+  it('rejects a new event without a template', () => {
+    useHazardsFile([{ event: 'Winter Storm Warning' }]);
+    expect(() => getHazards()).toThrow(/not built in.*template/);
+  });
+
+  it.each([
+    [[{}], /Hazard #1 needs an "event"/],
+    [[{ event: 'Tornado Watch', enabled: 'yes' }], /"enabled" must be true or false/],
+    [[{ event: 'Tornado Watch', priority: 'high' }], /"priority" must be a number/],
+    [[{ event: 'Tornado Watch', template: '' }], /"template" must be a non-empty string/],
+    [{ event: 'Tornado Watch' }, /must contain a JSON array/],
+  ])('rejects malformed file %j', (entries, message) => {
+    useHazardsFile(entries);
+    expect(() => getHazards()).toThrow(message);
+  });
+
+  it('reports unreadable files', () => {
+    process.env.HAZARDS_FILE = '/missing.json';
+    vi.mocked(readFileSync).mockImplementation(() => {
+      throw new Error('ENOENT');
+    });
+    expect(() => getHazards()).toThrow('Could not read HAZARDS_FILE "/missing.json": ENOENT');
+  });
+});
+
+describe('getHazards – TEMPLATES_FILE', () => {
+  it('replaces the template of the matching event', () => {
+    process.env.TEMPLATES_FILE = '/etc/templates.txt';
+    vi.mocked(readFileSync).mockReturnValue('[Tornado Warning]\nTornado warning for {{area}}.');
+    const tornado = getHazards().find((h) => h.event === 'Tornado Warning');
+    expect(tornado.template).toBe('Tornado warning for {{area}}.');
+  });
+
+  it('applies after HAZARDS_FILE, so it can reword newly added events', () => {
+    process.env.HAZARDS_FILE = '/etc/hazards.json';
+    process.env.TEMPLATES_FILE = '/etc/templates.txt';
+    vi.mocked(readFileSync).mockImplementation((file) =>
+      file === '/etc/hazards.json'
+        ? JSON.stringify([{ event: 'Winter Storm Warning', template: 'Snow.' }])
+        : '[Winter Storm Warning]\nSnow for {{area}}.'
+    );
+    const winter = getHazards().find((h) => h.event === 'Winter Storm Warning');
+    expect(winter.template).toBe('Snow for {{area}}.');
+  });
+
+  it('rejects templates for events outside the catalog', () => {
+    process.env.TEMPLATES_FILE = '/etc/templates.txt';
+    vi.mocked(readFileSync).mockReturnValue('[Ice Storm Warning]\nIce.');
+    expect(() => getHazards()).toThrow(/"Ice Storm Warning", which is not in the hazard catalog/);
+  });
+});
+
+// ── getEnabledHazards ─────────────────────────────────────────────────────────
+
+describe('getEnabledHazards', () => {
+  it('returns only enabled hazards, highest priority first', () => {
+    useHazardsFile([
+      { event: 'Tornado Watch', enabled: true },
+      { event: 'Flash Flood Warning', enabled: true },
+    ]);
+    expect(getEnabledHazards().map((h) => h.event)).toEqual([
+      'Tornado Warning',
+      'Flash Flood Warning',
+      'Tornado Watch',
+    ]);
+  });
+
+  it('accepts an explicit catalog', () => {
+    const catalog = [
+      { event: 'A', enabled: true, priority: 1, template: 'a' },
+      { event: 'B', enabled: false, priority: 9, template: 'b' },
+      { event: 'C', enabled: true, priority: 5, template: 'c' },
+    ];
+    expect(getEnabledHazards(catalog).map((h) => h.event)).toEqual(['C', 'A']);
+  });
+});
+
+// ── getUpdateTemplates ────────────────────────────────────────────────────────
+
+describe('getUpdateTemplates', () => {
+  it('returns the built-in follow-up templates by default', () => {
+    expect(getUpdateTemplates()).toEqual(DEFAULT_UPDATE_TEMPLATES);
+    expect(Object.keys(DEFAULT_UPDATE_TEMPLATES)).toEqual([
+      'extended',
+      'area-changed',
+      'cancelled',
+      'all-clear',
+    ]);
+  });
+
+  it('applies [Extended], [Area Changed] and [Cancelled] sections from TEMPLATES_FILE', () => {
+    process.env.TEMPLATES_FILE = '/etc/templates.txt';
+    vi.mocked(readFileSync).mockReturnValue(
+      '[Extended]\nStill going.\n[Cancelled]\nAll done.\n[Tornado Warning]\nHi {{area}}.'
+    );
+    const templates = getUpdateTemplates();
+    expect(templates.extended).toBe('Still going.');
+    expect(templates.cancelled).toBe('All done.');
+    expect(templates['area-changed']).toBe(DEFAULT_UPDATE_TEMPLATES['area-changed']);
+    // The follow-up sections are not mistaken for hazards
+    expect(() => getHazards()).not.toThrow();
+  });
+});
@@ -1,10 +1,21 @@
-import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
+import { writeFileSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
 
 // Mock all external dependencies BEFORE importing index.js
 vi.mock('dotenv/config', () => ({}));
-vi.mock('../src/poller.js', () => ({ fetchAlerts: vi.fn() }));
-vi.mock('../src/tts.js', () => ({ synthesizeSpeech: vi.fn() }));
-vi.mock('../src/audioPlayer.js', () => ({ playAudio: vi.fn() }));
+vi.mock('../src/poller.js', () => ({ fetchAlerts: vi.fn(), didLastFetchFail: vi.fn() }));
+vi.mock('../src/tts.js', () => ({
+  synthesizeSpeech: vi.fn(),
+  prewarmSpeech: vi.fn(),
+  describeVoice: vi.fn(() => ({ provider: 'google', settings: { voice: 'en-US-Wavenet-D' } })),
+}));
+vi.mock('../src/audioPlayer.js', () => ({
+  playAudio: vi.fn(),
+  detectPlayers: vi.fn(),
+  resolveVolume: vi.fn((voiceSettings) => voiceSettings.volume ?? 30),
+}));
 vi.mock('../src/deduplication.js', () => ({
   loadSpokenAlerts: vi.fn(),
   hasBeenSpoken: vi.fn(),
@@ -15,22 +26,55 @@ vi.mock('../src/logger.js', () => ({
   logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
 }));
 
-import { speak, pollOnce, main, _resetRateLimit } from '../src/index.js';
-import { synthesizeSpeech } from '../src/tts.js';
-import { playAudio } from '../src/audioPlayer.js';
-import { fetchAlerts } from '../src/poller.js';
+import {
+  speak,
+  pollOnce,
+  pollNow,
+  main,
+  muteFor,
+  getHealth,
+  getActiveAlerts,
+  getHistory,
+  _resetRateLimit,
+} from '../src/index.js';
+import { _reset as _resetLifecycle, loadAlertChains } from '../src/lifecycle.js';
+import { renderMetrics, _reset as _resetMetrics } from '../src/metrics.js';
+import { createStatusServer } from '../src/statusApi.js';
+import { synthesizeSpeech, prewarmSpeech } from '../src/tts.js';
+import { playAudio, detectPlayers } from '../src/audioPlayer.js';
+import { fetchAlerts, didLastFetchFail } from '../src/poller.js';
 import { hasBeenSpoken, markAsSpoken, loadSpokenAlerts } from '../src/deduplication.js';
 
+/** Matches the alert feature with the given ID in mock call arguments. */
+const alertWithId = (id) => expect.objectContaining({ id });
+
 // ── Setup / Teardown ──────────────────────────────────────────────────────────
 
+let stateDir;
+
+beforeAll(() => {
+  // Keep alert lifecycle state out of ./data
+  stateDir = mkdtempSync(join(tmpdir(), 'lifecycle-'));
+  process.env.LIFECYCLE_FILE = join(stateDir, 'alert-chains.json');
+});
+
+afterAll(() => {
+  delete process.env.LIFECYCLE_FILE;
+  rmSync(stateDir, { recursive: true, force: true });
+});
+
 beforeEach(() => {
   vi.clearAllMocks();
   vi.useFakeTimers();
   _resetRateLimit();
+  _resetLifecycle();
+  _resetMetrics();
 
   vi.mocked(synthesizeSpeech).mockResolvedValue('/data/speech.mp3');
+  vi.mocked(prewarmSpeech).mockResolvedValue(0);
   vi.mocked(playAudio).mockResolvedValue();
   vi.mocked(fetchAlerts).mockResolvedValue([]);
+  vi.mocked(didLastFetchFail).mockReturnValue(false);
   vi.mocked(hasBeenSpoken).mockReturnValue(false);
   vi.mocked(loadSpokenAlerts).mockImplementation(() => {});
   vi.mocked(markAsSpoken).mockImplementation(() => {});
@@ -47,13 +91,18 @@ describe('speak() – rate limiting', () => {
   it('calls synthesizeSpeech and playAudio on the first invocation', async () => {
     await speak('Test message');
     expect(synthesizeSpeech).toHaveBeenCalledOnce();
-    expect(playAudio).toHaveBeenCalledWith('/data/speech.mp3');
+    expect(playAudio).toHaveBeenCalledWith('/data/speech.mp3', {});
   });
 
-  it('suppresses speech if called again within the rate limit window', async () => {
+  it('holds a second message until the rate limit window has passed', async () => {
     await speak('First message');
-    await speak('Second message'); // within the 60-second window
+    const second = speak('Second message'); // within the 60-second window
+    await vi.advanceTimersByTimeAsync(59_000);
     expect(synthesizeSpeech).toHaveBeenCalledTimes(1);
+
+    await vi.advanceTimersByTimeAsync(1_000);
+    await expect(second).resolves.toBe(true);
+    expect(synthesizeSpeech).toHaveBeenLastCalledWith('Second message', {});
   });
 
   it('allows speech again after the rate limit window expires', async () => {
@@ -65,25 +114,200 @@ describe('speak() – rate limiting', () => {
 
   it('does not throw when synthesizeSpeech rejects', async () => {
     vi.mocked(synthesizeSpeech).mockRejectedValue(new Error('TTS failure'));
-    await expect(speak('hello')).resolves.toBeUndefined();
+    await expect(speak('hello')).resolves.toBe(false);
   });
 
   it('does not throw when playAudio rejects', async () => {
     vi.mocked(playAudio).mockRejectedValue(new Error('audio failure'));
-    await expect(speak('hello')).resolves.toBeUndefined();
+    await expect(speak('hello')).resolves.toBe(false);
   });
 });
 
 // ── pollOnce() ────────────────────────────────────────────────────────────────
 
 describe('pollOnce() – polling cycle', () => {
-  it('calls fetchAlerts with the configured state', async () => {
+  it('queries the zone of the configured county', async () => {
     process.env.ALERT_STATE = 'OH';
     await pollOnce();
-    expect(fetchAlerts).toHaveBeenCalledWith('OH');
+    expect(fetchAlerts).toHaveBeenCalledWith({ zones: ['OHC081'] });
     delete process.env.ALERT_STATE;
   });
 
+  it('falls back to the configured state when the county cannot be resolved', async () => {
+    process.env.ALERT_STATE = 'TX';
+    process.env.ALERT_COUNTY = 'Harris';
+    await pollOnce();
+    expect(fetchAlerts).toHaveBeenCalledWith('TX');
+    delete process.env.ALERT_STATE;
+    delete process.env.ALERT_COUNTY;
+  });
+
+  it('does not speak alerts whose codes are outside the configured county', async () => {
+    vi.mocked(fetchAlerts).mockResolvedValue([
+      {
+        id: 'urn:test:pikeville',
+        properties: {
+          event: 'Tornado Warning',
+          areaDesc: 'Pike, KY',
+          expires: '2026-05-15T20:00:00Z',
+          headline: 'Tornado Warning issued',
+          geocode: { UGC: ['KYC195'], SAME: ['021195'] },
+        },
+      },
+    ]);
+
+    await pollOnce();
+
+    expect(synthesizeSpeech).not.toHaveBeenCalled();
+  });
+
+  it('matches against the warning polygon when a home point is configured', async () => {
+    process.env.HOME_LAT = '38.25';
+    process.env.HOME_LON = '-85.76';
+    const polygon = (west, east) => ({
+      type: 'Polygon',
+      coordinates: [
+        [
+          [west, 38.1],
+          [east, 38.1],
+          [east, 38.4],
+          [west, 38.4],
+          [west, 38.1],
+        ],
+      ],
+    });
+    const warning = (id, geometry) => ({
+      id,
+      geometry,
+      properties: {
+        event: 'Tornado Warning',
+        areaDesc: 'Jefferson, KY',
+        expires: '2026-05-15T20:00:00Z',
+        headline: 'Tornado Warning issued',
+        geocode: { UGC: ['KYC111'], SAME: ['021111'] },
+      },
+    });
+    vi.mocked(fetchAlerts).mockResolvedValue([
+      warning('urn:test:east-side', polygon(-85.5, -85.3)),
+      warning('urn:test:over-home', polygon(-85.9, -85.6)),
+    ]);
+
+    await pollOnce();
+
+    expect(synthesizeSpeech).toHaveBeenCalledOnce();
+    expect(markAsSpoken).toHaveBeenCalledWith(alertWithId('urn:test:over-home'));
+    expect(markAsSpoken).not.toHaveBeenCalledWith(alertWithId('urn:test:east-side'));
+    delete process.env.HOME_LAT;
+    delete process.env.HOME_LON;
+  });
+
+  it("fetches a home point's state and speaks a neighboring county's polygon within the buffer", async () => {
+    process.env.HOME_LAT = '38.25';
+    process.env.HOME_LON = '-85.76';
+    process.env.GEOFENCE_BUFFER_MILES = '5';
+    vi.mocked(fetchAlerts).mockResolvedValue([
+      {
+        id: 'urn:test:oldham',
+        // Ends about 3 miles north of home, across the county line
+        geometry: {
+          type: 'Polygon',
+          coordinates: [
+            [
+              [-85.9, 38.29],
+              [-85.6, 38.29],
+              [-85.6, 38.5],
+              [-85.9, 38.5],
+              [-85.9, 38.29],
+            ],
+          ],
+        },
+        properties: {
+          event: 'Tornado Warning',
+          areaDesc: 'Oldham, KY',
+          expires: '2026-05-15T20:00:00Z',
+          headline: 'Tornado Warning issued',
+          geocode: { UGC: ['KYC185'], SAME: ['021185'] },
+        },
+      },
+    ]);
+
+    await pollOnce();
+
+    expect(fetchAlerts).toHaveBeenCalledWith('KY');
+    expect(markAsSpoken).toHaveBeenCalledWith(alertWithId('urn:test:oldham'));
+    delete process.env.HOME_LAT;
+    delete process.env.HOME_LON;
+    delete process.env.GEOFENCE_BUFFER_MILES;
+  });
+
+  it('fetches the neighboring states and speaks a polygon across the state line within the buffer', async () => {
+    process.env.HOME_LAT = '38.25';
+    process.env.HOME_LON = '-85.76';
+    process.env.GEOFENCE_BUFFER_MILES = '5';
+    const clark = {
+      id: 'urn:test:clark',
+      // Issued for Indiana alone, ending about 4 miles north of home across the Ohio River
+      geometry: {
+        type: 'Polygon',
+        coordinates: [
+          [
+            [-85.9, 38.31],
+            [-85.6, 38.31],
+            [-85.6, 38.5],
+            [-85.9, 38.5],
+            [-85.9, 38.31],
+          ],
+        ],
+      },
+      properties: {
+        event: 'Tornado Warning',
+        areaDesc: 'Clark, IN',
+        expires: '2026-05-15T20:00:00Z',
+        headline: 'Tornado Warning issued',
+        geocode: { UGC: ['INC019'], SAME: ['018019'] },
+      },
+    };
+    vi.mocked(fetchAlerts).mockImplementation(async (area) => (area === 'IN' ? [clark] : []));
+
+    await pollOnce();
+
+    expect(fetchAlerts).toHaveBeenCalledWith('IN');
+    expect(markAsSpoken).toHaveBeenCalledWith(alertWithId('urn:test:clark'));
+    delete process.env.HOME_LAT;
+    delete process.env.HOME_LON;
+    delete process.env.GEOFENCE_BUFFER_MILES;
+  });
+
+  it('returns what it queued, and in a dry run queues nothing', async () => {
+    vi.setSystemTime(new Date('2026-05-15T19:00:00Z'));
+    vi.mocked(fetchAlerts).mockResolvedValue([
+      {
+        id: 'urn:test:dry-run',
+        properties: {
+          event: 'Tornado Warning',
+          areaDesc: 'Jefferson, KY',
+          expires: '2026-05-15T20:00:00Z',
+          headline: 'Tornado Warning issued',
+          geocode: { UGC: ['KYC111'], SAME: ['021111'] },
+        },
+      },
+    ]);
+
+    const queued = await pollOnce({ dryRun: true });
+
+    expect(queued).toEqual([
+      {
+        location: null,
+        announcement: expect.objectContaining({ event: 'Tornado Warning', kind: 'warning' }),
+      },
+    ]);
+    expect(synthesizeSpeech).not.toHaveBeenCalled();
+    expect(markAsSpoken).not.toHaveBeenCalled();
+
+    await expect(pollOnce()).resolves.toHaveLength(1);
+    expect(synthesizeSpeech).toHaveBeenCalledOnce();
+  });
+
   it('does not speak when there are no active alerts', async () => {
     vi.mocked(fetchAlerts).mockResolvedValue([]);
     await pollOnce();
@@ -107,7 +331,7 @@ describe('pollOnce() – polling cycle', () => {
     await pollOnce();
 
     expect(synthesizeSpeech).toHaveBeenCalledOnce();
-    expect(markAsSpoken).toHaveBeenCalledWith('urn:test:new');
+    expect(markAsSpoken).toHaveBeenCalledWith(alertWithId('urn:test:new'));
   });
 
   it('does not re-speak a Tornado Warning that has already been spoken', async () => {
@@ -176,8 +400,817 @@ describe('pollOnce() – polling cycle', () => {
 
     await pollOnce();
 
-    expect(markAsSpoken).toHaveBeenCalledWith('urn:test:a');
-    expect(markAsSpoken).toHaveBeenCalledWith('urn:test:b');
+    expect(markAsSpoken).toHaveBeenCalledWith(alertWithId('urn:test:a'));
+    expect(markAsSpoken).toHaveBeenCalledWith(alertWithId('urn:test:b'));
+  });
+
+  it('combines simultaneous warnings into one announcement', async () => {
+    const warning = (id, areaDesc) => ({
+      id,
+      properties: { event: 'Tornado Warning', areaDesc, expires: '2026-05-15T20:00:00Z' },
+    });
+    vi.mocked(fetchAlerts).mockResolvedValue([
+      warning('urn:test:a', 'County A'),
+      warning('urn:test:b', 'County B'),
+    ]);
+
+    await pollOnce();
+
+    expect(synthesizeSpeech).toHaveBeenCalledOnce();
+    const [text] = vi.mocked(synthesizeSpeech).mock.calls[0];
+    expect(text).toContain('tornado warning for County A');
+    expect(text).toContain('tornado warning for County B');
+  });
+
+  it('marks an alert spoken only once playback has finished', async () => {
+    vi.mocked(fetchAlerts).mockResolvedValue([
+      {
+        id: 'urn:test:new',
+        properties: { event: 'Tornado Warning', areaDesc: 'Jefferson County, KY' },
+      },
+    ]);
+    let finishPlayback;
+    vi.mocked(playAudio).mockReturnValue(new Promise((resolve) => (finishPlayback = resolve)));
+
+    const polling = pollOnce();
+    await vi.advanceTimersByTimeAsync(0);
+    expect(playAudio).toHaveBeenCalledOnce();
+    expect(markAsSpoken).not.toHaveBeenCalled();
+
+    finishPlayback();
+    await polling;
+    expect(markAsSpoken).toHaveBeenCalledWith(alertWithId('urn:test:new'));
+  });
+
+  it('does not mark an alert spoken when speech fails, so the next poll retries it', async () => {
+    vi.mocked(fetchAlerts).mockResolvedValue([
+      {
+        id: 'urn:test:new',
+        properties: { event: 'Tornado Warning', areaDesc: 'Jefferson County, KY' },
+      },
+    ]);
+    vi.mocked(synthesizeSpeech).mockRejectedValue(new Error('TTS failure'));
+
+    await pollOnce();
+
+    expect(markAsSpoken).not.toHaveBeenCalled();
+  });
+});
+
+// ── pollOnce() – several named locations ──────────────────────────────────────
+
+describe('pollOnce() – named locations', () => {
+  let dir;
+
+  const warning = (id, ugc, areaDesc) => ({
+    id,
+    properties: {
+      event: 'Tornado Warning',
+      areaDesc,
+      expires: '2026-05-15T20:00:00Z',
+      headline: `Tornado Warning for ${areaDesc}`,
+      geocode: { UGC: [ugc] },
+    },
+  });
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'locations-'));
+    process.env.LOCATIONS_FILE = join(dir, 'locations.json');
+    writeFileSync(
+      process.env.LOCATIONS_FILE,
+      JSON.stringify([
+        { name: 'Home', state: 'KY', county: 'Jefferson' },
+        { name: "Mom's place", state: 'KY', county: 'Oldham' },
+        { name: 'Cousin', state: 'TX' },
+      ])
+    );
+  });
+
+  afterEach(() => {
+    delete process.env.LOCATIONS_FILE;
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('fetches each state and the combined zones only once', async () => {
+    await pollOnce();
+    expect(fetchAlerts).toHaveBeenCalledTimes(2);
+    expect(fetchAlerts).toHaveBeenCalledWith('TX');
+    expect(fetchAlerts).toHaveBeenCalledWith({ zones: ['KYC111', 'KYC185'] });
+  });
+
+  it('says which location a warning is for', async () => {
+    vi.mocked(fetchAlerts).mockImplementation(async (query) =>
+      query === 'TX' ? [] : [warning('urn:test:oldham', 'KYC185', 'Oldham, KY')]
+    );
+
+    await pollOnce();
+
+    expect(synthesizeSpeech).toHaveBeenCalledOnce();
+    expect(vi.mocked(synthesizeSpeech).mock.calls[0][0]).toContain(
+      "for Mom's place in Oldham County"
+    );
+    expect(markAsSpoken).toHaveBeenCalledWith(alertWithId('urn:test:oldham'), "Mom's place");
+  });
+
+  it('speaks a warning once for each location it covers', async () => {
+    const both = warning('urn:test:both', 'KYC111', 'Jefferson; Oldham, KY');
+    both.properties.geocode.UGC.push('KYC185');
+    vi.mocked(fetchAlerts).mockImplementation(async (query) => (query === 'TX' ? [] : [both]));
+    vi.advanceTimersByTime(61_000);
+
+    await pollOnce();
+
+    expect(markAsSpoken).toHaveBeenCalledWith(alertWithId('urn:test:both'), 'Home');
+    expect(markAsSpoken).toHaveBeenCalledWith(alertWithId('urn:test:both'), "Mom's place");
+    expect(hasBeenSpoken).toHaveBeenCalledWith(alertWithId('urn:test:both'), 'Home');
+  });
+
+  it("does not announce another state's warning for a state-only location", async () => {
+    vi.mocked(fetchAlerts).mockImplementation(async (query) =>
+      query === 'TX' ? [] : [warning('urn:test:home', 'KYC111', 'Jefferson, KY')]
+    );
+
+    await pollOnce();
+
+    expect(markAsSpoken).not.toHaveBeenCalledWith(alertWithId('urn:test:home'), 'Cousin');
+  });
+
+  it('keeps an alert without a polygon that a point-only location was sent', async () => {
+    writeFileSync(
+      process.env.LOCATIONS_FILE,
+      JSON.stringify([
+        { name: 'Cabin', lat: 38.25, lon: -85.76 },
+        { name: 'Ranch', lat: 30.27, lon: -97.74 },
+      ])
+    );
+    vi.mocked(fetchAlerts).mockImplementation(async ({ point }) =>
+      point.lat === 38.25 ? [warning('urn:test:zone', 'KYC111', 'Jefferson, KY')] : []
+    );
+
+    await pollOnce();
+
+    expect(markAsSpoken).toHaveBeenCalledWith(alertWithId('urn:test:zone'), 'Cabin');
+    expect(markAsSpoken).not.toHaveBeenCalledWith(alertWithId('urn:test:zone'), 'Ranch');
+  });
+
+  it('matches an alert without a polygon by state for a home point with no codes', async () => {
+    writeFileSync(
+      process.env.LOCATIONS_FILE,
+      JSON.stringify([{ name: 'Farm', state: 'KY', lat: 38.25, lon: -85.76 }])
+    );
+    vi.mocked(fetchAlerts).mockResolvedValue([
+      warning('urn:test:ky', 'KYC111', 'Jefferson, KY'),
+      warning('urn:test:tx', 'TXC453', 'Travis, TX'),
+    ]);
+
+    await pollOnce();
+
+    expect(markAsSpoken).toHaveBeenCalledWith(alertWithId('urn:test:ky'), 'Farm');
+    expect(markAsSpoken).not.toHaveBeenCalledWith(alertWithId('urn:test:tx'), 'Farm');
+  });
+});
+
+// ── pollOnce() – escalation tiers ─────────────────────────────────────────────
+
+describe('pollOnce() – escalation tiers', () => {
+  it('speaks a tornado emergency directly, louder and at its own rate', async () => {
+    vi.mocked(fetchAlerts).mockResolvedValue([
+      {
+        id: 'urn:test:emergency',
+        properties: {
+          event: 'Tornado Warning',
+          areaDesc: 'Jefferson County, KY',
+          expires: '2026-05-15T20:00:00Z',
+          headline: 'Tornado Warning issued',
+          parameters: { tornadoDamageThreat: ['CATASTROPHIC'], tornadoDetection: ['OBSERVED'] },
+        },
+      },
+    ]);
+
+    await pollOnce();
+
+    const [text, voiceSettings] = vi.mocked(synthesizeSpeech).mock.calls[0];
+    expect(text).toContain('this is a tornado emergency for Jefferson County, KY');
+    expect(text).toContain('A tornado has been observed.');
+    expect(voiceSettings).toEqual({ volume: 60, speakingRate: 0.9 });
+    expect(playAudio).toHaveBeenCalledWith('/data/speech.mp3', voiceSettings);
+  });
+});
+
+// ── pollOnce() – quiet hours ──────────────────────────────────────────────────
+
+describe('pollOnce() – quiet hours', () => {
+  let dir;
+
+  const tornado = (id, parameters = {}) => ({
+    id,
+    properties: {
+      event: 'Tornado Warning',
+      areaDesc: 'Jefferson County, KY',
+      expires: '2026-05-16T12:00:00Z',
+      headline: 'Tornado Warning issued',
+      parameters,
+    },
+  });
+
+  /** Writes a quiet window covering Friday 10 PM – 7 AM in New York */
+  const quietHours = (window) => {
+    const file = join(dir, 'quiet-hours.json');
+    const base = { name: 'Overnight', days: ['Fri'], start: '22:00', end: '07:00' };
+    writeFileSync(file, JSON.stringify([{ ...base, timeZone: 'America/New_York', ...window }]));
+    process.env.QUIET_HOURS_FILE = file;
+  };
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'quiet-hours-'));
+    vi.setSystemTime(new Date('2026-05-16T03:00:00Z')); // Friday 11 PM in New York
+  });
+
+  afterEach(() => {
+    delete process.env.QUIET_HOURS_FILE;
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('holds a warning until the window ends, then announces it', async () => {
+    quietHours({ policy: 'hold' });
+    vi.mocked(fetchAlerts).mockResolvedValue([tornado('urn:test:night')]);
+
+    await pollOnce();
+    expect(synthesizeSpeech).not.toHaveBeenCalled();
+    expect(markAsSpoken).not.toHaveBeenCalled();
+
+    vi.setSystemTime(new Date('2026-05-16T11:05:00Z')); // 7:05 AM
+    await pollOnce();
+    expect(synthesizeSpeech).toHaveBeenCalledOnce();
+    expect(markAsSpoken).toHaveBeenCalledWith(alertWithId('urn:test:night'));
+  });
+
+  it('plays a warning at the window volume when the policy lowers it', async () => {
+    quietHours({ hazards: { 'Tornado Warning': 'lower' }, volume: 10 });
+    vi.mocked(fetchAlerts).mockResolvedValue([tornado('urn:test:night')]);
+
+    await pollOnce();
+    expect(playAudio).toHaveBeenCalledWith('/data/speech.mp3', { volume: 10 });
+  });
+
+  it('lets a Tornado Emergency through a holding window', async () => {
+    quietHours({ policy: 'hold' });
+    vi.mocked(fetchAlerts).mockResolvedValue([
+      tornado('urn:test:emergency', { tornadoDamageThreat: ['CATASTROPHIC'] }),
+    ]);
+
+    await pollOnce();
+    expect(playAudio).toHaveBeenCalledWith('/data/speech.mp3', { volume: 60, speakingRate: 0.9 });
+  });
+
+  it('holds an all-clear until the window ends, then speaks it', async () => {
+    vi.mocked(fetchAlerts).mockResolvedValue([tornado('urn:test:evening')]);
+    vi.setSystemTime(new Date('2026-05-16T01:00:00Z')); // Friday 9 PM, before the window
+    await pollOnce();
+    expect(synthesizeSpeech).toHaveBeenCalledOnce();
+
+    quietHours({ policy: 'hold' });
+    vi.mocked(synthesizeSpeech).mockClear();
+    vi.mocked(fetchAlerts).mockResolvedValue([]);
+    vi.setSystemTime(new Date('2026-05-16T03:00:00Z')); // 11 PM
+    await pollOnce();
+    expect(synthesizeSpeech).not.toHaveBeenCalled();
+
+    vi.setSystemTime(new Date('2026-05-16T11:05:00Z')); // 7:05 AM
+    await pollOnce();
+    expect(synthesizeSpeech).toHaveBeenCalledOnce();
+    expect(vi.mocked(synthesizeSpeech).mock.calls[0][0]).toContain('has ended');
+  });
+
+  it('holds the startup test message during quiet hours', async () => {
+    quietHours({ policy: 'hold' });
+    await main();
+    expect(synthesizeSpeech).not.toHaveBeenCalled();
+  });
+});
+
+// ── pollOnce() – hazard catalog ───────────────────────────────────────────────
+
+describe('pollOnce() – hazard catalog', () => {
+  let dir;
+
+  const alert = (id, event) => ({
+    id,
+    properties: {
+      event,
+      areaDesc: 'Jefferson County, KY',
+      expires: '2026-05-15T20:00:00Z',
+      headline: `${event} issued`,
+    },
+  });
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'hazards-'));
+    process.env.HAZARDS_FILE = join(dir, 'hazards.json');
+    writeFileSync(
+      process.env.HAZARDS_FILE,
+      JSON.stringify([
+        { event: 'Flash Flood Warning', enabled: true },
+        { event: 'Tornado Watch', enabled: true, template: 'Watch out, {{area}}.' },
+      ])
+    );
+  });
+
+  afterEach(() => {
+    delete process.env.HAZARDS_FILE;
+    delete process.env.TEMPLATES_FILE;
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('speaks an enabled hazard with its own template', async () => {
+    vi.mocked(fetchAlerts).mockResolvedValue([alert('urn:test:flood', 'Flash Flood Warning')]);
+
+    await pollOnce();
+
+    expect(vi.mocked(synthesizeSpeech).mock.calls[0][0]).toContain(
+      "there's a flash flood warning for Jefferson County, KY"
+    );
+    expect(markAsSpoken).toHaveBeenCalledWith(alertWithId('urn:test:flood'));
+  });
+
+  it('uses a template overridden in HAZARDS_FILE', async () => {
+    vi.mocked(fetchAlerts).mockResolvedValue([alert('urn:test:watch', 'Tornado Watch')]);
+
+    await pollOnce();
+
+    expect(synthesizeSpeech).toHaveBeenCalledWith('Watch out, Jefferson County, KY.', {});
+  });
+
+  it('announces the highest-priority hazard first', async () => {
+    vi.mocked(fetchAlerts).mockResolvedValue([
+      alert('urn:test:watch', 'Tornado Watch'),
+      alert('urn:test:flood', 'Flash Flood Warning'),
+      alert('urn:test:tornado', 'Tornado Warning'),
+    ]);
+
+    await pollOnce();
+
+    expect(vi.mocked(markAsSpoken).mock.calls.map(([alert]) => alert.id)).toEqual([
+      'urn:test:tornado',
+      'urn:test:flood',
+      'urn:test:watch',
+    ]);
+  });
+
+  it('speaks a TEMPLATES_FILE template with conditional sections', async () => {
+    process.env.TEMPLATES_FILE = join(dir, 'templates.txt');
+    writeFileSync(
+      process.env.TEMPLATES_FILE,
+      '[Flash Flood Warning]\nFlooding in {{area}}.\n{{^instruction}}Stay safe.{{/instruction}}\n'
+    );
+    vi.mocked(fetchAlerts).mockResolvedValue([alert('urn:test:flood', 'Flash Flood Warning')]);
+
+    await pollOnce();
+
+    expect(synthesizeSpeech).toHaveBeenCalledWith(
+      'Flooding in Jefferson County, KY. Stay safe.',
+      {}
+    );
+  });
+
+  it('refuses to start with an invalid template, naming the line and placeholder', async () => {
+    process.env.TEMPLATES_FILE = join(dir, 'templates.txt');
+    writeFileSync(process.env.TEMPLATES_FILE, '[Tornado Warning]\nHi.\nWarning for {{county}}.\n');
+
+    await expect(main()).rejects.toThrow(
+      `${process.env.TEMPLATES_FILE} [Tornado Warning] line 3: unknown placeholder {{county}}`
+    );
+    expect(synthesizeSpeech).not.toHaveBeenCalled();
+  });
+
+  it('still ignores hazards that are not enabled', async () => {
+    vi.mocked(fetchAlerts).mockResolvedValue([
+      alert('urn:test:storm', 'Severe Thunderstorm Warning'),
+    ]);
+
+    await pollOnce();
+
+    expect(synthesizeSpeech).not.toHaveBeenCalled();
+  });
+});
+
+// ── pollOnce() – updates, extensions and cancellations ───────────────────────
+
+describe('pollOnce() – alert lifecycle', () => {
+  const original = {
+    id: 'urn:test:v1',
+    properties: {
+      event: 'Tornado Warning',
+      messageType: 'Alert',
+      sent: '2026-05-15T19:30:00Z',
+      areaDesc: 'Jefferson, KY',
+      expires: '2026-05-15T20:00:00Z',
+      headline: 'Tornado Warning issued',
+      geocode: { UGC: ['KYC111'] },
+    },
+  };
+
+  /** A follow-up to `original` with the given property changes */
+  const followUp = (id, changes) => ({
+    id,
+    properties: {
+      ...original.properties,
+      messageType: 'Update',
+      sent: '2026-05-15T19:50:00Z',
+      references: [{ '@id': original.id, identifier: original.id }],
+      ...changes,
+    },
+  });
+
+  beforeEach(() => {
+    // Before `original` expires, so no all-clear follows
+    vi.setSystemTime(new Date('2026-05-15T19:35:00Z'));
+    // Track spoken IDs like the real dedup store would
+    const spoken = new Set();
+    vi.mocked(hasBeenSpoken).mockImplementation((alert) => spoken.has(alert.id ?? alert));
+    vi.mocked(markAsSpoken).mockImplementation((alert) => spoken.add(alert.id ?? alert));
+  });
+
+  /** Polls once with `original`, then again (after the rate limit) with `next` */
+  async function pollTwice(next) {
+    vi.mocked(fetchAlerts).mockResolvedValue([original]);
+    await pollOnce();
+    vi.advanceTimersByTime(61_000);
+    vi.mocked(synthesizeSpeech).mockClear();
+    vi.mocked(fetchAlerts).mockResolvedValue([next]);
+    await pollOnce();
+  }
+
+  it('says the warning has been extended when its end time moves later', async () => {
+    await pollTwice(followUp('urn:test:v2', { expires: '2026-05-15T20:45:00Z' }));
+
+    expect(synthesizeSpeech).toHaveBeenCalledOnce();
+    const [text] = vi.mocked(synthesizeSpeech).mock.calls[0];
+    expect(text).toMatch(
+      /^Hey… a quick update — the Tornado Warning for Jefferson, KY has been extended until/
+    );
+  });
+
+  it('says the warning was cancelled', async () => {
+    await pollTwice(followUp('urn:test:v2', { messageType: 'Cancel' }));
+
+    expect(vi.mocked(synthesizeSpeech).mock.calls[0][0]).toContain(
+      'the Tornado Warning for your area has been cancelled'
+    );
+  });
+
+  it('mentions a change of area', async () => {
+    await pollTwice(
+      followUp('urn:test:v2', {
+        areaDesc: 'Jefferson; Oldham, KY',
+        geocode: { UGC: ['KYC111', 'KYC185'] },
+      })
+    );
+
+    expect(vi.mocked(synthesizeSpeech).mock.calls[0][0]).toContain(
+      'the Tornado Warning now covers Jefferson; Oldham, KY'
+    );
+  });
+
+  it('stays silent for a re-issue with nothing new', async () => {
+    await pollTwice(followUp('urn:test:v2', {}));
+
+    expect(synthesizeSpeech).not.toHaveBeenCalled();
+    expect(markAsSpoken).toHaveBeenCalledWith(alertWithId('urn:test:v2'));
+  });
+
+  it('stays silent for a VTEC reissue under a new ID without references', async () => {
+    const withVtec = (id, action) => ({
+      id,
+      properties: {
+        ...original.properties,
+        parameters: { VTEC: [`/O.${action}.KLMK.TO.W.0042.000000T0000Z-260515T2000Z/`] },
+      },
+    });
+    vi.mocked(fetchAlerts).mockResolvedValue([withVtec('urn:test:v1', 'NEW')]);
+    await pollOnce();
+    vi.advanceTimersByTime(61_000);
+    vi.mocked(synthesizeSpeech).mockClear();
+    vi.mocked(fetchAlerts).mockResolvedValue([withVtec('urn:test:reissue', 'CON')]);
+    await pollOnce();
+
+    expect(synthesizeSpeech).not.toHaveBeenCalled();
+  });
+
+  it('announces an update in full when the original was never heard', async () => {
+    vi.mocked(fetchAlerts).mockResolvedValue([
+      followUp('urn:test:v2', { expires: '2026-05-15T20:45:00Z' }),
+    ]);
+
+    await pollOnce();
+
+    expect(vi.mocked(synthesizeSpeech).mock.calls[0][0]).toContain(
+      "there's a tornado warning for Jefferson, KY"
+    );
+  });
+
+  it('does not announce the cancellation of a warning that was never heard', async () => {
+    vi.mocked(fetchAlerts).mockResolvedValue([followUp('urn:test:v2', { messageType: 'Cancel' })]);
+
+    await pollOnce();
+
+    expect(synthesizeSpeech).not.toHaveBeenCalled();
+  });
+});
+
+// ── pollOnce() – all-clear ────────────────────────────────────────────────────
+
+describe('pollOnce() – all-clear', () => {
+  const warning = (id, expires = '2026-05-15T20:00:00Z') => ({
+    id,
+    properties: {
+      event: 'Tornado Warning',
+      messageType: 'Alert',
+      sent: '2026-05-15T19:30:00Z',
+      areaDesc: 'Jefferson, KY',
+      expires,
+      headline: 'Tornado Warning issued',
+    },
+  });
+
+  beforeEach(() => {
+    vi.setSystemTime(new Date('2026-05-15T19:35:00Z'));
+    const spoken = new Set();
+    vi.mocked(hasBeenSpoken).mockImplementation((alert) => spoken.has(alert.id ?? alert));
+    vi.mocked(markAsSpoken).mockImplementation((alert) => spoken.add(alert.id ?? alert));
+  });
+
+  /** Advances past the speech rate limit and polls with the given feed */
+  async function pollWith(features) {
+    vi.advanceTimersByTime(61_000);
+    vi.mocked(synthesizeSpeech).mockClear();
+    vi.mocked(fetchAlerts).mockResolvedValue(features);
+    await pollOnce();
+  }
+
+  const spokenText = () => vi.mocked(synthesizeSpeech).mock.calls.map(([text]) => text);
+
+  it('gives an all-clear once the warning drops out of the feed', async () => {
+    await pollWith([warning('urn:test:a')]);
+    await pollWith([]);
+
+    expect(spokenText()).toEqual([
+      'Hey… just letting you know — the Tornado Warning has ended, and there are no other ' +
+        'warnings for your area right now. You can relax, and take care.',
+    ]);
+  });
+
+  it('gives an all-clear once the warning passes its expiry, even if still listed', async () => {
+    await pollWith([warning('urn:test:a', '2026-05-15T19:40:00Z')]);
+    vi.setSystemTime(new Date('2026-05-15T19:45:00Z'));
+    await pollWith([warning('urn:test:a', '2026-05-15T19:40:00Z')]);
+
+    expect(spokenText()).toHaveLength(1);
+    expect(spokenText()[0]).toContain('has ended');
+  });
+
+  it('says the all-clear only once', async () => {
+    await pollWith([warning('urn:test:a')]);
+    await pollWith([]);
+    await pollWith([]);
+
+    expect(synthesizeSpeech).not.toHaveBeenCalled();
+  });
+
+  it('waits until every announced warning has ended', async () => {
+    await pollWith([warning('urn:test:a'), warning('urn:test:b', '2026-05-15T21:00:00Z')]);
+    await pollWith([warning('urn:test:b', '2026-05-15T21:00:00Z')]);
+    expect(synthesizeSpeech).not.toHaveBeenCalled();
+
+    await pollWith([]);
+    expect(spokenText()[0]).toContain('has ended');
+  });
+
+  it('does not mistake a failed fetch for the warning ending', async () => {
+    await pollWith([warning('urn:test:a')]);
+    vi.mocked(didLastFetchFail).mockReturnValue(true);
+    await pollWith([]);
+
+    expect(synthesizeSpeech).not.toHaveBeenCalled();
+  });
+
+  it('stays quiet for a VTEC expiry and then gives the all-clear', async () => {
+    await pollWith([warning('urn:test:a')]);
+    const expiry = warning('urn:test:exp');
+    expiry.properties.messageType = 'Update';
+    expiry.properties.references = [{ '@id': 'urn:test:a', identifier: 'urn:test:a' }];
+    expiry.properties.parameters = {
+      VTEC: ['/O.EXP.KLMK.TO.W.0042.000000T0000Z-260515T2000Z/'],
+    };
+    await pollWith([expiry]);
+
+    expect(spokenText()).toHaveLength(1);
+    expect(spokenText()[0]).toContain('has ended');
+  });
+
+  it('does not repeat itself right after a spoken cancellation', async () => {
+    await pollWith([warning('urn:test:a')]);
+    const cancel = warning('urn:test:cancel');
+    cancel.properties.messageType = 'Cancel';
+    cancel.properties.references = [{ '@id': 'urn:test:a', identifier: 'urn:test:a' }];
+    await pollWith([cancel]);
+
+    expect(spokenText()).toHaveLength(1);
+    expect(spokenText()[0]).toContain('has been cancelled');
+    await pollWith([]);
+    expect(synthesizeSpeech).not.toHaveBeenCalled();
+  });
+
+  it('remembers announced warnings across a restart', async () => {
+    await pollWith([warning('urn:test:a')]);
+    _resetLifecycle();
+    loadAlertChains();
+    await pollWith([]);
+
+    expect(spokenText()[0]).toContain('has ended');
+  });
+
+  it('tries the all-clear again on the next poll when it could not be played', async () => {
+    await pollWith([warning('urn:test:a')]);
+    vi.mocked(playAudio).mockRejectedValueOnce(new Error('audio failure'));
+    await pollWith([]);
+    expect(spokenText()[0]).toContain('has ended');
+
+    await pollWith([]);
+    expect(spokenText()).toHaveLength(1);
+    expect(spokenText()[0]).toContain('has ended');
+
+    await pollWith([]);
+    expect(synthesizeSpeech).not.toHaveBeenCalled();
+  });
+
+  it('says nothing when no warning was ever announced', async () => {
+    await pollWith([]);
+    expect(synthesizeSpeech).not.toHaveBeenCalled();
+  });
+});
+
+// ── Status API state ──────────────────────────────────────────────────────────
+
+describe('status API state', () => {
+  const tornado = (id, parameters = {}) => ({
+    id,
+    properties: {
+      event: 'Tornado Warning',
+      areaDesc: 'Jefferson County, KY',
+      expires: '2026-05-15T20:00:00Z',
+      headline: 'Tornado Warning issued',
+      parameters,
+    },
+  });
+
+  it('records the last poll, and the last successful one', async () => {
+    vi.setSystemTime(new Date('2026-05-15T19:00:00Z'));
+    await pollOnce();
+    expect(getHealth()).toMatchObject({
+      lastPollAt: '2026-05-15T19:00:00.000Z',
+      lastPollComplete: true,
+      lastSuccessfulPollAt: '2026-05-15T19:00:00.000Z',
+      mutedUntil: null,
+    });
+
+    vi.setSystemTime(new Date('2026-05-15T19:05:00Z'));
+    vi.mocked(didLastFetchFail).mockReturnValue(true);
+    await pollOnce();
+    expect(getHealth()).toMatchObject({
+      lastPollAt: '2026-05-15T19:05:00.000Z',
+      lastPollComplete: false,
+      lastSuccessfulPollAt: '2026-05-15T19:00:00.000Z',
+    });
+  });
+
+  it('lists the matched alerts and the announcements spoken', async () => {
+    vi.mocked(fetchAlerts).mockResolvedValue([tornado('urn:test:tornado')]);
+    await pollOnce();
+
+    expect(getActiveAlerts()).toEqual([
+      expect.objectContaining({
+        id: 'urn:test:tornado',
+        event: 'Tornado Warning',
+        expires: '2026-05-15T20:00:00Z',
+        tier: 'standard',
+      }),
+    ]);
+    expect(getHistory()).toEqual([
+      expect.objectContaining({ kind: 'warning', event: 'Tornado Warning' }),
+    ]);
+    expect(getHealth().lastPlayback).toMatchObject({ spoken: true });
+  });
+
+  it('holds warnings while muted, then announces them once the mute ends', async () => {
+    vi.setSystemTime(new Date('2026-05-15T19:00:00Z'));
+    vi.mocked(fetchAlerts).mockResolvedValue([tornado('urn:test:muted')]);
+    expect(muteFor(30)).toEqual(new Date('2026-05-15T19:30:00Z'));
+
+    await pollOnce();
+    expect(synthesizeSpeech).not.toHaveBeenCalled();
+    expect(markAsSpoken).not.toHaveBeenCalled();
+
+    vi.setSystemTime(new Date('2026-05-15T19:31:00Z'));
+    await pollOnce();
+    expect(markAsSpoken).toHaveBeenCalledWith(alertWithId('urn:test:muted'));
+  });
+
+  it('holds an all-clear while muted over the status API, then speaks it', async () => {
+    // Only the clock is faked here, so the server and fetch can run on real timers
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2026-05-15T19:00:00Z'));
+    vi.mocked(fetchAlerts).mockResolvedValue([tornado('urn:test:before')]);
+    await pollOnce();
+    expect(synthesizeSpeech).toHaveBeenCalledOnce();
+
+    const server = createStatusServer({ health: getHealth, mute: muteFor, pollNow });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    try {
+      const url = `http://127.0.0.1:${server.address().port}/mute?minutes=30`;
+      const res = await fetch(url, { method: 'POST' });
+      expect(await res.json()).toEqual({ mutedUntil: '2026-05-15T19:30:00.000Z' });
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+
+    vi.mocked(synthesizeSpeech).mockClear();
+    vi.mocked(fetchAlerts).mockResolvedValue([]);
+    vi.setSystemTime(new Date('2026-05-15T19:10:00Z'));
+    await pollOnce();
+    expect(synthesizeSpeech).not.toHaveBeenCalled();
+
+    vi.setSystemTime(new Date('2026-05-15T19:31:00Z'));
+    await pollOnce();
+    expect(synthesizeSpeech).toHaveBeenCalledOnce();
+    expect(vi.mocked(synthesizeSpeech).mock.calls[0][0]).toContain('has ended');
+  });
+
+  it('lets a Tornado Emergency through a mute', async () => {
+    vi.mocked(fetchAlerts).mockResolvedValue([
+      tornado('urn:test:emergency', { tornadoDamageThreat: ['CATASTROPHIC'] }),
+    ]);
+    muteFor(60);
+    await pollOnce();
+    expect(synthesizeSpeech).toHaveBeenCalledOnce();
+  });
+
+  it('unmutes with 0 minutes', async () => {
+    muteFor(60);
+    expect(muteFor(0)).toBeNull();
+    expect(getHealth().mutedUntil).toBeNull();
+  });
+
+  it('counts alerts seen, spoken and suppressed, by reason', async () => {
+    vi.setSystemTime(new Date('2026-05-15T19:00:00Z'));
+    vi.mocked(fetchAlerts).mockResolvedValue([
+      tornado('urn:test:here'),
+      {
+        id: 'urn:test:elsewhere',
+        properties: {
+          event: 'Tornado Warning',
+          areaDesc: 'Pike, KY',
+          expires: '2026-05-15T20:00:00Z',
+          headline: 'Tornado Warning issued',
+          geocode: { UGC: ['KYC195'], SAME: ['021195'] },
+        },
+      },
+    ]);
+    await pollOnce();
+
+    vi.mocked(hasBeenSpoken).mockReturnValue(true);
+    await pollOnce();
+
+    const metrics = renderMetrics();
+    expect(metrics).toContain('calm_tornado_alert_polls_total{outcome="complete"} 2');
+    expect(metrics).toContain('calm_tornado_alert_poll_duration_seconds_count 2');
+    expect(metrics).toContain('calm_tornado_alert_alerts_seen_total 4');
+    expect(metrics).toContain('calm_tornado_alert_alerts_spoken_total 1');
+    expect(metrics).toContain('calm_tornado_alert_alerts_suppressed_total{reason="out_of_area"} 2');
+    expect(metrics).toContain('calm_tornado_alert_alerts_suppressed_total{reason="duplicate"} 1');
+  });
+
+  it('counts alerts held by quiet hours or a mute', async () => {
+    vi.mocked(fetchAlerts).mockResolvedValue([tornado('urn:test:muted')]);
+    muteFor(30);
+    await pollOnce();
+    expect(renderMetrics()).toContain(
+      'calm_tornado_alert_alerts_suppressed_total{reason="muted"} 1'
+    );
+  });
+
+  it('counts a poll that throws as failed', async () => {
+    vi.mocked(fetchAlerts).mockRejectedValue(new Error('boom'));
+    await pollNow();
+    expect(renderMetrics()).toContain('calm_tornado_alert_polls_total{outcome="failed"} 1');
+  });
+
+  it('does not start a second poll while one is running', async () => {
+    const first = pollNow();
+    const second = pollNow();
+    expect(second).toBe(first);
+    await first;
+    expect(fetchAlerts).toHaveBeenCalledOnce();
   });
 });
 
@@ -190,6 +1223,15 @@ describe('main() – startup', () => {
     expect(loadSpokenAlerts).toHaveBeenCalledOnce();
   });
 
+  it('looks for installed audio players before the startup message', async () => {
+    vi.mocked(fetchAlerts).mockResolvedValue([]);
+    await main();
+    expect(detectPlayers).toHaveBeenCalledOnce();
+    expect(vi.mocked(detectPlayers).mock.invocationCallOrder[0]).toBeLessThan(
+      vi.mocked(playAudio).mock.invocationCallOrder[0]
+    );
+  });
+
   it('speaks the startup test message on boot', async () => {
     vi.mocked(fetchAlerts).mockResolvedValue([]);
     await main();
@@ -198,6 +1240,15 @@ describe('main() – startup', () => {
     expect(text).toMatch(/testing|calm/i);
   });
 
+  it('pre-warms the startup message and the all-clear in the TTS cache', async () => {
+    await main();
+    const [phrases] = vi.mocked(prewarmSpeech).mock.calls[0];
+    expect(phrases).toEqual([
+      'Testing… everything is calm.',
+      expect.stringMatching(/the Tornado Warning has ended/),
+    ]);
+  });
+
   it('registers SIGTERM and SIGINT signal handlers', async () => {
     const onSpy = vi.spyOn(process, 'on');
     vi.mocked(fetchAlerts).mockResolvedValue([]);
@@ -209,6 +1260,61 @@ describe('main() – startup', () => {
   });
 });
 
+// ── main() – dry run ──────────────────────────────────────────────────────────
+
+describe('main() – dry run', () => {
+  let output;
+
+  const alert = (id, event) => ({
+    id,
+    properties: {
+      event,
+      areaDesc: 'Jefferson, KY',
+      expires: '2026-05-15T20:00:00Z',
+      headline: `${event} issued`,
+      geocode: { UGC: ['KYC111'], SAME: ['021111'] },
+    },
+  });
+
+  beforeEach(() => {
+    process.env.DRY_RUN = 'true';
+    output = [];
+    vi.spyOn(console, 'log').mockImplementation((line) => output.push(line));
+  });
+
+  afterEach(() => {
+    delete process.env.DRY_RUN;
+    vi.mocked(console.log).mockRestore();
+  });
+
+  it('prints the startup message instead of speaking it, and pre-warms nothing', async () => {
+    vi.mocked(fetchAlerts).mockResolvedValue([]);
+    await main();
+
+    expect(synthesizeSpeech).not.toHaveBeenCalled();
+    expect(playAudio).not.toHaveBeenCalled();
+    expect(prewarmSpeech).not.toHaveBeenCalled();
+    expect(output).toEqual([
+      expect.stringMatching(/standard, volume 30%, google voice=en-US-Wavenet-D: Testing/),
+    ]);
+  });
+
+  it('still filters and deduplicates alerts, marking them spoken once printed', async () => {
+    vi.setSystemTime(new Date('2026-05-15T19:00:00Z'));
+    vi.mocked(fetchAlerts).mockResolvedValue([
+      alert('urn:test:dry', 'Tornado Warning'),
+      alert('urn:test:dry-ignored', 'Dense Fog Advisory'),
+    ]);
+
+    await pollOnce();
+    await vi.runAllTimersAsync();
+
+    expect(output).toEqual([expect.stringMatching(/tornado warning/i)]);
+    expect(markAsSpoken).toHaveBeenCalledWith(alertWithId('urn:test:dry'));
+    expect(synthesizeSpeech).not.toHaveBeenCalled();
+  });
+});
+
 // ── Shutdown ──────────────────────────────────────────────────────────────────
 
 describe('shutdown', () => {
@@ -0,0 +1,357 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+vi.mock('fs', () => ({
+  readFileSync: vi.fn(),
+  writeFileSync: vi.fn(),
+  mkdirSync: vi.fn(),
+}));
+vi.mock('../src/logger.js', () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+}));
+
+import { readFileSync, writeFileSync } from 'fs';
+import { logger } from '../src/logger.js';
+import {
+  endTimeOf,
+  loadAlertChains,
+  findChain,
+  vtecKeyOf,
+  recordAlert,
+  recordFeed,
+  isActive,
+  markAnnounced,
+  findEndedChain,
+  settleLocation,
+  _reset,
+} from '../src/lifecycle.js';
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+const NOW = Date.parse('2026-05-15T19:30:00Z');
+
+const alert = (id, properties = {}) => ({
+  id,
+  properties: {
+    event: 'Tornado Warning',
+    messageType: 'Alert',
+    areaDesc: 'Jefferson, KY',
+    expires: '2026-05-15T20:00:00Z',
+    geocode: { UGC: ['KYC111'] },
+    ...properties,
+  },
+});
+
+const followUp = (id, ref, properties = {}) =>
+  alert(id, {
+    messageType: 'Update',
+    references: [{ '@id': ref, identifier: ref.split('/').pop() }],
+    ...properties,
+  });
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  _reset();
+});
+
+// ── endTimeOf ─────────────────────────────────────────────────────────────────
+
+describe('endTimeOf', () => {
+  it('prefers the event end time over the message expiry', () => {
+    expect(endTimeOf({ expires: 'a', ends: 'b' })).toBe('b');
+    expect(endTimeOf({ expires: 'a', ends: null })).toBe('a');
+    expect(endTimeOf({})).toBeNull();
+  });
+});
+
+// ── recordAlert ───────────────────────────────────────────────────────────────
+
+describe('recordAlert', () => {
+  it('starts a new chain for an alert without references', () => {
+    const { kind, chain } = recordAlert(alert('v1'), NOW);
+    expect(kind).toBe('new');
+    expect(chain).toMatchObject({ event: 'Tornado Warning', messages: { v1: 'new' } });
+    expect(findChain('v1')).toBe(chain);
+  });
+
+  it('returns the original result when the same alert is recorded again', () => {
+    recordAlert(alert('v1'), NOW);
+    recordAlert(followUp('v2', 'v1', { expires: '2026-05-15T21:00:00Z' }), NOW);
+    expect(recordAlert(alert('v1'), NOW).kind).toBe('new');
+    expect(recordAlert(followUp('v2', 'v1'), NOW).kind).toBe('extended');
+  });
+
+  it('classifies a later end time as an extension', () => {
+    recordAlert(alert('v1'), NOW);
+    const { kind, chain } = recordAlert(
+      followUp('v2', 'v1', { expires: '2026-05-15T20:45:00Z' }),
+      NOW
+    );
+    expect(kind).toBe('extended');
+    expect(chain.ends).toBe('2026-05-15T20:45:00Z');
+    expect(Object.keys(chain.messages)).toEqual(['v1', 'v2']);
+  });
+
+  it('uses `ends` rather than `expires` when NWS gives both', () => {
+    recordAlert(alert('v1', { ends: '2026-05-15T21:00:00Z' }), NOW);
+    const sameEnd = followUp('v2', 'v1', {
+      expires: '2026-05-15T20:30:00Z',
+      ends: '2026-05-15T21:00:00Z',
+    });
+    expect(recordAlert(sameEnd, NOW).kind).toBe('unchanged');
+  });
+
+  it('classifies new UGC codes or area text as an area change', () => {
+    recordAlert(alert('v1'), NOW);
+    const wider = followUp('v2', 'v1', {
+      areaDesc: 'Jefferson; Oldham, KY',
+      geocode: { UGC: ['KYC185', 'KYC111'] },
+    });
+    expect(recordAlert(wider, NOW).kind).toBe('area-changed');
+  });
+
+  it('ignores the order of UGC codes', () => {
+    recordAlert(alert('v1', { geocode: { UGC: ['KYC111', 'KYC185'] } }), NOW);
+    const reordered = followUp('v2', 'v1', { geocode: { UGC: ['KYC185', 'KYC111'] } });
+    expect(recordAlert(reordered, NOW).kind).toBe('unchanged');
+  });
+
+  it('classifies a Cancel message and marks the chain cancelled', () => {
+    recordAlert(alert('v1'), NOW);
+    const { kind, chain } = recordAlert(followUp('v2', 'v1', { messageType: 'Cancel' }), NOW);
+    expect(kind).toBe('cancelled');
+    expect(chain.cancelled).toBe(true);
+  });
+
+  it('classifies a re-issue with nothing new as unchanged', () => {
+    recordAlert(alert('v1'), NOW);
+    expect(recordAlert(followUp('v2', 'v1'), NOW).kind).toBe('unchanged');
+  });
+
+  it('follows a chain through several updates', () => {
+    recordAlert(alert('v1'), NOW);
+    recordAlert(followUp('v2', 'v1'), NOW);
+    const { chain } = recordAlert(followUp('v3', 'v2', { messageType: 'Cancel' }), NOW);
+    expect(chain.messages).toEqual({ v1: 'new', v2: 'unchanged', v3: 'cancelled' });
+  });
+
+  it('matches references by their bare identifier too', () => {
+    recordAlert(alert('urn:oid:1'), NOW);
+    const update = alert('https://api.weather.gov/alerts/urn:oid:2', {
+      messageType: 'Update',
+      references: [{ '@id': 'https://api.weather.gov/alerts/urn:oid:1', identifier: 'urn:oid:1' }],
+    });
+    expect(recordAlert(update, NOW).chain).toBe(findChain('urn:oid:1'));
+  });
+
+  it('starts a cancelled chain for a Cancel whose original was never seen', () => {
+    const { kind, chain } = recordAlert(followUp('v2', 'v1', { messageType: 'Cancel' }), NOW);
+    expect(kind).toBe('cancelled');
+    expect(chain.cancelled).toBe(true);
+  });
+
+  it('persists chains to LIFECYCLE_FILE', () => {
+    process.env.LIFECYCLE_FILE = '/tmp/chains.json';
+    recordAlert(alert('v1'), NOW);
+    const [file, json] = vi.mocked(writeFileSync).mock.calls[0];
+    expect(file).toBe('/tmp/chains.json');
+    expect(JSON.parse(json)[0].messages).toEqual({ v1: 'new' });
+    delete process.env.LIFECYCLE_FILE;
+  });
+
+  it('forgets chains that have not been seen for a day', () => {
+    recordAlert(alert('old'), NOW);
+    recordAlert(alert('new'), NOW + 25 * 3_600_000);
+    expect(findChain('old')).toBeUndefined();
+    expect(findChain('new')).toBeDefined();
+  });
+
+  it('joins a reissue without references to its chain by VTEC event', () => {
+    const vtec = (action) => ({
+      parameters: { VTEC: [`/O.${action}.KLMK.TO.W.0042.000000T0000Z-260515T2000Z/`] },
+    });
+    recordAlert(alert('v1', vtec('NEW')), NOW);
+    const { kind, chain } = recordAlert(alert('v2', vtec('CON')), NOW);
+    expect(kind).toBe('unchanged');
+    expect(chain).toMatchObject({
+      vtec: 'KLMK.TO.W.0042',
+      messages: { v1: 'new', v2: 'unchanged' },
+    });
+  });
+
+  it('keeps an event that runs past New Year under the year it began', () => {
+    const december = alert('v1', {
+      sent: '2026-12-31T23:40:00Z',
+      parameters: { VTEC: ['/O.NEW.KLMK.TO.W.0042.261231T2340Z-270101T0030Z/'] },
+    });
+    const january = alert('v2', {
+      sent: '2027-01-01T00:05:00Z',
+      parameters: { VTEC: ['/O.CON.KLMK.TO.W.0042.000000T0000Z-270101T0030Z/'] },
+    });
+    recordAlert(december, NOW);
+    const { kind, chain } = recordAlert(january, NOW);
+    expect(kind).toBe('unchanged');
+    expect(chain).toMatchObject({ vtec: 'KLMK.TO.W.0042.2026', messages: { v1: 'new' } });
+    expect(vtecKeyOf(january)).toBe('KLMK.TO.W.0042.2026');
+  });
+
+  it('keys a message without a chain by the year it was sent', () => {
+    const continuing = alert('v1', {
+      sent: '2027-01-01T00:05:00Z',
+      parameters: { VTEC: ['/O.CON.KLMK.TO.W.0042.000000T0000Z-270101T0030Z/'] },
+    });
+    expect(vtecKeyOf(continuing)).toBe('KLMK.TO.W.0042.2027');
+    expect(vtecKeyOf(alert('v2'))).toBeNull();
+  });
+
+  it.each([
+    ['CAN', 'cancelled'],
+    ['EXP', 'expired'],
+    ['UPG', 'expired'],
+    ['EXA', 'area-changed'],
+  ])('classifies VTEC action %s as %s', (action, expected) => {
+    recordAlert(alert('v1'), NOW);
+    const update = followUp('v2', 'v1', {
+      parameters: { VTEC: [`/O.${action}.KLMK.TO.W.0042.000000T0000Z-260515T2000Z/`] },
+    });
+    expect(recordAlert(update, NOW).kind).toBe(expected);
+  });
+
+  it('ends the chain on expiry', () => {
+    const expiring = alert('v1', {
+      parameters: { VTEC: ['/O.EXP.KLMK.TO.W.0042.000000T0000Z-260515T2000Z/'] },
+    });
+    const { kind, chain } = recordAlert(expiring, NOW);
+    expect(kind).toBe('expired');
+    expect(chain.cancelled).toBe(true);
+  });
+
+  it('logs but does not throw when saving fails', () => {
+    vi.mocked(writeFileSync).mockImplementationOnce(() => {
+      throw new Error('EACCES');
+    });
+    expect(() => recordAlert(alert('v1'), NOW)).not.toThrow();
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('EACCES'));
+  });
+});
+
+// ── recordFeed / isActive ─────────────────────────────────────────────────────
+
+describe('recordFeed', () => {
+  it('returns the change for every alert in the feed', () => {
+    const changes = recordFeed([alert('v1'), followUp('v2', 'v1', { messageType: 'Cancel' })], NOW);
+    expect(changes.get('v1').kind).toBe('new');
+    expect(changes.get('v2').kind).toBe('cancelled');
+  });
+
+  it('marks chains missing from a complete feed as dropped out', () => {
+    recordFeed([alert('v1'), alert('w1')], NOW);
+    recordFeed([alert('w1')], NOW);
+    expect(findChain('v1').inFeed).toBe(false);
+    expect(findChain('w1').inFeed).toBe(true);
+  });
+
+  it('leaves chains alone when the feed is incomplete', () => {
+    recordFeed([alert('v1')], NOW);
+    recordFeed([], NOW, false);
+    expect(findChain('v1').inFeed).toBe(true);
+  });
+});
+
+describe('isActive', () => {
+  const chainOf = (properties) => recordAlert(alert('v1', properties), NOW).chain;
+
+  it('is true for an unexpired, uncancelled chain in the feed', () => {
+    expect(isActive(chainOf(), NOW)).toBe(true);
+    expect(isActive(chainOf({ expires: null }), NOW)).toBe(true);
+  });
+
+  it('is false once the end time passes', () => {
+    expect(isActive(chainOf(), Date.parse('2026-05-15T20:00:01Z'))).toBe(false);
+  });
+
+  it('is false once cancelled or dropped from the feed', () => {
+    expect(isActive({ ...chainOf(), cancelled: true }, NOW)).toBe(false);
+    expect(isActive({ ...chainOf(), inFeed: false }, NOW)).toBe(false);
+  });
+});
+
+// ── markAnnounced / settleLocation ────────────────────────────────────────────
+
+describe('settleLocation', () => {
+  const LATER = Date.parse('2026-05-15T21:00:00Z');
+
+  it('returns null while nothing has been announced for the location', () => {
+    recordAlert(alert('v1'), NOW);
+    expect(settleLocation('', LATER)).toBeNull();
+  });
+
+  it('returns null while an announced chain is still active', () => {
+    recordAlert(alert('v1'), NOW);
+    markAnnounced('v1', '', NOW);
+    expect(settleLocation('', NOW)).toBeNull();
+  });
+
+  it('returns the last chain to end, once, after every announced chain ended', () => {
+    recordAlert(alert('v1'), NOW);
+    recordAlert(
+      alert('w1', { expires: '2026-05-15T20:30:00Z', event: 'Flash Flood Warning' }),
+      NOW
+    );
+    markAnnounced('v1', '', NOW);
+    markAnnounced('w1', '', NOW);
+
+    expect(settleLocation('', LATER).event).toBe('Flash Flood Warning');
+    expect(settleLocation('', LATER)).toBeNull();
+  });
+
+  it('can be checked without settling the location', () => {
+    recordAlert(alert('v1'), NOW);
+    markAnnounced('v1', '', NOW);
+    expect(findEndedChain('', NOW)).toBeNull();
+    expect(findEndedChain('', LATER).event).toBe('Tornado Warning');
+    expect(findEndedChain('', LATER)).not.toBeNull();
+    expect(settleLocation('', LATER)).not.toBeNull();
+    expect(findEndedChain('', LATER)).toBeNull();
+  });
+
+  it('tracks each location separately', () => {
+    recordAlert(alert('v1'), NOW);
+    markAnnounced('v1', 'Home', NOW);
+    expect(settleLocation("Mom's place", LATER)).toBeNull();
+    expect(settleLocation('Home', LATER)).not.toBeNull();
+  });
+
+  it('ignores unknown alert IDs', () => {
+    expect(() => markAnnounced('nope', '', NOW)).not.toThrow();
+  });
+});
+
+// ── loadAlertChains ───────────────────────────────────────────────────────────
+
+describe('loadAlertChains', () => {
+  it('restores chains so follow-ups after a restart are recognized', () => {
+    const chain = {
+      event: 'Tornado Warning',
+      messages: { v1: 'new' },
+      ends: '2026-05-15T20:00:00Z',
+      ugc: ['KYC111'],
+      areaDesc: 'Jefferson, KY',
+      cancelled: false,
+      seen: NOW,
+    };
+    vi.mocked(readFileSync).mockReturnValue(JSON.stringify([chain]));
+    loadAlertChains();
+    const update = followUp('v2', 'v1', { expires: '2026-05-15T20:30:00Z' });
+    expect(recordAlert(update, NOW).kind).toBe('extended');
+  });
+
+  it('starts fresh when the file is missing or corrupt', () => {
+    vi.mocked(readFileSync).mockImplementation(() => {
+      throw new Error('ENOENT');
+    });
+    expect(() => loadAlertChains()).not.toThrow();
+    vi.mocked(readFileSync).mockReturnValue('not json');
+    expect(() => loadAlertChains()).not.toThrow();
+    expect(findChain('v1')).toBeUndefined();
+  });
+});
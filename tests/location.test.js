@@ -0,0 +1,436 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+
+vi.mock('../src/logger.js', () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+}));
+vi.mock('fs', () => ({ readFileSync: vi.fn() }));
+
+import {
+  parseCodeList,
+  lookupCounty,
+  resolveLocationCodes,
+  getLocationCodes,
+  matchesLocationCodes,
+  filterByLocation,
+  getHomeLocation,
+  getGeofenceBufferMiles,
+  parseLocation,
+  getLocations,
+  buildAlertQueries,
+  selectForLocation,
+  describeLocation,
+} from '../src/location.js';
+import { logger } from '../src/logger.js';
+import { readFileSync } from 'fs';
+
+// ── Helpers ───────────────────────────────────────────────────────────────────
+
+const makeFeature = (id, geocode) => ({
+  id,
+  properties: { event: 'Tornado Warning', areaDesc: 'Somewhere, KY', geocode },
+});
+
+afterEach(() => {
+  vi.clearAllMocks();
+  delete process.env.ALERT_STATE;
+  delete process.env.ALERT_COUNTY;
+  delete process.env.ALERT_ZONES;
+  delete process.env.ALERT_SAME;
+  delete process.env.HOME_LAT;
+  delete process.env.HOME_LON;
+  delete process.env.GEOFENCE_BUFFER_MILES;
+  delete process.env.LOCATIONS_FILE;
+});
+
+// ── parseCodeList ─────────────────────────────────────────────────────────────
+
+describe('parseCodeList', () => {
+  it('returns an empty array for undefined or empty input', () => {
+    expect(parseCodeList(undefined)).toEqual([]);
+    expect(parseCodeList('')).toEqual([]);
+  });
+
+  it('splits on commas and whitespace, trimming and uppercasing each code', () => {
+    expect(parseCodeList(' kyc111, KYZ030  kyc185 ')).toEqual(['KYC111', 'KYZ030', 'KYC185']);
+  });
+});
+
+// ── lookupCounty ──────────────────────────────────────────────────────────────
+
+describe('lookupCounty', () => {
+  it('resolves Jefferson County, KY to its UGC and SAME codes', () => {
+    expect(lookupCounty('KY', 'Jefferson')).toEqual({ ugc: 'KYC111', same: '021111' });
+  });
+
+  it('is case-insensitive and ignores a trailing "County"', () => {
+    expect(lookupCounty('ky', 'oldham county')).toEqual({ ugc: 'KYC185', same: '021185' });
+  });
+
+  it('resolves counties in neighboring states', () => {
+    expect(lookupCounty('IN', 'Clark')).toEqual({ ugc: 'INC019', same: '018019' });
+    expect(lookupCounty('OH', 'Hamilton')).toEqual({ ugc: 'OHC061', same: '039061' });
+  });
+
+  it('returns null for an unknown county', () => {
+    expect(lookupCounty('KY', 'Atlantis')).toBeNull();
+  });
+
+  it('returns null for a state that is not in the table', () => {
+    expect(lookupCounty('TX', 'Harris')).toBeNull();
+  });
+});
+
+// ── resolveLocationCodes ──────────────────────────────────────────────────────
+
+describe('resolveLocationCodes', () => {
+  it('resolves a county name alone through the lookup table', () => {
+    expect(resolveLocationCodes({ state: 'KY', county: 'Jefferson' })).toEqual({
+      ugc: ['KYC111'],
+      same: ['021111'],
+    });
+  });
+
+  it('prefers explicit zone codes over the county name', () => {
+    const codes = resolveLocationCodes({ state: 'KY', county: 'Jefferson', zones: ['KYZ030'] });
+    expect(codes).toEqual({ ugc: ['KYZ030'], same: [] });
+  });
+
+  it('prefers explicit SAME codes over the county name', () => {
+    const codes = resolveLocationCodes({ state: 'KY', county: 'Jefferson', same: ['021185'] });
+    expect(codes).toEqual({ ugc: [], same: ['021185'] });
+  });
+
+  it('drops malformed codes with a warning', () => {
+    const codes = resolveLocationCodes({
+      state: 'KY',
+      zones: ['KYC111', 'JEFFERSON'],
+      same: ['21111', '021185'],
+    });
+    expect(codes).toEqual({ ugc: ['KYC111'], same: ['021185'] });
+    expect(logger.warn).toHaveBeenCalledTimes(2);
+  });
+
+  it('returns no codes (state-wide) with a warning when the county cannot be resolved', () => {
+    expect(resolveLocationCodes({ state: 'TX', county: 'Harris' })).toEqual({ ugc: [], same: [] });
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Harris'));
+  });
+
+  it('returns no codes when neither a county nor codes are configured', () => {
+    expect(resolveLocationCodes({ state: 'KY' })).toEqual({ ugc: [], same: [] });
+  });
+});
+
+// ── getLocationCodes ──────────────────────────────────────────────────────────
+
+describe('getLocationCodes', () => {
+  it('defaults to Jefferson County, KY', () => {
+    expect(getLocationCodes()).toEqual({ ugc: ['KYC111'], same: ['021111'] });
+  });
+
+  it('reads ALERT_ZONES and ALERT_SAME from the environment', () => {
+    process.env.ALERT_ZONES = 'KYC111,KYZ030';
+    process.env.ALERT_SAME = '021111';
+    expect(getLocationCodes()).toEqual({ ugc: ['KYC111', 'KYZ030'], same: ['021111'] });
+  });
+
+  it('resolves ALERT_COUNTY within ALERT_STATE', () => {
+    process.env.ALERT_STATE = 'OH';
+    process.env.ALERT_COUNTY = 'Hamilton';
+    expect(getLocationCodes()).toEqual({ ugc: ['OHC061'], same: ['039061'] });
+  });
+});
+
+// ── matchesLocationCodes / filterByLocation ───────────────────────────────────
+
+describe('matchesLocationCodes', () => {
+  const codes = { ugc: ['KYC111'], same: ['021111'] };
+
+  it('matches on a shared UGC code', () => {
+    expect(matchesLocationCodes(makeFeature('a', { UGC: ['KYC029', 'KYC111'] }), codes)).toBe(true);
+  });
+
+  it('matches on a shared SAME code', () => {
+    expect(matchesLocationCodes(makeFeature('a', { SAME: ['021111'] }), codes)).toBe(true);
+  });
+
+  it('rejects an alert whose codes do not overlap', () => {
+    const pikeville = makeFeature('a', { UGC: ['KYC195'], SAME: ['021195'] });
+    expect(matchesLocationCodes(pikeville, codes)).toBe(false);
+  });
+
+  it('keeps an alert that has no geocode at all', () => {
+    expect(matchesLocationCodes(makeFeature('a', undefined), codes)).toBe(true);
+    expect(matchesLocationCodes({ id: 'b' }, codes)).toBe(true);
+  });
+});
+
+describe('filterByLocation', () => {
+  it('returns only features that match the configured codes', () => {
+    const features = [
+      makeFeature('louisville', { UGC: ['KYC111'], SAME: ['021111'] }),
+      makeFeature('pikeville', { UGC: ['KYC195'], SAME: ['021195'] }),
+    ];
+    const result = filterByLocation(features, { ugc: ['KYC111'], same: ['021111'] });
+    expect(result.map((f) => f.id)).toEqual(['louisville']);
+  });
+
+  it('returns the input unchanged when no codes are configured', () => {
+    const features = [makeFeature('pikeville', { UGC: ['KYC195'] })];
+    expect(filterByLocation(features, { ugc: [], same: [] })).toBe(features);
+  });
+});
+
+// ── getHomeLocation / getGeofenceBufferMiles ──────────────────────────────────
+
+describe('getHomeLocation', () => {
+  it('returns null when HOME_LAT and HOME_LON are not set', () => {
+    expect(getHomeLocation()).toBeNull();
+  });
+
+  it('parses the configured coordinate', () => {
+    process.env.HOME_LAT = '38.25';
+    process.env.HOME_LON = '-85.76';
+    expect(getHomeLocation()).toEqual({ lat: 38.25, lon: -85.76 });
+  });
+
+  it('returns null with a warning when only one coordinate is set', () => {
+    process.env.HOME_LAT = '38.25';
+    expect(getHomeLocation()).toBeNull();
+    expect(logger.warn).toHaveBeenCalledOnce();
+  });
+
+  it('returns null with a warning for out-of-range values', () => {
+    process.env.HOME_LAT = '138.25';
+    process.env.HOME_LON = '-85.76';
+    expect(getHomeLocation()).toBeNull();
+    expect(logger.warn).toHaveBeenCalledOnce();
+  });
+});
+
+describe('getGeofenceBufferMiles', () => {
+  it('defaults to 0', () => {
+    expect(getGeofenceBufferMiles()).toBe(0);
+  });
+
+  it('reads GEOFENCE_BUFFER_MILES', () => {
+    process.env.GEOFENCE_BUFFER_MILES = '2.5';
+    expect(getGeofenceBufferMiles()).toBe(2.5);
+  });
+
+  it('treats negative or invalid values as 0', () => {
+    process.env.GEOFENCE_BUFFER_MILES = '-3';
+    expect(getGeofenceBufferMiles()).toBe(0);
+    process.env.GEOFENCE_BUFFER_MILES = 'lots';
+    expect(getGeofenceBufferMiles()).toBe(0);
+  });
+});
+
+// ── Named locations ───────────────────────────────────────────────────────────
+
+describe('parseLocation', () => {
+  it('resolves a county-based location', () => {
+    expect(parseLocation({ name: "Mom's place", state: 'ky', county: 'Oldham' }, 0)).toEqual({
+      name: "Mom's place",
+      state: 'KY',
+      county: 'Oldham',
+      codes: { ugc: ['KYC185'], same: ['021185'] },
+      home: null,
+      bufferMiles: 0,
+    });
+  });
+
+  it('accepts a zone-only location', () => {
+    const location = parseLocation({ name: 'Office', zones: ['kyz030'] }, 0);
+    expect(location.codes).toEqual({ ugc: ['KYZ030'], same: [] });
+    expect(location.state).toBeNull();
+  });
+
+  it('accepts a point-only location with a buffer', () => {
+    const location = parseLocation({ name: 'Cabin', lat: 37.1, lon: -84.1, bufferMiles: 2 }, 0);
+    expect(location.home).toEqual({ lat: 37.1, lon: -84.1 });
+    expect(location.bufferMiles).toBe(2);
+    expect(location.codes).toEqual({ ugc: [], same: [] });
+  });
+
+  it.each([
+    [{ state: 'KY' }, /needs a "name"/],
+    [{ name: 'X', state: 'Kentucky' }, /invalid state/],
+    [{ name: 'X', county: 'Oldham' }, /needs a "state"/],
+    [{ name: 'X', state: 'KY', zones: 'KYC111' }, /must be arrays/],
+    [{ name: 'X', lat: 38.2 }, /invalid lat\/lon/],
+    [{ name: 'X' }, /needs a state, zones, or a lat\/lon point/],
+  ])('rejects an invalid entry %j', (entry, message) => {
+    expect(() => parseLocation(entry, 2)).toThrow(message);
+    expect(() => parseLocation(entry, 2)).toThrow(/Location #3/);
+  });
+});
+
+describe('getLocations', () => {
+  it('returns the single env-configured location when LOCATIONS_FILE is not set', () => {
+    expect(getLocations()).toEqual([
+      {
+        name: null,
+        state: 'KY',
+        county: 'Jefferson',
+        codes: { ugc: ['KYC111'], same: ['021111'] },
+        home: null,
+        bufferMiles: 0,
+      },
+    ]);
+  });
+
+  it('reads named locations from LOCATIONS_FILE', () => {
+    process.env.LOCATIONS_FILE = '/config/locations.json';
+    vi.mocked(readFileSync).mockReturnValue(
+      JSON.stringify([
+        { name: 'Home', state: 'KY', county: 'Jefferson', lat: 38.25, lon: -85.76 },
+        { name: "Mom's place", state: 'KY', county: 'Oldham' },
+      ])
+    );
+    const locations = getLocations();
+    expect(readFileSync).toHaveBeenCalledWith('/config/locations.json', 'utf8');
+    expect(locations.map((l) => l.name)).toEqual(['Home', "Mom's place"]);
+  });
+
+  it('throws a descriptive error when the file cannot be read', () => {
+    process.env.LOCATIONS_FILE = '/missing.json';
+    vi.mocked(readFileSync).mockImplementation(() => {
+      throw new Error('ENOENT: no such file');
+    });
+    expect(() => getLocations()).toThrow(/Could not read LOCATIONS_FILE "\/missing.json"/);
+  });
+
+  it('throws when the file is not a non-empty array', () => {
+    process.env.LOCATIONS_FILE = '/config/locations.json';
+    vi.mocked(readFileSync).mockReturnValue('[]');
+    expect(() => getLocations()).toThrow(/non-empty JSON array/);
+  });
+
+  it('throws when two locations share a name', () => {
+    process.env.LOCATIONS_FILE = '/config/locations.json';
+    vi.mocked(readFileSync).mockReturnValue(
+      JSON.stringify([
+        { name: 'Home', state: 'KY' },
+        { name: 'home', state: 'IN' },
+      ])
+    );
+    expect(() => getLocations()).toThrow(/"home" twice/);
+  });
+});
+
+describe('buildAlertQueries', () => {
+  const location = (overrides) => ({
+    name: 'X',
+    state: null,
+    county: null,
+    codes: { ugc: [], same: [] },
+    home: null,
+    bufferMiles: 0,
+    ...overrides,
+  });
+
+  it('combines all zone codes into a single zone query without duplicates', () => {
+    const queries = buildAlertQueries([
+      location({ codes: { ugc: ['KYC111'], same: [] } }),
+      location({ codes: { ugc: ['KYC185', 'KYC111'], same: [] } }),
+    ]);
+    expect(queries).toEqual([{ zones: ['KYC111', 'KYC185'] }]);
+  });
+
+  it('fetches each state without codes only once', () => {
+    const queries = buildAlertQueries([
+      location({ state: 'TX' }),
+      location({ state: 'TX', codes: { ugc: [], same: ['048201'] } }),
+      location({ state: 'OK' }),
+    ]);
+    expect(queries).toEqual(['TX', 'OK']);
+  });
+
+  it('uses a point query for point-only locations', () => {
+    const home = { lat: 37.1, lon: -84.1 };
+    expect(buildAlertQueries([location({ home })])).toEqual([{ point: home }]);
+  });
+
+  it("fetches a home point's whole state, so its buffer reaches neighboring counties", () => {
+    const queries = buildAlertQueries([
+      location({
+        state: 'KY',
+        codes: { ugc: ['KYC111'], same: [] },
+        home: { lat: 38.25, lon: -85.76 },
+      }),
+      location({ state: 'KY', codes: { ugc: ['KYC185'], same: [] } }),
+    ]);
+    expect(queries).toEqual(['KY', { zones: ['KYC185'] }]);
+  });
+
+  it("also fetches the neighboring states when a home point's buffer can cross the line", () => {
+    const queries = buildAlertQueries([
+      location({
+        state: 'KY',
+        codes: { ugc: ['KYC111'], same: [] },
+        home: { lat: 38.25, lon: -85.76 },
+        bufferMiles: 10,
+      }),
+      location({ state: 'IN' }),
+    ]);
+    expect(queries).toEqual(['KY', 'IL', 'IN', 'MO', 'OH', 'TN', 'VA', 'WV']);
+  });
+
+  it('mixes state, zone and point queries', () => {
+    const home = { lat: 37.1, lon: -84.1 };
+    const queries = buildAlertQueries([
+      location({ codes: { ugc: ['KYC111'], same: [] }, home: { lat: 38.25, lon: -85.76 } }),
+      location({ state: 'TX' }),
+      location({ home }),
+    ]);
+    expect(queries).toEqual(['TX', { zones: ['KYC111'] }, { point: home }]);
+  });
+});
+
+describe('selectForLocation', () => {
+  const louisville = makeFeature('louisville', { UGC: ['KYC111'] });
+  const houston = makeFeature('houston', { UGC: ['TXC201'] });
+  const unknown = makeFeature('unknown', undefined);
+
+  it('matches by codes when the location has them', () => {
+    const location = { state: 'KY', codes: { ugc: ['KYC111'], same: [] } };
+    expect(selectForLocation([louisville, houston], location).map((f) => f.id)).toEqual([
+      'louisville',
+    ]);
+  });
+
+  it('matches by state prefix when the location has no codes', () => {
+    const location = { state: 'TX', codes: { ugc: [], same: [] } };
+    expect(selectForLocation([louisville, houston, unknown], location).map((f) => f.id)).toEqual([
+      'houston',
+      'unknown',
+    ]);
+  });
+
+  it('keeps everything for a point-only location', () => {
+    const location = { state: null, codes: { ugc: [], same: [] } };
+    expect(selectForLocation([louisville, houston], location)).toHaveLength(2);
+  });
+});
+
+describe('describeLocation', () => {
+  it('names the location and its county', () => {
+    expect(describeLocation({ name: "Mom's place", county: 'Oldham' })).toBe(
+      "Mom's place in Oldham County"
+    );
+  });
+
+  it('does not double up a "County" suffix', () => {
+    expect(describeLocation({ name: 'Home', county: 'Jefferson County' })).toBe(
+      'Home in Jefferson County'
+    );
+  });
+
+  it('uses just the name when there is no county', () => {
+    expect(describeLocation({ name: 'Office', county: null })).toBe('Office');
+  });
+
+  it('returns null for the unnamed env-configured location', () => {
+    expect(describeLocation({ name: null, county: 'Jefferson' })).toBeNull();
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  METRIC_PREFIX,
+  METRICS,
+  increment,
+  setGauge,
+  observe,
+  renderMetrics,
+  _reset,
+} from '../src/metrics.js';
+
+beforeEach(() => {
+  _reset();
+});
+
+// ── Metric names ──────────────────────────────────────────────────────────────
+
+describe('METRICS', () => {
+  // Dashboards and alert rules are built on these names and labels: change them only on purpose
+  it('keeps the documented names, types and labels', () => {
+    const documented = Object.fromEntries(
+      Object.entries(METRICS).map(([name, { type, labels = [] }]) => [
+        `${METRIC_PREFIX}${name}`,
+        `${type}(${labels.join(',')})`,
+      ])
+    );
+    expect(documented).toEqual({
+      calm_tornado_alert_polls_total: 'counter(outcome)',
+      calm_tornado_alert_poll_duration_seconds: 'histogram()',
+      calm_tornado_alert_nws_responses_total: 'counter(status)',
+      calm_tornado_alert_nws_retries_total: 'counter()',
+      calm_tornado_alert_alerts_seen_total: 'counter()',
+      calm_tornado_alert_alerts_spoken_total: 'counter()',
+      calm_tornado_alert_alerts_suppressed_total: 'counter(reason)',
+      calm_tornado_alert_tts_duration_seconds: 'histogram(provider)',
+      calm_tornado_alert_tts_failures_total: 'counter(provider)',
+      calm_tornado_alert_audio_player_exits_total: 'counter(player,code)',
+      calm_tornado_alert_seconds_since_last_successful_poll: 'gauge()',
+    });
+  });
+
+  it('follows the Prometheus naming rules', () => {
+    for (const [name, definition] of Object.entries(METRICS)) {
+      expect(`${METRIC_PREFIX}${name}`).toMatch(/^[a-z_][a-z0-9_]*$/);
+      if (definition.type === 'counter') expect(name).toMatch(/_total$/);
+      if (definition.type === 'histogram') expect(name).toMatch(/_seconds$/);
+      expect(definition.help).toBeTruthy();
+    }
+  });
+});
+
+// ── Recording ─────────────────────────────────────────────────────────────────
+
+describe('increment / setGauge', () => {
+  it('adds to a counter for each label set', () => {
+    increment('polls_total', { outcome: 'complete' });
+    increment('polls_total', { outcome: 'complete' });
+    increment('polls_total', { outcome: 'failed' });
+    increment('alerts_seen_total', {}, 3);
+
+    const metrics = renderMetrics();
+    expect(metrics).toContain('calm_tornado_alert_polls_total{outcome="complete"} 2');
+    expect(metrics).toContain('calm_tornado_alert_polls_total{outcome="failed"} 1');
+    expect(metrics).toContain('calm_tornado_alert_alerts_seen_total 3');
+  });
+
+  it('replaces a gauge', () => {
+    setGauge('seconds_since_last_successful_poll', 300);
+    setGauge('seconds_since_last_successful_poll', 12.5);
+    expect(renderMetrics()).toContain('calm_tornado_alert_seconds_since_last_successful_poll 12.5');
+  });
+
+  it('rejects a metric that is not in the catalog', () => {
+    expect(() => increment('polls')).toThrow('Unknown metric "polls"');
+  });
+});
+
+describe('observe', () => {
+  it('fills cumulative buckets, the sum and the count', () => {
+    observe('tts_duration_seconds', 0.3, { provider: 'google' });
+    observe('tts_duration_seconds', 2, { provider: 'google' });
+    observe('tts_duration_seconds', 45, { provider: 'google' });
+
+    const lines = renderMetrics()
+      .split('\n')
+      .filter((line) => line.startsWith('calm_tornado_alert_tts_duration_seconds'));
+    expect(lines).toEqual([
+      'calm_tornado_alert_tts_duration_seconds_bucket{provider="google",le="0.1"} 0',
+      'calm_tornado_alert_tts_duration_seconds_bucket{provider="google",le="0.25"} 0',
+      'calm_tornado_alert_tts_duration_seconds_bucket{provider="google",le="0.5"} 1',
+      'calm_tornado_alert_tts_duration_seconds_bucket{provider="google",le="1"} 1',
+      'calm_tornado_alert_tts_duration_seconds_bucket{provider="google",le="2.5"} 2',
+      'calm_tornado_alert_tts_duration_seconds_bucket{provider="google",le="5"} 2',
+      'calm_tornado_alert_tts_duration_seconds_bucket{provider="google",le="10"} 2',
+      'calm_tornado_alert_tts_duration_seconds_bucket{provider="google",le="30"} 2',
+      'calm_tornado_alert_tts_duration_seconds_bucket{provider="google",le="+Inf"} 3',
+      'calm_tornado_alert_tts_duration_seconds_sum{provider="google"} 47.3',
+      'calm_tornado_alert_tts_duration_seconds_count{provider="google"} 3',
+    ]);
+  });
+});
+
+// ── Rendering ─────────────────────────────────────────────────────────────────
+
+describe('renderMetrics', () => {
+  it('describes every metric with HELP and TYPE lines', () => {
+    const metrics = renderMetrics();
+    for (const [name, { type }] of Object.entries(METRICS)) {
+      expect(metrics).toContain(`# TYPE ${METRIC_PREFIX}${name} ${type}\n`);
+      expect(metrics).toContain(`# HELP ${METRIC_PREFIX}${name} `);
+    }
+    expect(metrics.endsWith('\n')).toBe(true);
+  });
+
+  it('lists unlabelled metrics at 0 and leaves out labelled ones until recorded', () => {
+    const metrics = renderMetrics();
+    expect(metrics).toContain('calm_tornado_alert_nws_retries_total 0\n');
+    expect(metrics).toContain('calm_tornado_alert_poll_duration_seconds_count 0\n');
+    expect(metrics).not.toMatch(/^calm_tornado_alert_polls_total/m);
+  });
+
+  it('escapes quotes, backslashes and newlines in label values', () => {
+    increment('audio_player_exits_total', { player: 'a"b\\c\nd', code: 0 });
+    expect(renderMetrics()).toContain('{player="a\\"b\\\\c\\nd",code="0"} 1');
+  });
+});
@@ -0,0 +1,186 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+vi.mock('../src/tts.js', () => ({ synthesizeSpeech: vi.fn() }));
+vi.mock('../src/logger.js', () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+}));
+
+import { synthesizeSpeech } from '../src/tts.js';
+import { logger } from '../src/logger.js';
+import { buildWav, parseWav } from '../src/wav.js';
+import {
+  numberWords,
+  timePhrases,
+  placePhrase,
+  planClips,
+  libraryPhrases,
+  buildClipLibrary,
+  stitchClips,
+} from '../src/phraseClips.js';
+
+const FORMAT = { audioFormat: 1, channels: 1, sampleRate: 8000, bitsPerSample: 8 };
+
+let dir;
+
+/** Makes synthesizeSpeech write a one-sample WAV per phrase, numbered in call order */
+function synthesizeNumberedWavs() {
+  let n = 0;
+  vi.mocked(synthesizeSpeech).mockImplementation(async () => {
+    const path = join(dir, `speech-${n}.wav`);
+    writeFileSync(path, buildWav(FORMAT, Buffer.from([n++])));
+    return path;
+  });
+}
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  dir = mkdtempSync(join(tmpdir(), 'clips-'));
+  process.env.CLIP_LIBRARY_DIR = join(dir, 'clips');
+});
+
+afterEach(() => {
+  delete process.env.CLIP_LIBRARY_DIR;
+  rmSync(dir, { recursive: true, force: true });
+});
+
+// ── Phrases ───────────────────────────────────────────────────────────────────
+
+describe('numberWords', () => {
+  it('spells out numbers up to 59', () => {
+    expect(numberWords(4)).toBe('four');
+    expect(numberWords(13)).toBe('thirteen');
+    expect(numberWords(30)).toBe('thirty');
+    expect(numberWords(59)).toBe('fifty-nine');
+  });
+});
+
+describe('timePhrases', () => {
+  it('speaks hours, minutes and AM or PM', () => {
+    expect(timePhrases(new Date(2026, 4, 1, 16, 35))).toEqual(['four', 'thirty-five', 'PM']);
+    expect(timePhrases(new Date(2026, 4, 1, 9, 5))).toEqual(['nine', 'oh', 'five', 'AM']);
+    expect(timePhrases(new Date(2026, 4, 1, 0, 0))).toEqual(['twelve', "o'clock", 'AM']);
+  });
+});
+
+describe('placePhrase', () => {
+  it('prefers the county, then the name', () => {
+    expect(placePhrase({ county: 'Jefferson', name: 'Home' })).toBe('Jefferson County');
+    expect(placePhrase({ county: 'Jefferson County', name: null })).toBe('Jefferson County');
+    expect(placePhrase({ county: null, name: "Mom's place" })).toBe("Mom's place");
+    expect(placePhrase({ county: null, name: null })).toBe('your area');
+  });
+});
+
+describe('planClips', () => {
+  const location = { county: 'Jefferson', name: null };
+
+  it('plans the event, place, end time and closing', () => {
+    const expires = new Date(2026, 4, 1, 16, 35).toISOString();
+    expect(planClips('Tornado Warning', location, expires)).toEqual([
+      "There's a Tornado Warning for",
+      'Jefferson County',
+      'until',
+      'four',
+      'thirty-five',
+      'PM',
+      'Please head to a safe spot.',
+    ]);
+  });
+
+  it('leaves out the end time when there is none', () => {
+    expect(planClips('Tornado Warning', location, null)).toEqual([
+      "There's a Tornado Warning for",
+      'Jefferson County',
+      'Please head to a safe spot.',
+    ]);
+  });
+});
+
+describe('libraryPhrases', () => {
+  it('covers every phrase any plan can use', () => {
+    const locations = [
+      { county: 'Jefferson', name: null },
+      { county: null, name: 'Cabin' },
+    ];
+    const hazards = [{ event: 'Tornado Warning' }, { event: 'Flash Flood Warning' }];
+    const phrases = libraryPhrases(locations, hazards);
+    const missing = new Set();
+    for (let minutes = 0; minutes < 24 * 60; minutes++) {
+      const expires = new Date(2026, 4, 1, 0, minutes).toISOString();
+      for (const location of locations) {
+        planClips('Flash Flood Warning', location, expires)
+          .filter((clip) => !phrases.includes(clip))
+          .forEach((clip) => missing.add(clip));
+      }
+    }
+    expect([...missing]).toEqual([]);
+    expect(new Set(phrases).size).toBe(phrases.length);
+  });
+});
+
+// ── Library ───────────────────────────────────────────────────────────────────
+
+describe('buildClipLibrary', () => {
+  it('records each phrase and stitches them back in any order', async () => {
+    synthesizeNumberedWavs();
+    await expect(buildClipLibrary(['until', 'four', 'PM'])).resolves.toEqual({
+      built: 3,
+      failed: [],
+    });
+
+    const { data } = parseWav(readFileSync(stitchClips(['PM', 'four'])));
+    expect(data[0]).toBe(2);
+    expect(data[data.length - 1]).toBe(1);
+    expect(data.length).toBeGreaterThan(2); // a pause between the clips
+  });
+
+  it('reports phrases that could not be recorded and keeps the rest', async () => {
+    synthesizeNumberedWavs();
+    await buildClipLibrary(['until']);
+    vi.mocked(synthesizeSpeech).mockRejectedValue(new Error('All TTS providers failed'));
+
+    await expect(buildClipLibrary(['four'])).resolves.toEqual({ built: 0, failed: ['four'] });
+    expect(() => stitchClips(['until'])).not.toThrow();
+  });
+
+  it('warns when the library mixes audio formats', async () => {
+    const mp3 = join(dir, 'speech.mp3');
+    writeFileSync(mp3, 'mp3 frames');
+    synthesizeNumberedWavs();
+    await buildClipLibrary(['until']);
+    vi.mocked(synthesizeSpeech).mockResolvedValue(mp3);
+
+    await buildClipLibrary(['four']);
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('mixes'));
+    expect(() => stitchClips(['until', 'four'])).toThrow('more than one audio format');
+  });
+});
+
+describe('stitchClips', () => {
+  it('names the missing clips', () => {
+    expect(() => stitchClips(['Cabin', 'until'])).toThrow(
+      'No clip for "Cabin", "until" (run npm run build-clips)'
+    );
+  });
+
+  it('joins MP3 clips without their ID3 tags', async () => {
+    const id3v2 = Buffer.concat([
+      Buffer.from('ID3'),
+      Buffer.from([4, 0, 0, 0, 0, 0, 2]),
+      Buffer.from('xx'),
+    ]);
+    const id3v1 = Buffer.concat([Buffer.from('TAG'), Buffer.alloc(125)]);
+    let n = 0;
+    vi.mocked(synthesizeSpeech).mockImplementation(async () => {
+      const path = join(dir, `speech-${n}.mp3`);
+      writeFileSync(path, Buffer.concat([id3v2, Buffer.from(`frame${n++}`), id3v1]));
+      return path;
+    });
+    await buildClipLibrary(['until', 'four']);
+
+    expect(readFileSync(stitchClips(['until', 'four']), 'latin1')).toBe('frame0frame1');
+  });
+});
@@ -1,5 +1,9 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
-import { fetchAlerts } from '../src/poller.js';
+import { writeFileSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fetchAlerts, didLastFetchFail } from '../src/poller.js';
+import { renderMetrics, _reset as _resetMetrics } from '../src/metrics.js';
 
 // ── Helpers ──────────────────────────────────────────────────────────────────
 
@@ -23,6 +27,7 @@ function makeErrorResponse(status = 500) {
 
 beforeEach(() => {
   vi.stubGlobal('fetch', vi.fn());
+  _resetMetrics();
 });
 
 afterEach(() => {
@@ -39,6 +44,16 @@ describe('fetchAlerts – URL construction', () => {
     expect(url).toContain('api.weather.gov/alerts/active');
   });
 
+  it('uses NWS_API_URL instead when set', async () => {
+    process.env.NWS_API_URL = 'http://127.0.0.1:8089';
+    vi.mocked(fetch).mockResolvedValue(makeSuccessResponse());
+    await fetchAlerts('KY', 0, noDelay);
+    expect(vi.mocked(fetch).mock.calls[0][0]).toMatch(
+      /^http:\/\/127\.0\.0\.1:8089\/alerts\/active\?/
+    );
+    delete process.env.NWS_API_URL;
+  });
+
   it('includes the state code as the "area" query parameter', async () => {
     vi.mocked(fetch).mockResolvedValue(makeSuccessResponse());
     await fetchAlerts('KY', 0, noDelay);
@@ -61,6 +76,24 @@ describe('fetchAlerts – URL construction', () => {
     expect(url).toMatch(/event=Tornado[+%20]Warning/);
   });
 
+  it('requests every enabled hazard in one comma-separated event parameter', async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'hazards-'));
+    process.env.HAZARDS_FILE = join(dir, 'hazards.json');
+    writeFileSync(
+      process.env.HAZARDS_FILE,
+      JSON.stringify([{ event: 'Flash Flood Warning', enabled: true }])
+    );
+    try {
+      vi.mocked(fetch).mockResolvedValue(makeSuccessResponse());
+      await fetchAlerts('KY', 0, noDelay);
+      const url = new URL(vi.mocked(fetch).mock.calls[0][0]);
+      expect(url.searchParams.get('event')).toBe('Tornado Warning,Flash Flood Warning');
+    } finally {
+      delete process.env.HAZARDS_FILE;
+      rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
   it('includes status=actual in the URL', async () => {
     vi.mocked(fetch).mockResolvedValue(makeSuccessResponse());
     await fetchAlerts('KY', 0, noDelay);
@@ -68,6 +101,31 @@ describe('fetchAlerts – URL construction', () => {
     expect(url).toContain('status=actual');
   });
 
+  it('queries by zone instead of area when given a zone list', async () => {
+    vi.mocked(fetch).mockResolvedValue(makeSuccessResponse());
+    await fetchAlerts({ zones: ['KYC111', 'kyz030'] }, 0, noDelay);
+    const url = new URL(vi.mocked(fetch).mock.calls[0][0]);
+    expect(url.searchParams.get('zone')).toBe('KYC111,KYZ030');
+    expect(url.searchParams.has('area')).toBe(false);
+  });
+
+  it('queries by point when given a coordinate', async () => {
+    vi.mocked(fetch).mockResolvedValue(makeSuccessResponse());
+    await fetchAlerts({ point: { lat: 38.25, lon: -85.76 } }, 0, noDelay);
+    const url = new URL(vi.mocked(fetch).mock.calls[0][0]);
+    expect(url.searchParams.get('point')).toBe('38.25,-85.76');
+    expect(url.searchParams.has('area')).toBe(false);
+  });
+
+  it('keeps the same zone query on retries', async () => {
+    vi.mocked(fetch)
+      .mockRejectedValueOnce(new Error('Network error'))
+      .mockResolvedValueOnce(makeSuccessResponse());
+    await fetchAlerts({ zones: ['KYC111'] }, 0, noDelay);
+    const url = new URL(vi.mocked(fetch).mock.calls[1][0]);
+    expect(url.searchParams.get('zone')).toBe('KYC111');
+  });
+
   it('sends the correct Accept header', async () => {
     vi.mocked(fetch).mockResolvedValue(makeSuccessResponse());
     await fetchAlerts('KY', 0, noDelay);
@@ -99,6 +157,16 @@ describe('fetchAlerts – successful responses', () => {
     expect(result).toEqual([]);
   });
 
+  it('reports the give-up through didLastFetchFail until the next success', async () => {
+    vi.mocked(fetch).mockRejectedValue(new Error('Always fails'));
+    await fetchAlerts('KY', 0, noDelay);
+    expect(didLastFetchFail()).toBe(true);
+
+    vi.mocked(fetch).mockResolvedValue(makeSuccessResponse());
+    await fetchAlerts('KY', 0, noDelay);
+    expect(didLastFetchFail()).toBe(false);
+  });
+
   it('handles a missing features key (returns empty array)', async () => {
     vi.mocked(fetch).mockResolvedValue({
       ok: true,
@@ -206,3 +274,22 @@ describe('fetchAlerts – exponential backoff calculation', () => {
     }
   });
 });
+
+// ── Metrics ───────────────────────────────────────────────────────────────────
+
+describe('fetchAlerts – metrics', () => {
+  it('counts responses by HTTP status, and retries', async () => {
+    vi.mocked(fetch)
+      .mockResolvedValueOnce(makeErrorResponse(503))
+      .mockRejectedValueOnce(new Error('ECONNRESET'))
+      .mockResolvedValueOnce({ ...makeSuccessResponse([]), status: 200 });
+
+    await fetchAlerts('KY', 0, noDelay);
+
+    const metrics = renderMetrics();
+    expect(metrics).toContain('calm_tornado_alert_nws_responses_total{status="503"} 1');
+    expect(metrics).toContain('calm_tornado_alert_nws_responses_total{status="error"} 1');
+    expect(metrics).toContain('calm_tornado_alert_nws_responses_total{status="200"} 1');
+    expect(metrics).toContain('calm_tornado_alert_nws_retries_total 2');
+  });
+});
@@ -0,0 +1,231 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { writeFileSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+vi.mock('../src/logger.js', () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+}));
+
+import { logger } from '../src/logger.js';
+import {
+  parseQuietWindow,
+  getQuietWindows,
+  findQuietWindow,
+  applyQuietHours,
+} from '../src/quietHours.js';
+
+// 2026-05-15 is a Friday; New York is on EDT (UTC-4)
+const FRIDAY_11PM = Date.parse('2026-05-16T03:00:00Z');
+const SATURDAY_6AM = Date.parse('2026-05-16T10:00:00Z');
+const SATURDAY_8AM = Date.parse('2026-05-16T12:00:00Z');
+const FRIDAY_NOON = Date.parse('2026-05-15T16:00:00Z');
+
+const overnight = (overrides = {}) =>
+  parseQuietWindow(
+    {
+      name: 'Overnight',
+      days: ['Fri'],
+      start: '22:00',
+      end: '07:00',
+      timeZone: 'America/New_York',
+      ...overrides,
+    },
+    0
+  );
+
+beforeEach(() => {
+  vi.clearAllMocks();
+});
+
+// ── parseQuietWindow ──────────────────────────────────────────────────────────
+
+describe('parseQuietWindow', () => {
+  it('parses days, times and policies', () => {
+    const window = overnight({
+      policy: 'lower',
+      hazards: { 'Tornado Warning': 'allow' },
+      volume: 10,
+    });
+    expect(window).toEqual({
+      name: 'Overnight',
+      days: new Set([5]),
+      start: 22 * 60,
+      end: 7 * 60,
+      timeZone: 'America/New_York',
+      policy: 'lower',
+      hazards: { 'Tornado Warning': 'allow' },
+      volume: 10,
+    });
+  });
+
+  it('defaults to every day, holding, at volume 15', () => {
+    const window = parseQuietWindow({ start: '00:00', end: '24:00' }, 2);
+    expect(window.name).toBe('Quiet window #3');
+    expect(window.days.size).toBe(7);
+    expect(window.policy).toBe('hold');
+    expect(window.volume).toBe(15);
+  });
+
+  it('accepts full day names in any case', () => {
+    expect(overnight({ days: ['saturday', 'SUNDAY'] }).days).toEqual(new Set([6, 0]));
+  });
+
+  it.each([
+    [{ days: ['Caturday'] }, 'unknown day "Caturday"'],
+    [{ days: [] }, '"days" must be a non-empty array'],
+    [{ start: '7am' }, 'needs a "start" and "end" time as HH:MM'],
+    [{ end: '25:00' }, 'needs a "start" and "end" time as HH:MM'],
+    [{ start: '24:00' }, 'needs a "start" and "end" time as HH:MM'],
+    [{ end: '22:00' }, 'starts and ends at the same time'],
+    [{ timeZone: 'Mars/Olympus_Mons' }, 'unknown time zone "Mars/Olympus_Mons"'],
+    [{ policy: 'mute' }, 'invalid policy "mute"'],
+    [{ hazards: { 'Flood Warning': 'mute' } }, 'invalid policy "mute" for Flood Warning'],
+    [{ volume: 150 }, '"volume" must be a number from 0 to 100'],
+  ])('rejects %j', (overrides, message) => {
+    expect(() => overnight(overrides)).toThrow(message);
+  });
+
+  it('names the window in error messages', () => {
+    expect(() => overnight({ policy: 'mute' })).toThrow('Quiet window #1 ("Overnight")');
+  });
+});
+
+// ── getQuietWindows ───────────────────────────────────────────────────────────
+
+describe('getQuietWindows', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'quiet-hours-'));
+  });
+
+  afterEach(() => {
+    delete process.env.QUIET_HOURS_FILE;
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('returns no windows when QUIET_HOURS_FILE is not set', () => {
+    expect(getQuietWindows()).toEqual([]);
+  });
+
+  it('reads the windows from QUIET_HOURS_FILE', () => {
+    const file = join(dir, 'quiet-hours.json');
+    writeFileSync(file, JSON.stringify([{ name: 'Overnight', start: '22:00', end: '07:00' }]));
+    process.env.QUIET_HOURS_FILE = file;
+    expect(getQuietWindows()).toMatchObject([{ name: 'Overnight', start: 1320, end: 420 }]);
+  });
+
+  it('throws when the file is missing or not an array', () => {
+    process.env.QUIET_HOURS_FILE = join(dir, 'missing.json');
+    expect(() => getQuietWindows()).toThrow('Could not read QUIET_HOURS_FILE');
+
+    const file = join(dir, 'quiet-hours.json');
+    writeFileSync(file, '{}');
+    process.env.QUIET_HOURS_FILE = file;
+    expect(() => getQuietWindows()).toThrow('must contain a JSON array');
+  });
+});
+
+// ── findQuietWindow ───────────────────────────────────────────────────────────
+
+describe('findQuietWindow', () => {
+  it('finds an overnight window on the evening it starts', () => {
+    const active = findQuietWindow([overnight()], FRIDAY_11PM);
+    expect(active.window.name).toBe('Overnight');
+    expect(active.endsAt.toISOString()).toBe('2026-05-16T11:00:00.000Z');
+  });
+
+  it('finds an overnight window the morning after the day it starts', () => {
+    const active = findQuietWindow([overnight()], SATURDAY_6AM);
+    expect(active.endsAt.toISOString()).toBe('2026-05-16T11:00:00.000Z');
+  });
+
+  it('returns null outside the window', () => {
+    expect(findQuietWindow([overnight()], SATURDAY_8AM)).toBeNull();
+    expect(findQuietWindow([overnight()], FRIDAY_NOON)).toBeNull();
+  });
+
+  it('only matches on the listed days', () => {
+    // Thursday night is not in the window, so neither is early Friday morning
+    expect(findQuietWindow([overnight()], Date.parse('2026-05-15T10:00:00Z'))).toBeNull();
+  });
+
+  it('reads the days and times in the window time zone', () => {
+    const pacific = overnight({ timeZone: 'America/Los_Angeles' });
+    // 11 PM in New York is only 8 PM in Los Angeles
+    expect(findQuietWindow([pacific], FRIDAY_11PM)).toBeNull();
+  });
+
+  it('prefers the first matching window', () => {
+    const first = overnight({ name: 'First' });
+    const second = overnight({ name: 'Second' });
+    expect(findQuietWindow([first, second], FRIDAY_11PM).window.name).toBe('First');
+  });
+});
+
+// ── applyQuietHours ───────────────────────────────────────────────────────────
+
+describe('applyQuietHours', () => {
+  const warning = { message: 'Flood warning.', kind: 'warning', event: 'Flood Warning' };
+  const windows = [
+    overnight({
+      policy: 'hold',
+      hazards: { 'Tornado Warning': 'allow', 'Severe Thunderstorm Warning': 'lower' },
+      volume: 10,
+    }),
+  ];
+
+  it('returns the announcement unchanged outside quiet hours', () => {
+    expect(applyQuietHours(warning, SATURDAY_8AM, windows)).toBe(warning);
+    expect(logger.info).not.toHaveBeenCalled();
+  });
+
+  it('holds hazards the window holds, logging until when', () => {
+    expect(applyQuietHours(warning, FRIDAY_11PM, windows)).toBeNull();
+    expect(logger.info).toHaveBeenCalledWith(
+      'Quiet hours (Overnight): holding Flood Warning until 7:00 AM'
+    );
+  });
+
+  it('lowers hazards the window lowers', () => {
+    const storm = { ...warning, event: 'Severe Thunderstorm Warning' };
+    expect(applyQuietHours(storm, FRIDAY_11PM, windows)).toEqual({ ...storm, volume: 10 });
+    expect(logger.info).toHaveBeenCalledWith(
+      'Quiet hours (Overnight): lowering Severe Thunderstorm Warning to volume 10'
+    );
+  });
+
+  it('allows hazards the window allows', () => {
+    const tornado = { ...warning, event: 'Tornado Warning' };
+    expect(applyQuietHours(tornado, FRIDAY_11PM, windows)).toBe(tornado);
+  });
+
+  it('lets a Tornado Emergency through whatever the policy', () => {
+    const emergency = {
+      ...warning,
+      event: 'Tornado Warning',
+      kind: 'emergency',
+      tier: 'emergency',
+    };
+    const strict = [overnight({ hazards: { 'Tornado Warning': 'hold' } })];
+    expect(applyQuietHours(emergency, FRIDAY_11PM, strict)).toBe(emergency);
+    expect(logger.info).toHaveBeenCalledWith(
+      expect.stringContaining('Tornado Emergency overrides the window')
+    );
+  });
+
+  it('applies the default policy to announcements without a hazard', () => {
+    const test = { message: 'Testing.', kind: 'test' };
+    expect(applyQuietHours(test, FRIDAY_11PM, windows)).toBeNull();
+    expect(logger.info).toHaveBeenCalledWith(
+      'Quiet hours (Overnight): holding test announcement until 7:00 AM'
+    );
+  });
+
+  it('uses the current time by default', () => {
+    vi.useFakeTimers({ now: FRIDAY_11PM });
+    expect(applyQuietHours(warning, undefined, windows)).toBeNull();
+    vi.useRealTimers();
+  });
+});
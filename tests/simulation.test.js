@@ -0,0 +1,217 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+vi.mock('dotenv/config', () => ({}));
+vi.mock('../src/logger.js', () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+}));
+vi.mock('../src/tts.js', () => ({ synthesizeSpeech: vi.fn(), prewarmSpeech: vi.fn() }));
+vi.mock('../src/audioPlayer.js', () => ({ playAudio: vi.fn(), detectPlayers: vi.fn() }));
+
+import { loadTimeline, responseAt, runSimulation, formatReport } from '../src/simulation.js';
+import { _resetRateLimit } from '../src/index.js';
+import { _reset as _resetLifecycle } from '../src/lifecycle.js';
+import { _reset as _resetDedup } from '../src/deduplication.js';
+import { currentTime } from '../src/clock.js';
+import { synthesizeSpeech } from '../src/tts.js';
+
+let dir;
+
+/** Writes a JSON file into the temporary directory and returns its path */
+function writeJson(name, content) {
+  const file = join(dir, name);
+  writeFileSync(file, JSON.stringify(content));
+  return file;
+}
+
+/** A Tornado Warning for Jefferson County, KY (the default location) */
+const warning = (id, properties = {}) => ({
+  id,
+  properties: {
+    event: 'Tornado Warning',
+    messageType: 'Alert',
+    sent: '2026-05-15T19:01:00Z',
+    expires: '2026-05-15T19:45:00Z',
+    areaDesc: 'Jefferson, KY',
+    headline: 'Tornado Warning issued',
+    geocode: { UGC: ['KYC111'], SAME: ['021111'] },
+    ...properties,
+  },
+});
+
+const feed = (...features) => ({ type: 'FeatureCollection', features });
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  _resetRateLimit();
+  _resetLifecycle();
+  _resetDedup();
+  dir = mkdtempSync(join(tmpdir(), 'simulation-'));
+});
+
+afterEach(() => {
+  rmSync(dir, { recursive: true, force: true });
+  delete process.env.POLL_INTERVAL_MS;
+});
+
+// ── loadTimeline ──────────────────────────────────────────────────────────────
+
+describe('loadTimeline', () => {
+  it('loads entries oldest first, starting at the first by default', () => {
+    const file = writeJson('timeline.json', {
+      name: 'Test outbreak',
+      entries: [
+        { at: '2026-05-15T19:30:00Z', response: feed() },
+        { at: '2026-05-15T19:00:00Z', response: feed(warning('urn:test:1')) },
+      ],
+    });
+
+    const timeline = loadTimeline(file);
+    expect(timeline.name).toBe('Test outbreak');
+    expect(timeline.start).toBe(Date.parse('2026-05-15T19:00:00Z'));
+    expect(timeline.end).toBeNull();
+    expect(timeline.entries.map((entry) => entry.response.features.length)).toEqual([1, 0]);
+  });
+
+  it('reads saved responses relative to the timeline, timed by their "updated"', () => {
+    writeJson('0300.json', { ...feed(), updated: '2021-12-11T03:00:00+00:00' });
+    const file = writeJson('timeline.json', [{ file: '0300.json' }]);
+
+    const [entry] = loadTimeline(file).entries;
+    expect(entry.at).toBe(Date.parse('2021-12-11T03:00:00Z'));
+    expect(loadTimeline(file).name).toBe(file);
+  });
+
+  it('takes the start and end from the file', () => {
+    const file = writeJson('timeline.json', {
+      start: '2026-05-15T18:00:00Z',
+      end: '2026-05-15T21:00:00Z',
+      entries: [{ at: '2026-05-15T19:00:00Z', response: feed() }],
+    });
+    expect(loadTimeline(file)).toMatchObject({
+      start: Date.parse('2026-05-15T18:00:00Z'),
+      end: Date.parse('2026-05-15T21:00:00Z'),
+    });
+  });
+
+  it.each([
+    [{ entries: [] }, 'must have a non-empty "entries" array'],
+    [[{ at: 'soon', response: feed() }], 'Timeline entry #1 time "soon" is not an ISO 8601 time'],
+    [[{ at: '2026-05-15T19:00:00Z' }], 'Timeline entry #1 needs a "response" (or "file")'],
+    [[{ file: 'missing.json' }], 'Timeline entry #1 response "missing.json" could not be read'],
+    [[{ response: feed() }], 'Timeline entry #1 time "undefined" is not an ISO 8601 time'],
+  ])('rejects %j', (content, message) => {
+    expect(() => loadTimeline(writeJson('timeline.json', content))).toThrow(message);
+  });
+
+  it('names a file it cannot read', () => {
+    expect(() => loadTimeline(join(dir, 'nope.json'))).toThrow('Could not read timeline');
+  });
+});
+
+describe('responseAt', () => {
+  const timeline = {
+    entries: [
+      { at: 1000, response: feed(warning('urn:test:1')) },
+      { at: 2000, response: feed() },
+    ],
+  };
+
+  it('returns the latest response recorded at or before the time', () => {
+    expect(responseAt(timeline, 1500).features).toHaveLength(1);
+    expect(responseAt(timeline, 2000).features).toHaveLength(0);
+  });
+
+  it('returns an empty feed before the first entry', () => {
+    expect(responseAt(timeline, 999)).toEqual(feed());
+  });
+});
+
+// ── runSimulation ─────────────────────────────────────────────────────────────
+
+describe('runSimulation', () => {
+  const timeline = () => ({
+    name: 'Test outbreak',
+    start: Date.parse('2026-05-15T18:55:00Z'),
+    end: null,
+    entries: [
+      { at: Date.parse('2026-05-15T19:02:00Z'), response: feed(warning('urn:test:1')) },
+      {
+        at: Date.parse('2026-05-15T19:04:00Z'),
+        response: feed(
+          warning('urn:test:1'),
+          warning('urn:test:2', { event: 'Severe Thunderstorm Warning' })
+        ),
+      },
+      { at: Date.parse('2026-05-15T19:30:00Z'), response: feed() },
+    ],
+  });
+
+  it('polls the recorded feed on a virtual clock and reports what was spoken, and when', async () => {
+    const before = Date.now();
+    const report = await runSimulation(timeline());
+
+    expect(report).toMatchObject({
+      name: 'Test outbreak',
+      start: '2026-05-15T18:55:00.000Z',
+      end: '2026-05-15T19:35:00.000Z',
+      polls: 9,
+      unplayed: 0,
+    });
+    expect(report.announcements.map(({ at, kind }) => [at, kind])).toEqual([
+      ['2026-05-15T19:05:00.000Z', 'warning'],
+      ['2026-05-15T19:30:00.000Z', 'all-clear'],
+    ]);
+    expect(report.announcements[0]).toMatchObject({ event: 'Tornado Warning', location: null });
+    expect(Date.now() - before).toBeLessThan(5000);
+  });
+
+  it('stubs speech unless asked to speak aloud', async () => {
+    await runSimulation(timeline());
+    expect(synthesizeSpeech).not.toHaveBeenCalled();
+  });
+
+  it('polls every POLL_INTERVAL_MS and leaves the clock and environment as they were', async () => {
+    process.env.POLL_INTERVAL_MS = '60000';
+    const report = await runSimulation({ ...timeline(), end: Date.parse('2026-05-15T19:00:00Z') });
+
+    expect(report.polls).toBe(6);
+    expect(Math.abs(currentTime() - Date.now())).toBeLessThan(1000);
+    expect(process.env.NWS_API_URL).toBeUndefined();
+    expect(process.env.DEDUP_FILE).toBeUndefined();
+  });
+});
+
+describe('formatReport', () => {
+  it('lists each announcement between a heading and a summary', () => {
+    const text = formatReport({
+      name: 'Test outbreak',
+      start: '2026-05-15T18:55:00.000Z',
+      end: '2026-05-15T19:35:00.000Z',
+      polls: 9,
+      announcements: [
+        {
+          at: '2026-05-15T19:05:00.000Z',
+          kind: 'warning',
+          event: 'Tornado Warning',
+          location: 'Home',
+          message: 'There is a tornado warning.',
+        },
+      ],
+      unplayed: 1,
+    });
+    expect(text.split('\n')).toEqual([
+      'Simulated "Test outbreak" from 2026-05-15T18:55:00.000Z to 2026-05-15T19:35:00.000Z (9 polls)',
+      '2026-05-15T19:05:00.000Z  (warning for Home) There is a tornado warning.',
+      '1 announcement, 1 could not be played',
+    ]);
+  });
+
+  it('says when nothing would have been spoken', () => {
+    const text = formatReport({ name: 'Quiet day', polls: 3, announcements: [], unplayed: 0 });
+    expect(text).toContain('Nothing would have been spoken.');
+    expect(text).toContain('0 announcements');
+  });
+});
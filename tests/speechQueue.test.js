@@ -0,0 +1,362 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+vi.mock('../src/tts.js', () => ({ synthesizeSpeech: vi.fn() }));
+vi.mock('../src/audioPlayer.js', () => ({ playAudio: vi.fn() }));
+vi.mock('../src/phraseClips.js', () => ({ stitchClips: vi.fn() }));
+vi.mock('../src/chime.js', () => ({ withChime: vi.fn() }));
+vi.mock('../src/transcript.js', () => ({ isDryRun: vi.fn(), transcribe: vi.fn() }));
+vi.mock('../src/logger.js', () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+}));
+
+import { synthesizeSpeech } from '../src/tts.js';
+import { playAudio } from '../src/audioPlayer.js';
+import { stitchClips } from '../src/phraseClips.js';
+import { withChime } from '../src/chime.js';
+import { isDryRun, transcribe } from '../src/transcript.js';
+import {
+  PRIORITIES,
+  enqueue,
+  whenIdle,
+  getLastPlayback,
+  setSpeaker,
+  _reset,
+} from '../src/speechQueue.js';
+import { useVirtualClock, useSystemClock } from '../src/clock.js';
+
+const spokenText = () => vi.mocked(synthesizeSpeech).mock.calls.map(([text]) => text);
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  vi.useFakeTimers();
+  _reset();
+  vi.mocked(synthesizeSpeech).mockResolvedValue('/data/speech.mp3');
+  vi.mocked(playAudio).mockResolvedValue();
+  vi.mocked(withChime).mockImplementation((audioPath) => [audioPath]);
+  vi.mocked(isDryRun).mockReturnValue(false);
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+/** Lets the queue play everything, skipping over the spacing between announcements */
+async function drainAll() {
+  const idle = whenIdle();
+  await vi.runAllTimersAsync();
+  await idle;
+}
+
+// ── Priorities ────────────────────────────────────────────────────────────────
+
+describe('PRIORITIES', () => {
+  it('ranks emergency above warning above all-clear above test', () => {
+    expect(PRIORITIES.emergency).toBeGreaterThan(PRIORITIES.warning);
+    expect(PRIORITIES.warning).toBeGreaterThan(PRIORITIES['all-clear']);
+    expect(PRIORITIES['all-clear']).toBeGreaterThan(PRIORITIES.test);
+  });
+});
+
+// ── enqueue ───────────────────────────────────────────────────────────────────
+
+describe('enqueue', () => {
+  it('plays the highest-priority announcement first', async () => {
+    enqueue({ message: 'Testing.', kind: 'test' });
+    enqueue({ message: 'All clear.', kind: 'all-clear' });
+    enqueue({ message: 'Warning.', kind: 'warning' });
+    await drainAll();
+
+    expect(spokenText()).toEqual(['Warning.', 'All clear.', 'Testing.']);
+  });
+
+  it('merges waiting warnings into one announcement, emergencies first', async () => {
+    enqueue({ message: 'Flood warning.', kind: 'warning' });
+    enqueue({ message: 'All clear.', kind: 'all-clear' });
+    enqueue({ message: 'Tornado emergency.', kind: 'emergency', tier: 'emergency' });
+    await drainAll();
+
+    expect(spokenText()).toEqual(['Tornado emergency. Flood warning.', 'All clear.']);
+    // The combined announcement uses the voice of its most serious part
+    expect(synthesizeSpeech).toHaveBeenNthCalledWith(1, expect.any(String), {
+      volume: 60,
+      speakingRate: 0.9,
+    });
+  });
+
+  it('plays at an overridden volume only when every merged part has one', async () => {
+    enqueue({ message: 'Quiet.', volume: 10 });
+    await drainAll();
+    expect(playAudio).toHaveBeenLastCalledWith('/data/speech.mp3', { volume: 10 });
+
+    enqueue({ message: 'Quiet.', volume: 10 });
+    enqueue({ message: 'Loud.', tier: 'pds' });
+    await drainAll();
+    expect(playAudio).toHaveBeenLastCalledWith('/data/speech.mp3', {
+      volume: 45,
+      speakingRate: 0.85,
+    });
+  });
+
+  it('keeps announcements at least SPEECH_RATE_LIMIT_MS apart without dropping them', async () => {
+    process.env.SPEECH_RATE_LIMIT_MS = '30000';
+    await enqueue({ message: 'Warning.' });
+    const next = enqueue({ message: 'All clear.', kind: 'all-clear' });
+
+    await vi.advanceTimersByTimeAsync(29_999);
+    expect(spokenText()).toEqual(['Warning.']);
+    await vi.advanceTimersByTimeAsync(1);
+    await expect(next).resolves.toBe(true);
+    expect(spokenText()).toEqual(['Warning.', 'All clear.']);
+    delete process.env.SPEECH_RATE_LIMIT_MS;
+  });
+
+  it('calls onSpoken only after playback has finished', async () => {
+    const onSpoken = vi.fn();
+    let finishPlayback;
+    vi.mocked(playAudio).mockReturnValue(new Promise((resolve) => (finishPlayback = resolve)));
+
+    const played = enqueue({ message: 'Warning.', onSpoken });
+    await vi.advanceTimersByTimeAsync(0);
+    expect(playAudio).toHaveBeenCalledOnce();
+    expect(onSpoken).not.toHaveBeenCalled();
+
+    finishPlayback();
+    await expect(played).resolves.toBe(true);
+    expect(onSpoken).toHaveBeenCalledOnce();
+  });
+
+  it('calls onSpoken for every part of a merged announcement', async () => {
+    const first = vi.fn();
+    const second = vi.fn();
+    enqueue({ message: 'One.', onSpoken: first });
+    enqueue({ message: 'Two.', onSpoken: second });
+    await drainAll();
+
+    expect(synthesizeSpeech).toHaveBeenCalledOnce();
+    expect(first).toHaveBeenCalledOnce();
+    expect(second).toHaveBeenCalledOnce();
+  });
+
+  it('resolves false and skips onSpoken when speech fails', async () => {
+    vi.mocked(synthesizeSpeech).mockRejectedValue(new Error('TTS failure'));
+    const onSpoken = vi.fn();
+
+    await expect(enqueue({ message: 'Warning.', onSpoken })).resolves.toBe(false);
+    expect(onSpoken).not.toHaveBeenCalled();
+  });
+
+  it('does not wait after a failed attempt', async () => {
+    vi.mocked(synthesizeSpeech).mockRejectedValueOnce(new Error('TTS failure'));
+    await enqueue({ message: 'First.' });
+    await expect(enqueue({ message: 'Second.' })).resolves.toBe(true);
+  });
+});
+
+// ── Chime ─────────────────────────────────────────────────────────────────────
+
+describe('chime', () => {
+  it("plays the tier's chime before the speech, at the same volume", async () => {
+    vi.mocked(withChime).mockReturnValue(['./data/chime.wav', '/data/speech.mp3']);
+    await enqueue({ message: 'Emergency.', kind: 'emergency', tier: 'emergency' });
+
+    expect(withChime).toHaveBeenCalledWith('/data/speech.mp3', 'emergency');
+    const played = vi.mocked(playAudio).mock.calls;
+    expect(played.map(([path]) => path)).toEqual(['./data/chime.wav', '/data/speech.mp3']);
+    expect(played[0][1]).toBe(played[1][1]);
+  });
+
+  it('still plays the speech when the chime cannot be played', async () => {
+    vi.mocked(withChime).mockReturnValue(['./data/chime.wav', '/data/speech.mp3']);
+    vi.mocked(playAudio).mockImplementation(async (path) => {
+      if (path.endsWith('.wav')) throw new Error('No installed audio player can play WAV audio');
+    });
+    const onSpoken = vi.fn();
+
+    await expect(enqueue({ message: 'Warning.', onSpoken })).resolves.toBe(true);
+
+    expect(vi.mocked(playAudio).mock.calls.at(-1)[0]).toBe('/data/speech.mp3');
+    expect(onSpoken).toHaveBeenCalledOnce();
+  });
+
+  it('chimes once for a combined announcement, in its most serious tier', async () => {
+    const first = enqueue({ message: 'First.', tier: 'standard' });
+    const second = enqueue({ message: 'Second.', tier: 'pds' });
+    await Promise.all([first, second]);
+    expect(withChime).toHaveBeenCalledOnce();
+    expect(withChime).toHaveBeenCalledWith('/data/speech.mp3', 'pds');
+  });
+});
+
+// ── Clip fallback ─────────────────────────────────────────────────────────────
+
+describe('clip fallback', () => {
+  const clips = [
+    "There's a Tornado Warning for",
+    'Jefferson County',
+    'Please head to a safe spot.',
+  ];
+
+  beforeEach(() => {
+    vi.mocked(synthesizeSpeech).mockRejectedValue(new Error('All TTS providers failed'));
+    vi.mocked(stitchClips).mockReturnValue('/data/clips/stitched.wav');
+  });
+
+  it('plays stitched clips when synthesis fails', async () => {
+    const onSpoken = vi.fn();
+    await expect(enqueue({ message: 'Warning.', clips, onSpoken })).resolves.toBe(true);
+    expect(stitchClips).toHaveBeenCalledWith(clips);
+    expect(playAudio).toHaveBeenCalledWith('/data/clips/stitched.wav', expect.any(Object));
+    expect(onSpoken).toHaveBeenCalledOnce();
+  });
+
+  it('stitches every part of a combined warning that has clips, and only those', async () => {
+    const other = ["There's a Flash Flood Warning for", 'Jefferson County'];
+    const withoutClips = vi.fn();
+    const first = enqueue({ message: 'First.', clips });
+    const second = enqueue({ message: 'Second.', onSpoken: withoutClips });
+    const third = enqueue({ message: 'Third.', clips: other });
+    await drainAll();
+
+    expect(stitchClips).toHaveBeenCalledWith([...clips, ...other]);
+    await expect(first).resolves.toBe(true);
+    await expect(second).resolves.toBe(false);
+    await expect(third).resolves.toBe(true);
+    expect(withoutClips).not.toHaveBeenCalled();
+  });
+
+  it('resolves false when there is no clip plan', async () => {
+    await expect(enqueue({ message: 'All clear.', kind: 'all-clear' })).resolves.toBe(false);
+    expect(stitchClips).not.toHaveBeenCalled();
+    expect(playAudio).not.toHaveBeenCalled();
+  });
+
+  it('resolves false when the clips cannot be stitched', async () => {
+    vi.mocked(stitchClips).mockImplementation(() => {
+      throw new Error('No clip for "Jefferson County" (run npm run build-clips)');
+    });
+    const onSpoken = vi.fn();
+    await expect(enqueue({ message: 'Warning.', clips, onSpoken })).resolves.toBe(false);
+    expect(playAudio).not.toHaveBeenCalled();
+    expect(onSpoken).not.toHaveBeenCalled();
+  });
+});
+
+// ── whenIdle ──────────────────────────────────────────────────────────────────
+
+describe('whenIdle', () => {
+  it('resolves straight away when nothing is queued', async () => {
+    await expect(whenIdle()).resolves.toBeUndefined();
+  });
+
+  it('resolves once everything queued has been handled', async () => {
+    enqueue({ message: 'Warning.' });
+    enqueue({ message: 'All clear.', kind: 'all-clear' });
+    await drainAll();
+
+    expect(synthesizeSpeech).toHaveBeenCalledTimes(2);
+  });
+});
+
+// ── getLastPlayback ───────────────────────────────────────────────────────────
+
+describe('getLastPlayback', () => {
+  it('is null before anything has played', () => {
+    expect(getLastPlayback()).toBeNull();
+  });
+
+  it('records whether the last announcement was heard', async () => {
+    enqueue({ message: 'Warning.' });
+    await drainAll();
+    expect(getLastPlayback()).toMatchObject({ spoken: true, message: 'Warning.' });
+
+    vi.mocked(synthesizeSpeech).mockRejectedValue(new Error('TTS down'));
+    enqueue({ message: 'Testing.', kind: 'test' });
+    await drainAll();
+    expect(getLastPlayback()).toMatchObject({ spoken: false, message: 'Testing.' });
+  });
+});
+
+// ── setSpeaker ────────────────────────────────────────────────────────────────
+
+describe('setSpeaker', () => {
+  afterEach(() => {
+    useSystemClock();
+  });
+
+  it('hands announcements to the speaker instead of synthesizing and playing them', async () => {
+    const speaker = vi.fn().mockResolvedValue();
+    setSpeaker(speaker);
+
+    const spoken = enqueue({ message: 'Warning.', tier: 'pds', onSpoken: vi.fn() });
+    await drainAll();
+
+    await expect(spoken).resolves.toBe(true);
+    expect(speaker).toHaveBeenCalledWith(
+      'Warning.',
+      expect.objectContaining({ volume: 45 }),
+      'pds'
+    );
+    expect(synthesizeSpeech).not.toHaveBeenCalled();
+    expect(playAudio).not.toHaveBeenCalled();
+  });
+
+  it('counts an announcement the speaker rejects as not heard', async () => {
+    setSpeaker(vi.fn().mockRejectedValue(new Error('no output')));
+    const spoken = enqueue({ message: 'Warning.' });
+    await drainAll();
+    await expect(spoken).resolves.toBe(false);
+  });
+
+  it('spaces announcements by the virtual clock, without real waiting', async () => {
+    vi.useRealTimers();
+    useVirtualClock(Date.parse('2026-05-15T19:00:00Z'));
+    setSpeaker(vi.fn().mockResolvedValue());
+
+    await enqueue({ message: 'Testing.', kind: 'test' });
+    await enqueue({ message: 'All clear.', kind: 'all-clear' });
+
+    expect(getLastPlayback().at).toBe('2026-05-15T19:01:00.000Z');
+  });
+});
+
+describe('dry-run mode', () => {
+  beforeEach(() => {
+    vi.mocked(isDryRun).mockReturnValue(true);
+    vi.mocked(transcribe).mockResolvedValue();
+  });
+
+  it('transcribes announcements instead of synthesizing and playing them', async () => {
+    const onSpoken = vi.fn();
+    const spoken = enqueue({ message: 'Warning.', tier: 'emergency', onSpoken });
+    await drainAll();
+
+    await expect(spoken).resolves.toBe(true);
+    expect(onSpoken).toHaveBeenCalledOnce();
+    expect(transcribe).toHaveBeenCalledWith(
+      'Warning.',
+      expect.objectContaining({ volume: 60 }),
+      'emergency'
+    );
+    expect(synthesizeSpeech).not.toHaveBeenCalled();
+    expect(playAudio).not.toHaveBeenCalled();
+  });
+
+  it('still spaces announcements SPEECH_RATE_LIMIT_MS apart', async () => {
+    await enqueue({ message: 'Testing.', kind: 'test' });
+    const second = enqueue({ message: 'All clear.', kind: 'all-clear' });
+
+    await vi.advanceTimersByTimeAsync(59_000);
+    expect(transcribe).toHaveBeenCalledOnce();
+    await vi.advanceTimersByTimeAsync(1000);
+    await expect(second).resolves.toBe(true);
+    expect(transcribe).toHaveBeenCalledTimes(2);
+  });
+
+  it('gives way to a speaker set with setSpeaker', async () => {
+    const speaker = vi.fn().mockResolvedValue();
+    setSpeaker(speaker);
+    await enqueue({ message: 'Warning.' });
+    expect(speaker).toHaveBeenCalledOnce();
+    expect(transcribe).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,196 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+
+vi.mock('../src/logger.js', () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+}));
+
+import { createStatusServer, startStatusApi } from '../src/statusApi.js';
+import { _reset as _resetMetrics } from '../src/metrics.js';
+
+let controls;
+let server;
+let baseUrl;
+
+/** Starts a server for the current controls on a free local port */
+async function listen() {
+  server = createStatusServer(controls);
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+}
+
+/** Sends a request and returns its status and parsed JSON body */
+async function request(path, options = {}) {
+  const res = await fetch(`${baseUrl}${path}`, options);
+  return { status: res.status, body: await res.json() };
+}
+
+beforeEach(async () => {
+  vi.clearAllMocks();
+  _resetMetrics();
+  controls = {
+    health: vi.fn(() => ({
+      lastPollAt: new Date().toISOString(),
+      lastPollComplete: true,
+      lastSuccessfulPollAt: new Date().toISOString(),
+      lastPlayback: { at: '2026-05-15T19:00:00.000Z', spoken: true, message: 'Testing.' },
+      mutedUntil: null,
+    })),
+    alerts: vi.fn(() => [{ id: 'urn:test:tornado', event: 'Tornado Warning' }]),
+    history: vi.fn(() => [{ kind: 'warning', message: 'There is a Tornado Warning.' }]),
+    speakTest: vi.fn().mockResolvedValue(true),
+    mute: vi.fn((minutes) => (minutes > 0 ? new Date('2026-05-15T20:00:00Z') : null)),
+    pollNow: vi.fn().mockResolvedValue(),
+  };
+  await listen();
+});
+
+afterEach(async () => {
+  delete process.env.STATUS_API_TOKEN;
+  delete process.env.STATUS_API_PORT;
+  delete process.env.POLL_INTERVAL_MS;
+  await new Promise((resolve) => server.close(resolve));
+});
+
+// ── Read-only routes ──────────────────────────────────────────────────────────
+
+describe('GET routes', () => {
+  it('reports the last poll and playback on /healthz', async () => {
+    const { status, body } = await request('/healthz');
+    expect(status).toBe(200);
+    expect(body).toMatchObject({
+      status: 'ok',
+      lastPollComplete: true,
+      lastPlayback: { spoken: true, message: 'Testing.' },
+    });
+  });
+
+  it('reports stale (503) once no poll has succeeded for three intervals', async () => {
+    process.env.POLL_INTERVAL_MS = '60000';
+    controls.health.mockReturnValue({
+      lastSuccessfulPollAt: new Date(Date.now() - 4 * 60_000).toISOString(),
+    });
+
+    const { status, body } = await request('/healthz');
+    expect(status).toBe(503);
+    expect(body.status).toBe('stale');
+  });
+
+  it('counts from startup before the first successful poll', async () => {
+    controls.health.mockReturnValue({ lastSuccessfulPollAt: null });
+    const { status } = await request('/healthz');
+    expect(status).toBe(200);
+  });
+
+  it('lists the active alerts and the spoken history', async () => {
+    expect((await request('/alerts')).body).toEqual({
+      alerts: [{ id: 'urn:test:tornado', event: 'Tornado Warning' }],
+    });
+    expect((await request('/history')).body).toEqual({
+      history: [{ kind: 'warning', message: 'There is a Tornado Warning.' }],
+    });
+  });
+
+  it('serves the metrics in the Prometheus text format', async () => {
+    controls.health.mockReturnValue({
+      lastSuccessfulPollAt: new Date(Date.now() - 90_000).toISOString(),
+    });
+
+    const res = await fetch(`${baseUrl}/metrics`);
+    const text = await res.text();
+    expect(res.status).toBe(200);
+    expect(res.headers.get('content-type')).toBe('text/plain; version=0.0.4; charset=utf-8');
+    expect(text).toContain('# TYPE calm_tornado_alert_polls_total counter');
+    const [, seconds] = /^calm_tornado_alert_seconds_since_last_successful_poll (\S+)$/m.exec(text);
+    expect(Number(seconds)).toBeGreaterThanOrEqual(90);
+    expect(Number(seconds)).toBeLessThan(100);
+  });
+
+  it('does not need the token', async () => {
+    process.env.STATUS_API_TOKEN = 'secret';
+    expect((await request('/alerts')).status).toBe(200);
+  });
+});
+
+// ── Control routes ────────────────────────────────────────────────────────────
+
+describe('POST routes', () => {
+  const post = (path, headers = {}) => request(path, { method: 'POST', headers });
+
+  it('queues the test message on /speak-test', async () => {
+    const { status } = await post('/speak-test');
+    expect(status).toBe(202);
+    expect(controls.speakTest).toHaveBeenCalledOnce();
+  });
+
+  it('starts a poll on /poll-now', async () => {
+    const { status } = await post('/poll-now');
+    expect(status).toBe(202);
+    expect(controls.pollNow).toHaveBeenCalledOnce();
+  });
+
+  it('mutes for the given minutes and returns when the mute ends', async () => {
+    const { status, body } = await post('/mute?minutes=30');
+    expect(status).toBe(200);
+    expect(controls.mute).toHaveBeenCalledWith(30);
+    expect(body).toEqual({ mutedUntil: '2026-05-15T20:00:00.000Z' });
+  });
+
+  it('unmutes with 0 minutes', async () => {
+    const { body } = await post('/mute?minutes=0');
+    expect(controls.mute).toHaveBeenCalledWith(0);
+    expect(body).toEqual({ mutedUntil: null });
+  });
+
+  it.each(['', '?minutes=', '?minutes=soon', '?minutes=-5', '?minutes=1441'])(
+    'rejects /mute%s with 400',
+    async (query) => {
+      const { status } = await post(`/mute${query}`);
+      expect(status).toBe(400);
+      expect(controls.mute).not.toHaveBeenCalled();
+    }
+  );
+
+  it('requires the bearer token when one is set', async () => {
+    process.env.STATUS_API_TOKEN = 'secret';
+
+    expect((await post('/poll-now')).status).toBe(401);
+    expect((await post('/poll-now', { Authorization: 'Bearer wrong' })).status).toBe(401);
+    expect(controls.pollNow).not.toHaveBeenCalled();
+
+    expect((await post('/poll-now', { Authorization: 'Bearer secret' })).status).toBe(202);
+    expect(controls.pollNow).toHaveBeenCalledOnce();
+  });
+});
+
+// ── Errors ────────────────────────────────────────────────────────────────────
+
+describe('errors', () => {
+  it('answers 404 for unknown paths and 405 for the wrong method', async () => {
+    expect((await request('/nope')).status).toBe(404);
+    expect((await request('/poll-now')).status).toBe(405);
+    expect((await request('/alerts', { method: 'POST' })).status).toBe(405);
+    expect(controls.pollNow).not.toHaveBeenCalled();
+  });
+
+  it('answers 500 when a control throws', async () => {
+    controls.alerts.mockImplementation(() => {
+      throw new Error('boom');
+    });
+    const { status, body } = await request('/alerts');
+    expect(status).toBe(500);
+    expect(body).toEqual({ error: 'boom' });
+  });
+});
+
+// ── startStatusApi ────────────────────────────────────────────────────────────
+
+describe('startStatusApi', () => {
+  it('does nothing without STATUS_API_PORT', async () => {
+    await expect(startStatusApi(controls)).resolves.toBeNull();
+  });
+
+  it('carries on without the API when the port is taken', async () => {
+    process.env.STATUS_API_PORT = String(server.address().port);
+    await expect(startStatusApi(controls)).resolves.toBeNull();
+  });
+});
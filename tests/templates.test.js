@@ -0,0 +1,159 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+
+vi.mock('fs', () => ({ readFileSync: vi.fn() }));
+
+import {
+  PLACEHOLDERS,
+  compileTemplate,
+  renderTemplate,
+  parseTemplatesFile,
+  loadTemplates,
+} from '../src/templates.js';
+import { DEFAULT_HAZARDS } from '../src/hazards.js';
+import { readFileSync } from 'fs';
+
+afterEach(() => {
+  vi.clearAllMocks();
+  delete process.env.TEMPLATES_FILE;
+});
+
+// ── renderTemplate ────────────────────────────────────────────────────────────
+
+describe('renderTemplate', () => {
+  it('replaces placeholders, tolerating inner spaces', () => {
+    expect(renderTemplate('A {{event}} for {{ area }}.', { event: 'watch', area: 'here' })).toBe(
+      'A watch for here.'
+    );
+  });
+
+  it('renders missing or null values as nothing and collapses the gap', () => {
+    expect(renderTemplate('One. {{proximity}} {{arrival}} Two.', { arrival: null })).toBe(
+      'One. Two.'
+    );
+  });
+
+  it('joins multi-line templates into one sentence stream', () => {
+    expect(renderTemplate('Hello\n   {{area}}\n\n.', { area: 'there' })).toBe('Hello there .');
+  });
+
+  describe('conditional sections', () => {
+    const template =
+      'In effect {{#expires}}until {{expires}}{{/expires}}{{^expires}}until further notice{{/expires}}.';
+
+    it('renders {{#name}} only when the value is present', () => {
+      expect(renderTemplate(template, { expires: '4:00 PM' })).toBe('In effect until 4:00 PM.');
+    });
+
+    it('renders {{^name}} only when the value is missing or empty', () => {
+      expect(renderTemplate(template, {})).toBe('In effect until further notice.');
+      expect(renderTemplate(template, { expires: '' })).toBe('In effect until further notice.');
+    });
+
+    it('supports nesting', () => {
+      const nested =
+        '{{#location}}For {{location}}{{#proximity}}, {{proximity}}{{/proximity}}.{{/location}}';
+      expect(renderTemplate(nested, { location: 'Home', proximity: 'nearby' })).toBe(
+        'For Home, nearby.'
+      );
+      expect(renderTemplate(nested, { location: 'Home' })).toBe('For Home.');
+      expect(renderTemplate(nested, { proximity: 'nearby' })).toBe('');
+    });
+  });
+});
+
+// ── compileTemplate – validation ──────────────────────────────────────────────
+
+describe('compileTemplate', () => {
+  it('accepts every built-in hazard template', () => {
+    DEFAULT_HAZARDS.forEach((h) => expect(() => compileTemplate(h.template)).not.toThrow());
+  });
+
+  it('accepts every documented placeholder', () => {
+    expect(() => compileTemplate(PLACEHOLDERS.map((p) => `{{${p}}}`).join(' '))).not.toThrow();
+  });
+
+  it.each([
+    ['Hi {{aera}}', 'line 1: unknown placeholder {{aera}}'],
+    ['Hi\nthere\n{{#expires}}x', 'line 3: {{#expires}} is never closed'],
+    ['{{#expires}}x{{/area}}', 'line 1: {{/area}} closes {{#expires}}'],
+    ['x\n{{/area}}', 'line 2: {{/area}} has no matching {{#area}}'],
+    ['Hi {{area', 'line 1: unclosed or stray braces near "Hi {{area"'],
+    ['{{area two}}', 'line 1: malformed placeholder {{area two}}'],
+  ])('rejects %j', (source, message) => {
+    expect(() => compileTemplate(source)).toThrow(message);
+  });
+
+  it('names the origin and offsets the line number', () => {
+    expect(() => compileTemplate('ok\n{{nope}}', { origin: 'my.txt [X]', line: 10 })).toThrow(
+      'my.txt [X] line 11: unknown placeholder {{nope}}'
+    );
+  });
+});
+
+// ── parseTemplatesFile ────────────────────────────────────────────────────────
+
+describe('parseTemplatesFile', () => {
+  it('reads one template per [Event] section, skipping comments', () => {
+    const text = [
+      '# My wording',
+      '[Tornado Warning]',
+      'Tornado warning for {{area}}.',
+      '# keep it short',
+      'Take care.',
+      '',
+      '[Tornado Watch]',
+      'Tornado watch for {{area}}.',
+    ].join('\n');
+    const templates = parseTemplatesFile(text, 'my.txt');
+    expect([...templates.keys()]).toEqual(['Tornado Warning', 'Tornado Watch']);
+    expect(renderTemplate(templates.get('Tornado Warning'), { area: 'here' })).toBe(
+      'Tornado warning for here. Take care.'
+    );
+  });
+
+  it('reports the file line of an invalid placeholder', () => {
+    const text = '[Tornado Warning]\nHello.\nThere is a warning for {{areaa}}.';
+    expect(() => parseTemplatesFile(text, 'my.txt')).toThrow(
+      'my.txt [Tornado Warning] line 3: unknown placeholder {{areaa}}'
+    );
+  });
+
+  it('rejects text before the first header', () => {
+    expect(() => parseTemplatesFile('Hello\n[Tornado Warning]\nx', 'my.txt')).toThrow(
+      'my.txt line 1: text before the first [Event Name] header'
+    );
+  });
+
+  it('rejects duplicate and empty sections', () => {
+    expect(() => parseTemplatesFile('[A]\nx\n[A]\ny', 'my.txt')).toThrow(
+      'my.txt line 3: duplicate [A]'
+    );
+    expect(() => parseTemplatesFile('[A]\n\n[B]\ny', 'my.txt')).toThrow(
+      'my.txt line 1: [A] has no template text'
+    );
+  });
+});
+
+// ── loadTemplates ─────────────────────────────────────────────────────────────
+
+describe('loadTemplates', () => {
+  it('returns an empty map when TEMPLATES_FILE is not set', () => {
+    expect(loadTemplates().size).toBe(0);
+    expect(readFileSync).not.toHaveBeenCalled();
+  });
+
+  it('parses the configured file', () => {
+    process.env.TEMPLATES_FILE = '/etc/templates.txt';
+    vi.mocked(readFileSync).mockReturnValue('[Tornado Warning]\nHi {{area}}.');
+    expect(loadTemplates().get('Tornado Warning')).toBe('Hi {{area}}.');
+    expect(readFileSync).toHaveBeenCalledWith('/etc/templates.txt', 'utf8');
+  });
+
+  it('reports unreadable files', () => {
+    process.env.TEMPLATES_FILE = '/missing.txt';
+    vi.mocked(readFileSync).mockImplementation(() => {
+      throw new Error('ENOENT');
+    });
+    expect(() => loadTemplates()).toThrow('Could not read TEMPLATES_FILE "/missing.txt": ENOENT');
+  });
+});
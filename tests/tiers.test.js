@@ -0,0 +1,81 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { classifyTier, describeDetection, getVoiceSettings } from '../src/tiers.js';
+
+const warning = (parameters = {}, description = '') => ({
+  id: 'urn:test:1',
+  properties: {
+    event: 'Tornado Warning',
+    headline: 'Tornado Warning issued',
+    description,
+    parameters,
+  },
+});
+
+afterEach(() => {
+  delete process.env.PDS_VOLUME;
+  delete process.env.EMERGENCY_SPEAKING_RATE;
+});
+
+// ── classifyTier ──────────────────────────────────────────────────────────────
+
+describe('classifyTier', () => {
+  it('treats an ordinary warning as standard', () => {
+    expect(classifyTier(warning())).toBe('standard');
+    expect(classifyTier({ id: 'x', properties: { event: 'Tornado Warning' } })).toBe('standard');
+  });
+
+  it('uses the tornado damage threat', () => {
+    expect(classifyTier(warning({ tornadoDamageThreat: ['CONSIDERABLE'] }))).toBe('pds');
+    expect(classifyTier(warning({ tornadoDamageThreat: ['CATASTROPHIC'] }))).toBe('emergency');
+  });
+
+  it('recognizes the wording in the description', () => {
+    const pds = 'THIS IS A PARTICULARLY DANGEROUS SITUATION. TAKE COVER NOW!';
+    const emergency = '...TORNADO EMERGENCY FOR NORTHEASTERN JEFFERSON COUNTY...';
+    expect(classifyTier(warning({}, pds))).toBe('pds');
+    expect(classifyTier(warning({}, emergency))).toBe('emergency');
+  });
+
+  it('lets an emergency outrank a PDS threat', () => {
+    const alert = warning({ tornadoDamageThreat: ['CONSIDERABLE'] }, 'A TORNADO EMERGENCY...');
+    expect(classifyTier(alert)).toBe('emergency');
+  });
+});
+
+// ── describeDetection ─────────────────────────────────────────────────────────
+
+describe('describeDetection', () => {
+  it('names radar-indicated and observed tornadoes', () => {
+    expect(describeDetection(warning({ tornadoDetection: ['RADAR INDICATED'] }))).toBe(
+      'This tornado is radar indicated.'
+    );
+    expect(describeDetection(warning({ tornadoDetection: ['OBSERVED'] }))).toBe(
+      'A tornado has been observed.'
+    );
+  });
+
+  it('returns null when the alert does not say', () => {
+    expect(describeDetection(warning())).toBeNull();
+    expect(describeDetection(warning({ tornadoDetection: ['POSSIBLE'] }))).toBeNull();
+  });
+});
+
+// ── getVoiceSettings ──────────────────────────────────────────────────────────
+
+describe('getVoiceSettings', () => {
+  it('leaves the standard tier to the usual settings', () => {
+    expect(getVoiceSettings('standard')).toEqual({});
+  });
+
+  it('returns built-in settings for escalated tiers', () => {
+    expect(getVoiceSettings('pds')).toEqual({ volume: 45, speakingRate: 0.85 });
+    expect(getVoiceSettings('emergency')).toEqual({ volume: 60, speakingRate: 0.9 });
+  });
+
+  it('reads overrides from the environment', () => {
+    process.env.PDS_VOLUME = '50';
+    process.env.EMERGENCY_SPEAKING_RATE = '0.8';
+    expect(getVoiceSettings('pds').volume).toBe(50);
+    expect(getVoiceSettings('emergency').speakingRate).toBe(0.8);
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+vi.mock('../src/logger.js', () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn() },
+}));
+
+import { isDryRun, formatTranscriptLine, transcribe } from '../src/transcript.js';
+
+let dir;
+let output;
+
+beforeEach(() => {
+  vi.useFakeTimers();
+  vi.setSystemTime(new Date('2026-05-15T19:00:00Z'));
+  dir = mkdtempSync(join(tmpdir(), 'transcript-'));
+  output = [];
+  vi.spyOn(console, 'log').mockImplementation((line) => output.push(line));
+});
+
+afterEach(() => {
+  vi.useRealTimers();
+  vi.restoreAllMocks();
+  rmSync(dir, { recursive: true, force: true });
+  delete process.env.DRY_RUN;
+  delete process.env.TRANSCRIPT_FILE;
+  delete process.env.TTS_PROVIDER;
+  delete process.env.VOLUME;
+});
+
+// ── isDryRun ──────────────────────────────────────────────────────────────────
+
+describe('isDryRun', () => {
+  it.each(['true', '1', 'yes', 'on', ' TRUE '])('is on for DRY_RUN=%j', (value) => {
+    process.env.DRY_RUN = value;
+    expect(isDryRun()).toBe(true);
+  });
+
+  it.each(['', 'false', '0', 'no'])('is off for DRY_RUN=%j', (value) => {
+    process.env.DRY_RUN = value;
+    expect(isDryRun()).toBe(false);
+  });
+
+  it('is off by default', () => {
+    expect(isDryRun()).toBe(false);
+  });
+});
+
+// ── formatTranscriptLine ──────────────────────────────────────────────────────
+
+describe('formatTranscriptLine', () => {
+  it('shows the time, tier, volume and voice of a standard announcement', () => {
+    expect(formatTranscriptLine('There is a tornado warning.')).toBe(
+      '[2026-05-15T19:00:00.000Z] standard, volume 30%, google ' +
+        'voice=en-US-Wavenet-D speakingRate=0.85 pitch=-2: There is a tornado warning.'
+    );
+  });
+
+  it('uses the tier overrides and VOLUME', () => {
+    process.env.VOLUME = '25';
+    expect(formatTranscriptLine('Take shelter.', { speakingRate: 0.9 }, 'pds')).toContain(
+      'pds, volume 25%, google voice=en-US-Wavenet-D speakingRate=0.9'
+    );
+    expect(formatTranscriptLine('Take shelter.', { volume: 60 }, 'emergency')).toContain(
+      'emergency, volume 60%'
+    );
+  });
+
+  it("describes the first provider's voice", () => {
+    process.env.TTS_PROVIDER = 'elevenlabs';
+    const line = formatTranscriptLine('Take shelter.', { speakingRate: 0.9 });
+    expect(line).toMatch(/elevenlabs voiceId=\S+ modelId=\S+ voiceSettings=\{.*"speed":0.9\}/);
+  });
+});
+
+// ── transcribe ────────────────────────────────────────────────────────────────
+
+describe('transcribe', () => {
+  it('prints the line without TRANSCRIPT_FILE', async () => {
+    await transcribe('Testing… everything is calm.', {}, 'standard');
+    expect(output).toEqual([expect.stringMatching(/: Testing… everything is calm\.$/)]);
+  });
+
+  it('appends to TRANSCRIPT_FILE instead, creating its directory', async () => {
+    process.env.TRANSCRIPT_FILE = join(dir, 'out', 'transcript.log');
+    await transcribe('First.');
+    await transcribe('Second.');
+
+    expect(output).toEqual([]);
+    const lines = readFileSync(process.env.TRANSCRIPT_FILE, 'utf8').trimEnd().split('\n');
+    expect(lines).toEqual([
+      expect.stringMatching(/: First\.$/),
+      expect.stringMatching(/: Second\.$/),
+    ]);
+  });
+
+  it('rejects when TRANSCRIPT_FILE cannot be written', async () => {
+    process.env.TRANSCRIPT_FILE = dir; // a directory
+    await expect(transcribe('Take shelter.')).rejects.toThrow();
+  });
+});
@@ -1,14 +1,33 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 
+vi.mock('child_process', () => ({ spawn: vi.fn() }));
+vi.mock('../src/audioCache.js', () => ({
+  audioCacheKey: vi.fn((text, provider) => `${provider}-key`),
+  findCachedAudio: vi.fn(),
+  cacheAudio: vi.fn(),
+}));
 vi.mock('fs', () => ({
+  readdirSync: vi.fn(),
   writeFileSync: vi.fn(),
   mkdirSync: vi.fn(),
   readFileSync: vi.fn(),
   appendFileSync: vi.fn(),
 }));
 
-import { writeFileSync, mkdirSync } from 'fs';
-import { synthesizeSpeech } from '../src/tts.js';
+import { EventEmitter } from 'events';
+import { readdirSync, writeFileSync } from 'fs';
+import { spawn } from 'child_process';
+import { audioCacheKey, findCachedAudio, cacheAudio } from '../src/audioCache.js';
+import {
+  synthesizeSpeech,
+  getProviderChain,
+  describeVoice,
+  prewarmSpeech,
+  listVoices,
+  _resetCircuitBreakers,
+} from '../src/tts.js';
+import { renderMetrics, _reset as _resetMetrics } from '../src/metrics.js';
+import { getVoiceSettings } from '../src/tiers.js';
 
 // ── Helpers ───────────────────────────────────────────────────────────────────
 
@@ -28,11 +47,43 @@ function makeElevenLabsSuccessResponse() {
   };
 }
 
+/**
+ * Creates a mock engine process that exits with the given code (or fails to
+ * start) once the text has been written to its stdin.
+ */
+function createMockEngine({ exitCode = 0, error = null, stderr = '' } = {}) {
+  const proc = new EventEmitter();
+  proc.stderr = new EventEmitter();
+  proc.stdin = new EventEmitter();
+  proc.stdin.end = vi.fn(() => {
+    Promise.resolve().then(() => {
+      if (error) return proc.emit('error', error);
+      if (stderr) proc.stderr.emit('data', Buffer.from(stderr));
+      proc.emit('close', exitCode);
+    });
+  });
+  return proc;
+}
+
+/** Returns the value following a flag in the engine's arguments */
+function argAfter(flag) {
+  const [, args] = vi.mocked(spawn).mock.calls[0];
+  return args[args.indexOf(flag) + 1];
+}
+
 // ── Setup / Teardown ──────────────────────────────────────────────────────────
 
 beforeEach(() => {
   vi.stubGlobal('fetch', vi.fn());
   vi.clearAllMocks();
+  _resetCircuitBreakers();
+  _resetMetrics();
+  // An empty cache: providers write to a temporary path, kept under <key>.<extension>
+  vi.mocked(findCachedAudio).mockReturnValue(null);
+  vi.mocked(cacheAudio).mockImplementation(async (key, extension, write) => {
+    await write(`./data/tts-cache/${key}.${extension}.partial`);
+    return `./data/tts-cache/${key}.${extension}`;
+  });
 });
 
 afterEach(() => {
@@ -43,6 +94,18 @@ afterEach(() => {
   delete process.env.GOOGLE_VOICE;
   delete process.env.ELEVENLABS_API_KEY;
   delete process.env.ELEVENLABS_VOICE_ID;
+  delete process.env.LOCAL_TTS_ENGINE;
+  delete process.env.LOCAL_TTS_VOICE;
+  delete process.env.LOCAL_TTS_RATE;
+  delete process.env.LOCAL_TTS_PITCH;
+  delete process.env.TTS_PROVIDERS;
+  delete process.env.PDS_SPEAKING_RATE;
+  delete process.env.EMERGENCY_SPEAKING_RATE;
+  delete process.env.TTS_TIMEOUT_MS;
+  delete process.env.GOOGLE_TIMEOUT_MS;
+  delete process.env.TTS_BREAKER_THRESHOLD;
+  delete process.env.TTS_BREAKER_COOLDOWN_MS;
+  delete process.env.AUDIO_PLAYER;
 });
 
 // ── Google Cloud TTS ──────────────────────────────────────────────────────────
@@ -75,6 +138,24 @@ describe('synthesizeSpeech – Google provider', () => {
     expect(body.audioConfig.speakingRate).toBeLessThanOrEqual(0.9);
   });
 
+  it('uses the speaking rate of an escalated tier when given', async () => {
+    vi.mocked(fetch).mockResolvedValue(makeGoogleSuccessResponse());
+    await synthesizeSpeech('hello', { speakingRate: 0.9 });
+    const [, opts] = vi.mocked(fetch).mock.calls[0];
+    expect(JSON.parse(opts.body).audioConfig.speakingRate).toBe(0.9);
+  });
+
+  it.each(['pds', 'emergency'])(
+    'speakingRate stays ≤ 0.9 for the %s tier, whatever its rate is set to',
+    async (tier) => {
+      process.env[`${tier.toUpperCase()}_SPEAKING_RATE`] = '1.2';
+      vi.mocked(fetch).mockResolvedValue(makeGoogleSuccessResponse());
+      await synthesizeSpeech('hello', getVoiceSettings(tier));
+      const [, opts] = vi.mocked(fetch).mock.calls[0];
+      expect(JSON.parse(opts.body).audioConfig.speakingRate).toBe(0.9);
+    }
+  );
+
   it('pitch is ≤ 0 (calm, low pitch — spec requirement)', async () => {
     vi.mocked(fetch).mockResolvedValue(makeGoogleSuccessResponse());
     await synthesizeSpeech('hello');
@@ -115,10 +196,14 @@ describe('synthesizeSpeech – Google provider', () => {
     expect(Buffer.isBuffer(writtenBuf)).toBe(true);
   });
 
-  it('creates the output directory before writing', async () => {
+  it('writes the audio into the cache as MP3', async () => {
     vi.mocked(fetch).mockResolvedValue(makeGoogleSuccessResponse());
     await synthesizeSpeech('hello');
-    expect(mkdirSync).toHaveBeenCalledWith(expect.any(String), { recursive: true });
+    expect(cacheAudio).toHaveBeenCalledWith('google-key', 'mp3', expect.any(Function));
+    expect(writeFileSync).toHaveBeenCalledWith(
+      './data/tts-cache/google-key.mp3.partial',
+      expect.any(Buffer)
+    );
   });
 
   it('returns the path to the output MP3 file', async () => {
@@ -182,6 +267,26 @@ describe('synthesizeSpeech – ElevenLabs provider', () => {
     expect(body.voice_settings.stability).toBeGreaterThanOrEqual(0.7);
   });
 
+  it('sends a speed only when a speaking rate is given', async () => {
+    vi.mocked(fetch).mockResolvedValue(makeElevenLabsSuccessResponse());
+    await synthesizeSpeech('hello');
+    await synthesizeSpeech('hello', { speakingRate: 0.9 });
+    const [first, second] = vi.mocked(fetch).mock.calls.map(([, opts]) => JSON.parse(opts.body));
+    expect(first.voice_settings).not.toHaveProperty('speed');
+    expect(second.voice_settings.speed).toBe(0.9);
+  });
+
+  it.each(['pds', 'emergency'])(
+    'speed stays ≤ 0.9 for the %s tier, whatever its rate is set to',
+    async (tier) => {
+      process.env[`${tier.toUpperCase()}_SPEAKING_RATE`] = '1.2';
+      vi.mocked(fetch).mockResolvedValue(makeElevenLabsSuccessResponse());
+      await synthesizeSpeech('hello', getVoiceSettings(tier));
+      const [, opts] = vi.mocked(fetch).mock.calls[0];
+      expect(JSON.parse(opts.body).voice_settings.speed).toBe(0.9);
+    }
+  );
+
   it('style is 0 (no expressiveness — calm tone)', async () => {
     vi.mocked(fetch).mockResolvedValue(makeElevenLabsSuccessResponse());
     await synthesizeSpeech('hello');
@@ -226,6 +331,112 @@ describe('synthesizeSpeech – ElevenLabs provider', () => {
   });
 });
 
+// ── Local engines ─────────────────────────────────────────────────────────────
+
+describe('synthesizeSpeech – local provider (espeak-ng)', () => {
+  beforeEach(() => {
+    process.env.TTS_PROVIDER = 'local';
+    vi.mocked(spawn).mockImplementation(() => createMockEngine());
+  });
+
+  it('runs espeak-ng by default, without any network call', async () => {
+    await synthesizeSpeech('hello');
+    expect(spawn).toHaveBeenCalledWith('espeak-ng', expect.any(Array), expect.any(Object));
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('passes the text on stdin', async () => {
+    await synthesizeSpeech('hello');
+    const proc = vi.mocked(spawn).mock.results[0].value;
+    expect(proc.stdin.end).toHaveBeenCalledWith('hello');
+    expect(argAfter('-w')).toBe('./data/tts-cache/local-key.wav.partial');
+  });
+
+  it('speaks slower than espeak-ng normally does (calm rate ≤ 0.9)', async () => {
+    await synthesizeSpeech('hello');
+    expect(parseInt(argAfter('-s'), 10)).toBe(149); // 175 wpm × 0.85
+  });
+
+  it('speaks lower than espeak-ng normally does (calm pitch ≤ 0)', async () => {
+    await synthesizeSpeech('hello');
+    expect(parseInt(argAfter('-p'), 10)).toBeLessThan(50);
+  });
+
+  it('uses LOCAL_TTS_VOICE, defaulting to en-us', async () => {
+    await synthesizeSpeech('hello');
+    expect(argAfter('-v')).toBe('en-us');
+
+    vi.mocked(spawn).mockClear();
+    process.env.LOCAL_TTS_VOICE = 'en-gb';
+    await synthesizeSpeech('hello');
+    expect(argAfter('-v')).toBe('en-gb');
+  });
+
+  it('caps LOCAL_TTS_RATE and LOCAL_TTS_PITCH at the calm limits', async () => {
+    process.env.LOCAL_TTS_RATE = '1.5';
+    process.env.LOCAL_TTS_PITCH = '4';
+    await synthesizeSpeech('hello');
+    expect(parseInt(argAfter('-s'), 10)).toBe(Math.round(175 * 0.9));
+    expect(parseInt(argAfter('-p'), 10)).toBe(50);
+  });
+
+  it('uses the speaking rate of an escalated tier when given', async () => {
+    await synthesizeSpeech('hello', { speakingRate: 0.9 });
+    expect(parseInt(argAfter('-s'), 10)).toBe(158);
+  });
+
+  it('returns the path to the cached WAV file', async () => {
+    await expect(synthesizeSpeech('hello')).resolves.toBe('./data/tts-cache/local-key.wav');
+  });
+
+  it('throws when the engine is not installed', async () => {
+    const error = Object.assign(new Error('spawn espeak-ng ENOENT'), { code: 'ENOENT' });
+    vi.mocked(spawn).mockImplementation(() => createMockEngine({ error }));
+    await expect(synthesizeSpeech('hello')).rejects.toThrow(
+      'Local TTS engine "espeak-ng" failed: spawn espeak-ng ENOENT'
+    );
+  });
+
+  it('throws with the engine output when it exits with an error', async () => {
+    vi.mocked(spawn).mockImplementation(() =>
+      createMockEngine({ exitCode: 1, stderr: 'unknown voice\n' })
+    );
+    await expect(synthesizeSpeech('hello')).rejects.toThrow('exited with code 1: unknown voice');
+  });
+});
+
+describe('synthesizeSpeech – local provider (Piper)', () => {
+  beforeEach(() => {
+    process.env.TTS_PROVIDER = 'local';
+    process.env.LOCAL_TTS_ENGINE = 'piper';
+    process.env.LOCAL_TTS_VOICE = '/voices/en_US-lessac-medium.onnx';
+    vi.mocked(spawn).mockImplementation(() => createMockEngine());
+  });
+
+  it('runs piper with the configured model', async () => {
+    await synthesizeSpeech('hello');
+    expect(spawn).toHaveBeenCalledWith('piper', expect.any(Array), expect.any(Object));
+    expect(argAfter('--model')).toBe('/voices/en_US-lessac-medium.onnx');
+    expect(argAfter('--output_file')).toBe('./data/tts-cache/local-key.wav.partial');
+  });
+
+  it('stretches speech for a calm rate (length_scale ≥ 1 / 0.9)', async () => {
+    await synthesizeSpeech('hello');
+    expect(parseFloat(argAfter('--length_scale'))).toBeGreaterThanOrEqual(1 / 0.9);
+  });
+
+  it('throws when no Piper model is configured', async () => {
+    delete process.env.LOCAL_TTS_VOICE;
+    await expect(synthesizeSpeech('hello')).rejects.toThrow('LOCAL_TTS_VOICE must be set');
+    expect(spawn).not.toHaveBeenCalled();
+  });
+
+  it('throws for an unknown engine', async () => {
+    process.env.LOCAL_TTS_ENGINE = 'say';
+    await expect(synthesizeSpeech('hello')).rejects.toThrow('Unknown LOCAL_TTS_ENGINE "say"');
+  });
+});
+
 // ── Provider selection ────────────────────────────────────────────────────────
 
 describe('synthesizeSpeech – provider selection', () => {
@@ -256,3 +467,348 @@ describe('synthesizeSpeech – provider selection', () => {
     expect(url).toContain('elevenlabs.io');
   });
 });
+
+// ── Encoding negotiation ──────────────────────────────────────────────────────
+
+describe('synthesizeSpeech – encoding for the audio player', () => {
+  beforeEach(() => {
+    process.env.GOOGLE_API_KEY = 'test-google-key';
+    process.env.ELEVENLABS_API_KEY = 'test-eleven-key';
+  });
+
+  it('asks Google for LINEAR16 (WAV) when the player is aplay', async () => {
+    process.env.AUDIO_PLAYER = 'aplay';
+    vi.mocked(fetch).mockResolvedValue(makeGoogleSuccessResponse());
+    await expect(synthesizeSpeech('hello')).resolves.toBe('./data/tts-cache/google-key.wav');
+    const body = JSON.parse(vi.mocked(fetch).mock.calls[0][1].body);
+    expect(body.audioConfig.audioEncoding).toBe('LINEAR16');
+  });
+
+  it('asks ElevenLabs for MP3 by default', async () => {
+    process.env.TTS_PROVIDER = 'elevenlabs';
+    vi.mocked(fetch).mockResolvedValue(makeElevenLabsSuccessResponse());
+    await synthesizeSpeech('hello');
+    const [url] = vi.mocked(fetch).mock.calls[0];
+    expect(url).toContain('output_format=mp3_44100_128');
+  });
+
+  it('asks ElevenLabs for PCM and wraps it in a WAV header when the player is aplay', async () => {
+    process.env.TTS_PROVIDER = 'elevenlabs';
+    process.env.AUDIO_PLAYER = 'aplay';
+    const pcm = new Uint8Array([1, 0, 2, 0]);
+    vi.mocked(fetch).mockResolvedValue({
+      ok: true,
+      arrayBuffer: () => Promise.resolve(pcm.buffer),
+    });
+    await expect(synthesizeSpeech('hello')).resolves.toBe('./data/tts-cache/elevenlabs-key.wav');
+    const [url] = vi.mocked(fetch).mock.calls[0];
+    expect(url).toContain('output_format=pcm_22050');
+    const [, wav] = vi.mocked(writeFileSync).mock.calls[0];
+    expect(wav.toString('ascii', 0, 4)).toBe('RIFF');
+    expect(wav.readUInt32LE(24)).toBe(22050);
+    expect([...wav.subarray(44)]).toEqual([1, 0, 2, 0]);
+  });
+
+  it('keeps WAV for the local engine even when the player is mpg123', async () => {
+    process.env.TTS_PROVIDER = 'local';
+    process.env.AUDIO_PLAYER = 'mpg123';
+    vi.mocked(spawn).mockImplementation(() => createMockEngine());
+    await expect(synthesizeSpeech('hello')).resolves.toBe('./data/tts-cache/local-key.wav');
+  });
+
+  it('caches each encoding separately', async () => {
+    vi.mocked(fetch).mockResolvedValue(makeGoogleSuccessResponse());
+    await synthesizeSpeech('hello');
+    process.env.AUDIO_PLAYER = 'aplay';
+    await synthesizeSpeech('hello');
+    const encodings = vi
+      .mocked(audioCacheKey)
+      .mock.calls.map(([, , settings]) => settings.encoding);
+    expect(encodings).toEqual(['mp3', 'wav']);
+  });
+});
+
+// ── Provider failover ─────────────────────────────────────────────────────────
+
+describe('getProviderChain', () => {
+  it('reads the ordered TTS_PROVIDERS list', () => {
+    process.env.TTS_PROVIDERS = 'elevenlabs, Google,local';
+    expect(getProviderChain()).toEqual(['elevenlabs', 'google', 'local']);
+  });
+
+  it('falls back to TTS_PROVIDER, then google', () => {
+    process.env.TTS_PROVIDER = 'local';
+    expect(getProviderChain()).toEqual(['local']);
+    delete process.env.TTS_PROVIDER;
+    expect(getProviderChain()).toEqual(['google']);
+  });
+
+  it('skips unknown and repeated providers', () => {
+    process.env.TTS_PROVIDERS = 'polly,local,local';
+    expect(getProviderChain()).toEqual(['local']);
+    process.env.TTS_PROVIDERS = 'polly';
+    expect(getProviderChain()).toEqual(['google']);
+  });
+});
+
+describe('describeVoice', () => {
+  it("resolves the first provider's settings without synthesizing", () => {
+    process.env.TTS_PROVIDERS = 'elevenlabs,google';
+    expect(describeVoice({ speakingRate: 0.9 })).toEqual({
+      provider: 'elevenlabs',
+      settings: expect.objectContaining({
+        voiceSettings: expect.objectContaining({ stability: 0.8, speed: 0.9 }),
+      }),
+    });
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('defaults to the standard Google voice', () => {
+    expect(describeVoice()).toEqual({
+      provider: 'google',
+      settings: { voice: 'en-US-Wavenet-D', speakingRate: 0.85, pitch: -2 },
+    });
+  });
+});
+
+describe('synthesizeSpeech – provider failover', () => {
+  beforeEach(() => {
+    process.env.TTS_PROVIDERS = 'google,elevenlabs,local';
+    process.env.GOOGLE_API_KEY = 'test-google-key';
+    process.env.ELEVENLABS_API_KEY = 'test-eleven-key';
+    vi.mocked(spawn).mockImplementation(() => createMockEngine());
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const calledUrls = () => vi.mocked(fetch).mock.calls.map(([url]) => new URL(url).host);
+
+  it('uses the first provider when it succeeds', async () => {
+    vi.mocked(fetch).mockResolvedValue(makeGoogleSuccessResponse());
+    await expect(synthesizeSpeech('hello')).resolves.toBe('./data/tts-cache/google-key.mp3');
+    expect(calledUrls()).toEqual(['texttospeech.googleapis.com']);
+  });
+
+  it('falls through to the next provider when one fails', async () => {
+    vi.mocked(fetch)
+      .mockResolvedValueOnce({ ok: false, status: 403, text: () => Promise.resolve('Quota') })
+      .mockRejectedValueOnce(new Error('network down'));
+
+    await expect(synthesizeSpeech('hello')).resolves.toBe('./data/tts-cache/local-key.wav');
+    expect(calledUrls()).toEqual(['texttospeech.googleapis.com', 'api.elevenlabs.io']);
+    expect(spawn).toHaveBeenCalledOnce();
+  });
+
+  it('lists every error when all providers fail', async () => {
+    vi.mocked(fetch).mockRejectedValue(new Error('network down'));
+    vi.mocked(spawn).mockImplementation(() => createMockEngine({ exitCode: 1 }));
+
+    await expect(synthesizeSpeech('hello')).rejects.toThrow(
+      /All TTS providers failed \(google: network down; elevenlabs: network down; local: .*code 1/
+    );
+  });
+
+  it('records failures and the latency of the provider that spoke', async () => {
+    vi.mocked(fetch)
+      .mockRejectedValueOnce(new Error('network down'))
+      .mockResolvedValueOnce(makeElevenLabsSuccessResponse());
+
+    await synthesizeSpeech('hello');
+
+    const metrics = renderMetrics();
+    expect(metrics).toContain('calm_tornado_alert_tts_failures_total{provider="google"} 1');
+    expect(metrics).toContain(
+      'calm_tornado_alert_tts_duration_seconds_count{provider="elevenlabs"} 1'
+    );
+    expect(metrics).not.toContain('provider="local"');
+  });
+
+  it('gives up on a provider after its timeout and aborts its request', async () => {
+    vi.useFakeTimers();
+    process.env.TTS_TIMEOUT_MS = '20000';
+    process.env.GOOGLE_TIMEOUT_MS = '5000';
+    vi.mocked(fetch).mockReturnValueOnce(new Promise(() => {}));
+
+    const result = synthesizeSpeech('hello');
+    await vi.advanceTimersByTimeAsync(5000);
+    await expect(result).resolves.toBe('./data/tts-cache/local-key.wav');
+    const [, { signal }] = vi.mocked(fetch).mock.calls[0];
+    expect(signal.aborted).toBe(true);
+  });
+
+  it('skips a provider after repeated failures until the cooldown has passed', async () => {
+    vi.useFakeTimers();
+    process.env.TTS_PROVIDERS = 'google,local';
+    process.env.TTS_BREAKER_THRESHOLD = '2';
+    process.env.TTS_BREAKER_COOLDOWN_MS = '60000';
+    vi.mocked(fetch).mockRejectedValue(new Error('network down'));
+
+    await synthesizeSpeech('one');
+    await synthesizeSpeech('two');
+    expect(fetch).toHaveBeenCalledTimes(2);
+
+    await synthesizeSpeech('three'); // breaker open: straight to the local engine
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(spawn).toHaveBeenCalledTimes(3);
+
+    vi.advanceTimersByTime(60_000);
+    vi.mocked(fetch).mockResolvedValue(makeGoogleSuccessResponse());
+    await expect(synthesizeSpeech('four')).resolves.toBe('./data/tts-cache/google-key.mp3');
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('tries every provider when all of them are cooling down', async () => {
+    process.env.TTS_PROVIDERS = 'google';
+    process.env.TTS_BREAKER_THRESHOLD = '1';
+    vi.mocked(fetch).mockRejectedValueOnce(new Error('network down'));
+    await expect(synthesizeSpeech('one')).rejects.toThrow('network down');
+
+    vi.mocked(fetch).mockResolvedValue(makeGoogleSuccessResponse());
+    await expect(synthesizeSpeech('two')).resolves.toBe('./data/tts-cache/google-key.mp3');
+  });
+});
+
+// ── Audio cache ───────────────────────────────────────────────────────────────
+
+describe('synthesizeSpeech – audio cache', () => {
+  beforeEach(() => {
+    process.env.TTS_PROVIDERS = 'google,local';
+    process.env.GOOGLE_API_KEY = 'test-google-key';
+  });
+
+  it('keys the cache on the text, provider and every voice setting', async () => {
+    vi.mocked(fetch).mockResolvedValue(makeGoogleSuccessResponse());
+    await synthesizeSpeech('hello', { speakingRate: 0.9 });
+    expect(audioCacheKey).toHaveBeenCalledWith('hello', 'google', {
+      voice: 'en-US-Wavenet-D',
+      speakingRate: 0.9,
+      pitch: -2,
+      encoding: 'mp3',
+    });
+    expect(audioCacheKey).toHaveBeenCalledWith('hello', 'local', {
+      engine: 'espeak-ng',
+      voice: null,
+      rate: 0.9,
+      pitch: -2,
+      encoding: 'wav',
+    });
+  });
+
+  it('plays a cache hit without any network call', async () => {
+    vi.mocked(findCachedAudio).mockImplementation((key) =>
+      key === 'google-key' ? './data/tts-cache/google-key.mp3' : null
+    );
+    await expect(synthesizeSpeech('hello')).resolves.toBe('./data/tts-cache/google-key.mp3');
+    expect(fetch).not.toHaveBeenCalled();
+    expect(cacheAudio).not.toHaveBeenCalled();
+  });
+
+  it('uses audio cached by a later provider in the chain before calling the first', async () => {
+    vi.mocked(findCachedAudio).mockImplementation((key) =>
+      key === 'local-key' ? './data/tts-cache/local-key.wav' : null
+    );
+    await expect(synthesizeSpeech('hello')).resolves.toBe('./data/tts-cache/local-key.wav');
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
+
+describe('prewarmSpeech', () => {
+  beforeEach(() => {
+    process.env.TTS_PROVIDER = 'google';
+    process.env.GOOGLE_API_KEY = 'test-google-key';
+  });
+
+  it('synthesizes each distinct phrase once', async () => {
+    vi.mocked(fetch).mockResolvedValue(makeGoogleSuccessResponse());
+    await expect(prewarmSpeech(['Testing.', 'All clear.', 'Testing.'])).resolves.toBe(2);
+    const texts = vi.mocked(fetch).mock.calls.map(([, opts]) => JSON.parse(opts.body).input.text);
+    expect(texts).toEqual(['Testing.', 'All clear.']);
+  });
+
+  it('skips phrases that fail without throwing', async () => {
+    vi.mocked(fetch)
+      .mockRejectedValueOnce(new Error('network down'))
+      .mockResolvedValue(makeGoogleSuccessResponse());
+    await expect(prewarmSpeech(['Testing.', 'All clear.'])).resolves.toBe(1);
+  });
+});
+
+describe('listVoices', () => {
+  it("lists Google's English voices", async () => {
+    process.env.GOOGLE_API_KEY = 'test-google-key';
+    vi.mocked(fetch).mockResolvedValue({
+      ok: true,
+      json: () =>
+        Promise.resolve({
+          voices: [{ name: 'en-US-Neural2-F', languageCodes: ['en-US'], ssmlGender: 'FEMALE' }],
+        }),
+    });
+
+    await expect(listVoices('google')).resolves.toEqual([
+      { id: 'en-US-Neural2-F', description: 'en-US, female' },
+    ]);
+    expect(fetch.mock.calls[0][0]).toContain('/v1/voices?languageCode=en&key=test-google-key');
+  });
+
+  it('lists the ElevenLabs voices by ID', async () => {
+    process.env.ELEVENLABS_API_KEY = 'test-el-key';
+    vi.mocked(fetch).mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ voices: [{ voice_id: 'abc123', name: 'Rachel' }] }),
+    });
+
+    await expect(listVoices('elevenlabs')).resolves.toEqual([
+      { id: 'abc123', description: 'Rachel' },
+    ]);
+    expect(fetch.mock.calls[0][1].headers['xi-api-key']).toBe('test-el-key');
+  });
+
+  it("parses espeak-ng's English voice list", async () => {
+    const proc = new EventEmitter();
+    proc.stdout = new EventEmitter();
+    vi.mocked(spawn).mockImplementation(() => {
+      Promise.resolve().then(() => {
+        proc.stdout.emit(
+          'data',
+          Buffer.from(
+            'Pty Language       Age/Gender VoiceName          File                 Other Languages\n' +
+              ' 2  en-gb           M  English_(Great_Britain) gmw/en\n' +
+              ' 2  en-us           F  English_(America)  gmw/en-US\n'
+          )
+        );
+        proc.emit('close', 0);
+      });
+      return proc;
+    });
+
+    await expect(listVoices('local')).resolves.toEqual([
+      { id: 'en-gb', description: 'English (Great Britain), male' },
+      { id: 'en-us', description: 'English (America), female' },
+    ]);
+    expect(spawn).toHaveBeenCalledWith('espeak-ng', ['--voices=en'], expect.any(Object));
+  });
+
+  it('lists the Piper models next to LOCAL_TTS_VOICE', async () => {
+    process.env.LOCAL_TTS_ENGINE = 'piper';
+    process.env.LOCAL_TTS_VOICE = 'voices/en_US-amy-medium.onnx';
+    vi.mocked(readdirSync).mockReturnValue([
+      'en_US-amy-medium.onnx',
+      'en_US-amy-medium.onnx.json',
+      'en_GB-alan-low.onnx',
+    ]);
+
+    const voices = await listVoices('local');
+    expect(voices.map((v) => v.id)).toEqual([
+      'voices/en_US-amy-medium.onnx',
+      'voices/en_GB-alan-low.onnx',
+    ]);
+  });
+
+  it('defaults to the first provider in the chain and rejects unknown ones', async () => {
+    process.env.TTS_PROVIDERS = 'elevenlabs,google';
+    await expect(listVoices()).rejects.toThrow('ELEVENLABS_API_KEY is not set');
+    await expect(listVoices('polly')).rejects.toThrow('Unknown TTS provider "polly"');
+  });
+});
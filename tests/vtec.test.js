@@ -0,0 +1,98 @@
+import { describe, it, expect } from 'vitest';
+import { VTEC_ACTIONS, parseVtec, getVtec, vtecTrackingKey, vtecEventKey } from '../src/vtec.js';
+
+// ── parseVtec ─────────────────────────────────────────────────────────────────
+
+describe('parseVtec', () => {
+  it('parses every field of a P-VTEC string', () => {
+    expect(parseVtec('/O.NEW.KLMK.TO.W.0042.260515T1930Z-260515T2000Z/')).toEqual({
+      productClass: 'O',
+      action: 'NEW',
+      office: 'KLMK',
+      phenomenon: 'TO',
+      significance: 'W',
+      etn: 42,
+      begins: '2026-05-15T19:30:00Z',
+      ends: '2026-05-15T20:00:00Z',
+    });
+  });
+
+  it('reads the all-zero begin and end times as unknown', () => {
+    const record = parseVtec('/O.CON.KLMK.FF.W.0007.000000T0000Z-000000T0000Z/');
+    expect(record.begins).toBeNull();
+    expect(record.ends).toBeNull();
+  });
+
+  it('accepts every documented action code', () => {
+    for (const action of Object.keys(VTEC_ACTIONS)) {
+      expect(parseVtec(`/O.${action}.KLMK.TO.W.0042.000000T0000Z-260515T2000Z/`).action).toBe(
+        action
+      );
+    }
+  });
+
+  it.each([
+    [undefined],
+    [''],
+    ['/O.NEW.KLMK.TO.W.42.260515T1930Z-260515T2000Z/'],
+    ['/O.BAD.KLMK.TO.W.0042.260515T1930Z-260515T2000Z/'],
+    ['/KLMK.TO.W.0042/'],
+  ])('returns null for %j', (text) => {
+    expect(parseVtec(text)).toBeNull();
+  });
+});
+
+// ── getVtec ───────────────────────────────────────────────────────────────────
+
+describe('getVtec', () => {
+  const alert = (VTEC) => ({ id: 'urn:test:1', properties: { parameters: { VTEC } } });
+
+  it('returns the parsed VTEC of an alert', () => {
+    const record = getVtec(alert(['/O.EXT.KLMK.TO.W.0042.000000T0000Z-260515T2045Z/']));
+    expect(record).toMatchObject({ action: 'EXT', etn: 42 });
+  });
+
+  it('prefers the new event when a product upgrades another', () => {
+    const record = getVtec(
+      alert([
+        '/O.UPG.KLMK.SV.W.0101.000000T0000Z-260515T2000Z/',
+        '/O.NEW.KLMK.TO.W.0042.260515T1930Z-260515T2000Z/',
+      ])
+    );
+    expect(record).toMatchObject({ action: 'NEW', phenomenon: 'TO' });
+  });
+
+  it('returns null for alerts without usable VTEC', () => {
+    expect(getVtec({ id: 'urn:test:1', properties: {} })).toBeNull();
+    expect(getVtec(alert(['garbage']))).toBeNull();
+  });
+});
+
+// ── vtecTrackingKey ───────────────────────────────────────────────────────────
+
+describe('vtecTrackingKey', () => {
+  it('leaves out the year', () => {
+    const record = parseVtec('/O.NEW.KLMK.TO.W.0042.260515T1930Z-260515T2000Z/');
+    expect(vtecTrackingKey(record)).toBe('KLMK.TO.W.0042');
+  });
+});
+
+// ── vtecEventKey ──────────────────────────────────────────────────────────────
+
+describe('vtecEventKey', () => {
+  it('identifies an event by office, phenomenon, significance, ETN and year', () => {
+    const key = (text) => vtecEventKey(parseVtec(text));
+    expect(key('/O.NEW.KLMK.TO.W.0042.260515T1930Z-260515T2000Z/')).toBe('KLMK.TO.W.0042.2026');
+    expect(key('/O.NEW.KLMK.TO.A.0042.260515T1930Z-260516T0200Z/')).toBe('KLMK.TO.A.0042.2026');
+  });
+
+  it('takes the year from when the alert was sent once the event is in effect', () => {
+    const record = parseVtec('/O.CAN.KLMK.TO.W.0042.000000T0000Z-260515T2000Z/');
+    const sent = (time) => ({ id: 'urn:test:1', properties: { sent: time } });
+    expect(vtecEventKey(record, sent('2026-05-15T19:45:00-04:00'))).toBe('KLMK.TO.W.0042.2026');
+    expect(vtecEventKey(record, { properties: { effective: '2027-01-02T10:00:00Z' } })).toBe(
+      'KLMK.TO.W.0042.2027'
+    );
+    expect(vtecEventKey(record)).toBe('KLMK.TO.W.0042');
+  });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect } from 'vitest';
+import { parseWav, buildWav, concatWav, scaleWav } from '../src/wav.js';
+
+const MONO_16 = { audioFormat: 1, channels: 1, sampleRate: 8000, bitsPerSample: 16 };
+
+/** Builds a WAV file holding the given 16-bit samples */
+function wavOf(samples, format = MONO_16) {
+  const data = Buffer.alloc(samples.length * 2);
+  samples.forEach((sample, i) => data.writeInt16LE(sample, i * 2));
+  return buildWav(format, data);
+}
+
+// ── parseWav / buildWav ───────────────────────────────────────────────────────
+
+describe('parseWav', () => {
+  it('reads back what buildWav wrote', () => {
+    const { format, data } = parseWav(wavOf([1, -1, 300]));
+    expect(format).toEqual(MONO_16);
+    expect(data.readInt16LE(4)).toBe(300);
+    expect(data.length).toBe(6);
+  });
+
+  it('skips chunks other than fmt and data', () => {
+    const wav = wavOf([7]);
+    const list = Buffer.concat([
+      Buffer.from('LIST'),
+      Buffer.from([3, 0, 0, 0]),
+      Buffer.from('abc\0'),
+    ]);
+    const withList = Buffer.concat([wav.subarray(0, 36), list, wav.subarray(36)]);
+    expect(parseWav(withList).data.readInt16LE(0)).toBe(7);
+  });
+
+  it('reads to the end of the file when the data size is too large', () => {
+    const wav = wavOf([1, 2]);
+    wav.writeUInt32LE(0xffffffff, 40);
+    expect(parseWav(wav).data.length).toBe(4);
+  });
+
+  it('rejects files that are not PCM WAV', () => {
+    expect(() => parseWav(Buffer.from('ID3 not a wav file'))).toThrow('Not a WAV file');
+    const float = wavOf([0]);
+    float.writeUInt16LE(3, 20);
+    expect(() => parseWav(float)).toThrow('Only PCM');
+  });
+});
+
+// ── concatWav ─────────────────────────────────────────────────────────────────
+
+describe('concatWav', () => {
+  it('joins clips end to end', () => {
+    const { data } = parseWav(concatWav([wavOf([1, 2]), wavOf([3])]));
+    expect([0, 2, 4].map((offset) => data.readInt16LE(offset))).toEqual([1, 2, 3]);
+  });
+
+  it('puts silence between clips', () => {
+    const { data } = parseWav(concatWav([wavOf([1]), wavOf([2])], 1)); // 1 ms = 8 samples
+    expect(data.length).toBe((1 + 8 + 1) * 2);
+    expect(data.readInt16LE(2)).toBe(0);
+    expect(data.readInt16LE(18)).toBe(2);
+  });
+
+  it('uses 128 as silence for 8-bit audio', () => {
+    const format = { ...MONO_16, bitsPerSample: 8 };
+    const clip = buildWav(format, Buffer.from([200]));
+    const { data } = parseWav(concatWav([clip, clip], 1));
+    expect([...data]).toEqual([200, ...Array(8).fill(128), 200]);
+  });
+
+  it('refuses clips in different formats', () => {
+    const stereo = wavOf([0, 0], { ...MONO_16, channels: 2 });
+    expect(() => concatWav([wavOf([0]), stereo])).toThrow('differ in format');
+    expect(() => concatWav([])).toThrow('No WAV files');
+  });
+});
+
+// ── scaleWav ──────────────────────────────────────────────────────────────────
+
+describe('scaleWav', () => {
+  it('scales 16-bit samples by the gain', () => {
+    const { format, data } = parseWav(scaleWav(wavOf([1000, -1000, 32767]), 0.3));
+    expect(format).toEqual(MONO_16);
+    expect([0, 2, 4].map((offset) => data.readInt16LE(offset))).toEqual([300, -300, 9830]);
+  });
+
+  it('scales 8-bit samples around their midpoint', () => {
+    const clip = buildWav({ ...MONO_16, bitsPerSample: 8 }, Buffer.from([228, 28, 128]));
+    expect([...parseWav(scaleWav(clip, 0.5)).data]).toEqual([178, 78, 128]);
+  });
+
+  it('never turns the volume up', () => {
+    const { data } = parseWav(scaleWav(wavOf([32767]), 2));
+    expect(data.readInt16LE(0)).toBe(32767);
+  });
+});